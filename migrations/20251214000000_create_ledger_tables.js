@@ -0,0 +1,63 @@
+/**
+ * Double-entry ledger:
+ * - ledger_accounts: one row per user wallet plus system accounts (fees, clearing, reward pool, ...)
+ * - ledger_entries: journal header for every balance movement
+ * - ledger_lines: balanced debit/credit postings belonging to an entry
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function (knex) {
+  return knex.schema
+    .createTable('ledger_accounts', (table) => {
+      table.increments('id').primary();
+      table.string('code', 64).notNullable().unique(); // user:<id>:<wallet_type> or system:<key>
+      table.string('name', 255).notNullable();
+      table.string('account_type', 20).notNullable(); // asset, liability, equity, income, expense
+      table.integer('user_id').unsigned().nullable();
+      table.string('wallet_type', 20).nullable();
+      table.timestamps(true, true);
+
+      table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+      table.index(['user_id', 'wallet_type']);
+      table.index('account_type');
+    })
+
+    .createTable('ledger_entries', (table) => {
+      table.increments('id').primary();
+      table.string('entry_type', 30).notNullable(); // deposit, withdraw, transfer, stake, catalyst_bonus, ...
+      table.string('reference_type', 30).nullable();
+      table.string('reference_id', 100).nullable();
+      table.text('description').nullable();
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.index('entry_type');
+      table.index(['reference_type', 'reference_id']);
+      table.index('created_at');
+    })
+
+    .createTable('ledger_lines', (table) => {
+      table.increments('id').primary();
+      table.integer('entry_id').unsigned().notNullable();
+      table.integer('account_id').unsigned().notNullable();
+      table.decimal('debit', 15, 2).notNullable().defaultTo(0);
+      table.decimal('credit', 15, 2).notNullable().defaultTo(0);
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.foreign('entry_id').references('id').inTable('ledger_entries').onDelete('CASCADE');
+      table.foreign('account_id').references('id').inTable('ledger_accounts');
+      table.index('entry_id');
+      table.index(['account_id', 'created_at']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function (knex) {
+  return knex.schema
+    .dropTableIfExists('ledger_lines')
+    .dropTableIfExists('ledger_entries')
+    .dropTableIfExists('ledger_accounts');
+};
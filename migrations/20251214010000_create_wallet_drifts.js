@@ -0,0 +1,33 @@
+/**
+ * wallet_drifts: per-run mismatches between wallets.balance and the balance
+ * expected from the user's transaction history.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function (knex) {
+  return knex.schema.createTable('wallet_drifts', (table) => {
+    table.increments('id').primary();
+    table.date('run_date').notNullable();
+    table.integer('user_id').unsigned().notNullable();
+    table.string('wallet_type', 20).notNullable().defaultTo('main');
+    table.decimal('wallet_balance', 15, 2).notNullable();
+    table.decimal('expected_balance', 15, 2).notNullable();
+    table.decimal('difference', 15, 2).notNullable(); // wallet_balance - expected_balance
+    table.integer('transaction_count').notNullable().defaultTo(0);
+    table.timestamps(true, true);
+
+    table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+    table.unique(['run_date', 'user_id', 'wallet_type']);
+    table.index('user_id');
+    table.index('run_date');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function (knex) {
+  return knex.schema.dropTableIfExists('wallet_drifts');
+};
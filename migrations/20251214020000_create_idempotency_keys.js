@@ -0,0 +1,33 @@
+/**
+ * idempotency_keys: client-supplied Idempotency-Key per user for money-moving
+ * endpoints, with the request fingerprint and the stored response for replays.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function (knex) {
+  return knex.schema.createTable('idempotency_keys', (table) => {
+    table.increments('id').primary();
+    table.integer('user_id').unsigned().notNullable();
+    table.string('idempotency_key', 255).notNullable();
+    table.string('method', 10).notNullable();
+    table.string('path', 255).notNullable();
+    table.string('request_hash', 64).notNullable(); // sha256 of method + path + body
+    table.string('status', 20).notNullable().defaultTo('processing'); // processing, completed
+    table.integer('response_status').nullable();
+    table.json('response_body').nullable();
+    table.timestamps(true, true);
+
+    table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+    table.unique(['user_id', 'idempotency_key']);
+    table.index('created_at');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function (knex) {
+  return knex.schema.dropTableIfExists('idempotency_keys');
+};
@@ -0,0 +1,46 @@
+/**
+ * Withdrawal approval workflow:
+ * - users.password_changed_at / two_factor_changed_at: feed the "recent security change" risk rule
+ * - withdrawal_reviews: risk flags for withdrawals held in pending_review and the admin decision
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function (knex) {
+  return knex.schema
+    .alterTable('users', (table) => {
+      table.timestamp('password_changed_at').nullable();
+      table.timestamp('two_factor_changed_at').nullable();
+    })
+
+    .createTable('withdrawal_reviews', (table) => {
+      table.increments('id').primary();
+      table.integer('transaction_id').unsigned().notNullable().unique();
+      table.integer('user_id').unsigned().notNullable();
+      table.json('risk_flags').nullable(); // [{ code, message }]
+      table.string('decision', 20).notNullable().defaultTo('pending'); // pending, approved, rejected
+      table.integer('reviewed_by').unsigned().nullable();
+      table.text('reason').nullable();
+      table.timestamp('reviewed_at').nullable();
+      table.timestamps(true, true);
+
+      table.foreign('transaction_id').references('id').inTable('transactions').onDelete('CASCADE');
+      table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+      table.foreign('reviewed_by').references('id').inTable('users').onDelete('SET NULL');
+      table.index(['decision', 'created_at']);
+      table.index('user_id');
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function (knex) {
+  return knex.schema
+    .dropTableIfExists('withdrawal_reviews')
+    .alterTable('users', (table) => {
+      table.dropColumn('password_changed_at');
+      table.dropColumn('two_factor_changed_at');
+    });
+};
@@ -0,0 +1,30 @@
+/**
+ * withdrawal_addresses: per-user saved payout addresses tagged with their network
+ * (NowPayments payout currency). New entries are locked until unlocks_at.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function (knex) {
+  return knex.schema.createTable('withdrawal_addresses', (table) => {
+    table.increments('id').primary();
+    table.integer('user_id').unsigned().notNullable();
+    table.string('label', 100).nullable();
+    table.string('network', 20).notNullable(); // usdtbsc, usdttrc20, ...
+    table.string('address', 128).notNullable();
+    table.timestamp('unlocks_at').notNullable();
+    table.timestamps(true, true);
+
+    table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+    table.unique(['user_id', 'network', 'address']);
+    table.index('user_id');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function (knex) {
+  return knex.schema.dropTableIfExists('withdrawal_addresses');
+};
@@ -0,0 +1,21 @@
+/**
+ * users.accept_transfers: lets a user opt out of receiving internal transfers
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function (knex) {
+  return knex.schema.alterTable('users', (table) => {
+    table.boolean('accept_transfers').notNullable().defaultTo(true);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function (knex) {
+  return knex.schema.alterTable('users', (table) => {
+    table.dropColumn('accept_transfers');
+  });
+};
@@ -0,0 +1,40 @@
+/**
+ * scheduled_transfers: one-off future and recurring (weekly/monthly) wallet transfers,
+ * executed by scripts/scheduled-transfers.js
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function (knex) {
+  return knex.schema.createTable('scheduled_transfers', (table) => {
+    table.increments('id').primary();
+    table.integer('user_id').unsigned().notNullable(); // sender
+    table.integer('recipient_id').unsigned().notNullable();
+    table.decimal('amount', 15, 2).notNullable();
+    table.string('note', 255).nullable();
+    table.string('frequency', 10).notNullable(); // once, weekly, monthly
+    table.date('start_date').notNullable();
+    table.date('next_run_date').nullable();
+    table.date('end_date').nullable();
+    table.string('status', 20).notNullable().defaultTo('active'); // active, completed, cancelled, failed
+    table.integer('run_count').notNullable().defaultTo(0);
+    table.integer('skip_count').notNullable().defaultTo(0);
+    table.timestamp('last_run_at').nullable();
+    table.string('last_result', 40).nullable(); // executed, skipped_insufficient_balance, ...
+    table.text('last_error').nullable();
+    table.timestamps(true, true);
+
+    table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+    table.foreign('recipient_id').references('id').inTable('users').onDelete('CASCADE');
+    table.index(['status', 'next_run_date']);
+    table.index('user_id');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function (knex) {
+  return knex.schema.dropTableIfExists('scheduled_transfers');
+};
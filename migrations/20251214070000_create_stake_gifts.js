@@ -0,0 +1,45 @@
+/**
+ * stake_gifts: energy packs bought by a leader for a direct/downline member
+ * stakes.paid_by_user_id: who paid for a stake when it is not its owner
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+  await knex.schema.createTable('stake_gifts', (table) => {
+    table.increments('id').primary();
+    table.integer('payer_id').unsigned().notNullable();
+    table.integer('recipient_id').unsigned().notNullable();
+    table.integer('stake_id').unsigned().nullable(); // set once the stake exists
+    table.decimal('amount', 15, 2).notNullable();
+    table.string('pack_type', 20).notNullable();
+    table.string('note', 255).nullable();
+    table.string('status', 20).notNullable(); // pending, completed, declined, cancelled, expired
+    table.timestamp('expires_at').nullable(); // pending gifts only
+    table.timestamp('responded_at').nullable();
+    table.timestamps(true, true);
+
+    table.foreign('payer_id').references('id').inTable('users').onDelete('CASCADE');
+    table.foreign('recipient_id').references('id').inTable('users').onDelete('CASCADE');
+    table.foreign('stake_id').references('id').inTable('stakes').onDelete('SET NULL');
+    table.index(['payer_id', 'status']);
+    table.index(['recipient_id', 'status']);
+  });
+
+  await knex.schema.alterTable('stakes', (table) => {
+    table.integer('paid_by_user_id').unsigned().nullable();
+    table.foreign('paid_by_user_id').references('id').inTable('users').onDelete('SET NULL');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+  await knex.schema.alterTable('stakes', (table) => {
+    table.dropForeign(['paid_by_user_id']);
+    table.dropColumn('paid_by_user_id');
+  });
+  await knex.schema.dropTableIfExists('stake_gifts');
+};
@@ -0,0 +1,50 @@
+/**
+ * stake_upgrades: top-ups of an active stake (added shares, pack tier change)
+ * stakes.reward_cap_adjustment: carries reward cap progress across upgrades; cap usage is
+ * total_rewards_earned + reward_cap_adjustment
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+  await knex.schema.alterTable('stakes', (table) => {
+    table.decimal('reward_cap_adjustment', 15, 2).notNullable().defaultTo(0);
+  });
+
+  await knex.schema.createTable('stake_upgrades', (table) => {
+    table.increments('id').primary();
+    table.integer('stake_id').unsigned().notNullable();
+    table.integer('user_id').unsigned().notNullable();
+    table.decimal('added_amount', 15, 2).notNullable();
+    table.integer('added_shares').notNullable();
+    table.string('from_pack', 20).notNullable();
+    table.string('to_pack', 20).notNullable();
+    table.integer('from_shares').notNullable();
+    table.integer('to_shares').notNullable();
+    table.decimal('from_amount', 15, 2).notNullable();
+    table.decimal('to_amount', 15, 2).notNullable();
+    table.decimal('from_daily_roi_rate', 5, 4).notNullable();
+    table.decimal('to_daily_roi_rate', 5, 4).notNullable();
+    table.decimal('from_max_reward_limit', 15, 2).notNullable();
+    table.decimal('to_max_reward_limit', 15, 2).notNullable();
+    table.decimal('rewards_earned', 15, 2).notNullable(); // total_rewards_earned at upgrade time
+    table.decimal('cap_used_before', 15, 2).notNullable(); // cap usage on the old terms
+    table.decimal('cap_used_after', 15, 2).notNullable(); // same progress carried onto the new terms
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.foreign('stake_id').references('id').inTable('stakes').onDelete('CASCADE');
+    table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+    table.index('stake_id');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('stake_upgrades');
+  await knex.schema.alterTable('stakes', (table) => {
+    table.dropColumn('reward_cap_adjustment');
+  });
+};
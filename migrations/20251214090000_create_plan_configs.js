@@ -0,0 +1,69 @@
+// Version 1 of each key: the plan at the time of this migration. Inlined so later edits to
+// src/config/planDefaults do not change what this migration seeds.
+const INITIAL_PLAN = {
+  energy_packs: {
+    spark: { minShares: 1, maxShares: 9, dailyRoiRate: 0.003, maxRewardLimit: 200 },
+    pulse: { minShares: 10, maxShares: 99, dailyRoiRate: 0.005, maxRewardLimit: 300 },
+    charge: { minShares: 100, maxShares: 999, dailyRoiRate: 0.007, maxRewardLimit: 400 },
+    quantum: { minShares: 1000, maxShares: null, dailyRoiRate: 0.01, maxRewardLimit: 500 }
+  },
+  synergy: {
+    rates: { spark: 0.05, pulse: 0.06, charge: 0.08, quantum: 0.1 },
+    cycleSize: 100
+  },
+  rank_ladder: [
+    { key: 'spark', minDirects: 1, minPackValue: 25, teamVolume: 1000, percent: 5 },
+    { key: 'pulse', minDirects: 2, minPackValue: 250, teamVolume: 5000, percent: 10 },
+    { key: 'charge', minDirects: 3, minPackValue: 500, teamVolume: 15000, percent: 15 },
+    { key: 'surge', minDirects: 4, minPackValue: 1000, teamVolume: 50000, percent: 25 },
+    { key: 'flux', minDirects: 5, minPackValue: 2500, teamVolume: 100000, percent: 40 },
+    { key: 'volt', minDirects: 6, minPackValue: 5000, teamVolume: 250000, percent: 55 },
+    { key: 'current', minDirects: 7, minPackValue: 10000, teamVolume: 500000, percent: 70 },
+    { key: 'magnet', minDirects: 8, minPackValue: 25000, teamVolume: 1000000, percent: 85 },
+    { key: 'quantum', minDirects: 9, minPackValue: 50000, teamVolume: 2000000, percent: 100 }
+  ],
+  catalyst_rates: [0.09, 0.03, 0.01, 0.005, 0.005, 0.0025, 0.0025, 0.0025, 0.0025]
+};
+
+/**
+ * plan_configs: versioned reward plan settings (energy packs, synergy, rank ladder,
+ * catalyst rates). The version with the latest effective_from <= a date is the one
+ * in force on that date. Seeds version 1 of each key from INITIAL_PLAN.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+  await knex.schema.createTable('plan_configs', (table) => {
+    table.increments('id').primary();
+    table.string('config_key', 40).notNullable();
+    table.integer('version').notNullable();
+    table.timestamp('effective_from').notNullable();
+    table.json('value').notNullable();
+    table.string('note', 255).nullable();
+    table.integer('created_by').unsigned().nullable();
+    table.timestamps(true, true);
+
+    table.foreign('created_by').references('id').inTable('users').onDelete('SET NULL');
+    table.unique(['config_key', 'version']);
+    table.index(['config_key', 'effective_from']);
+  });
+
+  await knex('plan_configs').insert(
+    Object.entries(INITIAL_PLAN).map(([key, value]) => ({
+      config_key: key,
+      version: 1,
+      effective_from: new Date('2000-01-01T00:00:00Z'),
+      value: JSON.stringify(value),
+      note: 'Initial plan'
+    }))
+  );
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function (knex) {
+  return knex.schema.dropTableIfExists('plan_configs');
+};
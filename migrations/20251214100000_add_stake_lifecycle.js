@@ -0,0 +1,87 @@
+// Version 1 of stake_lifecycle as it stood at this migration (inlined, not read from planDefaults)
+const INITIAL_STAKE_LIFECYCLE = {
+  spark: { termDays: null, endOfLife: 'notify', earlyTerminationPenaltyPercent: 25 },
+  pulse: { termDays: null, endOfLife: 'notify', earlyTerminationPenaltyPercent: 20 },
+  charge: { termDays: null, endOfLife: 'notify', earlyTerminationPenaltyPercent: 15 },
+  quantum: { termDays: null, endOfLife: 'notify', earlyTerminationPenaltyPercent: 10 }
+};
+
+/**
+ * Stake lifecycle: active, paused, capped, matured, terminated.
+ * - Existing `completed` stakes (cap reached) become `capped`, `cancelled` ones `terminated`.
+ * - stakes gets the per-stake end-of-life policy choice, end-of-life outcome and
+ *   early termination figures.
+ * - stake_status_history records every status change (system, user or admin).
+ * - Seeds version 1 of the stake_lifecycle plan config if plan_configs predates it.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+  await knex.schema.alterTable('stakes', (table) => {
+    table.string('end_of_life_policy', 20).nullable(); // auto_renew | notify; null = pack default
+    table.timestamp('status_changed_at').nullable();
+    table.timestamp('end_of_life_processed_at').nullable();
+    table.string('end_of_life_result', 20).nullable(); // renewed | notified | renew_failed
+    table.integer('renewed_stake_id').unsigned().nullable();
+    table.integer('renewed_from_stake_id').unsigned().nullable();
+    table.decimal('termination_penalty', 15, 2).nullable();
+    table.decimal('termination_refund', 15, 2).nullable();
+    table.index(['status', 'end_of_life_processed_at']);
+  });
+
+  await knex('stakes').where({ status: 'completed' }).update({ status: 'capped' });
+  await knex('stakes').where({ status: 'cancelled' }).update({ status: 'terminated' });
+
+  await knex.schema.createTable('stake_status_history', (table) => {
+    table.increments('id').primary();
+    table.integer('stake_id').unsigned().notNullable();
+    table.string('from_status', 20).nullable();
+    table.string('to_status', 20).notNullable();
+    table.string('reason', 255).nullable();
+    table.string('changed_by_type', 10).notNullable(); // system | user | admin
+    table.integer('changed_by').unsigned().nullable();
+    table.json('metadata').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.foreign('stake_id').references('id').inTable('stakes').onDelete('CASCADE');
+    table.foreign('changed_by').references('id').inTable('users').onDelete('SET NULL');
+    table.index(['stake_id', 'created_at']);
+  });
+
+  const seeded = await knex('plan_configs').where({ config_key: 'stake_lifecycle' }).first();
+  if (!seeded) {
+    await knex('plan_configs').insert({
+      config_key: 'stake_lifecycle',
+      version: 1,
+      effective_from: new Date('2000-01-01T00:00:00Z'),
+      value: JSON.stringify(INITIAL_STAKE_LIFECYCLE),
+      note: 'Initial plan'
+    });
+  }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+  await knex('plan_configs').where({ config_key: 'stake_lifecycle' }).delete();
+  await knex.schema.dropTableIfExists('stake_status_history');
+
+  await knex('stakes').whereIn('status', ['capped', 'matured']).update({ status: 'completed' });
+  await knex('stakes').where({ status: 'terminated' }).update({ status: 'cancelled' });
+  await knex('stakes').where({ status: 'paused' }).update({ status: 'active' });
+
+  await knex.schema.alterTable('stakes', (table) => {
+    table.dropIndex(['status', 'end_of_life_processed_at']);
+    table.dropColumn('end_of_life_policy');
+    table.dropColumn('status_changed_at');
+    table.dropColumn('end_of_life_processed_at');
+    table.dropColumn('end_of_life_result');
+    table.dropColumn('renewed_stake_id');
+    table.dropColumn('renewed_from_stake_id');
+    table.dropColumn('termination_penalty');
+    table.dropColumn('termination_refund');
+  });
+};
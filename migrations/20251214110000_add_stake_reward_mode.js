@@ -0,0 +1,38 @@
+/**
+ * Per-stake reward mode:
+ * - manual: rewards wait in stake_rewards to be claimed (expire after 24h).
+ * - auto_claim: the daily Core/Harvest job credits them straight to the wallet.
+ * - auto_compound: credited like auto_claim, then rolled into new shares once
+ *   compound_accrued reaches a whole share.
+ * stake_upgrades.source tells wallet top-ups from compounding.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+  await knex.schema.alterTable('stakes', (table) => {
+    table.string('reward_mode', 20).notNullable().defaultTo('manual');
+    table.decimal('compound_accrued', 15, 2).notNullable().defaultTo(0);
+    table.index(['status', 'reward_mode']);
+  });
+
+  await knex.schema.alterTable('stake_upgrades', (table) => {
+    table.string('source', 20).notNullable().defaultTo('top_up'); // top_up | compound
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+  await knex.schema.alterTable('stake_upgrades', (table) => {
+    table.dropColumn('source');
+  });
+
+  await knex.schema.alterTable('stakes', (table) => {
+    table.dropIndex(['status', 'reward_mode']);
+    table.dropColumn('reward_mode');
+    table.dropColumn('compound_accrued');
+  });
+};
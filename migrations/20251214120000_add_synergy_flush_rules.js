@@ -0,0 +1,44 @@
+/**
+ * Synergy Flow flush rules (synergy.flush plan settings):
+ * - team_volumes.ineligible_since starts the carry expiry clock when a user stops qualifying.
+ * - synergy_flushes records every flush with the leg amounts before, flushed and after.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+  await knex.schema.alterTable('team_volumes', (table) => {
+    table.date('ineligible_since').nullable();
+  });
+
+  await knex.schema.createTable('synergy_flushes', (table) => {
+    table.increments('id').primary();
+    table.integer('user_id').unsigned().notNullable();
+    table.date('flush_date').notNullable();
+    table.string('reason', 20).notNullable(); // cap_hit | weaker_leg | strong_leg_cap | carry_expiry
+    table.decimal('left_before', 15, 2).notNullable().defaultTo(0);
+    table.decimal('right_before', 15, 2).notNullable().defaultTo(0);
+    table.decimal('left_flushed', 15, 2).notNullable().defaultTo(0);
+    table.decimal('right_flushed', 15, 2).notNullable().defaultTo(0);
+    table.decimal('left_after', 15, 2).notNullable().defaultTo(0);
+    table.decimal('right_after', 15, 2).notNullable().defaultTo(0);
+    table.integer('plan_version').unsigned().nullable();
+    table.json('metadata').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+    table.index(['user_id', 'flush_date']);
+    table.index(['flush_date', 'reason']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('synergy_flushes');
+  await knex.schema.alterTable('team_volumes', (table) => {
+    table.dropColumn('ineligible_since');
+  });
+};
@@ -0,0 +1,55 @@
+/**
+ * volume_events: append-only binary volume ledger, one row per receiving upline for every
+ * stake purchase / top-up (free stakes are recorded with is_free but never count).
+ * team_volumes.left_volume / right_volume become a projection of the paid events after
+ * team_volumes.settled_event_id, the last event the Synergy run folded into carry.
+ * Volume already sitting in team_volumes is carried over as one `opening` event per leg.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+  await knex.schema.createTable('volume_events', (table) => {
+    table.bigIncrements('id').primary();
+    table.integer('upline_id').unsigned().notNullable(); // user whose leg receives the volume
+    table.string('side', 5).notNullable(); // left | right
+    table.integer('level').unsigned().notNullable().defaultTo(0); // 1 = direct binary parent
+    table.integer('origin_user_id').unsigned().nullable(); // stake owner
+    table.integer('origin_stake_id').unsigned().nullable();
+    table.decimal('amount', 15, 2).notNullable();
+    table.boolean('is_free').notNullable().defaultTo(false);
+    table.string('source', 20).notNullable(); // purchase | top_up | free_stake | backfill | opening
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.foreign('upline_id').references('id').inTable('users').onDelete('CASCADE');
+    table.foreign('origin_user_id').references('id').inTable('users').onDelete('SET NULL');
+    table.foreign('origin_stake_id').references('id').inTable('stakes').onDelete('SET NULL');
+    table.index(['upline_id', 'side', 'id']);
+    table.index(['upline_id', 'created_at']);
+    table.index('origin_stake_id');
+  });
+
+  await knex.schema.alterTable('team_volumes', (table) => {
+    table.bigInteger('settled_event_id').unsigned().notNullable().defaultTo(0);
+  });
+
+  for (const side of ['left', 'right']) {
+    await knex.raw(
+      `INSERT INTO volume_events (upline_id, side, level, amount, is_free, source, created_at)
+       SELECT user_id, ?, 0, ${side}_volume, false, 'opening', NOW()
+       FROM team_volumes WHERE ${side}_volume > 0`,
+      [side]
+    );
+  }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+  await knex.schema.alterTable('team_volumes', (table) => {
+    table.dropColumn('settled_event_id');
+  });
+  await knex.schema.dropTableIfExists('volume_events');
+};
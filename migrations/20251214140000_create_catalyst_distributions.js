@@ -0,0 +1,36 @@
+/**
+ * catalyst_distributions: one audit row per Catalyst distribution (stake purchase or top-up)
+ * with the plan versions applied and every sponsor considered: paid, capped, or skipped
+ * (no active pack / not enough active directs), and whether its level was compressed.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+  await knex.schema.createTable('catalyst_distributions', (table) => {
+    table.increments('id').primary();
+    table.integer('origin_user_id').unsigned().notNullable();
+    table.integer('stake_id').unsigned().nullable();
+    table.decimal('base_amount', 15, 2).notNullable();
+    table.decimal('total_paid', 15, 2).notNullable().defaultTo(0);
+    table.integer('levels_paid').unsigned().notNullable().defaultTo(0);
+    table.boolean('compression').notNullable().defaultTo(false);
+    table.integer('rates_version').unsigned().nullable();
+    table.integer('rules_version').unsigned().nullable();
+    table.json('levels').notNullable(); // [{ generation, sponsor_id, level, rate, status, raw_amount, paid }]
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.foreign('origin_user_id').references('id').inTable('users').onDelete('CASCADE');
+    table.foreign('stake_id').references('id').inTable('stakes').onDelete('SET NULL');
+    table.index('stake_id');
+    table.index(['origin_user_id', 'created_at']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('catalyst_distributions');
+};
@@ -0,0 +1,37 @@
+/**
+ * transactions.poll_next_at: when the payment poller may check a pending deposit/withdrawal
+ * again (exponential backoff). Kept as a column so the sweep filters and orders due rows in
+ * SQL before its batch limit; metadata.poll_next_at is carried over for rows already backed off.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+  await knex.schema.alterTable('transactions', (table) => {
+    table.timestamp('poll_next_at').nullable();
+    table.index(['transaction_type', 'reference_type', 'status', 'poll_next_at'], 'transactions_poll_due_index');
+  });
+
+  const rows = await knex('transactions')
+    .where({ status: 'pending' })
+    .whereIn('transaction_type', ['deposit', 'withdraw'])
+    .where('metadata', 'like', '%poll_next_at%')
+    .select('id', 'metadata');
+  for (const row of rows) {
+    const metadata = typeof row.metadata === 'string' ? JSON.parse(row.metadata || '{}') : row.metadata || {};
+    const nextAt = metadata.poll_next_at ? new Date(metadata.poll_next_at) : null;
+    if (!nextAt || Number.isNaN(nextAt.getTime())) continue;
+    await knex('transactions').where({ id: row.id }).update({ poll_next_at: nextAt });
+  }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+  await knex.schema.alterTable('transactions', (table) => {
+    table.dropIndex(['transaction_type', 'reference_type', 'status', 'poll_next_at'], 'transactions_poll_due_index');
+    table.dropColumn('poll_next_at');
+  });
+};
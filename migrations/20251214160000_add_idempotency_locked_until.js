@@ -0,0 +1,24 @@
+/**
+ * idempotency_keys.locked_until: lease of the request holding a `processing` key, renewed
+ * while its handler runs. Once it lapses (the process crashed or restarted) a retry with the
+ * same key takes the key over instead of getting 409 until the key expires. Rows already
+ * processing fall back to updated_at plus the lease.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+  await knex.schema.alterTable('idempotency_keys', (table) => {
+    table.timestamp('locked_until').nullable();
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+  await knex.schema.alterTable('idempotency_keys', (table) => {
+    table.dropColumn('locked_until');
+  });
+};
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+
+/**
+ * Daily wallet reconciliation runner (idempotent via job_runs)
+ * Recomputes each main wallet balance from completed transactions and
+ * records mismatches in wallet_drifts.
+ * Usage: node backend/scripts/daily-wallet-reconciliation.js
+ */
+require('dotenv').config({ path: '.env' });
+const Reconciliation = require('../src/models/Reconciliation');
+const JobRun = require('../src/models/JobRun');
+
+async function run() {
+  try {
+    const result = await Reconciliation.run();
+    const todayStr = new Date().toISOString().split('T')[0];
+    await JobRun.finish(Reconciliation.JOB_NAME, todayStr, 'success', result);
+    console.log(`Wallet reconciliation processed: ${JSON.stringify(result)}`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Wallet reconciliation run failed:', err);
+    const todayStr = new Date().toISOString().split('T')[0];
+    await JobRun.finish(Reconciliation.JOB_NAME, todayStr, 'failed', { error: err.message });
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Ledger opening balances
+ * Posts one opening entry per wallet so the journal matches wallets.balance
+ * for balances that existed before the double-entry ledger was introduced.
+ * Safe to re-run: only the remaining difference is posted.
+ *
+ * Usage: node backend/scripts/ledger-opening-balances.js
+ */
+
+require('dotenv').config({ path: '.env' });
+const db = require('../src/config/database');
+const Ledger = require('../src/models/Ledger');
+
+async function postOpeningBalances() {
+  console.log('📒 Posting ledger opening balances from wallets...\n');
+
+  try {
+    const wallets = await db('wallets').select('user_id', 'wallet_type', 'balance');
+    console.log(`✅ Found ${wallets.length} wallets`);
+
+    let posted = 0;
+    let total = 0;
+
+    for (const wallet of wallets) {
+      const walletBalance = Ledger.toCents(wallet.balance);
+      const ledgerBalance = await Ledger.getUserBalance(wallet.user_id, wallet.wallet_type);
+      const difference = Ledger.toCents(walletBalance - ledgerBalance);
+      if (difference === 0) continue;
+
+      await db.transaction(async (trx) => {
+        const account = await Ledger.getUserAccount(wallet.user_id, wallet.wallet_type, trx);
+        const amount = Math.abs(difference);
+        await Ledger.postEntry(
+          {
+            entryType: 'opening_balance',
+            referenceType: 'wallet',
+            referenceId: `${wallet.user_id}-${wallet.wallet_type}`,
+            description: `Opening balance for user ${wallet.user_id} ${wallet.wallet_type} wallet`,
+            lines:
+              difference > 0
+                ? [
+                    { account: 'opening_balance', debit: amount },
+                    { accountId: account.id, credit: amount }
+                  ]
+                : [
+                    { accountId: account.id, debit: amount },
+                    { account: 'opening_balance', credit: amount }
+                  ]
+          },
+          trx
+        );
+      });
+
+      posted++;
+      total += difference;
+    }
+
+    console.log(`✅ Posted ${posted} opening entries (net $${total.toFixed(2)})`);
+
+    const trialBalance = await Ledger.getTrialBalance();
+    console.log(`\n📈 Trial balance: debits $${trialBalance.total_debit.toFixed(2)} / credits $${trialBalance.total_credit.toFixed(2)} (${trialBalance.balanced ? 'balanced' : 'UNBALANCED'})`);
+    console.log(`   User wallets total: $${trialBalance.user_wallets_total.toFixed(2)}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Opening balances failed:', error.message);
+    console.error('Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  postOpeningBalances();
+}
+
+module.exports = postOpeningBalances;
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+
+/**
+ * Pending payment poller
+ * Re-queries stale pending NowPayments deposits/withdrawals with exponential backoff
+ * and expires abandoned deposit invoices. Each sweep is recorded in job_runs
+ * (payment_poller, one row per day with running totals).
+ * Usage: node backend/scripts/payment-poller.js (schedule every few minutes)
+ */
+require('dotenv').config({ path: '.env' });
+const PaymentPoller = require('../src/models/PaymentPoller');
+const JobRun = require('../src/models/JobRun');
+
+async function run() {
+  try {
+    const result = await PaymentPoller.run();
+    console.log(`Payment poller sweep: ${JSON.stringify(result)}`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Payment poller run failed:', err);
+    const todayStr = new Date().toISOString().split('T')[0];
+    await JobRun.finish(PaymentPoller.JOB_NAME, todayStr, 'failed', { error: err.message });
+    process.exit(1);
+  }
+}
+
+run();
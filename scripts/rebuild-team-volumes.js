@@ -2,81 +2,77 @@
 
 /**
  * Rebuild Team Volumes
- * Recalculates team_volumes table from scratch by:
+ * team_volumes.left_volume / right_volume are a projection of the volume_events ledger
+ * (paid events after team_volumes.settled_event_id). This script replays it:
  * 1. Creating volume rows for all users in genealogy
- * 2. Redistributing volumes from all active stakes up the genealogy tree
+ * 2. Optionally (--backfill) seeding the ledger with stakes bought before it existed
+ * 3. Recomputing each user's counters from the ledger and reporting the ones that drifted
  *
- * Usage: node backend/scripts/rebuild-team-volumes.js
+ * Carry and daily_paid are settlement state (team_cycles / synergy_flushes) and are left alone.
+ *
+ * Usage: node backend/scripts/rebuild-team-volumes.js [--check] [--backfill] [--user=<id>]
+ *   --check     report drift without writing
+ *   --backfill  append history events for stakes with none (does not change the counters)
  */
 
 require('dotenv').config({ path: '.env' });
 const db = require('../src/config/database');
 const Synergy = require('../src/models/Synergy');
+const VolumeLedger = require('../src/models/VolumeLedger');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--check');
+const backfill = args.includes('--backfill');
+const userArg = args.find((arg) => arg.startsWith('--user='));
+const userId = userArg ? parseInt(userArg.split('=')[1], 10) : null;
 
 async function rebuildTeamVolumes() {
-  console.log('🔄 Rebuilding team volumes from genealogy and active stakes...\n');
+  console.log(`🔄 Rebuilding team volumes from the volume ledger${dryRun ? ' (check only)' : ''}...\n`);
 
   try {
-    // Step 1: Get all unique users from genealogy table
-    console.log('📊 Gathering users from genealogy...');
-    const genealogyUsers = await db('genealogy')
-      .distinct('user_id')
-      .union(function() {
-        this.distinct('parent_id').from('genealogy').whereNotNull('parent_id');
-      });
-
-    console.log(`✅ Found ${genealogyUsers.length} users in genealogy`);
-
-    // Step 2: Create volume rows for all users (this will skip existing ones)
-    console.log('🏗️ Creating volume rows...');
-    let volumeRowsCreated = 0;
-    for (const user of genealogyUsers) {
-      await Synergy.ensureVolumeRow(user.user_id || user.parent_id);
-      volumeRowsCreated++;
+    if (!dryRun && !userId) {
+      // Step 1: Get all unique users from genealogy table
+      console.log('📊 Gathering users from genealogy...');
+      const genealogyUsers = await db('genealogy')
+        .distinct('user_id')
+        .union(function() {
+          this.distinct('parent_id').from('genealogy').whereNotNull('parent_id');
+        });
+
+      console.log(`✅ Found ${genealogyUsers.length} users in genealogy`);
+
+      // Step 2: Create volume rows for all users (this will skip existing ones)
+      console.log('🏗️ Creating volume rows...');
+      let volumeRowsCreated = 0;
+      for (const user of genealogyUsers) {
+        await Synergy.ensureVolumeRow(user.user_id || user.parent_id);
+        volumeRowsCreated++;
+      }
+      console.log(`✅ Created/ensured ${volumeRowsCreated} volume rows`);
     }
-    console.log(`✅ Created/ensured ${volumeRowsCreated} volume rows`);
-
-    // Step 3: Reset all volumes to zero (fresh start)
-    console.log('🔄 Resetting all volumes to zero...');
-    await db('team_volumes').update({
-      left_volume: 0,
-      right_volume: 0,
-      left_carry: 0,
-      right_carry: 0,
-      daily_paid: 0,
-      last_reset_date: null,
-      updated_at: db.fn.now()
-    });
-    console.log('✅ All volumes reset to zero');
-
-    // Step 4: Get all active stakes
-    console.log('📊 Gathering active stakes...');
-    const activeStakes = await db('stakes')
-      .where({ status: 'active' })
-      .select('id', 'user_id', 'amount');
 
-    console.log(`✅ Found ${activeStakes.length} active stakes`);
-
-    // Step 5: Redistribute volumes from each stake
-    console.log('🔄 Redistributing volumes up genealogy tree...');
-    let processedStakes = 0;
-    let totalVolumeDistributed = 0;
-
-    for (const stake of activeStakes) {
-      const stakeAmount = parseFloat(stake.amount);
-      await Synergy.addVolumeToUplines(stake.user_id, stakeAmount);
-      processedStakes++;
-      totalVolumeDistributed += stakeAmount;
-
-      if (processedStakes % 100 === 0) {
-        console.log(`   Processed ${processedStakes}/${activeStakes.length} stakes...`);
-      }
+    // Step 3: Seed history for stakes that predate the ledger
+    if (backfill) {
+      console.log('📚 Backfilling ledger events for stakes without any...');
+      const seeded = await VolumeLedger.backfill({ dryRun });
+      console.log(
+        `✅ ${seeded.stakes} stakes, ${seeded.transactions} purchases/top-ups, ` +
+          `${dryRun ? 'would add' : `${seeded.events} events,`} $${seeded.volume.toFixed(2)} paid volume`
+      );
     }
 
-    console.log(`✅ Processed ${processedStakes} stakes`);
-    console.log(`💰 Total volume distributed: $${totalVolumeDistributed.toFixed(2)}`);
+    // Step 4: Replay the projection
+    console.log('🔄 Replaying team_volumes from volume_events...');
+    const { checked, drifted } = await VolumeLedger.rebuildProjection({ userId, dryRun });
+    console.log(`✅ Checked ${checked} volume rows, ${drifted.length} drifted`);
+    for (const row of drifted) {
+      console.log(
+        `   User ${row.user_id}: left $${row.left_volume.toFixed(2)} -> $${row.ledger_left.toFixed(2)}, ` +
+          `right $${row.right_volume.toFixed(2)} -> $${row.ledger_right.toFixed(2)}`
+      );
+    }
 
-    // Step 6: Verify results
+    // Step 5: Verify results
     console.log('\n📈 Volume distribution summary:');
     const volumeStats = await db('team_volumes')
       .select(
@@ -90,10 +86,8 @@ async function rebuildTeamVolumes() {
     console.log(`   Total left volume: $${parseFloat(volumeStats.total_left_volume || 0).toFixed(2)}`);
     console.log(`   Total right volume: $${parseFloat(volumeStats.total_right_volume || 0).toFixed(2)}`);
 
-    console.log('\n🎯 Team volumes rebuild completed successfully!');
-    console.log('💻 You can now run the daily synergy script:');
-    console.log('   node backend/scripts/daily-synergy.js');
-
+    console.log(`\n🎯 Team volumes ${dryRun ? 'check' : 'rebuild'} completed successfully!`);
+    return { checked, drifted };
   } catch (error) {
     console.error('❌ Rebuild failed:', error.message);
     console.error('Stack:', error.stack);
@@ -102,7 +96,8 @@ async function rebuildTeamVolumes() {
 }
 
 if (require.main === module) {
-  rebuildTeamVolumes();
+  // --check exits with 2 when counters drifted, so cron/CI can alert on it
+  rebuildTeamVolumes().then(({ drifted }) => process.exit(dryRun && drifted.length ? 2 : 0));
 }
 
 module.exports = rebuildTeamVolumes;
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+
+/**
+ * Daily scheduled / recurring transfer runner (tracked in job_runs)
+ * Sends every active transfer due today; skips (and emails the sender) when the
+ * balance, limits or recipient no longer allow it.
+ * Usage: node backend/scripts/scheduled-transfers.js
+ */
+require('dotenv').config({ path: '.env' });
+const ScheduledTransfer = require('../src/models/ScheduledTransfer');
+const JobRun = require('../src/models/JobRun');
+
+async function run() {
+  try {
+    const result = await ScheduledTransfer.runDue();
+    console.log(`Scheduled transfers processed: ${JSON.stringify(result)}`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Scheduled transfers run failed:', err);
+    const todayStr = new Date().toISOString().split('T')[0];
+    await JobRun.finish(ScheduledTransfer.JOB_NAME, todayStr, 'failed', { error: err.message });
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+
+/**
+ * Daily stake lifecycle runner (tracked in job_runs)
+ * Matures active stakes past their pack term, then applies the end-of-life policy
+ * (auto-renew or notify) to capped and matured stakes not yet processed.
+ * Also refunds energy pack gifts left pending past their acceptance window.
+ * Usage: node backend/scripts/stake-lifecycle.js
+ */
+require('dotenv').config({ path: '.env' });
+const StakeLifecycle = require('../src/models/StakeLifecycle');
+const JobRun = require('../src/models/JobRun');
+
+async function run() {
+  try {
+    const result = await StakeLifecycle.run();
+    console.log(`Stake lifecycle processed: ${JSON.stringify(result)}`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Stake lifecycle run failed:', err);
+    const todayStr = new Date().toISOString().split('T')[0];
+    await JobRun.finish(StakeLifecycle.JOB_NAME, todayStr, 'failed', { error: err.message });
+    process.exit(1);
+  }
+}
+
+run();
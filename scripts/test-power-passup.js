@@ -9,7 +9,7 @@
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
-const { distributePowerPassUp, getUserRankPercent, getSponsorChain, RANKS } = require('../src/models/PowerPassUp');
+const { distributePowerPassUp, getUserRankPercent, getSponsorChain, getRankPercents } = require('../src/models/PowerPassUp');
 const Rank = require('../src/models/Rank');
 const Stake = require('../src/models/Stake');
 const db = require('../src/config/database');
@@ -212,7 +212,7 @@ async function explainEligibility() {
   console.log('   → Total distributed: $70, Any remaining goes to company');
   console.log('');
   console.log('5. 🏆 RANK LADDER:');
-  Object.entries(RANKS).forEach(([rank, percent]) => {
+  Object.entries(await getRankPercents()).forEach(([rank, percent]) => {
     console.log(`   - ${rank.charAt(0).toUpperCase() + rank.slice(1)}: ${percent}% override`);
   });
   console.log('');
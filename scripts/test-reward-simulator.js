@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the reward simulator
+ * Replays the current plan twice over one snapshot; any payout delta means a run
+ * leaked state into the shared snapshot
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const RewardSimulator = require('../src/models/RewardSimulator');
+
+async function testRewardSimulator(days = 30) {
+  console.log('🧪 Testing reward simulator determinism...\n');
+
+  try {
+    const snapshot = await RewardSimulator.loadSnapshot({ salesLookbackDays: 30 });
+    const salesDays = RewardSimulator.buildSalesDays(snapshot, 30);
+    const plan = await RewardSimulator.buildPlan({});
+    console.log(`📊 Snapshot: ${snapshot.stakes.length} active stakes, ${snapshot.genealogy.length} users\n`);
+
+    const first = RewardSimulator.simulate(snapshot, plan, { days, salesDays });
+    const second = RewardSimulator.simulate(snapshot, plan, { days, salesDays });
+
+    const mismatches = Object.keys(first.summary.payouts).filter(
+      (key) => Math.abs(second.summary.payouts[key] - first.summary.payouts[key]) >= 0.01
+    );
+    if (Math.abs(second.summary.liability - first.summary.liability) >= 0.01) mismatches.push('liability');
+
+    if (mismatches.length > 0) {
+      for (const key of mismatches) {
+        const a = key === 'liability' ? first.summary.liability : first.summary.payouts[key];
+        const b = key === 'liability' ? second.summary.liability : second.summary.payouts[key];
+        console.error(`   - ${key}: $${a} then $${b}`);
+      }
+      throw new Error(`Identical plan gave a non-zero delta over ${days} days`);
+    }
+
+    console.log(`✅ Identical plan gave a zero delta over ${days} days`);
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run test if executed directly
+if (require.main === module) {
+  testRewardSimulator()
+    .then(() => {
+      console.log('\n✅ Test script completed');
+      process.exit(0);
+    })
+    .catch(() => {
+      console.error('\n💥 Test script failed');
+      process.exit(1);
+    });
+}
+
+module.exports = testRewardSimulator;
@@ -0,0 +1,66 @@
+/**
+ * Reward plan defaults (IXFLIX Reward Plan).
+ * Seeded as version 1 of each plan_configs key; also used when no version is active yet.
+ */
+module.exports = {
+  // Energy packs: share range (1 share = $25), daily Core ROI and total reward limit (%)
+  energy_packs: {
+    spark: { minShares: 1, maxShares: 9, dailyRoiRate: 0.003, maxRewardLimit: 200 },
+    pulse: { minShares: 10, maxShares: 99, dailyRoiRate: 0.005, maxRewardLimit: 300 },
+    charge: { minShares: 100, maxShares: 999, dailyRoiRate: 0.007, maxRewardLimit: 400 },
+    quantum: { minShares: 1000, maxShares: null, dailyRoiRate: 0.01, maxRewardLimit: 500 }
+  },
+
+  // Synergy Flow rate by highest active pack; cycleSize USD left + same right = 1 cycle.
+  // flush: carry kept on a leg is limited to strongLegCarryCapMultiplier x the daily cap
+  // (null = unlimited); the weaker leg's leftover can be flushed after each payout; carry
+  // expires after carryExpiryDays of ineligibility (null = never); flushOnCapHit drops the
+  // matched volume the daily cap could not pay.
+  // capPeriods: weekly (Mon-Sun) and calendar-month caps as multiples of the daily cap, null = none.
+  // matching: share of a member's Synergy payout paid to their sponsors, by generation
+  // (rates[0] = direct sponsor); sponsors need an active pack. Empty = no matching bonus.
+  synergy: {
+    rates: { spark: 0.05, pulse: 0.06, charge: 0.08, quantum: 0.1 },
+    cycleSize: 100,
+    capPeriods: { weeklyMultiplier: null, monthlyMultiplier: null },
+    matching: { rates: [] },
+    flush: {
+      strongLegCarryCapMultiplier: null,
+      flushWeakerLegAfterPayout: false,
+      carryExpiryDays: null,
+      flushOnCapHit: true
+    }
+  },
+
+  // Rank ladder aligned to Energy Spectrum (percent is Power Pass-Up override)
+  rank_ladder: [
+    { key: 'spark', minDirects: 1, minPackValue: 25, teamVolume: 1000, percent: 5 },
+    { key: 'pulse', minDirects: 2, minPackValue: 250, teamVolume: 5000, percent: 10 },
+    { key: 'charge', minDirects: 3, minPackValue: 500, teamVolume: 15000, percent: 15 },
+    { key: 'surge', minDirects: 4, minPackValue: 1000, teamVolume: 50000, percent: 25 },
+    { key: 'flux', minDirects: 5, minPackValue: 2500, teamVolume: 100000, percent: 40 },
+    { key: 'volt', minDirects: 6, minPackValue: 5000, teamVolume: 250000, percent: 55 },
+    { key: 'current', minDirects: 7, minPackValue: 10000, teamVolume: 500000, percent: 70 },
+    { key: 'magnet', minDirects: 8, minPackValue: 25000, teamVolume: 1000000, percent: 85 },
+    { key: 'quantum', minDirects: 9, minPackValue: 50000, teamVolume: 2000000, percent: 100 }
+  ],
+
+  // Catalyst Bonus percentages per sponsor level (level 1 first)
+  catalyst_rates: [0.09, 0.03, 0.01, 0.005, 0.005, 0.0025, 0.0025, 0.0025, 0.0025],
+
+  // Catalyst qualification. Every paid level needs an active pack; qualifications add
+  // { fromLevel, minActiveDirects } (sponsored members with an active stake) from that level up.
+  // compression passes a level an unqualified sponsor cannot take to the next qualified one,
+  // searching at most maxDepth sponsors up; without it the level is skipped.
+  catalyst_rules: { compression: false, maxDepth: 20, qualifications: [] },
+
+  // Stake end of life per pack: optional term (days) after which it matures, what happens once
+  // it is capped or matured (auto_renew | notify), and the early termination penalty
+  // (% of principal; null = early termination not allowed)
+  stake_lifecycle: {
+    spark: { termDays: null, endOfLife: 'notify', earlyTerminationPenaltyPercent: 25 },
+    pulse: { termDays: null, endOfLife: 'notify', earlyTerminationPenaltyPercent: 20 },
+    charge: { termDays: null, endOfLife: 'notify', earlyTerminationPenaltyPercent: 15 },
+    quantum: { termDays: null, endOfLife: 'notify', earlyTerminationPenaltyPercent: 10 }
+  }
+};
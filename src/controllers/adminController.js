@@ -1,106 +1,24 @@
 const db = require("../config/database");
 const Wallet = require("../models/Wallet");
-const Transaction = require("../models/Transaction");
 const Stake = require("../models/Stake");
 const Synergy = require("../models/Synergy");
-const RewardCap = require("../models/RewardCap");
-const NowPaymentService = require("../services/NowPaymentService");
+const Ledger = require("../models/Ledger");
+const Reconciliation = require("../models/Reconciliation");
+const JobRun = require("../models/JobRun");
+const Withdrawal = require("../models/Withdrawal");
+const Deposit = require("../models/Deposit");
+const PlanConfig = require("../models/PlanConfig");
+const RewardSimulator = require("../models/RewardSimulator");
+const Liability = require("../models/Liability");
+const StakeLifecycle = require("../models/StakeLifecycle");
+const StakeStatement = require("../models/StakeStatement");
+const WalletStatement = require("../models/WalletStatement");
+const PaymentGateway = require("../services/PaymentGateway");
 const { logger } = require("../utils/logger");
 const bcrypt = require("bcryptjs");
 
 const DEFAULT_PAGE_SIZE = 25;
 
-// Catalyst Bonus percentages per level (up to 9 levels) from the reward plan
-const CATALYST_LEVEL_RATES = [
-  0.09, 0.03, 0.01, 0.005, 0.005, 0.0025, 0.0025, 0.0025, 0.0025,
-];
-
-/**
- * Distribute Catalyst Bonus up the sponsor chain.
- * - Traverses genealogy via sponsor_id (not binary parent).
- * - Credits main wallet and records a transaction for each eligible upline.
- * - Stops if sponsor chain ends, loops detected, or rates exhausted.
- */
-const distributeCatalystBonus = async ({
-  originUserId,
-  amount,
-  referenceId,
-  trx,
-}) => {
-  const query = trx || db;
-  const visited = new Set();
-  let currentUserId = originUserId;
-  const stats = { paid: 0, skippedNoPack: 0, zeroedByCap: 0 };
-
-  // Resolve staker label (name -> referral_code -> user id)
-  const stakerProfile = await query("users")
-    .where({ id: originUserId })
-    .select("name", "referral_code")
-    .first();
-  const stakerLabel =
-    (stakerProfile?.name && stakerProfile.name.trim()) ||
-    stakerProfile?.referral_code ||
-    `user #${originUserId}`;
-
-  for (let level = 0; level < CATALYST_LEVEL_RATES.length; level++) {
-    // Find the sponsor/upline for the current user
-    const genealogy = await query("genealogy")
-      .where({ user_id: currentUserId })
-      .select("sponsor_id")
-      .first();
-
-    const sponsorId = genealogy?.sponsor_id;
-    if (!sponsorId || visited.has(sponsorId) || sponsorId === currentUserId) {
-      break; // No further upline or loop detected
-    }
-
-    visited.add(sponsorId);
-
-    const rate = CATALYST_LEVEL_RATES[level];
-    // Eligibility: sponsor must have an active pack
-    const { highestPack } = await Stake.getUserActivePackInfo(sponsorId);
-    if (!highestPack) {
-      stats.skippedNoPack += 1;
-      currentUserId = sponsorId;
-      continue;
-    }
-
-    const rawReward = parseFloat(amount) * rate;
-    const { allowed } = await RewardCap.clampIncentive(
-      sponsorId,
-      rawReward,
-      query
-    );
-
-    if (allowed > 0) {
-      // Credit sponsor wallet
-      await Wallet.updateBalance(sponsorId, allowed, "add", "main", trx);
-
-      // Record transaction
-      await query("transactions").insert({
-        user_id: sponsorId,
-        wallet_type: "main",
-        transaction_type: "catalyst_bonus",
-        reference_type: "stake",
-        reference_id: referenceId?.toString?.() || String(referenceId),
-        amount: allowed,
-        currency: "USD",
-        status: "completed",
-        description: `Catalyst bonus (level ${
-          level + 1
-        }) from ${stakerLabel} stake #${referenceId}`,
-        created_at: query.fn.now(),
-        updated_at: query.fn.now(),
-      });
-    }
-    if (allowed <= 0) stats.zeroedByCap += 1;
-
-    // Move up the chain
-    currentUserId = sponsorId;
-  }
-  return stats;
-};
-
 // Promote ranks for staker and sponsor chain (non-blocking best-effort)
 const triggerRankPromotionChain = async (userId) => {
   try {
@@ -141,35 +59,6 @@ const parseMetadata = (metadata) => {
   }
 };
 
-const mapDepositStatus = (paymentStatus) => {
-  switch (paymentStatus) {
-    case "finished":
-    case "confirmed":
-      return "completed";
-    case "failed":
-    case "expired":
-      return "failed";
-    case "partially_paid":
-      return "partially_paid";
-    default:
-      return "pending";
-  }
-};
-
-const mapPayoutStatus = (payoutStatus) => {
-  switch (payoutStatus) {
-    case "finished":
-    case "confirmed":
-      return "completed";
-    case "failed":
-    case "expired":
-    case "rejected":
-      return "failed";
-    default:
-      return "pending";
-  }
-};
-
 // Admin: list all deposit transactions
 const listDeposits = async (req, res) => {
   try {
@@ -459,6 +348,8 @@ const updateUser = async (req, res) => {
         });
       }
       updates.password = await bcrypt.hash(password, 10);
+      // Same as a self-service change: holds withdrawals for review for the next N hours
+      updates.password_changed_at = new Date();
     }
 
     if (Object.keys(updates).length === 0) {
@@ -510,6 +401,10 @@ const removeUser2FA = async (req, res) => {
       });
 
       await trx("backup_codes").where({ user_id: userId }).delete();
+
+      await trx("users")
+        .where({ id: userId })
+        .update({ two_factor_changed_at: trx.fn.now() });
     });
 
     logger.info("Admin removed user 2FA", { adminId: req.user.id, userId });
@@ -586,7 +481,13 @@ const manualDepositToUser = async (req, res) => {
           .first();
       }
 
-      await Wallet.updateBalance(userId, depositAmount, "add", "main", trx);
+      await Wallet.updateBalance(userId, depositAmount, "add", "main", trx, {
+        entryType: "deposit",
+        referenceType: "manual_admin",
+        referenceId,
+        description: description || `Manual deposit by admin ${req.user.id}`,
+        contra: "adjustments",
+      });
 
       createdTransaction = transactionRow;
     });
@@ -645,7 +546,7 @@ const getUserWalletBalance = async (req, res) => {
 // Admin: check NowPayments API status
 const getNowPaymentsStatus = async (_req, res) => {
   try {
-    const status = await NowPaymentService.testApiConnection();
+    const status = await PaymentGateway.testApiConnection();
     return res.json({
       status: "SUCCESS",
       data: {
@@ -666,7 +567,7 @@ const getNowPaymentsStatus = async (_req, res) => {
 // Admin: get NowPayments balance
 const getNowPaymentsBalance = async (_req, res) => {
   try {
-    const balance = await NowPaymentService.getBalance();
+    const balance = await PaymentGateway.getBalance();
     return res.json({
       status: "SUCCESS",
       data: {
@@ -684,6 +585,154 @@ const getNowPaymentsBalance = async (_req, res) => {
   }
 };
 
+// Admin: ledger trial balance (debits must equal credits)
+const getLedgerTrialBalance = async (_req, res) => {
+  try {
+    const trialBalance = await Ledger.getTrialBalance();
+    return res.json({
+      status: "SUCCESS",
+      data: trialBalance,
+    });
+  } catch (error) {
+    logger.error("Ledger trial balance (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res
+      .status(500)
+      .json({ status: "ERROR", message: "Failed to fetch trial balance" });
+  }
+};
+
+// Admin: a user's wallet journal lines and ledger vs wallet balance
+const getUserLedger = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+    const offset = (page - 1) * limit;
+
+    const [entries, ledgerBalance, balances] = await Promise.all([
+      Ledger.getUserEntries(userId, { limit, offset }),
+      Ledger.getUserBalance(userId),
+      Wallet.getBothBalances(userId),
+    ]);
+
+    return res.json({
+      status: "SUCCESS",
+      data: {
+        entries,
+        ledger_balance: ledgerBalance,
+        wallet_balance: balances.main,
+        difference: Ledger.toCents(balances.main - ledgerBalance),
+        pagination: { page, limit },
+      },
+    });
+  } catch (error) {
+    logger.error("Get user ledger (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res
+      .status(500)
+      .json({ status: "ERROR", message: "Failed to fetch user ledger" });
+  }
+};
+
+// Admin: wallet drifts found by the reconciliation job (latest run by default)
+const listWalletDrifts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+    const offset = (page - 1) * limit;
+
+    const [{ runDate, drifts, total }, lastRun] = await Promise.all([
+      Reconciliation.listDrifts({
+        runDate: req.query.run_date || null,
+        limit,
+        offset,
+      }),
+      JobRun.getStatus(Reconciliation.JOB_NAME),
+    ]);
+
+    return res.json({
+      status: "SUCCESS",
+      data: {
+        run_date: runDate,
+        last_run: lastRun || null,
+        drifts,
+        pagination: {
+          page,
+          limit,
+          total,
+          total_pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error("List wallet drifts (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res
+      .status(500)
+      .json({ status: "ERROR", message: "Failed to fetch reconciliation" });
+  }
+};
+
+// Admin: per-user drill-down into the transactions behind the expected balance
+const getUserReconciliation = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const user = await db("users").where({ id: userId }).first();
+    if (!user) {
+      return res
+        .status(404)
+        .json({ status: "ERROR", message: "User not found" });
+    }
+
+    const breakdown = await Reconciliation.getUserBreakdown(userId);
+
+    return res.json({
+      status: "SUCCESS",
+      data: breakdown,
+    });
+  } catch (error) {
+    logger.error("Get user reconciliation (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res.status(500).json({
+      status: "ERROR",
+      message: "Failed to fetch user reconciliation",
+    });
+  }
+};
+
+// Admin: run the reconciliation job now
+const runWalletReconciliation = async (req, res) => {
+  try {
+    const result = await Reconciliation.run(req.body?.run_date || new Date());
+    return res.json({
+      status: "SUCCESS",
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Run wallet reconciliation (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    const dateStr =
+      req.body?.run_date || new Date().toISOString().split("T")[0];
+    await JobRun.finish(Reconciliation.JOB_NAME, dateStr, "failed", {
+      error: error.message,
+    }).catch(() => {});
+    return res
+      .status(500)
+      .json({ status: "ERROR", message: "Failed to run reconciliation" });
+  }
+};
+
 // Admin: requery deposit status with NowPayments
 const requeryDepositStatus = async (req, res) => {
   try {
@@ -698,12 +747,7 @@ const requeryDepositStatus = async (req, res) => {
         .json({ status: "ERROR", message: "Deposit transaction not found" });
     }
 
-    const metadata = parseMetadata(transaction.metadata);
-    const paymentId =
-      metadata.payment_id ||
-      metadata.paymentId ||
-      metadata.payment_id ||
-      metadata.payment?.payment_id;
+    const paymentId = Deposit.getPaymentId(transaction);
 
     if (!paymentId) {
       return res.status(400).json({
@@ -712,106 +756,20 @@ const requeryDepositStatus = async (req, res) => {
       });
     }
 
-    const paymentStatus = await NowPaymentService.getPaymentStatus(paymentId);
-    const processed = await NowPaymentService.processDepositCallback(
-      paymentStatus
-    );
-
-    const updatedMetadata = {
-      ...metadata,
-      last_requery_at: new Date().toISOString(),
-      last_requery_status: processed.status,
-      raw_status: paymentStatus,
-    };
-
-    const desiredStatus = mapDepositStatus(
-      paymentStatus.payment_status || paymentStatus.status || processed.status
-    );
-
-    // Only credit wallet if moving from non-completed to completed/partially_paid
-    if (
-      (desiredStatus === "completed" || desiredStatus === "partially_paid") &&
-      transaction.status !== "completed" &&
-      transaction.status !== "partially_paid"
-    ) {
-      // Determine the USD amount to credit (Meta-Unity approach)
-      let creditAmount = 0;
-      let amountSource = "";
-
-      if (desiredStatus === "completed") {
-        // COMPLETED: User paid in full, credit the expected amount
-        creditAmount = parseFloat(processed.price_amount || 0);
-        amountSource = "price_amount (fully paid)";
-      } else if (desiredStatus === "partially_paid") {
-        // PARTIALLY PAID: Calculate net amount after fees (Meta-Unity approach)
-        const grossUSD = parseFloat(processed.actually_paid_at_fiat || 0);
-        const depositFeeUSDT = parseFloat(processed.fee?.depositFee || 0);
-        const serviceFeeUSDT = parseFloat(processed.fee?.serviceFee || 0);
-        const totalFeesUSDT = depositFeeUSDT + serviceFeeUSDT;
-        const totalFeesUSD = totalFeesUSDT; // 1:1 conversion for USDT stablecoin
-
-        if (grossUSD > 0) {
-          // Calculate net USD amount: gross USD - fees in USD
-          creditAmount = grossUSD - totalFeesUSD;
-          amountSource = "actually_paid_at_fiat minus fees";
-        } else if (
-          processed.outcome_amount &&
-          parseFloat(processed.outcome_amount) > 0
-        ) {
-          // Fallback: Use outcome_amount (in USDT) and treat as 1:1 with USD
-          creditAmount = parseFloat(processed.outcome_amount);
-          amountSource = "outcome_amount (USDT treated as 1:1 USD)";
-        } else if (
-          processed.price_amount &&
-          parseFloat(processed.price_amount) > 0
-        ) {
-          // Last resort: use expected price amount
-          creditAmount = parseFloat(processed.price_amount);
-          amountSource = "price_amount (expected)";
-        }
-      }
-
-      await db.transaction(async (trx) => {
-        // For partially_paid, keep the status as partially_paid, not completed
-        const finalStatus =
-          desiredStatus === "partially_paid" ? "partially_paid" : "completed";
-
-        updatedMetadata.credited_amount = creditAmount;
-        updatedMetadata.amount_source = amountSource;
-        updatedMetadata.credited_at = new Date().toISOString();
-        updatedMetadata.payment_complete = desiredStatus === "completed";
-
-        await Transaction.updateStatus(
-          transaction.id,
-          finalStatus,
-          updatedMetadata,
-          trx
-        );
-        if (creditAmount > 0) {
-          await Wallet.updateBalance(
-            transaction.user_id,
-            creditAmount,
-            "add",
-            "main",
-            trx
-          );
-        }
-      });
-    } else {
-      if (transaction.status === "completed" && desiredStatus === "completed") {
-        await Transaction.update(transaction.id, { metadata: updatedMetadata });
-      } else {
-        await Transaction.updateStatus(
-          transaction.id,
-          desiredStatus,
-          updatedMetadata
-        );
+    const paymentStatus = await PaymentGateway.getPaymentStatus(paymentId);
+    const refreshedTx = await Deposit.applyPaymentStatus(
+      transaction.id,
+      paymentStatus,
+      {
+        source: "admin requery",
+        metadata: {
+          last_requery_at: new Date().toISOString(),
+          last_requery_status: Deposit.mapPaymentStatus(
+            paymentStatus.payment_status || paymentStatus.status
+          ),
+        },
       }
-    }
-
-    const refreshedTx = await db("transactions")
-      .where({ id: transactionId })
-      .first();
+    );
 
     return res.json({
       status: "SUCCESS",
@@ -845,6 +803,13 @@ const requeryWithdrawalStatus = async (req, res) => {
         .json({ status: "ERROR", message: "Withdrawal transaction not found" });
     }
 
+    if (transaction.status === "pending_review") {
+      return res.status(400).json({
+        status: "ERROR",
+        message: "Withdrawal is awaiting review and has no payout yet",
+      });
+    }
+
     const metadata = parseMetadata(transaction.metadata);
     const payoutId =
       metadata.payout?.id ||
@@ -859,87 +824,24 @@ const requeryWithdrawalStatus = async (req, res) => {
       });
     }
 
-    const payoutStatus = await NowPaymentService.getPayoutStatus(payoutId);
-    const desiredStatus = mapPayoutStatus(
+    const payoutStatus = await PaymentGateway.getPayoutStatus(payoutId);
+    const desiredStatus = Withdrawal.mapPayoutStatus(
       payoutStatus.status || payoutStatus.payout_status
     );
 
-    const updatedMetadata = {
-      ...metadata,
-      last_requery_at: new Date().toISOString(),
-      last_requery_status: desiredStatus,
-      raw_status: payoutStatus,
-    };
-
-    if (desiredStatus === "failed" && transaction.status !== "failed") {
-      const alreadyRefunded =
-        updatedMetadata.refunded || updatedMetadata.refunded_at;
-      if (!alreadyRefunded) {
-        const totalDebit =
-          Math.abs(parseFloat(transaction.amount || 0)) +
-          Math.abs(parseFloat(transaction.fee || 0));
-
-        await db.transaction(async (trx) => {
-          updatedMetadata.refunded = true;
-          updatedMetadata.refunded_at = new Date().toISOString();
-
-          await Transaction.updateStatus(
-            transaction.id,
-            "failed",
-            updatedMetadata,
-            trx
-          );
-
-          if (totalDebit > 0) {
-            await Wallet.updateBalance(
-              transaction.user_id,
-              totalDebit,
-              "add",
-              "main",
-              trx
-            );
-            await trx("transactions").insert({
-              user_id: transaction.user_id,
-              wallet_type: "main",
-              transaction_type: "withdraw_refund",
-              reference_type: "withdraw_requery",
-              reference_id: `REFUND-${transaction.id}-${Date.now()}`,
-              amount: totalDebit,
-              fee: 0,
-              currency: "USD",
-              status: "completed",
-              description: `Refund for failed withdrawal ${transaction.id}`,
-              metadata: JSON.stringify({
-                original_transaction_id: transaction.id,
-                payout_status: payoutStatus,
-                admin_requery: true,
-              }),
-              created_at: trx.fn.now(),
-              updated_at: trx.fn.now(),
-            });
-          }
-        });
+    const refreshedTx = await Withdrawal.applyPayoutStatus(
+      transaction.id,
+      payoutStatus,
+      {
+        referenceType: "withdraw_requery",
+        metadata: {
+          last_requery_at: new Date().toISOString(),
+          last_requery_status: desiredStatus,
+          raw_status: payoutStatus,
+          admin_requery: true,
+        },
       }
-    } else if (
-      desiredStatus === "completed" &&
-      transaction.status !== "completed"
-    ) {
-      await Transaction.updateStatus(
-        transaction.id,
-        "completed",
-        updatedMetadata
-      );
-    } else {
-      await Transaction.updateStatus(
-        transaction.id,
-        desiredStatus,
-        updatedMetadata
-      );
-    }
-
-    const refreshedTx = await db("transactions")
-      .where({ id: transactionId })
-      .first();
+    );
 
     return res.json({
       status: "SUCCESS",
@@ -959,6 +861,147 @@ const requeryWithdrawalStatus = async (req, res) => {
   }
 };
 
+// Admin: approve a withdrawal held for review and send the payout
+const approveWithdrawal = async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const reason = req.body?.reason ? String(req.body.reason).trim() : null;
+
+    const transaction = await db("transactions")
+      .where({ id: transactionId, transaction_type: "withdraw" })
+      .first();
+    if (!transaction) {
+      return res
+        .status(404)
+        .json({ status: "ERROR", message: "Withdrawal transaction not found" });
+    }
+    if (transaction.status !== "pending_review") {
+      return res.status(400).json({
+        status: "ERROR",
+        message: `Withdrawal is ${transaction.status}, not pending review`,
+      });
+    }
+
+    const updated = await Withdrawal.approve(transactionId, {
+      adminId: req.user.id,
+      reason,
+      createPayout: ({ amount, address, payoutCurrency, referenceId }) =>
+        PaymentGateway.createPayout({
+          amount,
+          payoutAddress: address,
+          payoutCurrency: payoutCurrency || "usdtbsc",
+          priceCurrency: "usd",
+          ipnCallbackUrl: process.env.NOWPAYMENT_PAYOUT_IPN_URL || null,
+          referenceId,
+        }),
+    });
+
+    if (!updated) {
+      return res.status(409).json({
+        status: "ERROR",
+        message: "Withdrawal was already reviewed",
+      });
+    }
+
+    logger.info("Withdrawal approved (admin)", {
+      transactionId: Number(transactionId),
+      adminId: req.user.id,
+      reason,
+    });
+
+    return res.json({
+      status: "SUCCESS",
+      message: "Withdrawal approved and payout created",
+      data: {
+        transaction: { ...updated, metadata: parseMetadata(updated.metadata) },
+        review: await Withdrawal.getReview(transactionId),
+      },
+    });
+  } catch (error) {
+    logger.error("Approve withdrawal (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    if (error.payoutUnconfirmed) {
+      // The provider may have accepted it: the poller resends with the same reference
+      return res.status(202).json({
+        status: "SUCCESS",
+        message:
+          "Payout sent but not confirmed by the provider; it will be re-checked",
+        data: { transactionId: Number(req.params.transactionId) },
+      });
+    }
+    let message = "Failed to approve withdrawal";
+    if (error.response?.data?.message) {
+      message += `: ${error.response.data.message}`;
+    }
+    return res.status(500).json({ status: "ERROR", message });
+  }
+};
+
+// Admin: reject a withdrawal held for review and refund amount + fee
+const rejectWithdrawal = async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const reason = req.body?.reason ? String(req.body.reason).trim() : "";
+    if (!reason) {
+      return res
+        .status(400)
+        .json({ status: "ERROR", message: "A rejection reason is required" });
+    }
+
+    const transaction = await db("transactions")
+      .where({ id: transactionId, transaction_type: "withdraw" })
+      .first();
+    if (!transaction) {
+      return res
+        .status(404)
+        .json({ status: "ERROR", message: "Withdrawal transaction not found" });
+    }
+    if (transaction.status !== "pending_review") {
+      return res.status(400).json({
+        status: "ERROR",
+        message: `Withdrawal is ${transaction.status}, not pending review`,
+      });
+    }
+
+    const updated = await Withdrawal.reject(transactionId, {
+      adminId: req.user.id,
+      reason,
+    });
+
+    if (!updated) {
+      return res.status(409).json({
+        status: "ERROR",
+        message: "Withdrawal was already reviewed",
+      });
+    }
+
+    logger.info("Withdrawal rejected (admin)", {
+      transactionId: Number(transactionId),
+      adminId: req.user.id,
+      reason,
+    });
+
+    return res.json({
+      status: "SUCCESS",
+      message: "Withdrawal rejected and refunded",
+      data: {
+        transaction: { ...updated, metadata: parseMetadata(updated.metadata) },
+        review: await Withdrawal.getReview(transactionId),
+      },
+    });
+  } catch (error) {
+    logger.error("Reject withdrawal (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res
+      .status(500)
+      .json({ status: "ERROR", message: "Failed to reject withdrawal" });
+  }
+};
+
 // Admin: list stakes with user info
 const listStakes = async (req, res) => {
   try {
@@ -1274,7 +1317,14 @@ const processManualDepositAdmin = async (req, res) => {
           parseFloat(transaction.amount),
           "add",
           "main",
-          trx
+          trx,
+          {
+            entryType: "deposit",
+            referenceType: "manual_deposit",
+            referenceId: transaction.reference_id,
+            description: `Manual deposit ${transaction.reference_id}`,
+            contra: "custody",
+          }
         );
       });
 
@@ -1374,7 +1424,7 @@ const createFreeStake = async (req, res) => {
       });
     }
 
-    const packType = Stake.getPackForShares(shares);
+    const packType = await Stake.getPackForShares(shares);
     if (!packType) {
       return res.status(400).json({
         status: "ERROR",
@@ -1383,7 +1433,7 @@ const createFreeStake = async (req, res) => {
     }
 
     // Validate pack type and amount
-    const validation = Stake.validateStakeAmount(packType, numAmount);
+    const validation = await Stake.validateStakeAmount(packType, numAmount);
     if (!validation.valid) {
       return res.status(400).json({
         status: "ERROR",
@@ -1425,7 +1475,9 @@ const createFreeStake = async (req, res) => {
       });
 
       // Add volume to Synergy Flow (binary) uplines
-      await Synergy.addVolumeToUplines(user_id, numAmount, trx, true);
+      await Synergy.addVolumeToUplines(user_id, numAmount, trx, true, {
+        stakeId: stake.id,
+      });
 
       return { stake };
     });
@@ -1454,6 +1506,598 @@ const createFreeStake = async (req, res) => {
   }
 };
 
+// Admin: lifecycle of any stake (status, policy, termination quote, history)
+const getStakeLifecycle = async (req, res) => {
+  try {
+    const stake = await Stake.findById(req.params.stakeId);
+    if (!stake) {
+      return res
+        .status(404)
+        .json({ status: "ERROR", message: "Stake not found" });
+    }
+    const lifecycle = await StakeLifecycle.getLifecycle(stake);
+    return res.json({ status: "SUCCESS", data: lifecycle });
+  } catch (error) {
+    logger.error("Get stake lifecycle (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res
+      .status(500)
+      .json({ status: "ERROR", message: "Failed to load stake lifecycle" });
+  }
+};
+
+// Rendered report: JSON envelope, or a CSV/PDF download
+const sendReportFile = (res, file) => {
+  if (!file.filename) {
+    return res.json({ status: "SUCCESS", data: file.body });
+  }
+  res.setHeader("Content-Type", file.contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${file.filename}"`
+  );
+  return res.send(file.body);
+};
+
+// Admin: wallet statement of any user (same query as /api/wallet/statements)
+const getUserWalletStatement = async (req, res) => {
+  try {
+    const format = String(req.query.format || "csv").toLowerCase();
+    const period = WalletStatement.parsePeriod(req.query);
+    if (!WalletStatement.FORMATS.includes(format) || period.error) {
+      return res.status(400).json({
+        status: "ERROR",
+        message:
+          period.error ||
+          `format must be one of: ${WalletStatement.FORMATS.join(", ")}`,
+      });
+    }
+
+    const user = await db("users").where({ id: req.params.userId }).first();
+    if (!user) {
+      return res
+        .status(404)
+        .json({ status: "ERROR", message: "User not found" });
+    }
+
+    const statement = await WalletStatement.build(user.id, period);
+    return sendReportFile(res, WalletStatement.render(statement, format));
+  } catch (error) {
+    logger.error("Wallet statement (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res
+      .status(500)
+      .json({ status: "ERROR", message: "Failed to build wallet statement" });
+  }
+};
+
+// Admin: annual income summary of any user (?year=&format=)
+const getUserIncomeSummary = async (req, res) => {
+  try {
+    const format = String(req.query.format || "csv").toLowerCase();
+    const period = WalletStatement.parsePeriod({
+      period: "yearly",
+      year: req.query.year,
+    });
+    if (!WalletStatement.FORMATS.includes(format) || period.error) {
+      return res.status(400).json({
+        status: "ERROR",
+        message:
+          period.error ||
+          `format must be one of: ${WalletStatement.FORMATS.join(", ")}`,
+      });
+    }
+
+    const user = await db("users").where({ id: req.params.userId }).first();
+    if (!user) {
+      return res
+        .status(404)
+        .json({ status: "ERROR", message: "User not found" });
+    }
+
+    const summary = await WalletStatement.buildIncomeSummary(
+      user.id,
+      Number(period.label)
+    );
+    return sendReportFile(
+      res,
+      WalletStatement.render(summary, format, "income")
+    );
+  } catch (error) {
+    logger.error("Income summary (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res
+      .status(500)
+      .json({ status: "ERROR", message: "Failed to build income summary" });
+  }
+};
+
+// Admin: reward statement for any stake (?format=csv|pdf|json&from=&to=)
+const getStakeStatement = async (req, res) => {
+  try {
+    const format = (req.query.format || "csv").toLowerCase();
+    if (!StakeStatement.FORMATS.includes(format)) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: `format must be one of: ${StakeStatement.FORMATS.join(", ")}`,
+      });
+    }
+
+    const stake = await Stake.findById(req.params.stakeId);
+    if (!stake) {
+      return res
+        .status(404)
+        .json({ status: "ERROR", message: "Stake not found" });
+    }
+
+    const range = StakeStatement.parseRange(stake, req.query);
+    if (range.error) {
+      return res.status(400).json({ status: "ERROR", message: range.error });
+    }
+
+    const statement = await StakeStatement.build(stake, range);
+    return sendReportFile(res, StakeStatement.render(statement, format));
+  } catch (error) {
+    logger.error("Stake statement (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res
+      .status(500)
+      .json({ status: "ERROR", message: "Failed to build stake statement" });
+  }
+};
+
+/**
+ * Admin override of a stake's status.
+ * Body: status, reason, and for terminations refund (default false) and penalty_percent
+ * (defaults to the pack's early termination penalty).
+ */
+const updateStakeStatus = async (req, res) => {
+  try {
+    const {
+      status,
+      reason = null,
+      refund = false,
+      penalty_percent: penaltyRaw,
+    } = req.body || {};
+
+    if (!StakeLifecycle.STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: `status must be one of: ${StakeLifecycle.STATUSES.join(", ")}`,
+      });
+    }
+
+    let penaltyPercent = null;
+    if (penaltyRaw !== undefined && penaltyRaw !== null) {
+      penaltyPercent = parseFloat(penaltyRaw);
+      if (!(penaltyPercent >= 0 && penaltyPercent <= 100)) {
+        return res.status(400).json({
+          status: "ERROR",
+          message: "penalty_percent must be between 0 and 100",
+        });
+      }
+    }
+
+    const outcome = await StakeLifecycle.adminSetStatus(
+      req.params.stakeId,
+      status,
+      {
+        adminId: req.user.id,
+        reason,
+        refund: refund === true,
+        penaltyPercent,
+      }
+    );
+    if (outcome.error) {
+      return res
+        .status(outcome.error.status)
+        .json({ status: "ERROR", message: outcome.error.message });
+    }
+
+    logger.info("Stake status changed (admin)", {
+      adminId: req.user.id,
+      stakeId: outcome.stake.id,
+      status,
+      refund: outcome.quote?.refund,
+    });
+
+    return res.json({ status: "SUCCESS", data: outcome });
+  } catch (error) {
+    logger.error("Update stake status (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res
+      .status(500)
+      .json({ status: "ERROR", message: "Failed to update stake status" });
+  }
+};
+
+// Admin: set a stake's end-of-life policy (null = pack default)
+const updateStakeEndOfLife = async (req, res) => {
+  try {
+    const policy = req.body?.policy ?? null;
+    if (policy !== null && !PlanConfig.END_OF_LIFE_POLICIES.includes(policy)) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: `policy must be one of: ${PlanConfig.END_OF_LIFE_POLICIES.join(
+          ", "
+        )} (or null)`,
+      });
+    }
+
+    const stake = await Stake.findById(req.params.stakeId);
+    if (!stake) {
+      return res
+        .status(404)
+        .json({ status: "ERROR", message: "Stake not found" });
+    }
+    if (stake.status === "terminated" || stake.end_of_life_processed_at) {
+      return res.status(409).json({
+        status: "ERROR",
+        message: "Stake has already reached its end of life",
+      });
+    }
+
+    const updated = await StakeLifecycle.setEndOfLifePolicy(stake.id, policy);
+    logger.info("Stake end-of-life policy changed (admin)", {
+      adminId: req.user.id,
+      stakeId: stake.id,
+      policy,
+    });
+    return res.json({
+      status: "SUCCESS",
+      data: { policy: await StakeLifecycle.getPolicy(updated) },
+    });
+  } catch (error) {
+    logger.error("Update stake end-of-life (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res
+      .status(500)
+      .json({
+        status: "ERROR",
+        message: "Failed to update end-of-life policy",
+      });
+  }
+};
+
+// Parse an effective_from value; defaults to now, must not be in the past
+const parseEffectiveFrom = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return { date: new Date() };
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { error: "effective_from must be a valid date" };
+  }
+  // Small allowance for clock skew between admin UI and server
+  if (date.getTime() < Date.now() - 60 * 1000) {
+    return { error: "effective_from cannot be in the past" };
+  }
+  return { date };
+};
+
+const unknownPlanKey = (res, key) =>
+  res.status(404).json({
+    status: "ERROR",
+    message: `Unknown plan config key: ${key}. Expected one of: ${PlanConfig.CONFIG_KEYS.join(
+      ", "
+    )}`,
+  });
+
+// Plan config overview: version in force for every key (?at= for another date) + scheduled ones
+const getPlanConfig = async (req, res) => {
+  try {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (Number.isNaN(at.getTime())) {
+      return res
+        .status(400)
+        .json({ status: "ERROR", message: "at must be a valid date" });
+    }
+
+    return res.json({
+      status: "SUCCESS",
+      data: { at, configs: await PlanConfig.getOverview(at) },
+    });
+  } catch (error) {
+    logger.error("Get plan config (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res
+      .status(500)
+      .json({ status: "ERROR", message: "Failed to load plan config" });
+  }
+};
+
+// Every version of one plan config key
+const getPlanConfigVersions = async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!PlanConfig.isKnownKey(key)) return unknownPlanKey(res, key);
+
+    const [versions, active] = await Promise.all([
+      PlanConfig.getVersions(key),
+      PlanConfig.getActive(key),
+    ]);
+
+    return res.json({
+      status: "SUCCESS",
+      data: {
+        key,
+        active_version: active.version,
+        versions,
+        defaults: PlanConfig.DEFAULTS[key],
+      },
+    });
+  } catch (error) {
+    logger.error("Get plan config versions (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res
+      .status(500)
+      .json({ status: "ERROR", message: "Failed to load plan config" });
+  }
+};
+
+// Add a new version (body: value, effective_from, note)
+const createPlanConfigVersion = async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!PlanConfig.isKnownKey(key)) return unknownPlanKey(res, key);
+
+    const { value, effective_from: effectiveFromRaw, note } = req.body || {};
+    const validationError = PlanConfig.validate(key, value);
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ status: "ERROR", message: validationError });
+    }
+    const effectiveFrom = parseEffectiveFrom(effectiveFromRaw);
+    if (effectiveFrom.error) {
+      return res
+        .status(400)
+        .json({ status: "ERROR", message: effectiveFrom.error });
+    }
+
+    const created = await PlanConfig.create(key, {
+      value,
+      effectiveFrom: effectiveFrom.date,
+      note: note ? String(note).trim() : null,
+      createdBy: req.user.id,
+    });
+
+    logger.info("Plan config version created (admin)", {
+      key,
+      version: created.version,
+      effectiveFrom: created.effective_from,
+      adminId: req.user.id,
+    });
+
+    return res.status(201).json({
+      status: "SUCCESS",
+      message: `${key} version ${created.version} created`,
+      data: { config: created },
+    });
+  } catch (error) {
+    logger.error("Create plan config version (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res
+      .status(500)
+      .json({ status: "ERROR", message: "Failed to create plan config" });
+  }
+};
+
+// Edit a version that has not taken effect yet
+const updatePlanConfigVersion = async (req, res) => {
+  try {
+    const { key, version } = req.params;
+    if (!PlanConfig.isKnownKey(key)) return unknownPlanKey(res, key);
+
+    const existing = await PlanConfig.findVersion(key, version);
+    if (!existing) {
+      return res
+        .status(404)
+        .json({ status: "ERROR", message: "Plan config version not found" });
+    }
+    if (PlanConfig.isInForce(existing)) {
+      return res.status(409).json({
+        status: "ERROR",
+        message:
+          "This version is already in force and cannot be changed; create a new version instead",
+      });
+    }
+
+    const { value, effective_from: effectiveFromRaw, note } = req.body || {};
+    if (value !== undefined) {
+      const validationError = PlanConfig.validate(key, value);
+      if (validationError) {
+        return res
+          .status(400)
+          .json({ status: "ERROR", message: validationError });
+      }
+    }
+    let effectiveFrom;
+    if (effectiveFromRaw !== undefined) {
+      const parsed = parseEffectiveFrom(effectiveFromRaw);
+      if (parsed.error) {
+        return res.status(400).json({ status: "ERROR", message: parsed.error });
+      }
+      effectiveFrom = parsed.date;
+    }
+
+    const updated = await PlanConfig.update(key, version, {
+      value,
+      effectiveFrom,
+      note: note === undefined ? undefined : String(note).trim() || null,
+    });
+
+    logger.info("Plan config version updated (admin)", {
+      key,
+      version: Number(version),
+      adminId: req.user.id,
+    });
+
+    return res.json({
+      status: "SUCCESS",
+      message: `${key} version ${version} updated`,
+      data: { config: updated },
+    });
+  } catch (error) {
+    logger.error("Update plan config version (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res
+      .status(500)
+      .json({ status: "ERROR", message: "Failed to update plan config" });
+  }
+};
+
+// Delete a version that has not taken effect yet
+const deletePlanConfigVersion = async (req, res) => {
+  try {
+    const { key, version } = req.params;
+    if (!PlanConfig.isKnownKey(key)) return unknownPlanKey(res, key);
+
+    const existing = await PlanConfig.findVersion(key, version);
+    if (!existing) {
+      return res
+        .status(404)
+        .json({ status: "ERROR", message: "Plan config version not found" });
+    }
+    if (
+      PlanConfig.isInForce(existing) ||
+      !(await PlanConfig.remove(key, version))
+    ) {
+      return res.status(409).json({
+        status: "ERROR",
+        message: "This version is already in force and cannot be deleted",
+      });
+    }
+
+    logger.info("Plan config version deleted (admin)", {
+      key,
+      version: Number(version),
+      adminId: req.user.id,
+    });
+
+    return res.json({
+      status: "SUCCESS",
+      message: `${key} version ${version} deleted`,
+    });
+  } catch (error) {
+    logger.error("Delete plan config version (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res
+      .status(500)
+      .json({ status: "ERROR", message: "Failed to delete plan config" });
+  }
+};
+
+// Integer body field within [min, max]; undefined uses the fallback
+const parseBoundedInt = (value, fallback, min, max) => {
+  if (value === undefined || value === null || value === "") return fallback;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= min && parsed <= max
+    ? parsed
+    : null;
+};
+
+/**
+ * Admin: what-if simulation of a plan change (read-only).
+ * Body: overrides (plan_config values and/or harvest { poolShare, dailyCap }), days,
+ * apply_to_existing_stakes, include_new_sales, sales_lookback_days, top.
+ */
+const runRewardSimulation = async (req, res) => {
+  try {
+    const {
+      overrides = {},
+      days: daysRaw,
+      apply_to_existing_stakes: applyToExistingStakes = true,
+      include_new_sales: includeNewSales = true,
+      sales_lookback_days: lookbackRaw,
+      top: topRaw,
+    } = req.body || {};
+
+    const overridesError = RewardSimulator.validateOverrides(overrides);
+    if (overridesError) {
+      return res.status(400).json({ status: "ERROR", message: overridesError });
+    }
+
+    const days = parseBoundedInt(daysRaw, 30, 1, RewardSimulator.MAX_DAYS);
+    const salesLookbackDays = parseBoundedInt(
+      lookbackRaw,
+      30,
+      1,
+      RewardSimulator.MAX_LOOKBACK_DAYS
+    );
+    const top = parseBoundedInt(topRaw, 20, 1, 100);
+    if (days === null || salesLookbackDays === null || top === null) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: `days must be 1-${RewardSimulator.MAX_DAYS}, sales_lookback_days 1-${RewardSimulator.MAX_LOOKBACK_DAYS} and top 1-100`,
+      });
+    }
+
+    const result = await RewardSimulator.run(overrides, {
+      days,
+      applyToExistingStakes: applyToExistingStakes !== false,
+      includeNewSales: includeNewSales !== false,
+      salesLookbackDays,
+      top,
+    });
+
+    logger.info("Reward simulation run (admin)", {
+      adminId: req.user.id,
+      days,
+      overrides: Object.keys(overrides),
+      liabilityDelta: result.delta.liability,
+    });
+
+    return res.json({ status: "SUCCESS", data: result });
+  } catch (error) {
+    logger.error("Reward simulation (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res
+      .status(500)
+      .json({ status: "ERROR", message: "Failed to run reward simulation" });
+  }
+};
+
+// Admin: outstanding obligations vs custody, with a 30/90-day Core payout projection
+const getLiabilities = async (_req, res) => {
+  try {
+    const report = await Liability.getReport();
+    return res.json({ status: "SUCCESS", data: report });
+  } catch (error) {
+    logger.error("Liabilities report (admin) failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    return res
+      .status(500)
+      .json({ status: "ERROR", message: "Failed to compute liabilities" });
+  }
+};
+
 module.exports = {
   listUsers,
   listStakes,
@@ -1465,10 +2109,30 @@ module.exports = {
   getUserWalletBalance,
   getNowPaymentsStatus,
   getNowPaymentsBalance,
+  getLedgerTrialBalance,
+  getUserLedger,
+  getUserWalletStatement,
+  getUserIncomeSummary,
+  listWalletDrifts,
+  getUserReconciliation,
+  runWalletReconciliation,
   requeryDepositStatus,
   requeryWithdrawalStatus,
+  approveWithdrawal,
+  rejectWithdrawal,
   getPairingGenealogy,
   listManualDeposits,
   processManualDepositAdmin,
   createFreeStake,
+  getStakeLifecycle,
+  getStakeStatement,
+  updateStakeStatus,
+  updateStakeEndOfLife,
+  getPlanConfig,
+  getPlanConfigVersions,
+  createPlanConfigVersion,
+  updatePlanConfigVersion,
+  deletePlanConfigVersion,
+  runRewardSimulation,
+  getLiabilities,
 };
@@ -760,6 +760,9 @@ async function enableTOTP(req, res) {
       is_enabled: true,
       enabled_at: new Date(),
     });
+    await db("users")
+      .where({ id: userId })
+      .update({ two_factor_changed_at: new Date() });
 
     auth.twoFactorEnabled(userId, req.ip);
 
@@ -837,6 +840,9 @@ async function disableTOTP(req, res) {
       is_enabled: false,
       enabled_at: null,
     });
+    await db("users")
+      .where({ id: userId })
+      .update({ two_factor_changed_at: new Date() });
 
     // Delete backup codes
     await db("backup_codes").where({ user_id: userId }).delete();
@@ -1059,9 +1065,11 @@ async function resetPassword(req, res) {
     const hashed = await bcrypt.hash(newPassword, 10);
 
     await db.transaction(async (trx) => {
-      await trx("users")
-        .where({ id: user.id })
-        .update({ password: hashed, updated_at: new Date() });
+      await trx("users").where({ id: user.id }).update({
+        password: hashed,
+        password_changed_at: new Date(),
+        updated_at: new Date(),
+      });
 
       await trx("password_reset_tokens")
         .where({ id: tokenRecord.id })
@@ -1125,9 +1133,11 @@ async function changePassword(req, res) {
 
     // Hash and update password
     const hashed = await bcrypt.hash(newPassword, 10);
-    await db("users")
-      .where({ id: userId })
-      .update({ password: hashed, updated_at: new Date() });
+    await db("users").where({ id: userId }).update({
+      password: hashed,
+      password_changed_at: new Date(),
+      updated_at: new Date(),
+    });
 
     logger.info("User password changed", {
       userId,
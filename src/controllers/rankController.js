@@ -4,7 +4,7 @@ const {
   setUserRank,
   autoPromoteUser,
   autoPromoteAll,
-  RANK_LADDER,
+  getRankLadder: getLadder,
   getRankProgress,
 } = require("../models/Rank");
 
@@ -94,7 +94,13 @@ const adminAutoPromoteAll = async (req, res) => {
 };
 
 const getRankLadder = async (_req, res) => {
-  res.status(200).json({ status: "SUCCESS", data: RANK_LADDER });
+  try {
+    const ladder = await getLadder();
+    res.status(200).json({ status: "SUCCESS", data: ladder });
+  } catch (error) {
+    console.error("Get rank ladder error:", error);
+    res.status(500).json({ status: "ERROR", message: "Internal server error" });
+  }
 };
 
 // Progress toward next rank
@@ -3,100 +3,16 @@ const Wallet = require("../models/Wallet");
 const Transaction = require("../models/Transaction");
 const Synergy = require("../models/Synergy");
 const RewardCap = require("../models/RewardCap");
+const Catalyst = require("../models/Catalyst");
+const Transfer = require("../models/Transfer");
+const StakeGift = require("../models/StakeGift");
+const PlanConfig = require("../models/PlanConfig");
+const StakeLifecycle = require("../models/StakeLifecycle");
+const AutoCompound = require("../models/AutoCompound");
+const StakeStatement = require("../models/StakeStatement");
 const db = require("../config/database");
 const { getRankProgress } = require("../models/Rank");
 
-// Catalyst Bonus percentages per level (up to 9 levels) from the reward plan
-const CATALYST_LEVEL_RATES = [
-  0.09, 0.03, 0.01, 0.005, 0.005, 0.0025, 0.0025, 0.0025, 0.0025,
-];
-
-/**
- * Distribute Catalyst Bonus up the sponsor chain.
- * - Traverses genealogy via sponsor_id (not binary parent).
- * - Credits main wallet and records a transaction for each eligible upline.
- * - Stops if sponsor chain ends, loops detected, or rates exhausted.
- */
-const distributeCatalystBonus = async ({
-  originUserId,
-  amount,
-  referenceId,
-  trx,
-}) => {
-  const query = trx || db;
-  const visited = new Set();
-  let currentUserId = originUserId;
-  const stats = { paid: 0, skippedNoPack: 0, zeroedByCap: 0 };
-
-  // Resolve staker label (name -> referral_code -> user id)
-  const stakerProfile = await query("users")
-    .where({ id: originUserId })
-    .select("name", "referral_code")
-    .first();
-  const stakerLabel =
-    (stakerProfile?.name && stakerProfile.name.trim()) ||
-    stakerProfile?.referral_code ||
-    `user #${originUserId}`;
-
-  for (let level = 0; level < CATALYST_LEVEL_RATES.length; level++) {
-    // Find the sponsor/upline for the current user
-    const genealogy = await query("genealogy")
-      .where({ user_id: currentUserId })
-      .select("sponsor_id")
-      .first();
-
-    const sponsorId = genealogy?.sponsor_id;
-    if (!sponsorId || visited.has(sponsorId) || sponsorId === currentUserId) {
-      break; // No further upline or loop detected
-    }
-
-    visited.add(sponsorId);
-
-    const rate = CATALYST_LEVEL_RATES[level];
-    // Eligibility: sponsor must have an active pack
-    const { highestPack } = await Stake.getUserActivePackInfo(sponsorId);
-    if (!highestPack) {
-      stats.skippedNoPack += 1;
-      currentUserId = sponsorId;
-      continue;
-    }
-
-    const rawReward = parseFloat(amount) * rate;
-    const { allowed } = await RewardCap.clampIncentive(
-      sponsorId,
-      rawReward,
-      query
-    );
-
-    if (allowed > 0) {
-      // Credit sponsor wallet
-      await Wallet.updateBalance(sponsorId, allowed, "add", "main", trx);
-
-      // Record transaction
-      await query("transactions").insert({
-        user_id: sponsorId,
-        wallet_type: "main",
-        transaction_type: "catalyst_bonus",
-        reference_type: "stake",
-        reference_id: referenceId?.toString?.() || String(referenceId),
-        amount: allowed,
-        currency: "USD",
-        status: "completed",
-        description: `Catalyst bonus (level ${
-          level + 1
-        }) from ${stakerLabel} stake #${referenceId}`,
-        created_at: query.fn.now(),
-        updated_at: query.fn.now(),
-      });
-    }
-    if (allowed <= 0) stats.zeroedByCap += 1;
-
-    // Move up the chain
-    currentUserId = sponsorId;
-  }
-  return stats;
-};
-
 // Promote ranks for staker and sponsor chain (non-blocking best-effort)
 const triggerRankPromotionChain = async (userId) => {
   try {
@@ -130,7 +46,7 @@ const triggerRankPromotionChain = async (userId) => {
 // Get available energy packs
 const getAvailablePacks = async (req, res) => {
   try {
-    const packs = Stake.getAvailablePacks();
+    const packs = await Stake.getAvailablePacks();
     res.status(200).json({
       status: "SUCCESS",
       data: { packs },
@@ -261,58 +177,219 @@ const getStakeEligibility = async (req, res) => {
   }
 };
 
+// Validate a stake amount and work out its pack: { error } or { numAmount, shares, packType }
+const resolveStakePack = async (amount) => {
+  if (!amount) {
+    return { error: "Amount is required" };
+  }
+
+  const numAmount = parseFloat(amount);
+  if (!(numAmount > 0)) {
+    return { error: "Invalid amount" };
+  }
+
+  // Calculate shares and determine pack type
+  const shares = Math.floor(numAmount / 25);
+  if (shares < 1) {
+    return { error: "Minimum stake amount is $25 (1 share)" };
+  }
+
+  const packType = await Stake.getPackForShares(shares);
+  if (!packType) {
+    return { error: "Invalid share count. Minimum 1 share required." };
+  }
+
+  // Validate pack type and amount
+  const validation = await Stake.validateStakeAmount(packType, numAmount);
+  if (!validation.valid) {
+    return { error: validation.error };
+  }
+
+  return { numAmount, shares, packType };
+};
+
+/**
+ * Create a paid stake owned by ownerId and debit payerId's wallet for it.
+ * Catalyst bonus and Synergy volume are triggered for the owner, as if they had staked.
+ * `gift` ({ id, payerName, ownerName }) marks a stake bought for someone else.
+ */
+const purchaseStake = async ({
+  ownerId,
+  payerId = ownerId,
+  numAmount,
+  shares,
+  packType,
+  gift = null,
+  trx,
+}) => {
+  const shareLabel = `${shares} share${shares > 1 ? "s" : ""}`;
+
+  // Create the stake with transaction
+  const stake = await Stake.createWithTransaction(
+    {
+      user_id: ownerId,
+      pack_type: packType,
+      amount: numAmount,
+      paid_by_user_id: gift ? payerId : null,
+    },
+    trx
+  );
+
+  if (!stake || !stake.id) {
+    throw new Error("Failed to create stake - no ID returned");
+  }
+
+  // Deduct from wallet
+  await Wallet.updateBalance(payerId, numAmount, "subtract", "main", trx, {
+    entryType: "stake",
+    referenceType: "stake",
+    referenceId: stake.id,
+    description: gift
+      ? `Stake #${stake.id} (${packType} pack) for user #${ownerId}`
+      : `Stake #${stake.id} (${packType} pack)`,
+    contra: "stake_sales",
+  });
+
+  // Create transaction record
+  await trx("transactions").insert({
+    user_id: payerId,
+    wallet_type: "main",
+    transaction_type: "stake",
+    reference_type: "stake",
+    reference_id: stake.id.toString(),
+    amount: -numAmount, // negative for debit
+    currency: "USD",
+    status: "completed",
+    description: gift
+      ? `Bought ${shareLabel} ($${numAmount.toFixed(2)}) ${packType} pack for ${
+          gift.ownerName
+        }`
+      : `Staked ${shareLabel} ($${numAmount.toFixed(2)}) to ${packType} pack`,
+    ...(gift && {
+      metadata: JSON.stringify({
+        stake_gift_id: gift.id,
+        owner_user_id: ownerId,
+      }),
+    }),
+    created_at: trx.fn.now(),
+    updated_at: trx.fn.now(),
+  });
+
+  if (gift) {
+    // Owner's record of the stake (no wallet movement, like free stakes)
+    await trx("transactions").insert({
+      user_id: ownerId,
+      wallet_type: "main",
+      transaction_type: "stake",
+      reference_type: "stake",
+      reference_id: stake.id.toString(),
+      amount: 0,
+      currency: "USD",
+      status: "completed",
+      description: `${shareLabel} (${packType} pack) bought for you by ${gift.payerName}`,
+      metadata: JSON.stringify({
+        stake_gift_id: gift.id,
+        paid_by_user_id: payerId,
+      }),
+      created_at: trx.fn.now(),
+      updated_at: trx.fn.now(),
+    });
+  }
+
+  // Distribute Catalyst Bonus up the referral chain
+  const catalystStats = await Catalyst.distribute({
+    originUserId: ownerId,
+    amount: numAmount,
+    referenceId: stake.id,
+    trx,
+  });
+
+  // Add volume to Synergy Flow (binary) uplines
+  await Synergy.addVolumeToUplines(ownerId, numAmount, trx, false, {
+    stakeId: stake.id,
+  });
+
+  return { stake, catalystStats };
+};
+
 // Stake amount to energy pack
 const createStake = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { amount } = req.body;
-
-    // Validate input
-    if (!amount) {
+    const { error, numAmount, shares, packType } = await resolveStakePack(
+      req.body.amount
+    );
+    if (error) {
       return res.status(400).json({
         status: "ERROR",
-        message: "Amount is required",
+        message: error,
       });
     }
 
-    const numAmount = parseFloat(amount);
-    if (numAmount <= 0) {
+    // Check if user has sufficient balance
+    const hasBalance = await Wallet.hasSufficientBalance(
+      userId,
+      numAmount,
+      "main"
+    );
+    if (!hasBalance) {
       return res.status(400).json({
         status: "ERROR",
-        message: "Invalid amount",
+        message: "Insufficient wallet balance",
       });
     }
 
-    // Calculate shares and determine pack type
-    const shares = Math.floor(numAmount / 25);
-    if (shares < 1) {
-      return res.status(400).json({
-        status: "ERROR",
-        message: "Minimum stake amount is $25 (1 share)",
-      });
-    }
+    // Create stake and deduct balance in transaction
+    const result = await db.transaction((trx) =>
+      purchaseStake({ ownerId: userId, numAmount, shares, packType, trx })
+    );
 
-    const packType = Stake.getPackForShares(shares);
-    if (!packType) {
-      return res.status(400).json({
-        status: "ERROR",
-        message: "Invalid share count. Minimum 1 share required.",
-      });
+    // Fire-and-forget rank promotion checks for staker and sponsor chain
+    triggerRankPromotionChain(userId);
+
+    res.status(200).json({
+      status: "SUCCESS",
+      message: `Successfully staked ${shares} share${
+        shares > 1 ? "s" : ""
+      } to ${packType} pack`,
+      data: {
+        stake: result.stake,
+        catalyst: result.catalystStats,
+      },
+    });
+  } catch (error) {
+    console.error("Create stake error:", error);
+
+    let errorMessage = "Failed to create stake";
+    if (error.message) {
+      errorMessage += `: ${error.message}`;
     }
 
-    // Validate pack type and amount
-    const validation = Stake.validateStakeAmount(packType, numAmount);
-    if (!validation.valid) {
+    res.status(500).json({
+      status: "ERROR",
+      message: errorMessage,
+    });
+  }
+};
+
+// Add shares to an active stake; crossing a tier moves it to the new pack's ROI and cap.
+// Catalyst and Synergy volume apply to the added amount only.
+const upgradeStake = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const stakeId = req.params.stake_id;
+    const addAmount = parseFloat(req.body?.amount);
+
+    if (!(addAmount >= 25) || addAmount % 25 !== 0) {
       return res.status(400).json({
         status: "ERROR",
-        message: validation.error,
+        message: "Top-up amount must be at least $25, in increments of $25",
       });
     }
 
-    // Check if user has sufficient balance
     const hasBalance = await Wallet.hasSufficientBalance(
       userId,
-      numAmount,
+      addAmount,
       "main"
     );
     if (!hasBalance) {
@@ -322,80 +399,559 @@ const createStake = async (req, res) => {
       });
     }
 
-    // Create stake and deduct balance in transaction
-    const result = await db.transaction(async (trx) => {
-      // Create the stake with transaction
-      const stake = await Stake.createWithTransaction(
-        {
-          user_id: userId,
-          pack_type: packType,
-          amount: numAmount,
-        },
+    const outcome = await db.transaction(async (trx) => {
+      const stake = await trx("stakes")
+        .where({ id: stakeId, user_id: userId })
+        .forUpdate()
+        .first();
+      if (!stake) return { error: { status: 404, message: "Stake not found" } };
+      if (stake.status !== "active") {
+        return {
+          error: { status: 400, message: "Only active stakes can be upgraded" },
+        };
+      }
+      if (stake.is_free) {
+        return {
+          error: { status: 400, message: "Free stakes cannot be upgraded" },
+        };
+      }
+
+      const { stake: upgraded, upgrade } = await Stake.upgradeWithTransaction(
+        stake,
+        addAmount,
         trx
       );
+      const addedShares = upgrade.added_shares;
+      const packChange =
+        upgrade.from_pack !== upgrade.to_pack
+          ? ` (${upgrade.from_pack} → ${upgrade.to_pack})`
+          : "";
 
-      if (!stake || !stake.id) {
-        throw new Error("Failed to create stake - no ID returned");
-      }
-
-      // Deduct from wallet
-      await Wallet.updateBalance(userId, numAmount, "subtract", "main", trx);
+      await Wallet.updateBalance(userId, addAmount, "subtract", "main", trx, {
+        entryType: "stake",
+        referenceType: "stake",
+        referenceId: stake.id,
+        description: `Stake #${stake.id} top-up${packChange}`,
+        contra: "stake_sales",
+      });
 
-      // Create transaction record
       await trx("transactions").insert({
         user_id: userId,
         wallet_type: "main",
         transaction_type: "stake",
         reference_type: "stake",
         reference_id: stake.id.toString(),
-        amount: -numAmount, // negative for debit
+        amount: -addAmount, // negative for debit
         currency: "USD",
         status: "completed",
-        description: `Staked ${shares} share${
-          shares > 1 ? "s" : ""
-        } ($${numAmount.toFixed(2)}) to ${packType} pack`,
+        description: `Added ${addedShares} share${
+          addedShares > 1 ? "s" : ""
+        } ($${addAmount.toFixed(2)}) to stake #${stake.id}${packChange}`,
+        metadata: JSON.stringify({ stake_upgrade_id: upgrade.id }),
         created_at: trx.fn.now(),
         updated_at: trx.fn.now(),
       });
 
-      // Distribute Catalyst Bonus up the referral chain
-      const catalystStats = await distributeCatalystBonus({
+      // Incentives on the added amount only
+      const catalystStats = await Catalyst.distribute({
         originUserId: userId,
-        amount: numAmount,
+        amount: addAmount,
         referenceId: stake.id,
         trx,
       });
+      await Synergy.addVolumeToUplines(userId, addAmount, trx, false, {
+        stakeId: stake.id,
+        source: "top_up",
+      });
 
-      // Add volume to Synergy Flow (binary) uplines
-      await Synergy.addVolumeToUplines(userId, numAmount, trx, false);
-
-      return { stake, catalystStats };
+      return { stake: upgraded, upgrade, catalystStats };
     });
 
-    // Fire-and-forget rank promotion checks for staker and sponsor chain
+    if (outcome.error) {
+      return res
+        .status(outcome.error.status)
+        .json({ status: "ERROR", message: outcome.error.message });
+    }
+
     triggerRankPromotionChain(userId);
 
     res.status(200).json({
       status: "SUCCESS",
-      message: `Successfully staked ${shares} share${
+      message:
+        outcome.upgrade.from_pack !== outcome.upgrade.to_pack
+          ? `Stake upgraded to ${outcome.upgrade.to_pack} pack`
+          : `Added ${outcome.upgrade.added_shares} share${
+              outcome.upgrade.added_shares > 1 ? "s" : ""
+            } to stake`,
+      data: {
+        stake: outcome.stake,
+        upgrade: outcome.upgrade,
+        catalyst: outcome.catalystStats,
+      },
+    });
+  } catch (error) {
+    console.error("Upgrade stake error:", error);
+    res.status(500).json({
+      status: "ERROR",
+      message: `Failed to upgrade stake${
+        error.message ? `: ${error.message}` : ""
+      }`,
+    });
+  }
+};
+
+const displayName = (user) =>
+  (user?.name && user.name.trim()) ||
+  user?.referral_code ||
+  `user #${user?.id}`;
+
+// Buy an energy pack for a direct/downline member from the caller's wallet.
+// Recipient: `recipientType` (phone, referral_code, email, user_id) + `recipient`.
+const giftStake = async (req, res) => {
+  try {
+    const payerId = req.user.id;
+    const {
+      recipientType = "phone",
+      recipient: recipientValue,
+      amount,
+      note = null,
+    } = req.body || {};
+
+    const { error, numAmount, shares, packType } = await resolveStakePack(
+      amount
+    );
+    if (error) {
+      return res.status(400).json({ status: "ERROR", message: error });
+    }
+
+    if (!Transfer.RECIPIENT_TYPES[recipientType] || !recipientValue) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: `recipient and recipientType (${Object.keys(
+          Transfer.RECIPIENT_TYPES
+        ).join(", ")}) are required`,
+      });
+    }
+
+    const recipient = await Transfer.findRecipient(
+      recipientType,
+      recipientValue
+    );
+    if (!recipient || !recipient.is_active) {
+      return res.status(404).json({
+        status: "ERROR",
+        message: "Recipient not found",
+      });
+    }
+    if (recipient.id === payerId) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: "Use /stakes to stake for yourself",
+      });
+    }
+    if (!(await StakeGift.isDownline(payerId, recipient.id))) {
+      return res.status(403).json({
+        status: "ERROR",
+        message: "You can only buy energy packs for your downline members",
+      });
+    }
+
+    const hasBalance = await Wallet.hasSufficientBalance(
+      payerId,
+      numAmount,
+      "main"
+    );
+    if (!hasBalance) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: "Insufficient wallet balance",
+      });
+    }
+
+    const payer = await db("users").where({ id: payerId }).first();
+
+    // Recipient has to accept first: hold the amount until they do
+    if (StakeGift.requiresAcceptance()) {
+      const gift = await db.transaction(async (trx) => {
+        const created = await StakeGift.create(
+          {
+            payer_id: payerId,
+            recipient_id: recipient.id,
+            amount: numAmount,
+            pack_type: packType,
+            note,
+            status: "pending",
+            expires_at: new Date(
+              Date.now() + StakeGift.getAcceptanceHours() * 60 * 60 * 1000
+            ),
+          },
+          trx
+        );
+        await StakeGift.hold(created, trx);
+        return created;
+      });
+
+      return res.status(202).json({
+        status: "SUCCESS",
+        message: "Energy pack sent, waiting for the recipient to accept",
+        data: {
+          gift,
+          recipient: Transfer.getMaskedProfile(recipient),
+        },
+      });
+    }
+
+    const result = await db.transaction(async (trx) => {
+      const gift = await StakeGift.create(
+        {
+          payer_id: payerId,
+          recipient_id: recipient.id,
+          amount: numAmount,
+          pack_type: packType,
+          note,
+          status: "completed",
+        },
+        trx
+      );
+      const purchase = await purchaseStake({
+        ownerId: recipient.id,
+        payerId,
+        numAmount,
+        shares,
+        packType,
+        gift: {
+          id: gift.id,
+          payerName: displayName(payer),
+          ownerName: displayName(recipient),
+        },
+        trx,
+      });
+      await StakeGift.markCompleted(gift.id, purchase.stake.id, trx);
+      return { ...purchase, gift: await StakeGift.findById(gift.id, trx) };
+    });
+
+    // Rank checks run for the stake owner and their sponsor chain
+    triggerRankPromotionChain(recipient.id);
+
+    return res.status(200).json({
+      status: "SUCCESS",
+      message: `Bought ${shares} share${
         shares > 1 ? "s" : ""
-      } to ${packType} pack`,
+      } ${packType} pack for ${Transfer.maskName(recipient.name)}`,
       data: {
+        gift: result.gift,
         stake: result.stake,
         catalyst: result.catalystStats,
+        recipient: Transfer.getMaskedProfile(recipient),
       },
     });
   } catch (error) {
-    console.error("Create stake error:", error);
+    console.error("Gift stake error:", error);
+    return res.status(500).json({
+      status: "ERROR",
+      message: `Failed to buy energy pack${
+        error.message ? `: ${error.message}` : ""
+      }`,
+    });
+  }
+};
 
-    let errorMessage = "Failed to create stake";
-    if (error.message) {
-      errorMessage += `: ${error.message}`;
+// Energy pack gifts sent or received (?direction=sent|received&status=)
+const getStakeGifts = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { direction = "received", status, page = 1, limit = 20 } = req.query;
+    if (!["sent", "received"].includes(direction)) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: "direction must be sent or received",
+      });
+    }
+
+    // The daily stake lifecycle job expires gifts; this catches any since its last run
+    await StakeGift.expireStale(userId);
+
+    const gifts = await StakeGift.listForUser(userId, {
+      direction,
+      status: status || null,
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit),
+    });
+
+    res.status(200).json({
+      status: "SUCCESS",
+      data: {
+        gifts,
+        requiresAcceptance: StakeGift.requiresAcceptance(),
+      },
+    });
+  } catch (error) {
+    console.error("Get stake gifts error:", error);
+    res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
+// Accept a pending gift: the held amount buys the stake for the recipient
+const acceptStakeGift = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const outcome = await db.transaction(async (trx) => {
+      const gift = await StakeGift.lockPending(req.params.id, trx);
+      if (!gift || gift.recipient_id !== userId) return { notFound: true };
+      if (StakeGift.isExpired(gift)) {
+        await StakeGift.close(gift, "expired", trx);
+        return { expired: true };
+      }
+
+      const [payer, owner] = await Promise.all([
+        trx("users").where({ id: gift.payer_id }).first(),
+        trx("users").where({ id: userId }).first(),
+      ]);
+      const numAmount = parseFloat(gift.amount);
+
+      // Return the hold to the payer, then buy the stake with it
+      await StakeGift.release(
+        gift,
+        "stake_gift_release",
+        `Energy pack gift #${gift.id} accepted`,
+        trx
+      );
+      const purchase = await purchaseStake({
+        ownerId: userId,
+        payerId: gift.payer_id,
+        numAmount,
+        shares: Math.floor(numAmount / 25),
+        packType: gift.pack_type,
+        gift: {
+          id: gift.id,
+          payerName: displayName(payer),
+          ownerName: displayName(owner),
+        },
+        trx,
+      });
+      await StakeGift.markCompleted(gift.id, purchase.stake.id, trx);
+      return purchase;
+    });
+
+    if (outcome.notFound) {
+      return res.status(404).json({
+        status: "ERROR",
+        message: "Pending energy pack gift not found",
+      });
     }
+    if (outcome.expired) {
+      return res.status(410).json({
+        status: "ERROR",
+        message: "This gift has expired and was refunded to the sender",
+      });
+    }
+
+    triggerRankPromotionChain(userId);
 
+    res.status(200).json({
+      status: "SUCCESS",
+      message: "Energy pack accepted",
+      data: {
+        stake: outcome.stake,
+        catalyst: outcome.catalystStats,
+      },
+    });
+  } catch (error) {
+    console.error("Accept stake gift error:", error);
     res.status(500).json({
       status: "ERROR",
-      message: errorMessage,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Close a pending gift (recipient declines, payer cancels) and refund the payer
+const closeStakeGift = (status, ownerColumn) => async (req, res) => {
+  try {
+    const closed = await db.transaction(async (trx) => {
+      const gift = await StakeGift.lockPending(req.params.id, trx);
+      if (!gift || gift[ownerColumn] !== req.user.id) return null;
+      await StakeGift.close(gift, status, trx);
+      return StakeGift.findById(gift.id, trx);
+    });
+
+    if (!closed) {
+      return res.status(404).json({
+        status: "ERROR",
+        message: "Pending energy pack gift not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "SUCCESS",
+      message: `Energy pack gift ${status}`,
+      data: { gift: closed },
+    });
+  } catch (error) {
+    console.error(`Stake gift ${status} error:`, error);
+    res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
+const declineStakeGift = closeStakeGift("declined", "recipient_id");
+const cancelStakeGift = closeStakeGift("cancelled", "payer_id");
+
+// Lifecycle of a stake: status, end-of-life policy, termination quote and history
+const getStakeLifecycle = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const stake = await Stake.findById(req.params.stake_id);
+    if (!stake || stake.user_id !== userId) {
+      return res.status(404).json({
+        status: "ERROR",
+        message: "Stake not found",
+      });
+    }
+
+    const lifecycle = await StakeLifecycle.getLifecycle(stake);
+    res.status(200).json({
+      status: "SUCCESS",
+      data: lifecycle,
+    });
+  } catch (error) {
+    console.error("Get stake lifecycle error:", error);
+    res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
+// Choose what happens when the stake is capped or matured (null = pack default)
+const updateStakeEndOfLifePolicy = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const policy = req.body?.policy ?? null;
+
+    if (policy !== null && !PlanConfig.END_OF_LIFE_POLICIES.includes(policy)) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: `policy must be one of: ${PlanConfig.END_OF_LIFE_POLICIES.join(
+          ", "
+        )} (or null for the pack default)`,
+      });
+    }
+
+    const stake = await Stake.findById(req.params.stake_id);
+    if (!stake || stake.user_id !== userId) {
+      return res.status(404).json({
+        status: "ERROR",
+        message: "Stake not found",
+      });
+    }
+    if (stake.status === "terminated" || stake.end_of_life_processed_at) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: "This stake has already reached its end of life",
+      });
+    }
+    if (policy === "auto_renew" && stake.is_free) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: "Free stakes cannot be auto-renewed",
+      });
+    }
+
+    const updated = await StakeLifecycle.setEndOfLifePolicy(stake.id, policy);
+    res.status(200).json({
+      status: "SUCCESS",
+      data: { policy: await StakeLifecycle.getPolicy(updated) },
+    });
+  } catch (error) {
+    console.error("Update stake end-of-life policy error:", error);
+    res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
+// End a stake early: principal minus the pack penalty and rewards received goes back to the wallet
+const terminateStake = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const outcome = await StakeLifecycle.terminate(req.params.stake_id, {
+      actor: { type: "user", id: userId },
+      ownerId: userId,
+      reason: req.body?.reason || null,
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.error.status).json({
+        status: "ERROR",
+        message: outcome.error.message,
+      });
+    }
+
+    res.status(200).json({
+      status: "SUCCESS",
+      message: `Stake terminated, $${outcome.quote.refund.toFixed(
+        2
+      )} refunded to your wallet`,
+      data: outcome,
+    });
+  } catch (error) {
+    console.error("Terminate stake error:", error);
+    res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
+// Choose how daily rewards are handled: manual claim, auto-claim or auto-compound
+const updateStakeRewardMode = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { mode } = req.body || {};
+
+    if (!AutoCompound.REWARD_MODES.includes(mode)) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: `mode must be one of: ${AutoCompound.REWARD_MODES.join(", ")}`,
+      });
+    }
+
+    const stake = await Stake.findById(req.params.stake_id);
+    if (!stake || stake.user_id !== userId) {
+      return res.status(404).json({
+        status: "ERROR",
+        message: "Stake not found",
+      });
+    }
+    if (!["active", "paused"].includes(stake.status)) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: `A ${stake.status} stake no longer earns rewards`,
+      });
+    }
+
+    const updated = await AutoCompound.setMode(stake.id, mode);
+    res.status(200).json({
+      status: "SUCCESS",
+      data: {
+        stake_id: updated.id,
+        reward_mode: updated.reward_mode,
+        compound_accrued: parseFloat(updated.compound_accrued || 0),
+      },
+    });
+  } catch (error) {
+    console.error("Update stake reward mode error:", error);
+    res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
     });
   }
 };
@@ -425,7 +981,10 @@ const getStakeRewards = async (req, res) => {
     if (start_date) filters.start_date = start_date;
     if (end_date) filters.end_date = end_date;
 
-    const rewards = await Stake.getStakeRewards(stake_id, filters);
+    const [rewards, upgrades] = await Promise.all([
+      Stake.getStakeRewards(stake_id, filters),
+      Stake.getUpgrades(stake_id),
+    ]);
 
     // Aggregate totals for reporting (core vs harvest)
     const totals = rewards.reduce(
@@ -444,6 +1003,7 @@ const getStakeRewards = async (req, res) => {
         stake_id,
         rewards,
         totals,
+        upgrades,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -461,6 +1021,58 @@ const getStakeRewards = async (req, res) => {
   }
 };
 
+// Download a reward statement for one stake (?format=csv|pdf|json&from=&to=)
+const getStakeStatement = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const format = (req.query.format || "csv").toLowerCase();
+    if (!StakeStatement.FORMATS.includes(format)) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: `format must be one of: ${StakeStatement.FORMATS.join(", ")}`,
+      });
+    }
+
+    const stake = await Stake.findById(req.params.stake_id);
+    if (!stake || stake.user_id !== userId) {
+      return res.status(404).json({
+        status: "ERROR",
+        message: "Stake not found",
+      });
+    }
+
+    const range = StakeStatement.parseRange(stake, req.query);
+    if (range.error) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: range.error,
+      });
+    }
+
+    const statement = await StakeStatement.build(stake, range);
+    const file = StakeStatement.render(statement, format);
+    if (!file.filename) {
+      return res.status(200).json({
+        status: "SUCCESS",
+        data: file.body,
+      });
+    }
+
+    res.setHeader("Content-Type", file.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${file.filename}"`
+    );
+    res.status(200).send(file.body);
+  } catch (error) {
+    console.error("Get stake statement error:", error);
+    res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
 // Calculate and credit pending rewards for a stake
 const creditStakeRewards = async (req, res) => {
   try {
@@ -477,7 +1089,11 @@ const creditStakeRewards = async (req, res) => {
       });
     }
 
-    const result = await Stake.creditPendingRewards(stake_id, reward_ids);
+    // Claiming an auto-compound stake early still counts towards its next share
+    const result =
+      stake.reward_mode === "auto_compound"
+        ? (await AutoCompound.processStake(stake.id, reward_ids)).credit
+        : await Stake.creditPendingRewards(stake_id, reward_ids);
 
     res.status(200).json({
       status: "SUCCESS",
@@ -526,7 +1142,18 @@ module.exports = {
   getPendingRewardsSummary,
   getStakeEligibility,
   createStake,
+  upgradeStake,
+  giftStake,
+  getStakeGifts,
+  acceptStakeGift,
+  declineStakeGift,
+  cancelStakeGift,
+  getStakeLifecycle,
+  updateStakeEndOfLifePolicy,
+  terminateStake,
+  updateStakeRewardMode,
   getStakeRewards,
+  getStakeStatement,
   creditStakeRewards,
   calculateDailyRewards,
 };
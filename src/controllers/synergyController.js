@@ -1,6 +1,10 @@
 const Synergy = require('../models/Synergy');
 const { authenticate } = require('../middleware/auth');
 
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+// Leg breakdown range when none is given
+const LEGS_DEFAULT_DAYS = 30;
+
 // Get current user's synergy summary
 const getSynergySummary = async (req, res) => {
   try {
@@ -44,6 +48,64 @@ const getSynergyHistory = async (req, res) => {
   }
 };
 
+// Get synergy flush audit for current user (volume dropped by the flush rules)
+const getSynergyFlushes = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const flushes = await Synergy.getUserFlushes(userId, { limit: parseInt(limit), offset: parseInt(offset) });
+
+    res.status(200).json({
+      status: 'SUCCESS',
+      data: {
+        flushes,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: flushes.length,
+          total_pages: Math.ceil(flushes.length / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get synergy flushes error:', error);
+    res.status(500).json({ status: 'ERROR', message: 'Internal server error' });
+  }
+};
+
+// Get left/right leg breakdown of binary volume for current user
+const getSynergyLegs = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const today = new Date().toISOString().split('T')[0];
+    const defaultFrom = new Date(Date.now() - (LEGS_DEFAULT_DAYS - 1) * 86400000).toISOString().split('T')[0];
+    const { from = defaultFrom, to = today } = req.query;
+    const top = req.query.top === undefined ? 10 : parseInt(req.query.top, 10);
+
+    if (!DATE_RE.test(from) || !DATE_RE.test(to)) {
+      return res.status(400).json({ status: 'ERROR', message: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    if (from > to) {
+      return res.status(400).json({ status: 'ERROR', message: 'from must not be after to' });
+    }
+    if (!Number.isInteger(top) || top < 1 || top > 50) {
+      return res.status(400).json({ status: 'ERROR', message: 'top must be between 1 and 50' });
+    }
+
+    const breakdown = await Synergy.getLegBreakdown(userId, { from, to, top });
+
+    res.status(200).json({
+      status: 'SUCCESS',
+      data: breakdown
+    });
+  } catch (error) {
+    console.error('Get synergy legs error:', error);
+    res.status(500).json({ status: 'ERROR', message: 'Internal server error' });
+  }
+};
+
 // Admin: get synergy history for all users (lightweight paged)
 const getSynergyHistoryAll = async (req, res) => {
   try {
@@ -98,6 +160,8 @@ const runSynergyPayouts = async (req, res) => {
 module.exports = {
   getSynergySummary,
   getSynergyHistory,
+  getSynergyFlushes,
+  getSynergyLegs,
   getSynergyHistoryAll,
   runSynergyPayouts
 };
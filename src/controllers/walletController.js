@@ -1,7 +1,14 @@
 const Wallet = require("../models/Wallet");
 const Transaction = require("../models/Transaction");
-const NowPaymentService = require("../services/NowPaymentService");
+const Deposit = require("../models/Deposit");
+const PaymentGateway = require("../services/PaymentGateway");
 const RewardCap = require("../models/RewardCap");
+const Withdrawal = require("../models/Withdrawal");
+const WithdrawalAddress = require("../models/WithdrawalAddress");
+const Transfer = require("../models/Transfer");
+const ScheduledTransfer = require("../models/ScheduledTransfer");
+const WalletStatement = require("../models/WalletStatement");
+const { verifyTOTP } = require("../utils/auth");
 const JobRun = require("../models/JobRun");
 const db = require("../config/database");
 const { logger } = require("../utils/logger");
@@ -33,7 +40,21 @@ const initiateWithdraw = async (req, res) => {
       });
     }
 
-    const { amount, address, payoutCurrency = "usdtbsc" } = req.body;
+    const { amount, addressId } = req.body;
+    let { address, payoutCurrency = "usdtbsc" } = req.body;
+
+    // A saved address book entry can be used instead of a free-form address
+    if (addressId) {
+      const saved = await WithdrawalAddress.findById(userId, addressId);
+      if (!saved) {
+        return res.status(404).json({
+          status: "ERROR",
+          message: "Saved withdrawal address not found",
+        });
+      }
+      address = saved.address;
+      payoutCurrency = saved.network;
+    }
 
     if (!amount || parseFloat(amount) <= 0) {
       return res.status(400).json({
@@ -60,6 +81,36 @@ const initiateWithdraw = async (req, res) => {
       });
     }
 
+    address = String(address).trim();
+    payoutCurrency = WithdrawalAddress.normalizeNetwork(payoutCurrency);
+    if (!WithdrawalAddress.isValidAddress(payoutCurrency, address)) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: WithdrawalAddress.ADDRESS_FORMATS[payoutCurrency]
+          ? `Invalid ${payoutCurrency} address`
+          : `Unsupported payout currency: ${payoutCurrency}`,
+      });
+    }
+
+    const savedAddress = await WithdrawalAddress.findForUser(
+      userId,
+      payoutCurrency,
+      address
+    );
+    if (savedAddress && WithdrawalAddress.isLocked(savedAddress)) {
+      return res.status(403).json({
+        status: "ERROR",
+        message: "This address is still in its cooling period",
+        data: { unlocks_at: savedAddress.unlocks_at },
+      });
+    }
+    if (!savedAddress && WithdrawalAddress.isWhitelistOnly()) {
+      return res.status(403).json({
+        status: "ERROR",
+        message: "Withdrawals are only allowed to saved addresses",
+      });
+    }
+
     // Check balance
     const hasBalance = await Wallet.hasSufficientBalance(
       userId,
@@ -73,45 +124,88 @@ const initiateWithdraw = async (req, res) => {
       });
     }
 
-    // Create payout with NowPayments
-    const payout = await NowPaymentService.createPayout({
+    // Risky withdrawals wait for admin review; funds are reserved either way
+    const risk = await Withdrawal.assessRisk(userId, {
       amount: withdrawAmount,
-      payoutAddress: address,
-      payoutCurrency,
-      priceCurrency: "usd",
-      ipnCallbackUrl: process.env.NOWPAYMENT_PAYOUT_IPN_URL || null,
+      address,
+      addressSaved: Boolean(savedAddress),
     });
 
+    let payout = null;
+    let payoutReference = `REVIEW-${userId}-${Date.now()}`;
+    if (!risk.requiresReview) {
+      // Create payout with NowPayments
+      payout = await PaymentGateway.createPayout({
+        amount: withdrawAmount,
+        payoutAddress: address,
+        payoutCurrency,
+        priceCurrency: "usd",
+        ipnCallbackUrl: process.env.NOWPAYMENT_PAYOUT_IPN_URL || null,
+      });
+
+      payoutReference =
+        payout?.id?.toString?.() ||
+        payout?.payment_id?.toString?.() ||
+        `PAYOUT-${Date.now()}`;
+    }
+
     // Deduct immediately to reserve funds
     await db.transaction(async (trx) => {
       // Transaction record
-      await Transaction.create({
-        user_id: userId,
-        wallet_type: "main",
-        transaction_type: "withdraw",
-        reference_type: "nowpayment_payout",
-        reference_id:
-          payout?.id?.toString?.() ||
-          payout?.payment_id?.toString?.() ||
-          `PAYOUT-${Date.now()}`,
-        amount: -withdrawAmount,
-        fee,
-        currency: "USD",
-        status: "pending",
-        description: `Withdraw $${withdrawAmount.toFixed(2)} via NowPayments`,
-        metadata: {
-          payout,
-          payoutCurrency,
-          address,
-          withdrawFeePercent,
-          feeAmount: fee,
+      const transaction = await Transaction.create(
+        {
+          user_id: userId,
+          wallet_type: "main",
+          transaction_type: "withdraw",
+          reference_type: "nowpayment_payout",
+          reference_id: payoutReference,
+          amount: -withdrawAmount,
+          fee,
+          currency: "USD",
+          status: risk.requiresReview ? "pending_review" : "pending",
+          description: `Withdraw $${withdrawAmount.toFixed(2)} via NowPayments`,
+          metadata: {
+            payout,
+            payoutCurrency,
+            address,
+            withdrawFeePercent,
+            feeAmount: fee,
+            ...(risk.requiresReview ? { risk_flags: risk.flags } : {}),
+          },
         },
+        trx
+      );
+
+      // Deduct from wallet: amount waits in payout clearing, fee is income
+      await Wallet.updateBalance(userId, totalDebit, "subtract", "main", trx, {
+        entryType: "withdraw",
+        referenceType: "nowpayment_payout",
+        referenceId: payoutReference,
+        description: `Withdraw $${withdrawAmount.toFixed(2)} via NowPayments`,
+        contra: [
+          { account: "payout_clearing", amount: withdrawAmount },
+          { account: "fees", amount: fee },
+        ],
       });
 
-      // Deduct from wallet
-      await Wallet.updateBalance(userId, totalDebit, "subtract", "main", trx);
+      if (risk.requiresReview) {
+        await Withdrawal.createReview(transaction.id, userId, risk.flags, trx);
+      }
     });
 
+    if (risk.requiresReview) {
+      return res.status(202).json({
+        status: "SUCCESS",
+        message: "Withdrawal submitted for review",
+        data: {
+          status: "pending_review",
+          fee,
+          feePercent: withdrawFeePercent,
+          totalDebited: totalDebit,
+        },
+      });
+    }
+
     return res.status(200).json({
       status: "SUCCESS",
       message: "Withdrawal initiated",
@@ -242,11 +336,83 @@ const getTransactionStats = async (req, res) => {
   }
 };
 
-// Incentive summary (Catalyst, Synergy, Power Pass-Up) + cap info
+// Send a rendered statement: JSON envelope, or a CSV/PDF download
+const sendStatementFile = (res, file) => {
+  if (!file.filename) {
+    return res.status(200).json({ status: "SUCCESS", data: file.body });
+  }
+  res.setHeader("Content-Type", file.contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${file.filename}"`
+  );
+  return res.status(200).send(file.body);
+};
+
+// Monthly / yearly wallet statement (?period=monthly|yearly&year=&month=&format=csv|pdf|json)
+const getWalletStatement = async (req, res) => {
+  try {
+    const format = String(req.query.format || "csv").toLowerCase();
+    const period = WalletStatement.parsePeriod(req.query);
+    if (!WalletStatement.FORMATS.includes(format) || period.error) {
+      return res.status(400).json({
+        status: "ERROR",
+        message:
+          period.error ||
+          `format must be one of: ${WalletStatement.FORMATS.join(", ")}`,
+      });
+    }
+
+    const statement = await WalletStatement.build(req.user.id, period);
+    return sendStatementFile(res, WalletStatement.render(statement, format));
+  } catch (error) {
+    console.error("Get wallet statement error:", error);
+    res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
+// Annual income summary: incentive income vs principal (?year=&format=csv|pdf|json)
+const getIncomeSummary = async (req, res) => {
+  try {
+    const format = String(req.query.format || "csv").toLowerCase();
+    const period = WalletStatement.parsePeriod({
+      period: "yearly",
+      year: req.query.year,
+    });
+    if (!WalletStatement.FORMATS.includes(format) || period.error) {
+      return res.status(400).json({
+        status: "ERROR",
+        message:
+          period.error ||
+          `format must be one of: ${WalletStatement.FORMATS.join(", ")}`,
+      });
+    }
+
+    const summary = await WalletStatement.buildIncomeSummary(
+      req.user.id,
+      Number(period.label)
+    );
+    return sendStatementFile(
+      res,
+      WalletStatement.render(summary, format, "income")
+    );
+  } catch (error) {
+    console.error("Get income summary error:", error);
+    res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
+// Incentive summary (Catalyst, Synergy, Synergy matching, Power Pass-Up) + cap info
 const getIncentiveSummary = async (req, res) => {
   try {
     const userId = req.user.id;
-    const types = ["catalyst_bonus", "synergy_flow", "power_passup"];
+    const types = RewardCap.INCENTIVE_TYPES;
 
     const rows = await db("transactions")
       .where({ user_id: userId, status: "completed" })
@@ -318,7 +484,7 @@ const initiateDeposit = async (req, res) => {
 
     // Check minimum amount from NowPayment (skip if API fails)
     try {
-      const minAmount = await NowPaymentService.getMinPaymentAmount(
+      const minAmount = await PaymentGateway.getMinPaymentAmount(
         "usdtbsc",
         "usd"
       );
@@ -341,7 +507,7 @@ const initiateDeposit = async (req, res) => {
     const orderId = `IXFLIX-${Date.now()}`;
 
     // Create NowPayment payment
-    const payment = await NowPaymentService.createDepositPayment(
+    const payment = await PaymentGateway.createDepositPayment(
       depositAmount,
       orderId
     );
@@ -432,52 +598,344 @@ const getWalletConfig = async (_req, res) => {
       transferFeeAmount,
       withdrawFeePercent,
       withdrawalsEnabled,
+      transferStepUpThreshold: Transfer.getStepUpThreshold(),
+      withdrawAddressLockHours: WithdrawalAddress.getLockHours(),
+      withdrawWhitelistOnly: WithdrawalAddress.isWhitelistOnly(),
+      payoutCurrencies: WithdrawalAddress.getSupportedNetworks(),
       transferFeePercent: 0, // backward compatibility with older clients expecting percent
     },
   });
 };
 
-// Transfer between users (main wallet)
-const transferToUser = async (req, res) => {
+// List the user's saved withdrawal addresses
+const getWithdrawalAddresses = async (req, res) => {
   try {
-    const fromUserId = req.user.id;
-    const { toPhoneNumber, amount, note } = req.body || {};
+    const addresses = await WithdrawalAddress.findByUserId(req.user.id);
+    return res.status(200).json({
+      status: "SUCCESS",
+      data: {
+        addresses,
+        lockHours: WithdrawalAddress.getLockHours(),
+        whitelistOnly: WithdrawalAddress.isWhitelistOnly(),
+      },
+    });
+  } catch (error) {
+    console.error("Get withdrawal addresses error:", error);
+    return res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
 
-    if (!toPhoneNumber || !amount) {
+// Save a withdrawal address (TOTP-confirmed, locked for the cooling period)
+const addWithdrawalAddress = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { address, network, label, totpCode } = req.body || {};
+
+    if (!address || !network) {
       return res.status(400).json({
         status: "ERROR",
-        message: "Destination phone number and amount are required",
+        message: "Address and network are required",
       });
     }
 
-    const transferAmount = parseFloat(amount);
-    if (Number.isNaN(transferAmount) || transferAmount <= 0) {
+    const normalizedNetwork = WithdrawalAddress.normalizeNetwork(network);
+    if (!WithdrawalAddress.ADDRESS_FORMATS[normalizedNetwork]) {
       return res.status(400).json({
         status: "ERROR",
-        message: "Amount must be greater than 0",
+        message: `Unsupported network: ${normalizedNetwork}`,
+      });
+    }
+    if (!WithdrawalAddress.isValidAddress(normalizedNetwork, address)) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: `Invalid ${normalizedNetwork} address`,
       });
     }
 
-    // Find recipient by phone number
-    const recipient = await db("users")
-      .where({ phone_number: toPhoneNumber })
+    const twoFactor = await db("two_factor_auth")
+      .where({ user_id: userId, is_enabled: true })
       .first();
-    if (!recipient) {
+    if (!twoFactor) {
+      return res.status(403).json({
+        status: "ERROR",
+        message: "Enable 2FA before adding withdrawal addresses",
+      });
+    }
+    if (!totpCode || !verifyTOTP(twoFactor.secret, String(totpCode))) {
+      return res.status(401).json({
+        status: "ERROR",
+        message: "Invalid 2FA code",
+      });
+    }
+
+    const existing = await WithdrawalAddress.findForUser(
+      userId,
+      normalizedNetwork,
+      address
+    );
+    if (existing) {
+      return res.status(409).json({
+        status: "ERROR",
+        message: "Address is already saved",
+      });
+    }
+
+    const entry = await WithdrawalAddress.create(userId, {
+      label: label ? String(label).trim().slice(0, 100) : null,
+      network: normalizedNetwork,
+      address,
+    });
+
+    logger.info("Withdrawal address added", {
+      userId,
+      addressId: entry.id,
+      network: normalizedNetwork,
+    });
+
+    return res.status(201).json({
+      status: "SUCCESS",
+      message: `Address saved. It can receive withdrawals after ${WithdrawalAddress.getLockHours()} hours.`,
+      data: { address: { ...entry, is_locked: true } },
+    });
+  } catch (error) {
+    console.error("Add withdrawal address error:", error);
+    return res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
+// Remove a saved withdrawal address
+const removeWithdrawalAddress = async (req, res) => {
+  try {
+    const deleted = await WithdrawalAddress.remove(req.user.id, req.params.id);
+    if (!deleted) {
       return res.status(404).json({
         status: "ERROR",
-        message: "Recipient not found",
+        message: "Saved withdrawal address not found",
       });
     }
+    return res.status(200).json({
+      status: "SUCCESS",
+      message: "Address removed",
+    });
+  } catch (error) {
+    console.error("Remove withdrawal address error:", error);
+    return res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
+// Recipients are found by identifiers a sender would know; sequential user ids would let anyone list accounts
+const LOOKUP_TYPES = Object.keys(Transfer.RECIPIENT_TYPES).filter(
+  (type) => type !== "user_id"
+);
+
+// Resolve a recipient identifier and check that it can receive from this user.
+// Out of scope or not accepting transfers looks the same as not found, so neither
+// lookup nor preview can be used to probe accounts.
+const findTransferRecipient = async (fromUserId, type, value) => {
+  if (!LOOKUP_TYPES.includes(type)) {
+    return {
+      error: {
+        status: 400,
+        message: `Recipient type must be one of: ${LOOKUP_TYPES.join(", ")}`,
+      },
+    };
+  }
+
+  const recipient = await Transfer.findRecipient(type, value);
+  if (!recipient) {
+    return { error: { status: 404, message: "Recipient not found" } };
+  }
 
-    if (recipient.id === fromUserId) {
+  if (recipient.id === fromUserId) {
+    return {
+      error: { status: 400, message: "You cannot transfer to yourself" },
+    };
+  }
+
+  if (
+    !recipient.accept_transfers ||
+    !(await Transfer.isRecipientInScope(fromUserId, recipient.id))
+  ) {
+    return { error: { status: 404, message: "Recipient not found" } };
+  }
+
+  return { recipient };
+};
+
+// Validate a transfer request and load the recipient (shared by preview and transfer).
+// Recipient: `recipientType` (phone, referral_code, email) + `recipient`,
+// or the legacy `toPhoneNumber`.
+const resolveTransferRequest = async (req) => {
+  const fromUserId = req.user.id;
+  const {
+    toPhoneNumber,
+    recipientType,
+    recipient: recipientValue,
+    amount,
+  } = req.body || {};
+  const type = toPhoneNumber ? "phone" : recipientType || "phone";
+  const value = toPhoneNumber || recipientValue;
+
+  if (!value || !amount) {
+    return {
+      error: {
+        status: 400,
+        message: "Recipient and amount are required",
+      },
+    };
+  }
+
+  const transferAmount = parseFloat(amount);
+  if (Number.isNaN(transferAmount) || transferAmount <= 0) {
+    return {
+      error: { status: 400, message: "Amount must be greater than 0" },
+    };
+  }
+
+  const { error, recipient } = await findTransferRecipient(
+    fromUserId,
+    type,
+    value
+  );
+  if (error) return { error };
+
+  return { recipient, transferAmount };
+};
+
+// Look up a transfer recipient and return a masked profile
+const lookupTransferRecipient = async (req, res) => {
+  try {
+    const { type = "phone", value } = req.query;
+    if (!value) {
       return res.status(400).json({
         status: "ERROR",
-        message: "You cannot transfer to yourself",
+        message: "value is required",
+      });
+    }
+
+    const { error, recipient } = await findTransferRecipient(
+      req.user.id,
+      type,
+      value
+    );
+    if (error) {
+      return res
+        .status(error.status)
+        .json({ status: "ERROR", message: error.message });
+    }
+
+    return res.status(200).json({
+      status: "SUCCESS",
+      data: {
+        recipient: Transfer.getMaskedProfile(recipient),
+        canTransfer: true,
+      },
+    });
+  } catch (error) {
+    console.error("Transfer recipient lookup error:", error);
+    return res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
+// Preview a transfer: masked recipient, fee, limits and step-up requirement
+const previewTransfer = async (req, res) => {
+  try {
+    const { error, recipient, transferAmount } = await resolveTransferRequest(
+      req
+    );
+    if (error) {
+      return res
+        .status(error.status)
+        .json({ status: "ERROR", message: error.message });
+    }
+
+    const fee = Transfer.getFee();
+    const totalDebit = transferAmount + fee;
+    const [limitCheck, balances] = await Promise.all([
+      Transfer.checkLimits(req.user.id, req.user.role, transferAmount),
+      Wallet.getBothBalances(req.user.id),
+    ]);
+
+    return res.status(200).json({
+      status: "SUCCESS",
+      data: {
+        recipient: Transfer.getMaskedProfile(recipient),
+        amount: transferAmount,
+        fee,
+        totalDebit,
+        sufficientBalance: balances.main >= totalDebit,
+        withinLimits: limitCheck.allowed,
+        limitMessage: limitCheck.message,
+        limits: limitCheck.limits,
+        remaining: limitCheck.remaining,
+        requiresStepUp: Transfer.requiresStepUp(transferAmount),
+      },
+    });
+  } catch (error) {
+    console.error("Transfer preview error:", error);
+    return res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
+// Transfer between users (main wallet)
+const transferToUser = async (req, res) => {
+  try {
+    const fromUserId = req.user.id;
+    const { note, totpCode, backupCode } = req.body || {};
+
+    const { error, recipient, transferAmount } = await resolveTransferRequest(
+      req
+    );
+    if (error) {
+      return res
+        .status(error.status)
+        .json({ status: "ERROR", message: error.message });
+    }
+
+    const limitCheck = await Transfer.checkLimits(
+      fromUserId,
+      req.user.role,
+      transferAmount
+    );
+    if (!limitCheck.allowed) {
+      return res.status(403).json({
+        status: "ERROR",
+        message: limitCheck.message,
+        data: { limits: limitCheck.limits, remaining: limitCheck.remaining },
+      });
+    }
+
+    // High-value transfers need a TOTP or backup-code step-up
+    if (Transfer.requiresStepUp(transferAmount)) {
+      const stepUp = await Transfer.verifyStepUp(fromUserId, {
+        totpCode,
+        backupCode,
       });
+      if (!stepUp.ok) {
+        return res.status(401).json({
+          status: "ERROR",
+          message: stepUp.message,
+          data: { requiresStepUp: true },
+        });
+      }
     }
 
-    const feeRaw = parseFloat(process.env.TRANSFER_FEE_AMOUNT || "1");
-    const fee = Math.max(0, Number.isNaN(feeRaw) ? 0 : feeRaw);
+    const fee = Transfer.getFee();
     const totalDebit = transferAmount + fee;
 
     // Check balance with fee included
@@ -493,64 +951,29 @@ const transferToUser = async (req, res) => {
       });
     }
 
-    await db.transaction(async (trx) => {
-      const timestamp = trx.fn.now();
-
-      // Update balances
-      await Wallet.updateBalance(
-        fromUserId,
-        totalDebit,
-        "subtract",
-        "main",
-        trx
-      );
-      await Wallet.updateBalance(
-        recipient.id,
-        transferAmount,
-        "add",
-        "main",
-        trx
-      );
-
-      // Sender transaction (debit)
-      await trx("transactions").insert({
-        user_id: fromUserId,
-        wallet_type: "main",
-        transaction_type: "transfer",
-        amount: -transferAmount,
-        fee,
-        currency: "USD",
-        status: "completed",
-        description: note || `Transfer to ${recipient.phone_number}`,
-        metadata: JSON.stringify({
-          toUserId: recipient.id,
-          toPhoneNumber: recipient.phone_number,
-          note,
-        }),
-        created_at: timestamp,
-        updated_at: timestamp,
-      });
-
-      // Recipient transaction (credit)
-      await trx("transactions").insert({
-        user_id: recipient.id,
-        wallet_type: "main",
-        transaction_type: "transfer",
+    try {
+      await Transfer.execute({
+        sender: {
+          id: fromUserId,
+          phoneNumber: req.user.phoneNumber,
+          role: req.user.role,
+        },
+        recipient,
         amount: transferAmount,
-        fee: 0,
-        currency: "USD",
-        status: "completed",
-        description:
-          note || `Transfer from ${req.user.phoneNumber || fromUserId}`,
-        metadata: JSON.stringify({
-          fromUserId: fromUserId,
-          fromPhoneNumber: req.user.phoneNumber,
-          note,
-        }),
-        created_at: timestamp,
-        updated_at: timestamp,
+        note,
       });
-    });
+    } catch (error) {
+      // A concurrent transfer used up the limit after the check above
+      if (!error.limitCheck) throw error;
+      return res.status(403).json({
+        status: "ERROR",
+        message: error.limitCheck.message,
+        data: {
+          limits: error.limitCheck.limits,
+          remaining: error.limitCheck.remaining,
+        },
+      });
+    }
 
     logger.info("User transfer completed", {
       userId: fromUserId,
@@ -586,6 +1009,234 @@ const transferToUser = async (req, res) => {
   }
 };
 
+// Transfer settings: receive opt-out, limits and current usage
+const getTransferSettings = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const [user, limitCheck] = await Promise.all([
+      db("users").where({ id: userId }).select("accept_transfers").first(),
+      Transfer.checkLimits(userId, req.user.role, 0),
+    ]);
+
+    return res.status(200).json({
+      status: "SUCCESS",
+      data: {
+        acceptTransfers: !!user?.accept_transfers,
+        limits: limitCheck.limits,
+        usage: limitCheck.usage,
+        remaining: limitCheck.remaining,
+        stepUpThreshold: Transfer.getStepUpThreshold(),
+        fee: Transfer.getFee(),
+      },
+    });
+  } catch (error) {
+    console.error("Get transfer settings error:", error);
+    return res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
+// Opt in / out of receiving transfers
+const updateTransferSettings = async (req, res) => {
+  try {
+    const { acceptTransfers } = req.body || {};
+    if (typeof acceptTransfers !== "boolean") {
+      return res.status(400).json({
+        status: "ERROR",
+        message: "acceptTransfers must be true or false",
+      });
+    }
+
+    await db("users")
+      .where({ id: req.user.id })
+      .update({ accept_transfers: acceptTransfers, updated_at: new Date() });
+
+    return res.status(200).json({
+      status: "SUCCESS",
+      message: acceptTransfers
+        ? "You can now receive transfers"
+        : "Incoming transfers are now blocked",
+      data: { acceptTransfers },
+    });
+  } catch (error) {
+    console.error("Update transfer settings error:", error);
+    return res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
+// Schedule a one-off future or recurring (weekly / monthly) transfer.
+// Recipient checks and step-up follow /transfer; recipient, limits and balance are
+// re-checked on every run by scripts/scheduled-transfers.js.
+const createScheduledTransfer = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const {
+      note = null,
+      frequency = "once",
+      startDate,
+      endDate = null,
+      totpCode,
+      backupCode,
+    } = req.body || {};
+
+    if (!ScheduledTransfer.FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: `Frequency must be one of: ${ScheduledTransfer.FREQUENCIES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const todayStr = new Date().toISOString().split("T")[0];
+    if (!ScheduledTransfer.isValidDateStr(startDate) || startDate <= todayStr) {
+      return res.status(400).json({
+        status: "ERROR",
+        message: "startDate must be a future date (YYYY-MM-DD)",
+      });
+    }
+    if (
+      endDate &&
+      (frequency === "once" ||
+        !ScheduledTransfer.isValidDateStr(endDate) ||
+        endDate < startDate)
+    ) {
+      return res.status(400).json({
+        status: "ERROR",
+        message:
+          "endDate must be a date (YYYY-MM-DD) on or after startDate, for recurring transfers only",
+      });
+    }
+
+    const { error, recipient, transferAmount } = await resolveTransferRequest(
+      req
+    );
+    if (error) {
+      return res
+        .status(error.status)
+        .json({ status: "ERROR", message: error.message });
+    }
+
+    const maxActive = ScheduledTransfer.getMaxActive();
+    if (
+      maxActive > 0 &&
+      (await ScheduledTransfer.countActive(userId)) >= maxActive
+    ) {
+      return res.status(403).json({
+        status: "ERROR",
+        message: `You can have at most ${maxActive} active scheduled transfers`,
+      });
+    }
+
+    // Same step-up as an immediate transfer of this size, taken once at scheduling time
+    if (Transfer.requiresStepUp(transferAmount)) {
+      const stepUp = await Transfer.verifyStepUp(userId, {
+        totpCode,
+        backupCode,
+      });
+      if (!stepUp.ok) {
+        return res.status(401).json({
+          status: "ERROR",
+          message: stepUp.message,
+          data: { requiresStepUp: true },
+        });
+      }
+    }
+
+    const scheduled = await ScheduledTransfer.create({
+      userId,
+      recipientId: recipient.id,
+      amount: transferAmount,
+      note,
+      frequency,
+      startDate,
+      endDate,
+    });
+
+    logger.info("Scheduled transfer created", {
+      userId,
+      toUserId: recipient.id,
+      amount: transferAmount,
+      frequency,
+      scheduledTransferId: scheduled.id,
+      event: "wallet_transfer_scheduled",
+      meta: { type: "wallet" },
+    });
+
+    return res.status(201).json({
+      status: "SUCCESS",
+      message: "Transfer scheduled",
+      data: {
+        scheduledTransfer: {
+          ...scheduled,
+          recipient: Transfer.getMaskedProfile(recipient),
+        },
+        fee: Transfer.getFee(),
+      },
+    });
+  } catch (error) {
+    console.error("Create scheduled transfer error:", error);
+    return res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
+// List the user's scheduled transfers (?status=active|completed|cancelled|failed)
+const listScheduledTransfers = async (req, res) => {
+  try {
+    const scheduledTransfers = await ScheduledTransfer.findByUserId(
+      req.user.id,
+      { status: req.query.status || null }
+    );
+
+    return res.status(200).json({
+      status: "SUCCESS",
+      data: { scheduledTransfers },
+    });
+  } catch (error) {
+    console.error("List scheduled transfers error:", error);
+    return res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
+// Cancel an active scheduled transfer
+const cancelScheduledTransfer = async (req, res) => {
+  try {
+    const scheduled = await ScheduledTransfer.cancel(
+      req.user.id,
+      req.params.id
+    );
+    if (!scheduled) {
+      return res.status(404).json({
+        status: "ERROR",
+        message: "Active scheduled transfer not found",
+      });
+    }
+
+    return res.status(200).json({
+      status: "SUCCESS",
+      message: "Scheduled transfer cancelled",
+      data: { scheduledTransfer: scheduled },
+    });
+  } catch (error) {
+    console.error("Cancel scheduled transfer error:", error);
+    return res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
 // Handle deposit callback from NowPayment
 const handleDepositCallback = async (req, res) => {
   try {
@@ -593,7 +1244,7 @@ const handleDepositCallback = async (req, res) => {
 
     // Validate IPN if signature is provided
     if (req.headers["x-nowpayments-sig"]) {
-      const isValid = NowPaymentService.validateIPN(
+      const isValid = PaymentGateway.validateIPN(
         paymentData,
         req.headers["x-nowpayments-sig"]
       );
@@ -604,7 +1255,7 @@ const handleDepositCallback = async (req, res) => {
       }
     }
 
-    const processedData = await NowPaymentService.processDepositCallback(
+    const processedData = await PaymentGateway.processDepositCallback(
       paymentData
     );
 
@@ -619,205 +1270,107 @@ const handleDepositCallback = async (req, res) => {
         .json({ status: "ERROR", message: "Transaction not found" });
     }
 
-    // Parse existing metadata
-    let existingMetadata = {};
-    try {
-      if (typeof transaction.metadata === "string") {
-        existingMetadata = JSON.parse(transaction.metadata || "{}");
-      } else if (
-        typeof transaction.metadata === "object" &&
-        transaction.metadata !== null
-      ) {
-        existingMetadata = transaction.metadata;
+    const existingMetadata = Deposit.parseMeta(transaction.metadata);
+
+    // Same locked path as admin requery and the poller: credits at most once and
+    // never again once completed or partially paid
+    const updated = await Deposit.applyPaymentStatus(
+      transaction.id,
+      paymentData,
+      {
+        source: "ipn",
+        metadata: {
+          ...processedData,
+          last_callback_at: new Date().toISOString(),
+          callback_count: (existingMetadata.callback_count || 0) + 1,
+        },
       }
-    } catch (error) {
-      console.warn(
-        "Failed to parse transaction metadata in deposit callback:",
-        error
-      );
-      existingMetadata = {};
-    }
+    );
+    console.log(
+      `IXFLIX Deposit ${transaction.id}: IPN ${processedData.status}, now ${updated?.status}`
+    );
 
-    // Merge processed data with existing metadata
-    const updatedMetadata = {
-      ...existingMetadata,
-      ...processedData,
-      last_callback_at: new Date().toISOString(),
-      callback_count: (existingMetadata.callback_count || 0) + 1,
-    };
+    res.status(200).json({ status: "SUCCESS", message: "Callback processed" });
+  } catch (error) {
+    console.error("Deposit callback error:", error);
+    res.status(500).json({
+      status: "ERROR",
+      message: "Internal server error",
+    });
+  }
+};
+
+// Handle payout (withdrawal) IPN from the payment provider (signed, no auth)
+const handleWithdrawCallback = async (req, res) => {
+  try {
+    const payoutData = req.body || {};
+    const signature = req.headers["x-nowpayments-sig"];
 
-    // Update transaction based on status
+    // Payout IPNs refund or settle withdrawals, so they are never accepted unsigned
+    if (!PaymentGateway.ipnSecret) {
+      logger.error("Withdraw callback rejected: IPN secret not configured");
+      return res
+        .status(503)
+        .json({ status: "ERROR", message: "Callback not configured" });
+    }
+    if (!signature) {
+      return res
+        .status(401)
+        .json({ status: "ERROR", message: "Missing signature" });
+    }
     if (
-      (processedData.status === "completed" ||
-        processedData.status === "partially_paid") &&
-      transaction.status !== "completed"
+      !PaymentGateway.validateIPN(payoutData, signature, {
+        requireSecret: true,
+      })
     ) {
-      // Payment received - credit the wallet
-      await db.transaction(async (trx) => {
-        // Determine the USD amount to credit (Meta-Unity approach)
-        let creditAmount = 0;
-        let amountSource = "";
-
-        if (processedData.status === "completed") {
-          // COMPLETED: User paid in full, credit the expected amount
-          creditAmount = parseFloat(processedData.price_amount || 0);
-          amountSource = "price_amount (fully paid)";
-          console.log(
-            `IXFLIX Deposit ${
-              transaction.id
-            }: Payment completed - crediting full amount: $${creditAmount.toFixed(
-              2
-            )} USD`
-          );
-        } else if (processedData.status === "partially_paid") {
-          // PARTIALLY PAID: Calculate net amount after fees (Meta-Unity approach)
-          const grossUSD = parseFloat(processedData.actually_paid_at_fiat || 0);
-          const depositFeeUSDT = parseFloat(processedData.fee?.depositFee || 0);
-          const serviceFeeUSDT = parseFloat(processedData.fee?.serviceFee || 0);
-          const totalFeesUSDT = depositFeeUSDT + serviceFeeUSDT;
-          const totalFeesUSD = totalFeesUSDT; // 1:1 conversion for USDT stablecoin
-
-          if (grossUSD > 0) {
-            // Calculate net USD amount: gross USD - fees in USD
-            creditAmount = grossUSD - totalFeesUSD;
-            amountSource = "actually_paid_at_fiat minus fees";
-            console.log(
-              `IXFLIX Deposit ${
-                transaction.id
-              }: Partial payment - calculating net USD: Gross=$${grossUSD.toFixed(
-                2
-              )} - Fees=$${totalFeesUSD.toFixed(
-                2
-              )} = Net=$${creditAmount.toFixed(2)} USD`
-            );
-          } else if (
-            processedData.outcome_amount &&
-            parseFloat(processedData.outcome_amount) > 0
-          ) {
-            // Fallback: Use outcome_amount (in USDT) and treat as 1:1 with USD
-            creditAmount = parseFloat(processedData.outcome_amount);
-            amountSource = "outcome_amount (USDT treated as 1:1 USD)";
-            console.log(
-              `IXFLIX Deposit ${
-                transaction.id
-              }: Using outcome_amount: $${creditAmount.toFixed(
-                2
-              )} (USDT as USD fallback)`
-            );
-          } else if (
-            processedData.price_amount &&
-            parseFloat(processedData.price_amount) > 0
-          ) {
-            // Last resort: use expected price amount
-            creditAmount = parseFloat(processedData.price_amount);
-            amountSource = "price_amount (expected)";
-            console.log(
-              `IXFLIX Deposit ${
-                transaction.id
-              }: Using price_amount: $${creditAmount.toFixed(2)}`
-            );
-          }
-        }
-
-        if (creditAmount > 0) {
-          // For partially_paid, update status to partially_paid, not completed
-          const finalStatus =
-            processedData.status === "partially_paid"
-              ? "partially_paid"
-              : "completed";
-
-          // Mark transaction as completed with credited amount
-          updatedMetadata.credited_amount = creditAmount;
-          updatedMetadata.amount_source = amountSource;
-          updatedMetadata.credited_at = new Date().toISOString();
-          updatedMetadata.payment_complete = true;
-
-          await Transaction.updateStatus(
-            transaction.id,
-            finalStatus,
-            updatedMetadata,
-            trx
-          );
-
-          // Credit the wallet (use wallet_type from transaction metadata)
-          const walletType = existingMetadata.wallet_type || "main";
-          await Wallet.updateBalance(
-            transaction.user_id,
-            creditAmount,
-            "add",
-            walletType,
-            trx
-          );
-
-          if (processedData.status === "completed") {
-            console.log(
-              `IXFLIX Deposit ${
-                transaction.id
-              } completed (full payment): Credited $${creditAmount.toFixed(
-                2
-              )} USD [${amountSource}]`
-            );
-          } else if (processedData.status === "partially_paid") {
-            const grossUSD = parseFloat(
-              processedData.actually_paid_at_fiat || 0
-            );
-            const totalFeesUSDT =
-              parseFloat(processedData.fee?.depositFee || 0) +
-              parseFloat(processedData.fee?.serviceFee || 0);
-            console.log(
-              `IXFLIX Deposit ${transaction.id} completed with partial payment:`
-            );
-            console.log(`  - Expected: $${processedData.price_amount} USD`);
-            console.log(
-              `  - Paid: ${
-                processedData.actually_paid
-              } USDT = $${grossUSD.toFixed(2)} USD`
-            );
-            console.log(`  - Fees: ${totalFeesUSDT.toFixed(6)} USDT`);
-            console.log(
-              `  - Net Credited: $${creditAmount.toFixed(
-                2
-              )} USD [${amountSource}]`
-            );
-          }
-        } else {
-          console.error(
-            `IXFLIX Deposit ${transaction.id}: No valid amount to credit`
-          );
-          await Transaction.updateStatus(
-            transaction.id,
-            "failed",
-            updatedMetadata,
-            trx
-          );
-        }
-      });
-    } else if (processedData.status === "failed") {
-      // Payment failed - update status
-      await Transaction.updateStatus(transaction.id, "failed", updatedMetadata);
-      console.log(`IXFLIX Deposit ${transaction.id} failed`);
-    } else if (transaction.status === "completed") {
-      // Transaction already completed - do not credit again
-      await Transaction.update(transaction.id, { metadata: updatedMetadata });
-      console.log(
-        `IXFLIX Deposit ${transaction.id} already completed - callback ignored (no double credit)`
-      );
-    } else {
-      // Other statuses - update status and metadata only
-      await Transaction.updateStatus(
-        transaction.id,
-        processedData.status,
-        updatedMetadata
-      );
-      console.log(
-        `IXFLIX Deposit ${transaction.id} status updated to: ${processedData.status}`
-      );
+      return res
+        .status(400)
+        .json({ status: "ERROR", message: "Invalid signature" });
     }
 
-    res.status(200).json({ status: "SUCCESS", message: "Callback processed" });
+    const transaction = await Withdrawal.findByPayoutId(
+      payoutData.batch_withdrawal_id,
+      payoutData.id
+    );
+    if (!transaction) {
+      return res
+        .status(404)
+        .json({ status: "ERROR", message: "Transaction not found" });
+    }
+
+    const existingMetadata =
+      typeof transaction.metadata === "string"
+        ? JSON.parse(transaction.metadata || "{}")
+        : transaction.metadata || {};
+    const payoutStatus = Withdrawal.mapPayoutStatus(payoutData.status);
+
+    const updated = await Withdrawal.applyPayoutStatus(
+      transaction.id,
+      payoutData,
+      {
+        referenceType: "withdraw_ipn",
+        metadata: {
+          last_callback_at: new Date().toISOString(),
+          last_callback_status: payoutStatus,
+          callback_count: (existingMetadata.callback_count || 0) + 1,
+          raw_status: payoutData,
+        },
+      }
+    );
+
+    logger.info("Withdraw callback processed", {
+      transactionId: transaction.id,
+      payoutStatus: payoutData.status,
+      status: updated?.status,
+    });
+
+    return res.status(200).json({
+      status: "SUCCESS",
+      message: "Callback processed",
+    });
   } catch (error) {
-    console.error("Deposit callback error:", error);
-    res.status(500).json({
+    console.error("Withdraw callback error:", error);
+    return res.status(500).json({
       status: "ERROR",
       message: "Internal server error",
     });
@@ -1099,7 +1652,14 @@ const processManualDeposit = async (req, res) => {
           parseFloat(transaction.amount),
           "add",
           "main",
-          trx
+          trx,
+          {
+            entryType: "deposit",
+            referenceType: "manual_deposit",
+            referenceId: transaction.reference_id,
+            description: `Manual deposit ${transaction.reference_id}`,
+            contra: "custody",
+          }
         );
       });
 
@@ -1144,12 +1704,25 @@ module.exports = {
   getBalance,
   getTransactionHistory,
   getTransactionStats,
+  getWalletStatement,
+  getIncomeSummary,
   getIncentiveSummary,
   getWalletConfig,
   transferToUser,
+  previewTransfer,
+  lookupTransferRecipient,
+  getTransferSettings,
+  updateTransferSettings,
+  createScheduledTransfer,
+  listScheduledTransfers,
+  cancelScheduledTransfer,
   initiateDeposit,
   handleDepositCallback,
+  handleWithdrawCallback,
   initiateWithdraw,
+  getWithdrawalAddresses,
+  addWithdrawalAddress,
+  removeWithdrawalAddress,
   getPotentialPowerPassUp,
   getPotentialReceivedPowerPassUp,
   submitManualDeposit,
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+const MAX_KEY_LENGTH = 255;
+const KEY_TTL_HOURS = Math.max(1, parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10) || 24);
+const LOCK_SECONDS = Math.max(10, parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS || '120', 10) || 120);
+
+/**
+ * JSON with sorted object keys so the same payload always hashes the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function fingerprint(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+}
+
+function isExpired(row) {
+  return new Date(row.created_at).getTime() < Date.now() - KEY_TTL_HOURS * 60 * 60 * 1000;
+}
+
+function lockUntil() {
+  return new Date(Date.now() + LOCK_SECONDS * 1000);
+}
+
+// A processing key whose lease lapsed belongs to a request that died (crash, restart).
+// Rows from before locked_until existed use updated_at plus the lease.
+function isStale(row) {
+  const lockedUntil = row.locked_until
+    ? new Date(row.locked_until).getTime()
+    : new Date(row.updated_at).getTime() + LOCK_SECONDS * 1000;
+  return lockedUntil < Date.now();
+}
+
+// Claim a stale processing key; only one retry can win the update
+async function takeOver(row) {
+  if (!isStale(row)) return false;
+  const updated = await db('idempotency_keys')
+    .where({ id: row.id, status: 'processing' })
+    .where((qb) => {
+      if (row.locked_until) qb.where('locked_until', '<', new Date());
+      else qb.whereNull('locked_until');
+    })
+    .update({ locked_until: lockUntil(), updated_at: db.fn.now() });
+  return updated === 1;
+}
+
+/**
+ * Idempotency middleware for money-moving endpoints
+ * Requests carrying an Idempotency-Key header are recorded per user with a fingerprint
+ * of the payload. A repeat with the same key replays the stored response; reusing a key
+ * with a different payload is rejected with 422. Requests without the header pass through.
+ * 5xx responses, and responses not sent through res.json, release the key instead of storing it.
+ * While the handler runs the key's lease (locked_until) is renewed; a retry of a key whose
+ * lease lapsed takes it over, so a crashed request does not block its key until it expires.
+ * Must run after authenticate.
+ */
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      status: 'ERROR',
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const userId = req.user.id;
+  const requestHash = fingerprint(req);
+
+  try {
+    let existing = await db('idempotency_keys')
+      .where({ user_id: userId, idempotency_key: key })
+      .first();
+
+    // Expired keys can be reused
+    if (existing && isExpired(existing)) {
+      await db('idempotency_keys').where({ id: existing.id }).delete();
+      existing = null;
+    }
+
+    if (!existing) {
+      try {
+        await db('idempotency_keys').insert({
+          user_id: userId,
+          idempotency_key: key,
+          method: req.method,
+          path: `${req.baseUrl}${req.path}`,
+          request_hash: requestHash,
+          status: 'processing',
+          locked_until: lockUntil(),
+          created_at: db.fn.now(),
+          updated_at: db.fn.now()
+        });
+      } catch (err) {
+        // A concurrent request with the same key won the insert
+        if (!err || err.code !== 'ER_DUP_ENTRY') throw err;
+        existing = await db('idempotency_keys')
+          .where({ user_id: userId, idempotency_key: key })
+          .first();
+      }
+    }
+
+    if (existing) {
+      if (existing.request_hash !== requestHash) {
+        return res.status(422).json({
+          status: 'ERROR',
+          message: 'Idempotency-Key was already used with a different request'
+        });
+      }
+
+      if (existing.status === 'completed') {
+        const body =
+          typeof existing.response_body === 'string'
+            ? JSON.parse(existing.response_body)
+            : existing.response_body;
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status || 200).json(body);
+      }
+
+      if (!(await takeOver(existing))) {
+        return res.status(409).json({
+          status: 'ERROR',
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+    }
+
+    const keyRow = () => db('idempotency_keys').where({ user_id: userId, idempotency_key: key });
+    let settled = false;
+
+    // Renew the lease until the handler responds (even if the client went away meanwhile);
+    // a crashed process stops renewing it
+    const heartbeat = setInterval(() => {
+      keyRow()
+        .where({ status: 'processing' })
+        .update({ locked_until: lockUntil() })
+        .then((updated) => {
+          if (!updated) clearInterval(heartbeat);
+        })
+        .catch((err) => console.error('Idempotency key heartbeat error:', err));
+    }, (LOCK_SECONDS * 1000) / 3);
+    heartbeat.unref();
+
+    // Store the handler's response before sending it, so a fast retry replays it.
+    // 5xx responses are not stored: the key is released so the client can retry it.
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      clearInterval(heartbeat);
+      const write =
+        res.statusCode >= 500
+          ? keyRow().where({ status: 'processing' }).delete()
+          : keyRow().update({
+              status: 'completed',
+              response_status: res.statusCode,
+              response_body: JSON.stringify(body === undefined ? null : body),
+              updated_at: db.fn.now()
+            });
+      write
+        .catch((err) => console.error('Idempotency key store error:', err))
+        .finally(() => originalJson(body));
+      return res;
+    };
+
+    // A handler that ends the response without res.json leaves nothing to replay: release the key
+    res.on('finish', () => {
+      clearInterval(heartbeat);
+      if (settled) return;
+      keyRow()
+        .where({ status: 'processing' })
+        .delete()
+        .catch((err) => console.error('Idempotency key release error:', err));
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency check error:', error);
+    res.status(500).json({
+      status: 'ERROR',
+      message: 'Failed to process Idempotency-Key'
+    });
+  }
+}
+
+module.exports = {
+  idempotency
+};
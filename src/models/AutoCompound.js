@@ -0,0 +1,151 @@
+const db = require('../config/database');
+const Wallet = require('./Wallet');
+
+const REWARD_MODES = ['manual', 'auto_claim', 'auto_compound'];
+const AUTO_MODES = ['auto_claim', 'auto_compound'];
+// Compounding buys whole shares only
+const SHARE_PRICE = 25;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Per-stake auto-claim / auto-compound (stakes.reward_mode).
+ * Both modes claim pending rewards through the normal credit path, so the stake cap and
+ * Power Pass-Up apply exactly as for a manual claim. auto_compound then tracks what reached
+ * the wallet in stakes.compound_accrued and, once it covers a whole share, spends it on new
+ * shares: a top-up of the same stake while it is active and paid, otherwise a new stake.
+ * Compounded money is recycled rewards, so it pays no Catalyst, adds no Synergy volume
+ * and is not a Harvest sale.
+ */
+class AutoCompound {
+  static async setMode(stakeId, mode, trx = null) {
+    const query = trx || db;
+    const changes = { reward_mode: mode, updated_at: query.fn.now() };
+    // What accrued so far is already in the wallet; only auto_compound keeps counting it
+    if (mode !== 'auto_compound') changes.compound_accrued = 0;
+    await query('stakes').where({ id: stakeId }).update(changes);
+    return query('stakes').where({ id: stakeId }).first();
+  }
+
+  /**
+   * Claim a stake's pending rewards and, for auto_compound, roll whole shares.
+   * Returns null when the stake is missing or in manual mode.
+   */
+  static async processStake(stakeId, rewardIds = null) {
+    // Lazy load to avoid circular require issues (Stake runs this from the daily job)
+    const Stake = require('./Stake');
+
+    return db.transaction(async (trx) => {
+      const stake = await trx('stakes').where({ id: stakeId }).forUpdate().first();
+      if (!stake || !AUTO_MODES.includes(stake.reward_mode)) return null;
+
+      const credit = await Stake.creditPendingRewardsWithTransaction(stake.id, rewardIds, trx);
+      if (stake.reward_mode !== 'auto_compound') return { mode: stake.reward_mode, credit, compounded: null };
+
+      // The user may have withdrawn part of it meanwhile; never compound more than the balance
+      const wallet = await trx('wallets').where({ user_id: stake.user_id, wallet_type: 'main' }).forUpdate().first();
+      const balance = parseFloat(wallet?.balance || 0);
+      const accrued = round2(Math.min(parseFloat(stake.compound_accrued || 0) + credit.walletCredited, balance));
+      const amount = Math.floor(accrued / SHARE_PRICE) * SHARE_PRICE;
+
+      const compounded = amount > 0 ? await this.compound(stake, amount, trx) : null;
+      await trx('stakes')
+        .where({ id: stake.id })
+        .update({ compound_accrued: round2(accrued - (compounded ? amount : 0)), updated_at: trx.fn.now() });
+
+      return { mode: stake.reward_mode, credit, compounded };
+    });
+  }
+
+  // Spend `amount` (whole shares) from the wallet on new shares for `stake`'s owner
+  static async compound(stake, amount, trx) {
+    const Stake = require('./Stake');
+    // Crediting may have just capped the stake, so read its status again
+    const current = await trx('stakes').where({ id: stake.id }).first();
+
+    let target;
+    let upgrade = null;
+    if (current.status === 'active' && !current.is_free) {
+      ({ stake: target, upgrade } = await Stake.upgradeWithTransaction(current, amount, trx, 'compound'));
+    } else {
+      const packType = await Stake.getPackForShares(amount / SHARE_PRICE);
+      target = await Stake.createWithTransaction({ user_id: current.user_id, pack_type: packType, amount }, trx);
+      // The new stake keeps compounding
+      await trx('stakes')
+        .where({ id: target.id })
+        .update({ reward_mode: 'auto_compound', end_of_life_policy: current.end_of_life_policy });
+    }
+
+    const description = upgrade
+      ? `Stake #${current.id} rewards compounded into ${amount / SHARE_PRICE} share(s)`
+      : `Stake #${current.id} rewards compounded into new stake #${target.id} (${target.pack_type} pack)`;
+    await Wallet.updateBalance(current.user_id, amount, 'subtract', 'main', trx, {
+      entryType: 'stake_compound',
+      referenceType: 'stake',
+      referenceId: target.id,
+      description,
+      contra: 'stake_sales'
+    });
+    await trx('transactions').insert({
+      user_id: current.user_id,
+      wallet_type: 'main',
+      transaction_type: 'stake_compound',
+      reference_type: 'stake',
+      reference_id: String(target.id),
+      amount: -amount,
+      currency: 'USD',
+      status: 'completed',
+      description,
+      metadata: JSON.stringify({
+        source_stake_id: current.id,
+        upgrade_id: upgrade?.id || null,
+        new_stake: !upgrade
+      }),
+      created_at: trx.fn.now(),
+      updated_at: trx.fn.now()
+    });
+
+    return { amount, stake_id: target.id, new_stake: !upgrade, upgrade };
+  }
+
+  // Daily: claim (and compound) rewards of every active stake not in manual mode
+  static async run() {
+    const stakes = await db('stakes')
+      .where({ status: 'active' })
+      .whereIn('reward_mode', AUTO_MODES)
+      .orderBy('id', 'asc')
+      .select('id');
+
+    const result = {
+      stakes: stakes.length,
+      claimed: 0,
+      amount_claimed: 0,
+      compounded: 0,
+      amount_compounded: 0,
+      errors: 0
+    };
+    for (const { id } of stakes) {
+      try {
+        const outcome = await this.processStake(id);
+        if (!outcome) continue;
+        if (outcome.credit.totalAmount > 0) {
+          result.claimed++;
+          result.amount_claimed = round2(result.amount_claimed + outcome.credit.walletCredited);
+        }
+        if (outcome.compounded) {
+          result.compounded++;
+          result.amount_compounded += outcome.compounded.amount;
+        }
+      } catch (error) {
+        result.errors++;
+        console.error(`Stake ${id} auto-claim failed:`, error.message);
+      }
+    }
+    return result;
+  }
+}
+
+AutoCompound.REWARD_MODES = REWARD_MODES;
+AutoCompound.SHARE_PRICE = SHARE_PRICE;
+
+module.exports = AutoCompound;
@@ -0,0 +1,156 @@
+const db = require('../config/database');
+const Stake = require('./Stake');
+const Wallet = require('./Wallet');
+const RewardCap = require('./RewardCap');
+const PlanConfig = require('./PlanConfig');
+const Genealogy = require('./Genealogy');
+const { getSponsorChain } = require('./PowerPassUp');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Catalyst Bonus up the sponsor chain (genealogy.sponsor_id, not the binary parent).
+ * Level rates come from catalyst_rates and qualification/compression from catalyst_rules,
+ * both the versions in force. A sponsor takes a level when it holds an active pack and has
+ * the active directs that level requires; otherwise the level is skipped, or with compression
+ * handed to the next qualified sponsor. Payouts are clamped by the combined incentive cap
+ * (RewardCap) and every distribution is audited in catalyst_distributions.
+ */
+class Catalyst {
+  // Active directs a sponsor needs to take `level` (strictest qualification that applies)
+  static requiredDirects(level, qualifications) {
+    return qualifications
+      .filter((rule) => level >= rule.fromLevel)
+      .reduce((required, rule) => Math.max(required, rule.minActiveDirects), 0);
+  }
+
+  static async getPlan(at = new Date()) {
+    const [rates, rules] = await Promise.all([
+      PlanConfig.getActive('catalyst_rates', at),
+      PlanConfig.getActive('catalyst_rules', at)
+    ]);
+    return { rates: rates.value, ratesVersion: rates.version, rules: rules.value, rulesVersion: rules.version };
+  }
+
+  /**
+   * Pay the Catalyst Bonus on a stake purchase or top-up of `amount` by `originUserId`.
+   * Returns { paid, skippedNoPack, skippedDirects, zeroedByCap, compressed, totalPaid, distributionId }.
+   */
+  static async distribute({ originUserId, amount, referenceId, trx = null }) {
+    const query = trx || db;
+    const { rates, ratesVersion, rules, rulesVersion } = await this.getPlan();
+    const stats = { paid: 0, skippedNoPack: 0, skippedDirects: 0, zeroedByCap: 0, compressed: 0, totalPaid: 0 };
+
+    // With compression the search may go past the last rate to find qualified sponsors
+    const depth = rules.compression ? Math.max(rates.length, rules.maxDepth) : rates.length;
+    const chain = await getSponsorChain(originUserId, depth, query);
+    const needsDirects = rules.qualifications.some((rule) => rule.minActiveDirects > 0);
+    const [packInfo, directCounts, stakerProfile] = await Promise.all([
+      Stake.getUsersActivePackInfo(chain, query),
+      needsDirects ? Genealogy.getActiveDirectCounts(chain, query) : new Map(),
+      // Resolve staker label (name -> referral_code -> user id)
+      query('users').where({ id: originUserId }).select('name', 'referral_code').first()
+    ]);
+    const stakerLabel =
+      (stakerProfile?.name && stakerProfile.name.trim()) || stakerProfile?.referral_code || `user #${originUserId}`;
+
+    const levels = [];
+    let levelIndex = 0;
+    for (const [index, sponsorId] of chain.entries()) {
+      if (levelIndex >= rates.length) break;
+      const generation = index + 1;
+      const level = levelIndex + 1;
+      const rate = rates[levelIndex];
+      const entry = { generation, sponsor_id: sponsorId, level, rate, status: null, raw_amount: 0, paid: 0 };
+      levels.push(entry);
+
+      // Eligibility: sponsor must have an active pack (and the directs its level requires)
+      const required = this.requiredDirects(level, rules.qualifications);
+      if (!packInfo.get(sponsorId)?.highestPack) {
+        entry.status = 'skipped_no_pack';
+        stats.skippedNoPack += 1;
+      } else if ((directCounts.get(sponsorId) || 0) < required) {
+        entry.status = 'skipped_directs';
+        entry.required_directs = required;
+        stats.skippedDirects += 1;
+      }
+      if (entry.status) {
+        // Without compression the level is lost; with it the next sponsor is offered it
+        if (!rules.compression) levelIndex += 1;
+        continue;
+      }
+
+      levelIndex += 1;
+      if (generation !== level) stats.compressed += 1;
+      entry.raw_amount = round2(parseFloat(amount) * rate);
+      const { allowed } = await RewardCap.clampIncentive(sponsorId, parseFloat(amount) * rate, query);
+      if (allowed <= 0) {
+        entry.status = 'capped';
+        stats.zeroedByCap += 1;
+        continue;
+      }
+
+      // Credit sponsor wallet
+      await Wallet.updateBalance(sponsorId, allowed, 'add', 'main', trx, {
+        entryType: 'catalyst_bonus',
+        referenceType: 'stake',
+        referenceId,
+        description: `Catalyst bonus (level ${level}) from stake #${referenceId}`,
+        contra: 'reward_pool'
+      });
+
+      // Record transaction
+      await query('transactions').insert({
+        user_id: sponsorId,
+        wallet_type: 'main',
+        transaction_type: 'catalyst_bonus',
+        reference_type: 'stake',
+        reference_id: String(referenceId),
+        amount: allowed,
+        currency: 'USD',
+        status: 'completed',
+        description: `Catalyst bonus (level ${level}) from ${stakerLabel} stake #${referenceId}`,
+        metadata: JSON.stringify({
+          level,
+          generation,
+          rate,
+          plan_version: ratesVersion,
+          rules_version: rulesVersion
+        }),
+        created_at: query.fn.now(),
+        updated_at: query.fn.now()
+      });
+
+      entry.status = allowed < entry.raw_amount ? 'partial' : 'paid';
+      entry.paid = round2(allowed);
+      stats.paid += 1;
+      stats.totalPaid = round2(stats.totalPaid + allowed);
+    }
+
+    const [distributionId] = await query('catalyst_distributions').insert({
+      origin_user_id: originUserId,
+      stake_id: referenceId || null,
+      base_amount: round2(parseFloat(amount)),
+      total_paid: stats.totalPaid,
+      levels_paid: stats.paid,
+      compression: Boolean(rules.compression),
+      rates_version: ratesVersion,
+      rules_version: rulesVersion,
+      levels: JSON.stringify(levels),
+      created_at: query.fn.now()
+    });
+
+    return { ...stats, distributionId };
+  }
+
+  // Audit rows for a stake (purchase and each top-up), oldest first
+  static async getDistributions(stakeId) {
+    const rows = await db('catalyst_distributions').where({ stake_id: stakeId }).orderBy('id', 'asc');
+    return rows.map((row) => ({
+      ...row,
+      levels: typeof row.levels === 'string' ? JSON.parse(row.levels) : row.levels
+    }));
+  }
+}
+
+module.exports = Catalyst;
@@ -0,0 +1,168 @@
+const db = require('../config/database');
+const Wallet = require('./Wallet');
+const PaymentGateway = require('../services/PaymentGateway');
+
+const parseMeta = (metadata) => {
+  if (!metadata) return {};
+  if (typeof metadata === 'object') return metadata;
+  try {
+    return JSON.parse(metadata);
+  } catch (err) {
+    return {};
+  }
+};
+
+// Deposits in these states have been credited and never change status again
+const CREDITED_STATUSES = ['completed', 'partially_paid'];
+
+class Deposit {
+  // Provider payment status -> deposit transaction status
+  static mapPaymentStatus(paymentStatus) {
+    switch (paymentStatus) {
+      case 'finished':
+      case 'confirmed':
+        return 'completed';
+      case 'failed':
+      case 'expired':
+        return 'failed';
+      case 'partially_paid':
+        return 'partially_paid';
+      default:
+        return 'pending';
+    }
+  }
+
+  static getPaymentId(transaction) {
+    const metadata = parseMeta(transaction.metadata);
+    return metadata.payment_id || metadata.paymentId || metadata.payment?.payment_id || null;
+  }
+
+  // USD amount to credit for a completed / partially paid deposit (Meta-Unity approach)
+  static getCreditAmount(desiredStatus, processed) {
+    if (desiredStatus === 'completed') {
+      // COMPLETED: User paid in full, credit the expected amount
+      return { creditAmount: parseFloat(processed.price_amount || 0), amountSource: 'price_amount (fully paid)' };
+    }
+
+    // PARTIALLY PAID: Calculate net amount after fees
+    const grossUSD = parseFloat(processed.actually_paid_at_fiat || 0);
+    const depositFeeUSDT = parseFloat(processed.fee?.depositFee || 0);
+    const serviceFeeUSDT = parseFloat(processed.fee?.serviceFee || 0);
+    const totalFeesUSD = depositFeeUSDT + serviceFeeUSDT; // 1:1 conversion for USDT stablecoin
+
+    if (grossUSD > 0) {
+      return { creditAmount: grossUSD - totalFeesUSD, amountSource: 'actually_paid_at_fiat minus fees' };
+    }
+    if (processed.outcome_amount && parseFloat(processed.outcome_amount) > 0) {
+      // Fallback: Use outcome_amount (in USDT) and treat as 1:1 with USD
+      return { creditAmount: parseFloat(processed.outcome_amount), amountSource: 'outcome_amount (USDT treated as 1:1 USD)' };
+    }
+    if (processed.price_amount && parseFloat(processed.price_amount) > 0) {
+      // Last resort: use expected price amount
+      return { creditAmount: parseFloat(processed.price_amount), amountSource: 'price_amount (expected)' };
+    }
+    return { creditAmount: 0, amountSource: '' };
+  }
+
+  /**
+   * Apply a provider payment status (IPN, admin requery or poller) to a deposit transaction.
+   * The row is locked so the wallet is credited at most once; credited deposits keep their
+   * status and only get `metadata` merged in.
+   * Returns the updated transaction, or null if it does not exist.
+   */
+  static async applyPaymentStatus(transactionId, paymentStatus, { source = 'requery', metadata = {} } = {}) {
+    const processed = await PaymentGateway.processDepositCallback(paymentStatus);
+    const desiredStatus = this.mapPaymentStatus(paymentStatus.payment_status || paymentStatus.status || processed.status);
+
+    await db.transaction(async (trx) => {
+      const transaction = await trx('transactions')
+        .where({ id: transactionId, transaction_type: 'deposit' })
+        .forUpdate()
+        .first();
+      if (!transaction) return;
+
+      const updatedMetadata = {
+        ...parseMeta(transaction.metadata),
+        ...metadata,
+        raw_status: paymentStatus
+      };
+
+      if (CREDITED_STATUSES.includes(transaction.status)) {
+        await trx('transactions')
+          .where({ id: transaction.id })
+          .update({ metadata: JSON.stringify(updatedMetadata), updated_at: trx.fn.now() });
+        return;
+      }
+
+      if (!CREDITED_STATUSES.includes(desiredStatus)) {
+        await trx('transactions')
+          .where({ id: transaction.id })
+          .update({
+            status: desiredStatus,
+            metadata: JSON.stringify(updatedMetadata),
+            updated_at: trx.fn.now()
+          });
+        return;
+      }
+
+      const { creditAmount, amountSource } = this.getCreditAmount(desiredStatus, processed);
+      if (creditAmount <= 0) {
+        console.error(`IXFLIX Deposit ${transaction.id}: No valid amount to credit`);
+        await trx('transactions')
+          .where({ id: transaction.id })
+          .update({ status: 'failed', metadata: JSON.stringify(updatedMetadata), updated_at: trx.fn.now() });
+        return;
+      }
+      updatedMetadata.credited_amount = creditAmount;
+      updatedMetadata.amount_source = amountSource;
+      updatedMetadata.credited_at = new Date().toISOString();
+      updatedMetadata.payment_complete = desiredStatus === 'completed';
+
+      await trx('transactions')
+        .where({ id: transaction.id })
+        .update({
+          status: desiredStatus,
+          metadata: JSON.stringify(updatedMetadata),
+          updated_at: trx.fn.now()
+        });
+
+      await Wallet.updateBalance(transaction.user_id, creditAmount, 'add', updatedMetadata.wallet_type || 'main', trx, {
+        entryType: 'deposit',
+        referenceType: 'nowpayment',
+        referenceId: transaction.reference_id,
+        description: `NowPayments deposit ${transaction.reference_id} (${source})`,
+        contra: 'custody'
+      });
+    });
+
+    return db('transactions').where({ id: transactionId }).first();
+  }
+
+  // Mark an abandoned pending deposit invoice as expired
+  static async expire(transactionId, metadata = {}) {
+    return db.transaction(async (trx) => {
+      const transaction = await trx('transactions')
+        .where({ id: transactionId, transaction_type: 'deposit', status: 'pending' })
+        .forUpdate()
+        .first();
+      if (!transaction) return false;
+
+      await trx('transactions')
+        .where({ id: transaction.id })
+        .update({
+          status: 'expired',
+          metadata: JSON.stringify({
+            ...parseMeta(transaction.metadata),
+            ...metadata,
+            expired_at: new Date().toISOString()
+          }),
+          updated_at: trx.fn.now()
+        });
+      return true;
+    });
+  }
+}
+
+Deposit.parseMeta = parseMeta;
+
+module.exports = Deposit;
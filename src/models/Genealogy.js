@@ -526,6 +526,74 @@ class Genealogy {
       throw error;
     }
   }
+
+  // Sponsored members with an active stake, per sponsor (Map sponsor_id -> count)
+  static async getActiveDirectCounts(sponsorIds, trx = null) {
+    try {
+      const counts = new Map();
+      if (!sponsorIds.length) return counts;
+      const query = trx || db;
+      const rows = await query('genealogy as g')
+        .whereIn('g.sponsor_id', sponsorIds)
+        .whereExists(query('stakes as s').whereRaw('s.user_id = g.user_id').where('s.status', 'active'))
+        .groupBy('g.sponsor_id')
+        .select('g.sponsor_id', query.raw('COUNT(*) as directs'));
+      for (const row of rows) counts.set(Number(row.sponsor_id), Number(row.directs));
+      return counts;
+    } catch (error) {
+      console.error('Error getting active direct counts:', error);
+      throw error;
+    }
+  }
+
+  // Members under each binary leg (left/right child's whole subtree); active = verified with an active stake
+  static async getLegMemberCounts(userId) {
+    try {
+      const raw = await db.raw(
+        `
+          WITH RECURSIVE leg AS (
+            SELECT g.user_id, g.position AS leg
+            FROM genealogy g
+            WHERE g.parent_id = ?
+
+            UNION ALL
+
+            SELECT g.user_id, leg.leg
+            FROM genealogy g
+            INNER JOIN leg ON g.parent_id = leg.user_id
+          )
+          SELECT
+            leg.leg,
+            COUNT(*) AS members,
+            SUM(
+              CASE WHEN u.is_verified = 1 AND EXISTS (
+                SELECT 1 FROM stakes s WHERE s.user_id = leg.user_id AND s.status = 'active'
+              ) THEN 1 ELSE 0 END
+            ) AS active
+          FROM leg
+          INNER JOIN users u ON u.id = leg.user_id
+          GROUP BY leg.leg
+        `,
+        [userId]
+      );
+
+      const rows = Array.isArray(raw) ? (raw[0] || []) : (raw?.rows || []);
+      const counts = {
+        left: { total: 0, active: 0, inactive: 0 },
+        right: { total: 0, active: 0, inactive: 0 }
+      };
+      for (const row of rows) {
+        if (!counts[row.leg]) continue;
+        const total = Number(row.members);
+        const active = Number(row.active || 0);
+        counts[row.leg] = { total, active, inactive: total - active };
+      }
+      return counts;
+    } catch (error) {
+      console.error('Error getting leg member counts:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = Genealogy;
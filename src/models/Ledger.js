@@ -0,0 +1,274 @@
+const db = require('../config/database');
+
+// System accounts on the other side of user wallet movements.
+// User wallets themselves are liabilities: money the platform owes its users.
+const SYSTEM_ACCOUNTS = {
+  custody: { name: 'Payment provider custody', account_type: 'asset' },
+  payout_clearing: { name: 'Payout clearing (withdrawals in flight)', account_type: 'liability' },
+  transfer_clearing: { name: 'Internal transfer clearing', account_type: 'liability' },
+  fees: { name: 'Fee income', account_type: 'income' },
+  stake_sales: { name: 'Energy pack sales', account_type: 'income' },
+  reward_pool: { name: 'Reward pool (Core, Harvest, Catalyst, Synergy, Power Pass-Up)', account_type: 'expense' },
+  adjustments: { name: 'Admin adjustments', account_type: 'equity' },
+  opening_balance: { name: 'Opening balances', account_type: 'equity' },
+  suspense: { name: 'Suspense (movements without a contra account)', account_type: 'liability' }
+};
+
+// Accounts whose balance grows with credits
+const CREDIT_NORMAL_TYPES = ['liability', 'equity', 'income'];
+
+const toCents = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+const userAccountCode = (userId, walletType = 'main') => `user:${userId}:${walletType}`;
+const systemAccountCode = (key) => `system:${key}`;
+
+class Ledger {
+  // Get or create an account by code
+  static async ensureAccount(code, attrs, trx = null) {
+    const query = trx || db;
+    const existing = await query('ledger_accounts').where({ code }).first();
+    if (existing) return existing;
+
+    try {
+      await query('ledger_accounts').insert({
+        code,
+        ...attrs,
+        created_at: query.fn.now(),
+        updated_at: query.fn.now()
+      });
+    } catch (err) {
+      // Another request created it concurrently
+      if (!err || err.code !== 'ER_DUP_ENTRY') throw err;
+    }
+
+    return await query('ledger_accounts').where({ code }).first();
+  }
+
+  static async getUserAccount(userId, walletType = 'main', trx = null) {
+    return this.ensureAccount(
+      userAccountCode(userId, walletType),
+      {
+        name: `User ${userId} ${walletType} wallet`,
+        account_type: 'liability',
+        user_id: userId,
+        wallet_type: walletType
+      },
+      trx
+    );
+  }
+
+  static async getSystemAccount(key, trx = null) {
+    const def = SYSTEM_ACCOUNTS[key];
+    if (!def) {
+      throw new Error(`Unknown system ledger account: ${key}`);
+    }
+    return this.ensureAccount(systemAccountCode(key), def, trx);
+  }
+
+  /**
+   * Post a balanced journal entry.
+   * Each line targets either a system account key (`account`) or a resolved `accountId`,
+   * and carries exactly one of `debit` / `credit`. Throws if debits and credits differ.
+   */
+  static async postEntry({ entryType, referenceType = null, referenceId = null, description = null, lines }, trx) {
+    if (!trx) {
+      return db.transaction((innerTrx) =>
+        this.postEntry({ entryType, referenceType, referenceId, description, lines }, innerTrx)
+      );
+    }
+
+    const normalized = (lines || [])
+      .map((line) => ({
+        ...line,
+        debit: toCents(line.debit),
+        credit: toCents(line.credit)
+      }))
+      .filter((line) => line.debit !== 0 || line.credit !== 0);
+
+    if (normalized.length < 2) {
+      throw new Error('Ledger entry requires at least two non-zero lines');
+    }
+
+    let totalDebit = 0;
+    let totalCredit = 0;
+    for (const line of normalized) {
+      if (line.debit < 0 || line.credit < 0 || (line.debit > 0 && line.credit > 0)) {
+        throw new Error('Ledger line must be a single non-negative debit or credit');
+      }
+      totalDebit += line.debit;
+      totalCredit += line.credit;
+    }
+
+    if (toCents(totalDebit) !== toCents(totalCredit)) {
+      throw new Error(
+        `Unbalanced ledger entry (${entryType}): debits ${totalDebit.toFixed(2)} != credits ${totalCredit.toFixed(2)}`
+      );
+    }
+
+    const [entryId] = await trx('ledger_entries').insert({
+      entry_type: entryType,
+      reference_type: referenceType,
+      reference_id: referenceId !== null && referenceId !== undefined ? String(referenceId) : null,
+      description,
+      created_at: trx.fn.now()
+    });
+
+    const rows = [];
+    for (const line of normalized) {
+      const accountId = line.accountId || (await this.getSystemAccount(line.account, trx)).id;
+      rows.push({
+        entry_id: entryId,
+        account_id: accountId,
+        debit: line.debit,
+        credit: line.credit,
+        created_at: trx.fn.now()
+      });
+    }
+    await trx('ledger_lines').insert(rows);
+
+    return entryId;
+  }
+
+  /**
+   * Post the journal entry for a user wallet movement.
+   * `journal.contra` is a system account key, or a list of { account, amount } splits
+   * (e.g. withdraw amount to payout clearing + fee to fee income) that sum to `amount`.
+   */
+  static async postWalletMovement({ userId, walletType = 'main', amount, operation, journal = {} }, trx) {
+    const total = toCents(amount);
+    if (total === 0) return null;
+
+    const userAccount = await this.getUserAccount(userId, walletType, trx);
+    const splits = Array.isArray(journal.contra)
+      ? journal.contra.map((c) => ({ account: c.account, amount: toCents(c.amount) })).filter((c) => c.amount !== 0)
+      : [{ account: journal.contra || 'suspense', amount: total }];
+
+    // Push any cent rounding difference onto the last split so the entry always balances
+    const splitTotal = splits.reduce((sum, c) => sum + c.amount, 0);
+    if (splits.length > 0) {
+      splits[splits.length - 1].amount = toCents(splits[splits.length - 1].amount + (total - splitTotal));
+    }
+
+    // add: debit contra, credit user wallet (platform owes more); subtract: the reverse
+    const isCredit = operation === 'add';
+    const lines = [
+      { accountId: userAccount.id, debit: isCredit ? 0 : total, credit: isCredit ? total : 0 },
+      ...splits.map((c) => ({
+        account: c.account,
+        debit: isCredit ? c.amount : 0,
+        credit: isCredit ? 0 : c.amount
+      }))
+    ];
+
+    return this.postEntry(
+      {
+        entryType: journal.entryType || 'adjustment',
+        referenceType: journal.referenceType || null,
+        referenceId: journal.referenceId ?? null,
+        description: journal.description || null,
+        lines
+      },
+      trx
+    );
+  }
+
+  // Signed balance of an account in its normal direction
+  static async getAccountBalance(accountId, trx = null) {
+    const query = trx || db;
+    const account = await query('ledger_accounts').where({ id: accountId }).first();
+    if (!account) return null;
+
+    const row = await query('ledger_lines')
+      .where({ account_id: accountId })
+      .sum({ debit: 'debit', credit: 'credit' })
+      .first();
+
+    const debit = parseFloat(row?.debit || 0);
+    const credit = parseFloat(row?.credit || 0);
+    const balance = CREDIT_NORMAL_TYPES.includes(account.account_type) ? credit - debit : debit - credit;
+    return toCents(balance);
+  }
+
+  static async getUserBalance(userId, walletType = 'main', trx = null) {
+    const query = trx || db;
+    const account = await query('ledger_accounts')
+      .where({ code: userAccountCode(userId, walletType) })
+      .first();
+    if (!account) return 0;
+    return this.getAccountBalance(account.id, query);
+  }
+
+  // Trial balance: per-account totals; debits must equal credits across the whole ledger
+  static async getTrialBalance() {
+    const rows = await db('ledger_accounts as a')
+      .leftJoin('ledger_lines as l', 'l.account_id', 'a.id')
+      .groupBy('a.id', 'a.code', 'a.name', 'a.account_type', 'a.user_id')
+      .select(
+        'a.id',
+        'a.code',
+        'a.name',
+        'a.account_type',
+        'a.user_id',
+        db.raw('COALESCE(SUM(l.debit), 0) as total_debit'),
+        db.raw('COALESCE(SUM(l.credit), 0) as total_credit')
+      );
+
+    const totals = { debit: 0, credit: 0 };
+    const byType = {};
+    const systemAccounts = [];
+    let userWallets = 0;
+
+    for (const r of rows) {
+      const debit = parseFloat(r.total_debit || 0);
+      const credit = parseFloat(r.total_credit || 0);
+      const balance = toCents(
+        CREDIT_NORMAL_TYPES.includes(r.account_type) ? credit - debit : debit - credit
+      );
+      totals.debit += debit;
+      totals.credit += credit;
+      byType[r.account_type] = toCents((byType[r.account_type] || 0) + balance);
+
+      if (r.user_id) {
+        userWallets = toCents(userWallets + balance);
+      } else {
+        systemAccounts.push({ code: r.code, name: r.name, account_type: r.account_type, debit, credit, balance });
+      }
+    }
+
+    return {
+      total_debit: toCents(totals.debit),
+      total_credit: toCents(totals.credit),
+      balanced: toCents(totals.debit) === toCents(totals.credit),
+      by_type: byType,
+      user_wallets_total: userWallets,
+      system_accounts: systemAccounts
+    };
+  }
+
+  // Journal lines for a user's wallet account (newest first)
+  static async getUserEntries(userId, { walletType = 'main', limit = 50, offset = 0 } = {}) {
+    return db('ledger_lines as l')
+      .join('ledger_accounts as a', 'l.account_id', 'a.id')
+      .join('ledger_entries as e', 'l.entry_id', 'e.id')
+      .where('a.code', userAccountCode(userId, walletType))
+      .select(
+        'e.id as entry_id',
+        'e.entry_type',
+        'e.reference_type',
+        'e.reference_id',
+        'e.description',
+        'l.debit',
+        'l.credit',
+        'e.created_at'
+      )
+      .orderBy('e.id', 'desc')
+      .limit(limit)
+      .offset(offset);
+  }
+}
+
+Ledger.SYSTEM_ACCOUNTS = SYSTEM_ACCOUNTS;
+Ledger.userAccountCode = userAccountCode;
+Ledger.toCents = toCents;
+
+module.exports = Ledger;
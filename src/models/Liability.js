@@ -0,0 +1,273 @@
+const db = require('../config/database');
+const RewardCap = require('./RewardCap');
+const PaymentGateway = require('../services/PaymentGateway');
+
+const PROJECTION_DAYS = [30, 90];
+// Stakes that can still pay out: paused ones keep their cap and an admin can reactivate them
+const OPEN_STAKE_STATUSES = ['active', 'paused'];
+// Withdrawals debited from wallets but not yet paid out or refunded
+const OPEN_WITHDRAW_STATUSES = ['pending', 'pending_review'];
+// Custody balances in these currencies are counted 1:1 as USD (same assumption as deposits)
+const USD_STABLECOIN_PREFIXES = ['usdt', 'usdc'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Cap still open on a stake: amount * max_reward_limit / 100 - rewards earned (incl. upgrade carry-over)
+const REMAINING_CAP_SQL = `
+  GREATEST(
+    0,
+    amount * max_reward_limit / 100 - total_rewards_earned - COALESCE(reward_cap_adjustment, 0)
+  )
+`;
+
+/**
+ * Outstanding obligations of the platform against the custody balance.
+ * - Immediate: wallet balances users can withdraw, plus withdrawals already debited but not sent.
+ * - Contingent: what active and paused stakes and the combined incentive cap can still pay out
+ *   (paused stakes are also reported on their own line).
+ */
+class Liability {
+  static async getStakeCaps() {
+    const rows = await db('stakes')
+      .whereIn('status', OPEN_STAKE_STATUSES)
+      .groupBy('pack_type', 'status')
+      .select(
+        'pack_type',
+        'status',
+        db.raw('COUNT(*) as stake_count'),
+        db.raw('COALESCE(SUM(amount), 0) as principal'),
+        db.raw(`COALESCE(SUM(${REMAINING_CAP_SQL}), 0) as remaining_cap`)
+      );
+
+    const pending = await db('stake_rewards')
+      .join('stakes', 'stake_rewards.stake_id', 'stakes.id')
+      .whereIn('stakes.status', OPEN_STAKE_STATUSES)
+      .where({ 'stake_rewards.status': 'pending' })
+      .sum({ total: 'stake_rewards.total_reward' })
+      .first();
+
+    const byPack = {};
+    const totals = { stakes: 0, principal: 0, remaining_cap: 0 };
+    const paused = { stakes: 0, principal: 0, remaining_cap: 0 };
+    for (const row of rows) {
+      const count = Number(row.stake_count || 0);
+      const rowPrincipal = parseFloat(row.principal || 0);
+      const rowRemaining = parseFloat(row.remaining_cap || 0);
+      const pack = byPack[row.pack_type] || { stakes: 0, principal: 0, remaining_cap: 0 };
+      byPack[row.pack_type] = {
+        stakes: pack.stakes + count,
+        principal: round2(pack.principal + rowPrincipal),
+        remaining_cap: round2(pack.remaining_cap + rowRemaining)
+      };
+      for (const bucket of row.status === 'paused' ? [totals, paused] : [totals]) {
+        bucket.stakes += count;
+        bucket.principal += rowPrincipal;
+        bucket.remaining_cap += rowRemaining;
+      }
+    }
+
+    return {
+      active_stakes: totals.stakes - paused.stakes,
+      principal: round2(totals.principal),
+      // Active and paused stakes
+      remaining_cap: round2(totals.remaining_cap),
+      // Already accrued in stake_rewards and waiting to be claimed (part of remaining_cap)
+      pending_rewards: round2(parseFloat(pending?.total || 0)),
+      paused: {
+        stakes: paused.stakes,
+        principal: round2(paused.principal),
+        remaining_cap: round2(paused.remaining_cap)
+      },
+      by_pack: byPack
+    };
+  }
+
+  // RewardCap headroom (Catalyst + Synergy + Power Pass-Up) summed over users with an active or paused pack.
+  // paused_available: extra headroom paused stakes would add if reactivated (included in available).
+  static async getIncentiveHeadroom() {
+    const users = await db('stakes').whereIn('status', OPEN_STAKE_STATUSES).distinct('user_id');
+    const userIds = users.map((row) => row.user_id);
+    const [capInfo, withPaused] = await Promise.all([
+      RewardCap.getCapInfoForUsers(userIds),
+      RewardCap.getCapInfoForUsers(userIds, null, OPEN_STAKE_STATUSES)
+    ]);
+
+    let capAmount = 0;
+    let used = 0;
+    let available = 0;
+    let usersAtCap = 0;
+    for (const info of withPaused.values()) {
+      capAmount += info.capAmount;
+      used += info.used;
+      available += info.available;
+      if (info.available <= 0) usersAtCap += 1;
+    }
+    let activeAvailable = 0;
+    for (const info of capInfo.values()) activeAvailable += info.available;
+
+    return {
+      users: withPaused.size,
+      users_at_cap: usersAtCap,
+      cap_amount: round2(capAmount),
+      used: round2(used),
+      available: round2(available),
+      paused_available: round2(Math.max(0, available - activeAvailable))
+    };
+  }
+
+  static async getWalletBalances() {
+    const rows = await db('wallets')
+      .groupBy('wallet_type')
+      .select(
+        'wallet_type',
+        db.raw('COUNT(*) as wallet_count'),
+        db.raw('COALESCE(SUM(balance), 0) as total'),
+        db.raw('COALESCE(SUM(CASE WHEN balance < 0 THEN balance ELSE 0 END), 0) as negative_total')
+      );
+
+    const byType = {};
+    let total = 0;
+    for (const row of rows) {
+      byType[row.wallet_type] = {
+        wallets: Number(row.wallet_count || 0),
+        total: round2(parseFloat(row.total || 0)),
+        negative_total: round2(parseFloat(row.negative_total || 0))
+      };
+      total += parseFloat(row.total || 0);
+    }
+    return { total: round2(total), by_type: byType };
+  }
+
+  static async getPendingWithdrawals() {
+    const rows = await db('transactions')
+      .where({ transaction_type: 'withdraw' })
+      .whereIn('status', OPEN_WITHDRAW_STATUSES)
+      .groupBy('status')
+      .select('status', db.raw('COUNT(*) as withdraw_count'), db.raw('COALESCE(SUM(ABS(amount)), 0) as total'));
+
+    const byStatus = {};
+    let count = 0;
+    let total = 0;
+    for (const row of rows) {
+      byStatus[row.status] = { count: Number(row.withdraw_count || 0), amount: round2(parseFloat(row.total || 0)) };
+      count += Number(row.withdraw_count || 0);
+      total += parseFloat(row.total || 0);
+    }
+    return { count, amount: round2(total), by_status: byStatus };
+  }
+
+  // Provider custody balance; USD stablecoins are totalled 1:1, other currencies are listed as-is
+  static async getCustody() {
+    try {
+      const balances = (await PaymentGateway.getBalance()) || {};
+      let usd = 0;
+      let pendingUsd = 0;
+      for (const [currency, balance] of Object.entries(balances)) {
+        if (!USD_STABLECOIN_PREFIXES.some((prefix) => currency.toLowerCase().startsWith(prefix))) continue;
+        usd += parseFloat(balance?.amount || 0);
+        pendingUsd += parseFloat(balance?.pendingAmount || 0);
+      }
+      return { available: true, usd: round2(usd), pending_usd: round2(pendingUsd), balances };
+    } catch (error) {
+      return { available: false, usd: null, pending_usd: null, error: error.message };
+    }
+  }
+
+  /**
+   * Gross Core Energy payouts per day if every active paid stake keeps paying
+   * amount * daily_roi_rate until its remaining cap runs out (staker share and
+   * Power Pass-Up together; Harvest depends on future sales and is left out).
+   */
+  static async projectCore(horizons = PROJECTION_DAYS) {
+    const maxDays = Math.max(...horizons);
+    const stakes = await db('stakes')
+      .where({ status: 'active', is_free: false })
+      .select(db.raw('amount * daily_roi_rate as daily_core'), db.raw(`${REMAINING_CAP_SQL} as remaining_cap`));
+
+    // Difference array: each stake pays daily_core for whole days, then what is left of its cap
+    const changes = new Array(maxDays + 1).fill(0);
+    const stakesCapped = Object.fromEntries(horizons.map((days) => [days, 0]));
+    for (const stake of stakes) {
+      const daily = parseFloat(stake.daily_core || 0);
+      const remaining = parseFloat(stake.remaining_cap || 0);
+      if (daily <= 0 || remaining <= 0) continue;
+
+      const fullDays = Math.floor(remaining / daily);
+      const lastDay = Math.min(fullDays, maxDays);
+      changes[0] += daily;
+      changes[lastDay] -= daily;
+      if (fullDays < maxDays) {
+        const partial = remaining - fullDays * daily;
+        changes[fullDays] += partial;
+        changes[fullDays + 1] -= partial;
+      }
+
+      for (const days of horizons) {
+        if (remaining <= daily * days) stakesCapped[days] += 1;
+      }
+    }
+
+    const daily = [];
+    const start = new Date();
+    let running = 0;
+    for (let day = 0; day < maxDays; day++) {
+      running += changes[day];
+      const date = new Date(start.getTime() + day * 86400000).toISOString().split('T')[0];
+      daily.push({ date, core: round2(Math.max(0, running)) });
+    }
+
+    const projection = {};
+    for (const days of horizons) {
+      const total = daily.slice(0, days).reduce((sum, row) => sum + row.core, 0);
+      projection[`${days}_days`] = {
+        total: round2(total),
+        average_daily: round2(total / days),
+        stakes_reaching_cap: stakesCapped[days]
+      };
+    }
+
+    return { current_daily: daily[0]?.core || 0, ...projection, daily };
+  }
+
+  static async getReport() {
+    const [stakeCaps, incentiveHeadroom, walletBalances, pendingWithdrawals, custody, coreProjection] =
+      await Promise.all([
+        this.getStakeCaps(),
+        this.getIncentiveHeadroom(),
+        this.getWalletBalances(),
+        this.getPendingWithdrawals(),
+        this.getCustody(),
+        this.projectCore()
+      ]);
+
+    const immediate = walletBalances.total + pendingWithdrawals.amount;
+    const contingent = stakeCaps.remaining_cap + incentiveHeadroom.available;
+    const ratio = (obligations) =>
+      custody.available && obligations > 0 ? Math.round((custody.usd / obligations) * 10000) / 10000 : null;
+
+    return {
+      generated_at: new Date(),
+      summary: {
+        immediate_obligations: round2(immediate),
+        contingent_obligations: round2(contingent),
+        total_obligations: round2(immediate + contingent),
+        custody_usd: custody.usd,
+        immediate_coverage_ratio: ratio(immediate),
+        total_coverage_ratio: ratio(immediate + contingent),
+        immediate_shortfall: custody.available ? round2(Math.max(0, immediate - custody.usd)) : null,
+        core_next_30_days: coreProjection['30_days'].total,
+        core_next_90_days: coreProjection['90_days'].total
+      },
+      wallet_balances: walletBalances,
+      pending_withdrawals: pendingWithdrawals,
+      stake_caps: stakeCaps,
+      incentive_headroom: incentiveHeadroom,
+      custody,
+      core_projection: coreProjection
+    };
+  }
+}
+
+Liability.PROJECTION_DAYS = PROJECTION_DAYS;
+
+module.exports = Liability;
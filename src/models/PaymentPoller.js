@@ -0,0 +1,245 @@
+const db = require('../config/database');
+const JobRun = require('./JobRun');
+const Deposit = require('./Deposit');
+const Withdrawal = require('./Withdrawal');
+const PaymentGateway = require('../services/PaymentGateway');
+
+const JOB_NAME = 'payment_poller';
+
+const envNumber = (name, fallback) => {
+  const raw = parseFloat(process.env[name] ?? fallback);
+  return Number.isNaN(raw) ? parseFloat(fallback) : Math.max(0, raw);
+};
+
+const parseMeta = Deposit.parseMeta;
+
+// Provider statuses of a payment that is under way; an abandoned deposit in any other
+// pending status (still waiting, or one we do not know) can be expired
+const DEPOSIT_IN_FLIGHT_STATUSES = ['confirming', 'sending'];
+
+class PaymentPoller {
+  static getConfig() {
+    return {
+      staleMinutes: envNumber('PAYMENT_POLL_STALE_MINUTES', '15'),
+      baseDelayMinutes: Math.max(1, envNumber('PAYMENT_POLL_BASE_DELAY_MINUTES', '5')),
+      maxDelayMinutes: Math.max(1, envNumber('PAYMENT_POLL_MAX_DELAY_MINUTES', '720')),
+      batchSize: Math.max(1, Math.floor(envNumber('PAYMENT_POLL_BATCH_SIZE', '100'))),
+      payoutLookupAttempts: Math.max(1, Math.floor(envNumber('PAYMENT_POLL_PAYOUT_LOOKUPS', '3'))),
+      depositExpiryHours: envNumber('DEPOSIT_EXPIRY_HOURS', '24')
+    };
+  }
+
+  // Exponential backoff: base * 2^(attempts - 1), capped
+  static nextPollAt(attempts, config, now = Date.now()) {
+    const delay = Math.min(config.maxDelayMinutes, config.baseDelayMinutes * 2 ** Math.max(0, attempts - 1));
+    return new Date(now + delay * 60 * 1000).toISOString();
+  }
+
+  // Stale pending rows that are due (poll_next_at unset or past), longest overdue first.
+  // Filtering before the limit keeps backed-off rows from filling the batch.
+  static async getStalePending(transactionType, referenceType, config) {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - config.staleMinutes * 60 * 1000);
+    return db('transactions')
+      .where({ transaction_type: transactionType, reference_type: referenceType, status: 'pending' })
+      .where('created_at', '<=', cutoff)
+      .where((qb) => qb.whereNull('poll_next_at').orWhere('poll_next_at', '<=', now))
+      .orderByRaw('COALESCE(poll_next_at, created_at) ASC')
+      .limit(config.batchSize);
+  }
+
+  // Back off the row whatever the poll outcome (the column drives getStalePending)
+  static async scheduleNextPoll(transaction, metadata, config) {
+    const nextAt = this.nextPollAt((metadata.poll_attempts || 0) + 1, config);
+    await db('transactions')
+      .where({ id: transaction.id })
+      .update({ poll_next_at: new Date(nextAt) });
+  }
+
+  static pollMetadata(metadata, config, extra = {}) {
+    const attempts = (metadata.poll_attempts || 0) + 1;
+    return {
+      poll_attempts: attempts,
+      poll_last_at: new Date().toISOString(),
+      poll_next_at: this.nextPollAt(attempts, config),
+      ...extra
+    };
+  }
+
+  /**
+   * Re-query stale pending deposits. An abandoned deposit is expired only on an actual
+   * provider answer: no payment id (never reached the provider), or a status that is not
+   * final and not under way. A failed provider call is recorded and retried, never expired.
+   */
+  static async sweepDeposits(config) {
+    const result = { checked: 0, updated: 0, expired: 0, errors: 0 };
+    const rows = await this.getStalePending('deposit', 'nowpayment', config);
+
+    for (const transaction of rows) {
+      const metadata = parseMeta(transaction.metadata);
+      result.checked++;
+
+      const ageHours = (Date.now() - new Date(transaction.created_at).getTime()) / (60 * 60 * 1000);
+      const abandoned = config.depositExpiryHours > 0 && ageHours >= config.depositExpiryHours;
+      const paymentId = Deposit.getPaymentId(transaction);
+
+      try {
+        if (!paymentId) {
+          if (abandoned && (await Deposit.expire(transaction.id, { expired_by: JOB_NAME }))) result.expired++;
+          continue;
+        }
+
+        const paymentStatus = await PaymentGateway.getPaymentStatus(paymentId);
+        const providerStatus = paymentStatus.payment_status || paymentStatus.status;
+        const updated = await Deposit.applyPaymentStatus(transaction.id, paymentStatus, {
+          source: 'poller',
+          metadata: this.pollMetadata(metadata, config, {
+            last_poll_status: Deposit.mapPaymentStatus(providerStatus)
+          })
+        });
+
+        if (updated && updated.status !== 'pending') {
+          result.updated++;
+        } else if (abandoned && !DEPOSIT_IN_FLIGHT_STATUSES.includes(providerStatus)) {
+          const expired = await Deposit.expire(transaction.id, {
+            expired_by: JOB_NAME,
+            expired_provider_status: providerStatus || null
+          });
+          if (expired) result.expired++;
+        }
+      } catch (error) {
+        result.errors++;
+        console.error(`Deposit poll failed for transaction ${transaction.id}:`, error.message);
+        await db('transactions')
+          .where({ id: transaction.id })
+          .update({
+            metadata: JSON.stringify({
+              ...metadata,
+              ...this.pollMetadata(metadata, config, { last_poll_error: error.message })
+            }),
+            updated_at: db.fn.now()
+          });
+      } finally {
+        await this.scheduleNextPoll(transaction, metadata, config);
+      }
+    }
+
+    return result;
+  }
+
+  static async sweepWithdrawals(config) {
+    const result = { checked: 0, updated: 0, errors: 0 };
+    const rows = await this.getStalePending('withdraw', 'nowpayment_payout', config);
+
+    for (const transaction of rows) {
+      const metadata = parseMeta(transaction.metadata);
+      result.checked++;
+
+      const payoutId = metadata.payout?.id || metadata.payout_id || metadata.payoutId || transaction.reference_id;
+
+      try {
+        if (metadata.payout_unconfirmed) {
+          // Approval got no clear answer: never resend, ask the provider whether it has the payout
+          if (await this.resolveUnconfirmedPayout(transaction, metadata, config)) result.updated++;
+          continue;
+        }
+
+        const payoutStatus = await PaymentGateway.getPayoutStatus(payoutId);
+        const updated = await Withdrawal.applyPayoutStatus(transaction.id, payoutStatus, {
+          referenceType: 'withdraw_poller',
+          metadata: this.pollMetadata(metadata, config, {
+            last_poll_status: Withdrawal.mapPayoutStatus(payoutStatus.status || payoutStatus.payout_status),
+            raw_status: payoutStatus
+          })
+        });
+        if (updated && updated.status !== 'pending') result.updated++;
+      } catch (error) {
+        result.errors++;
+        console.error(`Withdrawal poll failed for transaction ${transaction.id}:`, error.message);
+        await db('transactions')
+          .where({ id: transaction.id })
+          .update({
+            metadata: JSON.stringify({
+              ...metadata,
+              ...this.pollMetadata(metadata, config, { last_poll_error: error.message })
+            }),
+            updated_at: db.fn.now()
+          });
+      } finally {
+        await this.scheduleNextPoll(transaction, metadata, config);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Look up a payout whose send had an unknown outcome by its reference. Found: recorded on the
+   * withdrawal, which then follows the normal status polling. Not found: the withdrawal stays
+   * pending (money may still be on its way) and after payoutLookupAttempts misses is flagged
+   * payout_manual_review for an admin to settle with the provider. Returns true when found.
+   */
+  static async resolveUnconfirmedPayout(transaction, metadata, config) {
+    const payout = await PaymentGateway.findPayoutByReference(
+      metadata.payout_reference || Withdrawal.payoutReference(transaction.id)
+    );
+    if (payout) {
+      await Withdrawal.recordPayout(transaction, payout);
+      return true;
+    }
+
+    const misses = (metadata.payout_lookup_misses || 0) + 1;
+    await db('transactions')
+      .where({ id: transaction.id })
+      .update({
+        metadata: JSON.stringify({
+          ...metadata,
+          ...this.pollMetadata(metadata, config, { payout_lookup_misses: misses }),
+          ...(misses >= config.payoutLookupAttempts ? { payout_manual_review: true } : {})
+        }),
+        updated_at: db.fn.now()
+      });
+    return false;
+  }
+
+  /**
+   * One sweep over stale pending deposits and withdrawals.
+   * Sweeps run many times a day; the day's job_runs row keeps running totals and the last sweep.
+   */
+  static async run(runDate = new Date()) {
+    const dateStr = typeof runDate === 'string' ? runDate : runDate.toISOString().split('T')[0];
+    const config = this.getConfig();
+
+    // The mock keeps payments/payouts in the API process's memory; this process starts empty,
+    // so deposit lookups fail (rows stay pending) and payout lookups miss (manual review)
+    if (PaymentGateway.name === 'mock') {
+      console.warn('Payment poller: PAYMENT_PROVIDER=mock has no shared state, lookups will fail or miss');
+    }
+
+    const jobRun = await JobRun.start(JOB_NAME, dateStr, { note: 'Pending payment poller' });
+    const previous = parseMeta(jobRun?.meta);
+
+    const deposits = await this.sweepDeposits(config);
+    const withdrawals = await this.sweepWithdrawals(config);
+
+    const sweep = { at: new Date().toISOString(), deposits, withdrawals };
+    const totals = previous.totals || {};
+    const meta = {
+      sweeps: (previous.sweeps || 0) + 1,
+      totals: {
+        deposits_updated: (totals.deposits_updated || 0) + deposits.updated,
+        deposits_expired: (totals.deposits_expired || 0) + deposits.expired,
+        withdrawals_updated: (totals.withdrawals_updated || 0) + withdrawals.updated,
+        errors: (totals.errors || 0) + deposits.errors + withdrawals.errors
+      },
+      last_sweep: sweep
+    };
+    await JobRun.finish(JOB_NAME, dateStr, 'success', meta);
+
+    return sweep;
+  }
+}
+
+PaymentPoller.JOB_NAME = JOB_NAME;
+
+module.exports = PaymentPoller;
@@ -0,0 +1,304 @@
+const db = require('../config/database');
+const planDefaults = require('../config/planDefaults');
+
+const CONFIG_KEYS = Object.keys(planDefaults);
+// Pack keys are referenced by stakes.pack_type and the highest-pack SQL, so versions may
+// retune them but not add, drop or reorder them
+const PACK_TYPES = Object.keys(planDefaults.energy_packs);
+
+// Synergy flush settings (synergy.flush); versions without them use the defaults
+const FLUSH_KEYS = Object.keys(planDefaults.synergy.flush);
+const CAP_PERIOD_KEYS = Object.keys(planDefaults.synergy.capPeriods);
+const MAX_MATCHING_GENERATIONS = 10;
+
+// What happens to a stake once it is capped or matured (stake_lifecycle)
+const END_OF_LIFE_POLICIES = ['auto_renew', 'notify'];
+
+const envNumber = (name, fallback) => {
+  const raw = parseFloat(process.env[name] ?? fallback);
+  return Number.isNaN(raw) ? parseFloat(fallback) : Math.max(0, raw);
+};
+
+const parseValue = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// key -> { rows, loadedAt }
+const cache = new Map();
+
+const VALIDATORS = {
+  energy_packs(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object keyed by pack type';
+    const keys = Object.keys(value);
+    if (keys.length !== PACK_TYPES.length || !PACK_TYPES.every((pack) => value[pack])) {
+      return `must define exactly: ${PACK_TYPES.join(', ')}`;
+    }
+
+    let expectedMin = 1;
+    for (const [index, pack] of PACK_TYPES.entries()) {
+      const cfg = value[pack];
+      const isLast = index === PACK_TYPES.length - 1;
+      if (cfg.minShares !== expectedMin) return `${pack}.minShares must be ${expectedMin}`;
+      if (isLast ? cfg.maxShares !== null : !(Number.isInteger(cfg.maxShares) && cfg.maxShares >= cfg.minShares)) {
+        return isLast ? `${pack}.maxShares must be null` : `${pack}.maxShares must be an integer >= minShares`;
+      }
+      if (!isNumber(cfg.dailyRoiRate) || cfg.dailyRoiRate <= 0 || cfg.dailyRoiRate > 0.1) {
+        return `${pack}.dailyRoiRate must be between 0 and 0.1`;
+      }
+      if (!isNumber(cfg.maxRewardLimit) || cfg.maxRewardLimit <= 0) return `${pack}.maxRewardLimit must be > 0`;
+      expectedMin = cfg.maxShares + 1;
+    }
+    return null;
+  },
+
+  synergy(value) {
+    if (!value || typeof value !== 'object' || !value.rates || typeof value.rates !== 'object') {
+      return 'must be { rates, cycleSize }';
+    }
+    for (const [pack, rate] of Object.entries(value.rates)) {
+      if (!PACK_TYPES.includes(pack)) return `unknown pack type in rates: ${pack}`;
+      if (!isNumber(rate) || rate < 0 || rate > 1) return `rates.${pack} must be between 0 and 1`;
+    }
+    if (!isNumber(value.cycleSize) || value.cycleSize <= 0) return 'cycleSize must be > 0';
+    if (value.capPeriods !== undefined) {
+      const periods = value.capPeriods;
+      if (!periods || typeof periods !== 'object' || Array.isArray(periods)) return 'capPeriods must be an object';
+      for (const key of Object.keys(periods)) {
+        if (!CAP_PERIOD_KEYS.includes(key)) return `unknown capPeriods setting: ${key}`;
+        if (periods[key] != null && !(isNumber(periods[key]) && periods[key] > 0)) {
+          return `capPeriods.${key} must be > 0 or null`;
+        }
+      }
+    }
+    if (value.matching !== undefined) {
+      const rates = value.matching?.rates;
+      if (!Array.isArray(rates)) return 'matching.rates must be an array (one rate per generation)';
+      if (rates.length > MAX_MATCHING_GENERATIONS) {
+        return `matching.rates supports at most ${MAX_MATCHING_GENERATIONS} generations`;
+      }
+      if (rates.some((rate) => !isNumber(rate) || rate < 0 || rate > 1)) {
+        return 'matching.rates must be between 0 and 1';
+      }
+    }
+    if (value.flush !== undefined) {
+      const flush = value.flush;
+      if (!flush || typeof flush !== 'object' || Array.isArray(flush)) return 'flush must be an object';
+      const unknown = Object.keys(flush).filter((key) => !FLUSH_KEYS.includes(key));
+      if (unknown.length) return `unknown flush settings: ${unknown.join(', ')}`;
+      const { strongLegCarryCapMultiplier: multiplier, carryExpiryDays: expiry } = flush;
+      if (multiplier != null && !(isNumber(multiplier) && multiplier > 0)) {
+        return 'flush.strongLegCarryCapMultiplier must be > 0 or null';
+      }
+      if (expiry != null && !(Number.isInteger(expiry) && expiry > 0)) {
+        return 'flush.carryExpiryDays must be a positive integer or null';
+      }
+      for (const key of ['flushWeakerLegAfterPayout', 'flushOnCapHit']) {
+        if (flush[key] !== undefined && typeof flush[key] !== 'boolean') return `flush.${key} must be true or false`;
+      }
+    }
+    return null;
+  },
+
+  rank_ladder(value) {
+    if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty array';
+    const seen = new Set();
+    let lastPercent = 0;
+    for (const rank of value) {
+      if (!rank || typeof rank.key !== 'string' || !rank.key.trim()) return 'every rank needs a key';
+      if (seen.has(rank.key)) return `duplicate rank key: ${rank.key}`;
+      seen.add(rank.key);
+      if (!isCount(rank.minDirects)) return `${rank.key}.minDirects must be a non-negative integer`;
+      if (!isNumber(rank.minPackValue) || rank.minPackValue < 0) return `${rank.key}.minPackValue must be >= 0`;
+      if (!isNumber(rank.teamVolume) || rank.teamVolume < 0) return `${rank.key}.teamVolume must be >= 0`;
+      if (!isNumber(rank.percent) || rank.percent <= lastPercent || rank.percent > 100) {
+        return `${rank.key}.percent must be above the previous rank and at most 100`;
+      }
+      lastPercent = rank.percent;
+    }
+    return null;
+  },
+
+  catalyst_rates(value) {
+    if (!Array.isArray(value) || value.length === 0 || value.length > 20) return 'must be an array of 1-20 rates';
+    if (!value.every((rate) => isNumber(rate) && rate >= 0 && rate <= 1)) return 'rates must be between 0 and 1';
+    if (value.reduce((sum, rate) => sum + rate, 0) > 1) return 'rates must not add up to more than 1';
+    return null;
+  },
+
+  catalyst_rules(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+    if (typeof value.compression !== 'boolean') return 'compression must be true or false';
+    if (!Number.isInteger(value.maxDepth) || value.maxDepth < 1 || value.maxDepth > 50) {
+      return 'maxDepth must be an integer between 1 and 50';
+    }
+    if (!Array.isArray(value.qualifications)) return 'qualifications must be an array';
+    for (const [index, rule] of value.qualifications.entries()) {
+      if (!rule || !Number.isInteger(rule.fromLevel) || rule.fromLevel < 1) {
+        return `qualifications[${index}].fromLevel must be a positive integer`;
+      }
+      if (!isCount(rule.minActiveDirects)) {
+        return `qualifications[${index}].minActiveDirects must be a whole number >= 0`;
+      }
+    }
+    return null;
+  },
+
+  stake_lifecycle(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object keyed by pack type';
+    if (Object.keys(value).length !== PACK_TYPES.length || !PACK_TYPES.every((pack) => value[pack])) {
+      return `must define exactly: ${PACK_TYPES.join(', ')}`;
+    }
+    for (const pack of PACK_TYPES) {
+      const cfg = value[pack];
+      if (cfg.termDays !== null && !(Number.isInteger(cfg.termDays) && cfg.termDays > 0)) {
+        return `${pack}.termDays must be a positive integer or null`;
+      }
+      if (!END_OF_LIFE_POLICIES.includes(cfg.endOfLife)) {
+        return `${pack}.endOfLife must be one of: ${END_OF_LIFE_POLICIES.join(', ')}`;
+      }
+      const penalty = cfg.earlyTerminationPenaltyPercent;
+      if (penalty !== null && !(isNumber(penalty) && penalty >= 0 && penalty <= 100)) {
+        return `${pack}.earlyTerminationPenaltyPercent must be between 0 and 100, or null`;
+      }
+    }
+    return null;
+  }
+};
+
+/**
+ * Versioned reward plan configuration (plan_configs).
+ * The version in force on a date is the one with the latest effective_from <= that date;
+ * versions that are already in force are never edited, so past payouts stay explainable.
+ * Reads are cached per process for PLAN_CONFIG_CACHE_SECONDS (default 60).
+ */
+class PlanConfig {
+  static isKnownKey(key) {
+    return CONFIG_KEYS.includes(key);
+  }
+
+  // Error message for an invalid value, or null
+  static validate(key, value) {
+    const error = VALIDATORS[key](value);
+    return error ? `${key} ${error}` : null;
+  }
+
+  static clearCache(key = null) {
+    if (key) cache.delete(key);
+    else cache.clear();
+  }
+
+  // All versions of a key, newest effective_from first
+  static async getVersions(key) {
+    const ttlMs = envNumber('PLAN_CONFIG_CACHE_SECONDS', '60') * 1000;
+    const cached = cache.get(key);
+    if (cached && Date.now() - cached.loadedAt < ttlMs) return cached.rows;
+
+    const rows = (
+      await db('plan_configs')
+        .where({ config_key: key })
+        .orderBy([
+          { column: 'effective_from', order: 'desc' },
+          { column: 'version', order: 'desc' }
+        ])
+    ).map((row) => ({ ...row, value: parseValue(row.value) }));
+
+    cache.set(key, { rows, loadedAt: Date.now() });
+    return rows;
+  }
+
+  // Version in force at `at`; falls back to the built-in defaults (version 0)
+  static async getActive(key, at = new Date()) {
+    const time = new Date(at).getTime();
+    const rows = await this.getVersions(key);
+    const active = rows.find((row) => new Date(row.effective_from).getTime() <= time);
+    if (active) return active;
+    return { config_key: key, version: 0, effective_from: null, value: planDefaults[key], note: 'Built-in default' };
+  }
+
+  static async get(key, at = new Date()) {
+    return (await this.getActive(key, at)).value;
+  }
+
+  // Active version of every key plus anything scheduled after it
+  static async getOverview(at = new Date()) {
+    const time = new Date(at).getTime();
+    const overview = {};
+    for (const key of CONFIG_KEYS) {
+      const rows = await this.getVersions(key);
+      overview[key] = {
+        active: await this.getActive(key, at),
+        scheduled: rows.filter((row) => new Date(row.effective_from).getTime() > time).reverse()
+      };
+    }
+    return overview;
+  }
+
+  static async findVersion(key, version) {
+    const row = await db('plan_configs').where({ config_key: key, version }).first();
+    return row ? { ...row, value: parseValue(row.value) } : null;
+  }
+
+  static isInForce(row, at = new Date()) {
+    return new Date(row.effective_from).getTime() <= new Date(at).getTime();
+  }
+
+  static async create(key, { value, effectiveFrom = new Date(), note = null, createdBy = null }) {
+    const id = await db.transaction(async (trx) => {
+      const latest = await trx('plan_configs')
+        .where({ config_key: key })
+        .max({ version: 'version' })
+        .forUpdate()
+        .first();
+
+      const [insertId] = await trx('plan_configs').insert({
+        config_key: key,
+        version: (latest?.version || 0) + 1,
+        effective_from: effectiveFrom,
+        value: JSON.stringify(value),
+        note,
+        created_by: createdBy,
+        created_at: trx.fn.now(),
+        updated_at: trx.fn.now()
+      });
+      return insertId;
+    });
+
+    this.clearCache(key);
+    const row = await db('plan_configs').where({ id }).first();
+    return { ...row, value: parseValue(row.value) };
+  }
+
+  // Edit a version that is not in force yet
+  static async update(key, version, { value, effectiveFrom, note }) {
+    const changes = { updated_at: db.fn.now() };
+    if (value !== undefined) changes.value = JSON.stringify(value);
+    if (effectiveFrom !== undefined) changes.effective_from = effectiveFrom;
+    if (note !== undefined) changes.note = note;
+
+    await db('plan_configs')
+      .where({ config_key: key, version })
+      .where('effective_from', '>', new Date())
+      .update(changes);
+
+    this.clearCache(key);
+    return this.findVersion(key, version);
+  }
+
+  // Delete a version that is not in force yet
+  static async remove(key, version) {
+    const deleted = await db('plan_configs')
+      .where({ config_key: key, version })
+      .where('effective_from', '>', new Date())
+      .delete();
+    this.clearCache(key);
+    return deleted > 0;
+  }
+}
+
+PlanConfig.CONFIG_KEYS = CONFIG_KEYS;
+PlanConfig.PACK_TYPES = PACK_TYPES;
+PlanConfig.END_OF_LIFE_POLICIES = END_OF_LIFE_POLICIES;
+PlanConfig.DEFAULTS = planDefaults;
+
+module.exports = PlanConfig;
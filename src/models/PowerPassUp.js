@@ -1,18 +1,13 @@
 const RewardCap = require('./RewardCap');
+const Wallet = require('./Wallet');
 const db = require('../config/database');
+const PlanConfig = require('./PlanConfig');
 
-// Rank ladder (override percent on Core Energy Reward)
-const RANKS = {
-  spark: 5,
-  pulse: 10,
-  charge: 15,
-  surge: 25,
-  flux: 40,
-  volt: 55,
-  current: 70,
-  magnet: 85,
-  quantum: 100
-};
+// Rank -> override percent on Core Energy Reward, from the rank ladder in force at `at`
+async function getRankPercents(at = new Date()) {
+  const ladder = await PlanConfig.get('rank_ladder', at);
+  return Object.fromEntries(ladder.map((rank) => [rank.key, rank.percent]));
+}
 
 function unwrapRawRows(rawResult) {
   // MySQL2 via Knex returns [rows, fields]
@@ -197,9 +192,13 @@ async function distributePowerPassUp({ originUserId, coreAmount, referenceId, tr
 
     if (allowed > 0) {
       // Credit wallet
-      await trx('wallets')
-        .where({ user_id: sponsorId, wallet_type: 'main' })
-        .increment('balance', allowed);
+      await Wallet.updateBalance(sponsorId, allowed, 'add', 'main', trx, {
+        entryType: 'power_passup',
+        referenceType: 'stake_reward',
+        referenceId,
+        description: `Power Pass-Up from ${originUserName} (${overridePercent}% override)`,
+        contra: 'reward_pool'
+      });
 
       // Record transaction
       await trx('transactions').insert({
@@ -488,5 +487,5 @@ module.exports = {
   getSponsorChain,
   calculatePotentialPowerPassUp,
   calculatePotentialReceivedPowerPassUp,
-  RANKS
+  getRankPercents
 };
@@ -1,72 +1,13 @@
 const db = require("../config/database");
 const Stake = require("./Stake");
+const PlanConfig = require("./PlanConfig");
 
-// Rank ladder aligned to Energy Spectrum (percent is Power Pass-Up override)
-const RANK_LADDER = [
-  {
-    key: "spark",
-    minDirects: 1,
-    minPackValue: 25,
-    teamVolume: 1000,
-    percent: 5,
-  },
-  {
-    key: "pulse",
-    minDirects: 2,
-    minPackValue: 250,
-    teamVolume: 5000,
-    percent: 10,
-  },
-  {
-    key: "charge",
-    minDirects: 3,
-    minPackValue: 500,
-    teamVolume: 15000,
-    percent: 15,
-  },
-  {
-    key: "surge",
-    minDirects: 4,
-    minPackValue: 1000,
-    teamVolume: 50000,
-    percent: 25,
-  },
-  {
-    key: "flux",
-    minDirects: 5,
-    minPackValue: 2500,
-    teamVolume: 100000,
-    percent: 40,
-  },
-  {
-    key: "volt",
-    minDirects: 6,
-    minPackValue: 5000,
-    teamVolume: 250000,
-    percent: 55,
-  },
-  {
-    key: "current",
-    minDirects: 7,
-    minPackValue: 10000,
-    teamVolume: 500000,
-    percent: 70,
-  },
-  {
-    key: "magnet",
-    minDirects: 8,
-    minPackValue: 25000,
-    teamVolume: 1000000,
-    percent: 85,
-  },
-  {
-    key: "quantum",
-    minDirects: 9,
-    minPackValue: 50000,
-    teamVolume: 2000000,
-    percent: 100,
-  },
-];
+// Rank ladder in force at `at` (plan_configs rank_ladder), lowest rank first.
+// percent is the Power Pass-Up override.
+async function getRankLadder(at = new Date()) {
+  const ladder = await PlanConfig.get("rank_ladder", at);
+  return [...ladder].sort((a, b) => a.percent - b.percent);
+}
 
 function unwrapRawRows(rawResult) {
   // MySQL2 via Knex returns [rows, fields]
@@ -198,8 +139,9 @@ async function evaluateUserRank(userId) {
   const teamVolume = await getTeamSalesVolume(userId);
 
   // Find highest rank met
+  const ladder = await getRankLadder();
   let target = null;
-  for (const r of RANK_LADDER) {
+  for (const r of ladder) {
     if (
       directReferrals >= r.minDirects &&
       packAmount >= r.minPackValue &&
@@ -225,8 +167,8 @@ async function getRankProgress(userId) {
   const current = await ensureRankRow(userId);
 
   // Find next rank above current percent
-  const ladderByPercent = RANK_LADDER.sort((a, b) => a.percent - b.percent);
-  const next = [...ladderByPercent].find(
+  const ladderByPercent = await getRankLadder();
+  const next = ladderByPercent.find(
     (r) => r.percent > Number(current.override_percent || 0)
   );
 
@@ -254,9 +196,9 @@ async function setUserRank(
   trx = null
 ) {
   const query = trx || db;
+  const ladder = await getRankLadder();
   const percent =
-    percentOverride ??
-    (RANK_LADDER.find((r) => r.key === rankKey)?.percent || 0);
+    percentOverride ?? (ladder.find((r) => r.key === rankKey)?.percent || 0);
   const row = await ensureRankRow(userId, query);
   await query("user_ranks").where({ user_id: userId }).update({
     rank: rankKey,
@@ -316,7 +258,7 @@ async function autoPromoteAll() {
 }
 
 module.exports = {
-  RANK_LADDER,
+  getRankLadder,
   ensureRankRow,
   evaluateUserRank,
   setUserRank,
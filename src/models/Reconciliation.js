@@ -0,0 +1,206 @@
+const db = require("../config/database");
+const JobRun = require("./JobRun");
+
+const JOB_NAME = "wallet_reconciliation";
+const TOLERANCE = 0.01; // balances are stored with 2 decimals
+
+/**
+ * Net wallet effect of one transactions row (amount minus fee).
+ * - Completed rows count as booked.
+ * - Withdrawals debit the wallet when created, so they count in every status;
+ *   failed/rejected ones are offset by their own withdraw_refund row.
+ * - Partially paid deposits credit whatever was actually received (metadata.credited_amount).
+ */
+const NET_EFFECT_SQL = `
+  CASE
+    WHEN transaction_type = 'withdraw' THEN amount - fee
+    WHEN status = 'completed' THEN amount - fee
+    WHEN status = 'partially_paid'
+      THEN COALESCE(CAST(JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.credited_amount')) AS DECIMAL(15,2)), 0)
+    ELSE 0
+  END
+`;
+
+const toDateStr = (runDate) =>
+  typeof runDate === "string" ? runDate : runDate.toISOString().split("T")[0];
+
+class Reconciliation {
+  // Expected balance per user from transaction history
+  static async getExpectedBalances(userIds = null) {
+    let query = db("transactions")
+      .where({ wallet_type: "main" })
+      .groupBy("user_id")
+      .select(
+        "user_id",
+        db.raw(`COALESCE(SUM(${NET_EFFECT_SQL}), 0) as expected_balance`),
+        db.raw("COUNT(*) as transaction_count")
+      );
+
+    if (userIds) {
+      query = query.whereIn("user_id", userIds);
+    }
+
+    const rows = await query;
+    const map = new Map();
+    for (const r of rows) {
+      map.set(Number(r.user_id), {
+        expected: parseFloat(r.expected_balance || 0),
+        count: parseInt(r.transaction_count || 0),
+      });
+    }
+    return map;
+  }
+
+  // Compare every main wallet with its expected balance and record mismatches
+  static async run(runDate = new Date()) {
+    const dateStr = toDateStr(runDate);
+    const existing = await JobRun.getStatus(JOB_NAME);
+    if (
+      existing &&
+      existing.run_date === dateStr &&
+      existing.status === "success"
+    ) {
+      return { skipped: true, message: "already ran today" };
+    }
+
+    await JobRun.start(JOB_NAME, dateStr, { note: "Wallet reconciliation" });
+
+    const wallets = await db("wallets")
+      .where({ wallet_type: "main" })
+      .select("user_id", "balance");
+    const expectedByUser = await this.getExpectedBalances();
+
+    let checked = 0;
+    let drifted = 0;
+    let totalAbsDrift = 0;
+
+    // Re-running a date replaces its rows
+    await db("wallet_drifts").where({ run_date: dateStr }).delete();
+
+    for (const wallet of wallets) {
+      const userId = Number(wallet.user_id);
+      const walletBalance = parseFloat(wallet.balance || 0);
+      const { expected = 0, count = 0 } = expectedByUser.get(userId) || {};
+      const difference = walletBalance - expected;
+      checked += 1;
+
+      if (Math.abs(difference) < TOLERANCE) continue;
+
+      drifted += 1;
+      totalAbsDrift += Math.abs(difference);
+      await db("wallet_drifts").insert({
+        run_date: dateStr,
+        user_id: userId,
+        wallet_type: "main",
+        wallet_balance: walletBalance,
+        expected_balance: expected,
+        difference,
+        transaction_count: count,
+        created_at: db.fn.now(),
+        updated_at: db.fn.now(),
+      });
+    }
+
+    const result = {
+      checked,
+      drifted,
+      total_abs_drift: Math.round(totalAbsDrift * 100) / 100,
+    };
+    await JobRun.finish(JOB_NAME, dateStr, "success", result);
+
+    return { run_date: dateStr, ...result };
+  }
+
+  static async getLatestRunDate() {
+    const row = await db("wallet_drifts").max({ run_date: "run_date" }).first();
+    return row?.run_date || null;
+  }
+
+  // Drifts recorded for a run (defaults to the latest run), largest first
+  static async listDrifts({ runDate = null, limit = 25, offset = 0 } = {}) {
+    const dateStr = runDate || (await this.getLatestRunDate());
+    if (!dateStr) return { runDate: null, drifts: [], total: 0 };
+
+    const base = db("wallet_drifts as d")
+      .join("users as u", "d.user_id", "u.id")
+      .where("d.run_date", dateStr);
+
+    const [drifts, [{ count }]] = await Promise.all([
+      base
+        .clone()
+        .select(
+          "d.*",
+          "u.name as user_name",
+          "u.email as user_email",
+          "u.phone_number as user_phone"
+        )
+        .orderByRaw("ABS(d.difference) DESC")
+        .limit(limit)
+        .offset(offset),
+      base.clone().count("* as count"),
+    ]);
+
+    return { runDate: dateStr, drifts, total: parseInt(count, 10) || 0 };
+  }
+
+  /**
+   * Per-user drill-down: every transaction with its counted net effect and the
+   * running expected balance, compared with the current wallet balance.
+   */
+  static async getUserBreakdown(userId) {
+    const [wallet, rows, history] = await Promise.all([
+      db("wallets").where({ user_id: userId, wallet_type: "main" }).first(),
+      db("transactions")
+        .where({ user_id: userId, wallet_type: "main" })
+        .select(
+          "id",
+          "transaction_type",
+          "reference_type",
+          "reference_id",
+          "amount",
+          "fee",
+          "status",
+          "description",
+          "created_at",
+          db.raw(`${NET_EFFECT_SQL} as net_effect`)
+        )
+        .orderBy([
+          { column: "created_at", order: "asc" },
+          { column: "id", order: "asc" },
+        ]),
+      db("wallet_drifts")
+        .where({ user_id: userId })
+        .orderBy("run_date", "desc")
+        .limit(30),
+    ]);
+
+    let running = 0;
+    const transactions = rows.map((row) => {
+      const netEffect = parseFloat(row.net_effect || 0);
+      running += netEffect;
+      return {
+        ...row,
+        net_effect: netEffect,
+        counted: netEffect !== 0,
+        running_expected_balance: Math.round(running * 100) / 100,
+      };
+    });
+
+    const walletBalance = parseFloat(wallet?.balance || 0);
+    const expectedBalance = Math.round(running * 100) / 100;
+
+    return {
+      user_id: Number(userId),
+      wallet_balance: walletBalance,
+      expected_balance: expectedBalance,
+      difference: Math.round((walletBalance - expectedBalance) * 100) / 100,
+      transactions,
+      drift_history: history,
+    };
+  }
+}
+
+Reconciliation.JOB_NAME = JOB_NAME;
+Reconciliation.NET_EFFECT_SQL = NET_EFFECT_SQL;
+
+module.exports = Reconciliation;
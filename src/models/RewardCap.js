@@ -1,6 +1,6 @@
 const db = require('../config/database');
 
-const INCENTIVE_TYPES = ['catalyst_bonus', 'synergy_flow', 'power_passup'];
+const INCENTIVE_TYPES = ['catalyst_bonus', 'synergy_flow', 'synergy_match', 'power_passup'];
 
 async function getCapInfo(userId, trx = null) {
   const query = trx || db;
@@ -11,7 +11,7 @@ async function getCapInfo(userId, trx = null) {
     return { capAmount: 0, maxPercent: 0, available: 0, used: 0 };
   }
 
-  const maxPercent = Stake.getPackMaxLimit(highestPack) || 0;
+  const maxPercent = (await Stake.getPackMaxLimit(highestPack)) || 0;
   const capAmount = totalAmount * (maxPercent / 100);
 
   const usedRow = await query('transactions')
@@ -26,6 +26,37 @@ async function getCapInfo(userId, trx = null) {
   return { capAmount, maxPercent, available, used };
 }
 
+// getCapInfo for many users at once (dashboards); Map user_id -> cap info
+// `statuses`: stake statuses the cap is computed over (active by default, as for payouts)
+async function getCapInfoForUsers(userIds, trx = null, statuses = ['active']) {
+  const query = trx || db;
+  const Stake = require('./Stake');
+  const packInfo = await Stake.getUsersActivePackInfo(userIds, query, statuses);
+  const map = new Map();
+  if (packInfo.size === 0) return map;
+
+  const usedRows = await query('transactions')
+    .whereIn('user_id', Array.from(packInfo.keys()))
+    .where({ status: 'completed' })
+    .whereIn('transaction_type', INCENTIVE_TYPES)
+    .groupBy('user_id')
+    .select('user_id', query.raw('COALESCE(SUM(amount), 0) as total'));
+  const usedByUser = new Map(usedRows.map((r) => [Number(r.user_id), parseFloat(r.total || 0)]));
+
+  const maxLimitByPack = {};
+  for (const [userId, { highestPack, totalAmount }] of packInfo) {
+    if (!highestPack || totalAmount <= 0) continue;
+    if (maxLimitByPack[highestPack] === undefined) {
+      maxLimitByPack[highestPack] = (await Stake.getPackMaxLimit(highestPack)) || 0;
+    }
+    const maxPercent = maxLimitByPack[highestPack];
+    const capAmount = totalAmount * (maxPercent / 100);
+    const used = usedByUser.get(userId) || 0;
+    map.set(userId, { capAmount, maxPercent, available: Math.max(0, capAmount - used), used });
+  }
+  return map;
+}
+
 async function clampIncentive(userId, amount, trx = null) {
   const info = await getCapInfo(userId, trx);
   if (info.available <= 0) return { allowed: 0, info };
@@ -34,6 +65,7 @@ async function clampIncentive(userId, amount, trx = null) {
 
 module.exports = {
   getCapInfo,
+  getCapInfoForUsers,
   clampIncentive,
   INCENTIVE_TYPES
 };
@@ -0,0 +1,720 @@
+const db = require('../config/database');
+const PlanConfig = require('./PlanConfig');
+const Stake = require('./Stake');
+const RewardCap = require('./RewardCap');
+const Synergy = require('./Synergy');
+const Catalyst = require('./Catalyst');
+const planDefaults = require('../config/planDefaults');
+
+const MAX_DAYS = 365;
+const MAX_LOOKBACK_DAYS = 90;
+const PASSUP_LEVELS = 9;
+const INCENTIVES = ['core', 'harvest', 'catalyst', 'synergy', 'synergy_match', 'power_passup'];
+// Plan config keys the engines replay (stake_lifecycle does not change payouts)
+const SIMULATED_KEYS = ['energy_packs', 'synergy', 'rank_ladder', 'catalyst_rates', 'catalyst_rules'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const emptyTotals = () => Object.fromEntries(INCENTIVES.map((key) => [key, 0]));
+
+const sumTotals = (totals) => INCENTIVES.reduce((sum, key) => sum + totals[key], 0);
+
+const roundTotals = (totals) => {
+  const rounded = Object.fromEntries(INCENTIVES.map((key) => [key, round2(totals[key])]));
+  return { ...rounded, total: round2(sumTotals(totals)) };
+};
+
+const toDateStr = (date) => date.toISOString().split('T')[0];
+
+// DATE() results come back as local-midnight Date objects
+const formatDate = (value) => {
+  if (typeof value === 'string') return value.slice(0, 10);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateStr(date);
+};
+
+const daysBetween = (fromStr, toStr) =>
+  Math.round((Date.parse(`${toStr}T00:00:00Z`) - Date.parse(`${fromStr}T00:00:00Z`)) / 86400000);
+
+const isFraction = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+
+/**
+ * What-if engine for reward plan changes. Loads one consistent snapshot of active stakes,
+ * genealogy, team volumes, ranks and combined-cap usage, then replays N days of Core,
+ * Harvest, Catalyst, Synergy and Power Pass-Up in memory under the current plan and under
+ * an alternative one. Nothing is written to the database.
+ *
+ * Assumptions (returned with every result):
+ * - Rewards are claimed the day they are created (no expiry of unclaimed rewards).
+ * - Ranks stay as they are today; an alternative rank_ladder re-prices each rank's percent.
+ * - New sales repeat the paid energy pack purchases of the last `salesLookbackDays`, in order.
+ */
+class RewardSimulator {
+  // Error message for invalid overrides, or null
+  static validateOverrides(overrides) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) return 'overrides must be an object';
+
+    for (const [key, value] of Object.entries(overrides)) {
+      if (key === 'harvest') {
+        if (!value || typeof value !== 'object') return 'harvest must be { poolShare, dailyCap }';
+        if (value.poolShare !== undefined && !isFraction(value.poolShare)) return 'harvest.poolShare must be between 0 and 1';
+        if (value.dailyCap !== undefined && !isFraction(value.dailyCap)) return 'harvest.dailyCap must be between 0 and 1';
+        continue;
+      }
+      if (!SIMULATED_KEYS.includes(key)) {
+        return `Unknown override: ${key}. Expected one of: ${[...SIMULATED_KEYS, 'harvest'].join(', ')}`;
+      }
+      const error = PlanConfig.validate(key, value);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  // Read everything the engines need in one transaction so the snapshot is consistent
+  static async loadSnapshot({ salesLookbackDays }) {
+    const today = toDateStr(new Date());
+    const salesFrom = addDays(today, -salesLookbackDays);
+    const salesSource = Stake.getHarvestSalesSource();
+    const periodStarts = Synergy.getCapPeriodStarts(today);
+    const periodFrom = periodStarts.week < periodStarts.month ? periodStarts.week : periodStarts.month;
+
+    return db.transaction(async (trx) => {
+      const [stakes, genealogy, verified, volumes, ranks, incentiveRows, purchases, deposits, synergyPaid] =
+        await Promise.all([
+          trx('stakes')
+            .where({ status: 'active' })
+            .orderBy('id', 'asc')
+            .select(
+              'id',
+              'user_id',
+              'pack_type',
+              'shares',
+              'amount',
+              'is_free',
+              'daily_roi_rate',
+              'max_reward_limit',
+              'total_rewards_earned',
+              'reward_cap_adjustment'
+            ),
+          trx('genealogy').select('user_id', 'sponsor_id', 'parent_id', 'position'),
+          trx('users').where({ is_verified: true }).select('id'),
+          trx('team_volumes').select(
+            'user_id',
+            'left_volume',
+            'right_volume',
+            'left_carry',
+            'right_carry',
+            'ineligible_since'
+          ),
+          trx('user_ranks').select('user_id', 'rank', 'override_percent'),
+          trx('transactions')
+            .where({ status: 'completed' })
+            .whereIn('transaction_type', RewardCap.INCENTIVE_TYPES)
+            .groupBy('user_id')
+            .select('user_id', trx.raw('COALESCE(SUM(amount), 0) as used')),
+          // Paid purchases and top-ups, attributed to the stake owner (who Catalyst and volume follow)
+          trx('transactions')
+            .join('stakes', 'transactions.reference_id', 'stakes.id')
+            .where({
+              'transactions.transaction_type': 'stake',
+              'transactions.status': 'completed',
+              'stakes.is_free': false
+            })
+            .where('transactions.created_at', '>=', salesFrom)
+            .where('transactions.created_at', '<', today)
+            .where('transactions.amount', '<', 0)
+            .orderBy('transactions.id', 'asc')
+            .select(
+              'stakes.user_id',
+              trx.raw('ABS(transactions.amount) as amount'),
+              trx.raw('DATE(transactions.created_at) as sale_date')
+            ),
+          salesSource === 'deposits' || salesSource === 'combined'
+            ? trx('transactions')
+                .where({ transaction_type: 'deposit', status: 'completed' })
+                .where('created_at', '>=', salesFrom)
+                .where('created_at', '<', today)
+                .groupBy(trx.raw('DATE(created_at)'))
+                .select(trx.raw('DATE(created_at) as sale_date'), trx.raw('COALESCE(SUM(amount), 0) as total'))
+            : [],
+          // Synergy already paid in the current week and month (weekly/monthly cap windows)
+          trx('team_cycles')
+            .where({ status: 'completed' })
+            .where('cycle_date', '>=', periodFrom)
+            .where('cycle_date', '<', today)
+            .groupBy('user_id')
+            .select(
+              'user_id',
+              trx.raw('COALESCE(SUM(CASE WHEN cycle_date >= ? THEN reward_amount ELSE 0 END), 0) as week_paid', [
+                periodStarts.week
+              ]),
+              trx.raw('COALESCE(SUM(CASE WHEN cycle_date >= ? THEN reward_amount ELSE 0 END), 0) as month_paid', [
+                periodStarts.month
+              ])
+            )
+        ]);
+
+      return {
+        takenAt: new Date(),
+        startDate: today,
+        salesFrom,
+        salesSource,
+        stakes,
+        genealogy,
+        verified: new Set(verified.map((row) => Number(row.id))),
+        volumes,
+        ranks,
+        incentiveUsed: new Map(incentiveRows.map((row) => [Number(row.user_id), parseFloat(row.used || 0)])),
+        purchases,
+        deposits,
+        synergyPaid: new Map(
+          synergyPaid.map((row) => [
+            Number(row.user_id),
+            { week: parseFloat(row.week_paid || 0), month: parseFloat(row.month_paid || 0) }
+          ])
+        )
+      };
+    });
+  }
+
+  // Bucket historical sales into `days` replay days, oldest first
+  static buildSalesDays(snapshot, days) {
+    const dayIndex = (value) =>
+      Math.round((new Date(`${formatDate(value)}T00:00:00Z`) - new Date(`${snapshot.salesFrom}T00:00:00Z`)) / 86400000);
+
+    const salesDays = Array.from({ length: days }, () => ({ purchases: [], stakeSales: 0, depositSales: 0 }));
+    for (const row of snapshot.purchases) {
+      const bucket = salesDays[dayIndex(row.sale_date)];
+      if (!bucket) continue;
+      const amount = parseFloat(row.amount);
+      bucket.purchases.push({ userId: Number(row.user_id), amount });
+      bucket.stakeSales += amount;
+    }
+    for (const row of snapshot.deposits) {
+      const bucket = salesDays[dayIndex(row.sale_date)];
+      if (bucket) bucket.depositSales += parseFloat(row.total || 0);
+    }
+    return salesDays;
+  }
+
+  // Plan in force now, with `overrides` applied on top
+  static async buildPlan(overrides = {}, { applyToExistingStakes = true } = {}) {
+    const [energyPacks, synergy, catalystRates, catalystRules] = await Promise.all(
+      ['energy_packs', 'synergy', 'catalyst_rates', 'catalyst_rules'].map((key) => PlanConfig.get(key))
+    );
+    const harvest = overrides.harvest || {};
+
+    return {
+      energyPacks: overrides.energy_packs || energyPacks,
+      synergy: overrides.synergy || synergy,
+      catalystRates: overrides.catalyst_rates || catalystRates,
+      catalystRules: overrides.catalyst_rules || catalystRules,
+      // Without a ladder override every user keeps the percent stored on user_ranks
+      rankPercents: overrides.rank_ladder
+        ? Object.fromEntries(overrides.rank_ladder.map((rank) => [rank.key, rank.percent]))
+        : null,
+      harvestPoolShare: harvest.poolShare ?? Stake.HARVEST_POOL_SHARE,
+      harvestDailyCap: harvest.dailyCap ?? Stake.HARVEST_DAILY_CAP,
+      // Existing stakes keep their stored ROI and cap unless the scenario re-prices packs
+      repriceExisting: Boolean(overrides.energy_packs) && applyToExistingStakes
+    };
+  }
+
+  /**
+   * Replay `days` days against the snapshot under `plan`, in memory.
+   * Daily order follows production: purchases (Catalyst + binary volume), Core + Harvest
+   * with the per-stake cap, Power Pass-Up on the undistributed core, then Synergy cycles.
+   */
+  static simulate(snapshot, plan, { days, salesDays }) {
+    const packTypes = Object.keys(plan.energyPacks);
+    const packPriority = (packType) => packTypes.indexOf(packType) + 1;
+    const packForShares = (shares) =>
+      packTypes.find((packType) => {
+        const cfg = plan.energyPacks[packType];
+        return shares >= cfg.minShares && (cfg.maxShares === null || shares <= cfg.maxShares);
+      }) || null;
+
+    const sponsorOf = new Map();
+    const parentOf = new Map();
+    const childrenOf = new Map();
+    const directsOf = new Map();
+    for (const row of snapshot.genealogy) {
+      const userId = Number(row.user_id);
+      if (row.sponsor_id) {
+        const sponsorId = Number(row.sponsor_id);
+        sponsorOf.set(userId, sponsorId);
+        if (!directsOf.has(sponsorId)) directsOf.set(sponsorId, []);
+        directsOf.get(sponsorId).push(userId);
+      }
+      if (row.parent_id) {
+        const parentId = Number(row.parent_id);
+        parentOf.set(userId, { parentId, position: row.position });
+        if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+        childrenOf.get(parentId).push({ userId, position: row.position });
+      }
+    }
+
+    const rankByUser = new Map(snapshot.ranks.map((row) => [Number(row.user_id), row]));
+    const rankPercent = (userId) => {
+      const row = rankByUser.get(userId);
+      if (!row) return 0;
+      const percent = plan.rankPercents?.[row.rank] ?? Number(row.override_percent || 0);
+      return Number.isFinite(percent) ? percent : 0;
+    };
+
+    const stakes = [];
+    const stakesByUser = new Map();
+    const addStake = (stake) => {
+      stakes.push(stake);
+      if (!stakesByUser.has(stake.userId)) stakesByUser.set(stake.userId, []);
+      stakesByUser.get(stake.userId).push(stake);
+    };
+
+    for (const row of snapshot.stakes) {
+      const shares = Number(row.shares);
+      const packType = plan.repriceExisting ? packForShares(shares) || row.pack_type : row.pack_type;
+      const cfg = plan.repriceExisting ? plan.energyPacks[packType] : null;
+      addStake({
+        userId: Number(row.user_id),
+        packType,
+        shares,
+        amount: parseFloat(row.amount),
+        isFree: !!row.is_free,
+        roi: cfg ? cfg.dailyRoiRate : parseFloat(row.daily_roi_rate),
+        limit: cfg ? cfg.maxRewardLimit : parseFloat(row.max_reward_limit),
+        earned: parseFloat(row.total_rewards_earned || 0),
+        adjustment: parseFloat(row.reward_cap_adjustment || 0),
+        fromDay: 0,
+        active: true
+      });
+    }
+
+    const activePackInfo = (userId) => {
+      let highestPack = null;
+      let totalAmount = 0;
+      for (const stake of stakesByUser.get(userId) || []) {
+        if (!stake.active) continue;
+        totalAmount += stake.amount;
+        if (packPriority(stake.packType) > packPriority(highestPack)) highestPack = stake.packType;
+      }
+      return { highestPack, totalAmount };
+    };
+
+    const incentiveUsed = new Map(snapshot.incentiveUsed);
+    const totals = emptyTotals();
+    const byUser = new Map();
+    const capHits = {
+      stakes_completed: 0,
+      incentive_clamped: 0,
+      incentive_clamped_amount: 0,
+      synergy_daily_cap: 0,
+      synergy_weekly_cap: 0,
+      synergy_monthly_cap: 0,
+      synergy_flushes: 0,
+      synergy_flushed_volume: 0
+    };
+    let retainedCore = 0;
+    let newSales = 0;
+    let newStakes = 0;
+
+    const credit = (userId, incentive, amount, dayTotals) => {
+      if (amount <= 0) return;
+      totals[incentive] += amount;
+      dayTotals[incentive] += amount;
+      if (!byUser.has(userId)) byUser.set(userId, emptyTotals());
+      byUser.get(userId)[incentive] += amount;
+    };
+
+    // Combined Catalyst + Synergy + Power Pass-Up cap (RewardCap)
+    const payIncentive = (userId, incentive, amount, dayTotals) => {
+      const { highestPack, totalAmount } = activePackInfo(userId);
+      const maxPercent = highestPack ? plan.energyPacks[highestPack]?.maxRewardLimit || 0 : 0;
+      const available = Math.max(0, totalAmount * (maxPercent / 100) - (incentiveUsed.get(userId) || 0));
+      const allowed = Math.max(0, Math.min(amount, available));
+      if (allowed < amount) {
+        capHits.incentive_clamped += 1;
+        capHits.incentive_clamped_amount += amount - allowed;
+      }
+      if (allowed > 0) {
+        incentiveUsed.set(userId, (incentiveUsed.get(userId) || 0) + allowed);
+        credit(userId, incentive, allowed, dayTotals);
+      }
+      return allowed;
+    };
+
+    const volumes = new Map(
+      snapshot.volumes.map((row) => [
+        Number(row.user_id),
+        {
+          left: Number(row.left_volume || 0),
+          right: Number(row.right_volume || 0),
+          leftCarry: Number(row.left_carry || 0),
+          rightCarry: Number(row.right_carry || 0),
+          // Simulated day the user became ineligible (negative = before the run started)
+          ineligibleSince: row.ineligible_since
+            ? -daysBetween(formatDate(row.ineligible_since), snapshot.startDate)
+            : null
+        }
+      ])
+    );
+    const volumeRow = (userId) => {
+      if (!volumes.has(userId)) {
+        volumes.set(userId, { left: 0, right: 0, leftCarry: 0, rightCarry: 0, ineligibleSince: null });
+      }
+      return volumes.get(userId);
+    };
+
+    const addVolumeToUplines = (userId, amount) => {
+      const visited = new Set([userId]);
+      let current = parentOf.get(userId);
+      while (current && !visited.has(current.parentId)) {
+        visited.add(current.parentId);
+        const row = volumeRow(current.parentId);
+        if (current.position === 'left') row.left += amount;
+        else if (current.position === 'right') row.right += amount;
+        current = parentOf.get(current.parentId);
+      }
+    };
+
+    // Same level walk as Catalyst.distribute: qualification rules and optional compression
+    const activeDirects = (userId) =>
+      (directsOf.get(userId) || []).filter((memberId) => activePackInfo(memberId).highestPack).length;
+    const payCatalyst = (originUserId, amount, dayTotals) => {
+      const rates = plan.catalystRates;
+      const { compression, maxDepth, qualifications } = plan.catalystRules;
+      const depth = compression ? Math.max(rates.length, maxDepth) : rates.length;
+      const visited = new Set();
+      let currentUserId = originUserId;
+      let levelIndex = 0;
+      for (let generation = 1; generation <= depth && levelIndex < rates.length; generation++) {
+        const sponsorId = sponsorOf.get(currentUserId);
+        if (!sponsorId || visited.has(sponsorId) || sponsorId === currentUserId) break;
+        visited.add(sponsorId);
+        currentUserId = sponsorId;
+        const required = Catalyst.requiredDirects(levelIndex + 1, qualifications);
+        if (!activePackInfo(sponsorId).highestPack || (required > 0 && activeDirects(sponsorId) < required)) {
+          if (!compression) levelIndex += 1;
+          continue;
+        }
+        payIncentive(sponsorId, 'catalyst', amount * rates[levelIndex], dayTotals);
+        levelIndex += 1;
+      }
+    };
+
+    const payPowerPassUp = (originUserId, coreAmount, dayTotals) => {
+      let previousRankPercent = 0;
+      const visited = new Set();
+      let currentUserId = originUserId;
+      for (let level = 0; level < PASSUP_LEVELS; level++) {
+        const sponsorId = sponsorOf.get(currentUserId);
+        if (!sponsorId || visited.has(sponsorId)) break;
+        visited.add(sponsorId);
+        currentUserId = sponsorId;
+
+        const sponsorRankPercent = rankPercent(sponsorId);
+        if (sponsorRankPercent <= previousRankPercent) continue;
+        const earned = ((sponsorRankPercent - previousRankPercent) / 100) * coreAmount;
+        payIncentive(sponsorId, 'power_passup', earned, dayTotals);
+        previousRankPercent = sponsorRankPercent;
+      }
+    };
+
+    const hasActiveDirectOnSide = (userId, side) =>
+      (childrenOf.get(userId) || []).some(
+        (child) =>
+          child.position === side &&
+          snapshot.verified.has(child.userId) &&
+          (stakesByUser.get(child.userId) || []).some((stake) => stake.active)
+      );
+
+    // Same settlement as the daily job (Synergy.settleVolumes), flush rules included
+    // Synergy paid per user in the current week / month, for the weekly and monthly caps.
+    // Copied per entry: the counters are reset and added to below, and the snapshot is shared by both runs
+    const synergyPaid = new Map([...snapshot.synergyPaid].map(([userId, paid]) => [userId, { ...paid }]));
+    let capPeriodStarts = Synergy.getCapPeriodStarts(snapshot.startDate);
+
+    const runSynergy = (dayTotals, day) => {
+      const { rates, cycleSize } = plan.synergy;
+      const rules = { ...planDefaults.synergy.flush, ...(plan.synergy.flush || {}) };
+      const capPeriods = { ...planDefaults.synergy.capPeriods, ...(plan.synergy.capPeriods || {}) };
+      const matchingRates = (plan.synergy.matching || planDefaults.synergy.matching).rates;
+
+      const starts = Synergy.getCapPeriodStarts(addDays(snapshot.startDate, day));
+      for (const paid of synergyPaid.values()) {
+        if (starts.week !== capPeriodStarts.week) paid.week = 0;
+        if (starts.month !== capPeriodStarts.month) paid.month = 0;
+      }
+      capPeriodStarts = starts;
+
+      const payouts = [];
+      for (const [userId, row] of volumes) {
+        const leftTotal = row.left + row.leftCarry;
+        const rightTotal = row.right + row.rightCarry;
+        const canCycle = leftTotal >= cycleSize && rightTotal >= cycleSize;
+
+        const { highestPack, totalAmount } = activePackInfo(userId);
+        const rate = highestPack ? rates[highestPack] || 0 : 0;
+        const qualified =
+          canCycle || rules.carryExpiryDays
+            ? Boolean(rate) &&
+              totalAmount > 0 &&
+              hasActiveDirectOnSide(userId, 'left') &&
+              hasActiveDirectOnSide(userId, 'right')
+            : true;
+        if (qualified) row.ineligibleSince = null;
+        else if (row.ineligibleSince === null) row.ineligibleSince = day;
+
+        const perCycleReward = rate ? cycleSize * rate : 0;
+        if (!synergyPaid.has(userId)) synergyPaid.set(userId, { week: 0, month: 0 });
+        const periodPaid = synergyPaid.get(userId);
+        // daily_paid starts every simulated day at zero
+        const capWindow = Synergy.getRemainingCap({
+          dailyCap: totalAmount,
+          dailyPaid: 0,
+          weekPaid: periodPaid.week,
+          monthPaid: periodPaid.month,
+          capPeriods
+        });
+        const outcome = Synergy.settleVolumes({
+          left: leftTotal,
+          right: rightTotal,
+          cycleSize,
+          perCycleReward,
+          remainingCap: capWindow.remaining,
+          dailyCap: totalAmount,
+          qualified,
+          ineligibleDays: qualified ? 0 : day - row.ineligibleSince,
+          rules
+        });
+        if (qualified && outcome.cycles < Math.floor(Math.min(leftTotal, rightTotal) / cycleSize)) {
+          capHits[`synergy_${capWindow.period}_cap`] += 1;
+        }
+        if (outcome.cycles > 0) {
+          const paid = payIncentive(userId, 'synergy', outcome.cycles * perCycleReward, dayTotals);
+          // The daily job leaves the volumes alone when the combined cap allows nothing
+          if (paid <= 0) continue;
+          periodPaid.week += paid;
+          periodPaid.month += paid;
+          payouts.push({ userId, paid });
+        }
+        if (outcome.cycles === 0 && outcome.flushes.length === 0) continue;
+
+        for (const flush of outcome.flushes) {
+          capHits.synergy_flushes += 1;
+          capHits.synergy_flushed_volume += flush.left + flush.right;
+          if (flush.reason === 'carry_expiry') row.ineligibleSince = day;
+        }
+        Object.assign(row, { left: 0, right: 0, leftCarry: outcome.left, rightCarry: outcome.right });
+      }
+
+      // Matching bonus after every member's own payout, as in Synergy.processAllUsers
+      for (const { userId, paid } of payouts) {
+        const visited = new Set([userId]);
+        let currentUserId = userId;
+        for (const rate of matchingRates) {
+          const sponsorId = sponsorOf.get(currentUserId);
+          if (!sponsorId || visited.has(sponsorId)) break;
+          visited.add(sponsorId);
+          currentUserId = sponsorId;
+          if (rate <= 0 || !activePackInfo(sponsorId).highestPack) continue;
+          payIncentive(sponsorId, 'synergy_match', paid * rate, dayTotals);
+        }
+      }
+    };
+
+    const daily = [];
+    for (let day = 0; day < days; day++) {
+      const dayTotals = emptyTotals();
+      const sales = salesDays.length ? salesDays[day % salesDays.length] : null;
+
+      for (const purchase of sales?.purchases || []) {
+        const shares = Math.floor(purchase.amount / 25);
+        const packType = packForShares(shares);
+        if (!packType) continue;
+        const cfg = plan.energyPacks[packType];
+        addStake({
+          userId: purchase.userId,
+          packType,
+          shares,
+          amount: purchase.amount,
+          isFree: false,
+          roi: cfg.dailyRoiRate,
+          limit: cfg.maxRewardLimit,
+          earned: 0,
+          adjustment: 0,
+          fromDay: day + 1,
+          active: true
+        });
+        newStakes += 1;
+        newSales += purchase.amount;
+        payCatalyst(purchase.userId, purchase.amount, dayTotals);
+        addVolumeToUplines(purchase.userId, purchase.amount);
+      }
+
+      const salesSource = snapshot.salesSource;
+      const harvestSales =
+        (salesSource === 'deposits' || salesSource === 'combined' ? sales?.depositSales || 0 : 0) +
+        (salesSource === 'deposits' ? 0 : sales?.stakeSales || 0);
+      const rewardPool = harvestSales * plan.harvestPoolShare;
+      const totalShares = stakes.reduce((sum, stake) => sum + (stake.active ? stake.shares : 0), 0);
+
+      for (const stake of stakes) {
+        if (!stake.active || stake.fromDay > day) continue;
+
+        const maxRewards = stake.amount * (stake.limit / 100);
+        const remainingCap = maxRewards - stake.earned - stake.adjustment;
+        if (remainingCap <= 0) {
+          stake.active = false;
+          capHits.stakes_completed += 1;
+          continue;
+        }
+
+        const rawCore = stake.isFree ? 0 : stake.amount * stake.roi;
+        const rawHarvest =
+          rewardPool > 0 && totalShares > 0
+            ? Math.min((rewardPool / totalShares) * stake.shares, stake.amount * plan.harvestDailyCap)
+            : 0;
+        const rawTotal = rawCore + rawHarvest;
+        if (rawTotal <= 0) continue;
+
+        const ratio = rawTotal > remainingCap ? remainingCap / rawTotal : 1;
+        const core = rawCore * ratio;
+        const stakerCore = core * (rankPercent(stake.userId) / 100);
+        credit(stake.userId, 'core', stakerCore, dayTotals);
+        credit(stake.userId, 'harvest', rawHarvest * ratio, dayTotals);
+
+        const remainingCore = core - stakerCore;
+        if (remainingCore > 0) {
+          const before = totals.power_passup;
+          payPowerPassUp(stake.userId, remainingCore, dayTotals);
+          retainedCore += remainingCore - (totals.power_passup - before);
+        }
+
+        stake.earned += rawTotal * ratio;
+        if (stake.earned + stake.adjustment >= maxRewards) {
+          stake.active = false;
+          capHits.stakes_completed += 1;
+        }
+      }
+
+      runSynergy(dayTotals, day);
+
+      daily.push({ date: addDays(snapshot.startDate, day), ...roundTotals(dayTotals) });
+    }
+
+    const activeStakes = stakes.filter((stake) => stake.active);
+    const outstandingStakeCap = activeStakes.reduce(
+      (sum, stake) => sum + Math.max(0, stake.amount * (stake.limit / 100) - stake.earned - stake.adjustment),
+      0
+    );
+
+    return {
+      summary: {
+        payouts: roundTotals(totals),
+        liability: round2(sumTotals(totals)),
+        retained_core: round2(retainedCore),
+        new_sales: round2(newSales),
+        new_stakes: newStakes,
+        active_stakes_at_end: activeStakes.length,
+        outstanding_stake_cap: round2(outstandingStakeCap),
+        cap_hits: {
+          ...capHits,
+          incentive_clamped_amount: round2(capHits.incentive_clamped_amount),
+          synergy_flushed_volume: round2(capHits.synergy_flushed_volume)
+        }
+      },
+      daily,
+      byUser
+    };
+  }
+
+  // Top earners under the scenario with what they would have earned under the current plan
+  static async getTopEarners(baseline, scenario, limit) {
+    const top = [...scenario.byUser.entries()]
+      .map(([userId, userTotals]) => ({ userId, total: sumTotals(userTotals), userTotals }))
+      .sort((a, b) => b.total - a.total)
+      .slice(0, limit);
+    if (!top.length) return [];
+
+    const users = await db('users')
+      .whereIn(
+        'id',
+        top.map((row) => row.userId)
+      )
+      .select('id', 'name');
+    const nameById = new Map(users.map((user) => [Number(user.id), user.name]));
+
+    return top.map(({ userId, total, userTotals }) => {
+      const baselineTotal = sumTotals(baseline.byUser.get(userId) || emptyTotals());
+      return {
+        user_id: userId,
+        name: nameById.get(userId) || null,
+        baseline: round2(baselineTotal),
+        scenario: round2(total),
+        delta: round2(total - baselineTotal),
+        scenario_breakdown: roundTotals(userTotals)
+      };
+    });
+  }
+
+  /**
+   * Run the current plan and the `overrides` scenario over the same snapshot.
+   * Options: days (1-365), applyToExistingStakes, includeNewSales, salesLookbackDays (1-90), top.
+   */
+  static async run(
+    overrides = {},
+    { days = 30, applyToExistingStakes = true, includeNewSales = true, salesLookbackDays = 30, top = 20 } = {}
+  ) {
+    const snapshot = await this.loadSnapshot({ salesLookbackDays });
+    const salesDays = includeNewSales ? this.buildSalesDays(snapshot, salesLookbackDays) : [];
+
+    const [baselinePlan, scenarioPlan] = await Promise.all([
+      this.buildPlan({}),
+      this.buildPlan(overrides, { applyToExistingStakes })
+    ]);
+
+    const baseline = this.simulate(snapshot, baselinePlan, { days, salesDays });
+    const scenario = this.simulate(snapshot, scenarioPlan, { days, salesDays });
+
+    const delta = Object.fromEntries(
+      Object.keys(scenario.summary.payouts).map((key) => [
+        key,
+        round2(scenario.summary.payouts[key] - baseline.summary.payouts[key])
+      ])
+    );
+
+    return {
+      snapshot: {
+        taken_at: snapshot.takenAt,
+        start_date: snapshot.startDate,
+        active_stakes: snapshot.stakes.length,
+        users_in_genealogy: snapshot.genealogy.length,
+        sales_window: includeNewSales ? { from: snapshot.salesFrom, days: salesLookbackDays } : null,
+        harvest_sales_source: snapshot.salesSource
+      },
+      assumptions: {
+        days,
+        overrides: Object.keys(overrides),
+        apply_to_existing_stakes: scenarioPlan.repriceExisting,
+        include_new_sales: includeNewSales,
+        rewards_claimed_daily: true,
+        ranks_frozen: true
+      },
+      baseline: { ...baseline.summary, daily: baseline.daily },
+      scenario: { ...scenario.summary, daily: scenario.daily },
+      delta: { ...delta, liability: round2(scenario.summary.liability - baseline.summary.liability) },
+      top_earners: await this.getTopEarners(baseline, scenario, top)
+    };
+  }
+}
+
+RewardSimulator.MAX_DAYS = MAX_DAYS;
+RewardSimulator.MAX_LOOKBACK_DAYS = MAX_LOOKBACK_DAYS;
+
+module.exports = RewardSimulator;
@@ -0,0 +1,295 @@
+const db = require('../config/database');
+const JobRun = require('./JobRun');
+const Transfer = require('./Transfer');
+const { sendScheduledTransferSkippedEmail } = require('../utils/email');
+
+const JOB_NAME = 'scheduled_transfers';
+const FREQUENCIES = ['once', 'weekly', 'monthly'];
+
+const SKIP_MESSAGES = {
+  insufficient_balance: 'Insufficient wallet balance',
+  limit_exceeded: 'Transfer limit reached',
+  recipient_unavailable: 'Recipient no longer accepts transfers',
+  out_of_scope: 'Recipient is outside your allowed transfer scope',
+  sender_inactive: 'Your account is inactive'
+};
+
+const envNumber = (name, fallback) => {
+  const raw = parseFloat(process.env[name] ?? fallback);
+  return Number.isNaN(raw) ? parseFloat(fallback) : Math.max(0, raw);
+};
+
+// DATE columns come back as local-midnight Date objects
+const formatDate = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string') return value.slice(0, 10);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+const toDateStr = (runDate) =>
+  typeof runDate === 'string' ? runDate : runDate.toISOString().split('T')[0];
+
+const parseDateStr = (dateStr) => {
+  const [year, month, day] = dateStr.split('-').map((part) => parseInt(part, 10));
+  return { year, month, day };
+};
+
+const isValidDateStr = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const { year, month, day } = parseDateStr(value);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+class ScheduledTransfer {
+  static getMaxActive() {
+    return Math.floor(envNumber('SCHEDULED_TRANSFER_MAX_ACTIVE', '10'));
+  }
+
+  /**
+   * Next occurrence after dateStr. Weekly adds 7 days; monthly keeps the start date's
+   * day of month, clamped to short months (Jan 31 -> Feb 28 -> Mar 31).
+   */
+  static computeNextRunDate(frequency, dateStr, startDateStr = dateStr) {
+    const { year, month, day } = parseDateStr(dateStr);
+
+    if (frequency === 'weekly') {
+      return new Date(Date.UTC(year, month - 1, day + 7)).toISOString().split('T')[0];
+    }
+    if (frequency === 'monthly') {
+      const anchorDay = parseDateStr(startDateStr).day;
+      const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      return new Date(Date.UTC(year, month, Math.min(anchorDay, lastDay))).toISOString().split('T')[0];
+    }
+    return null;
+  }
+
+  static async findById(id) {
+    return db('scheduled_transfers').where({ id }).first();
+  }
+
+  static async findByUserId(userId, { status = null } = {}) {
+    let query = db('scheduled_transfers as s')
+      .join('users as r', 's.recipient_id', 'r.id')
+      .where('s.user_id', userId)
+      .select('s.*', 'r.name as recipient_name', 'r.phone_number as recipient_phone');
+
+    if (status) {
+      query = query.where('s.status', status);
+    }
+
+    const rows = await query.orderBy([
+      { column: 's.status', order: 'asc' },
+      { column: 's.next_run_date', order: 'asc' },
+      { column: 's.id', order: 'desc' }
+    ]);
+
+    return rows.map(({ recipient_name: name, recipient_phone: phone, ...row }) => ({
+      ...this.format(row),
+      recipient: Transfer.getMaskedProfile({ id: row.recipient_id, name, phone_number: phone })
+    }));
+  }
+
+  static format(row) {
+    return {
+      ...row,
+      amount: parseFloat(row.amount),
+      start_date: formatDate(row.start_date),
+      next_run_date: formatDate(row.next_run_date),
+      end_date: formatDate(row.end_date)
+    };
+  }
+
+  static async countActive(userId) {
+    const row = await db('scheduled_transfers')
+      .where({ user_id: userId, status: 'active' })
+      .count('* as count')
+      .first();
+    return parseInt(row?.count || 0, 10);
+  }
+
+  static async create({ userId, recipientId, amount, note = null, frequency, startDate, endDate = null }) {
+    const [id] = await db('scheduled_transfers').insert({
+      user_id: userId,
+      recipient_id: recipientId,
+      amount,
+      note,
+      frequency,
+      start_date: startDate,
+      next_run_date: startDate,
+      end_date: endDate,
+      status: 'active',
+      created_at: db.fn.now(),
+      updated_at: db.fn.now()
+    });
+
+    return this.format(await this.findById(id));
+  }
+
+  // Cancel an active schedule owned by the user; returns null if there is none
+  static async cancel(userId, id) {
+    const updated = await db('scheduled_transfers')
+      .where({ id, user_id: userId, status: 'active' })
+      .update({ status: 'cancelled', next_run_date: null, updated_at: db.fn.now() });
+    if (!updated) return null;
+    return this.format(await this.findById(id));
+  }
+
+  /**
+   * Schedule fields after a run (executed or skipped) on dateStr.
+   * Missed occurrences are not replayed: the next run is the first one after dateStr.
+   */
+  static advance(schedule, dateStr, executed) {
+    if (schedule.frequency === 'once') {
+      return { status: executed ? 'completed' : 'failed', next_run_date: null };
+    }
+
+    const startDateStr = formatDate(schedule.start_date);
+    let next = formatDate(schedule.next_run_date);
+    while (next <= dateStr) {
+      next = this.computeNextRunDate(schedule.frequency, next, startDateStr);
+    }
+
+    const endDateStr = formatDate(schedule.end_date);
+    if (endDateStr && next > endDateStr) {
+      return { status: 'completed', next_run_date: null };
+    }
+    return { status: 'active', next_run_date: next };
+  }
+
+  // Why a due transfer cannot run right now (null = it can)
+  static async getSkipReason(schedule, sender, recipient, wallet, trx = null) {
+    const amount = parseFloat(schedule.amount);
+
+    if (!sender || !sender.is_active) return 'sender_inactive';
+    if (!recipient || !recipient.accept_transfers) return 'recipient_unavailable';
+    if (!(await Transfer.isRecipientInScope(sender.id, recipient.id))) return 'out_of_scope';
+
+    const limitCheck = await Transfer.checkLimits(sender.id, sender.role, amount, trx);
+    if (!limitCheck.allowed) return 'limit_exceeded';
+
+    const totalDebit = amount + Transfer.getFee();
+    if (!wallet || parseFloat(wallet.balance) < totalDebit) return 'insufficient_balance';
+
+    return null;
+  }
+
+  /**
+   * Run one due schedule. The schedule and sender wallet rows are locked and the
+   * schedule is advanced in the same transaction as the transfer, so a re-run never
+   * sends the same occurrence twice.
+   */
+  static async runOne(scheduleId, dateStr) {
+    const outcome = await db.transaction(async (trx) => {
+      const schedule = await trx('scheduled_transfers')
+        .where({ id: scheduleId, status: 'active' })
+        .where('next_run_date', '<=', dateStr)
+        .forUpdate()
+        .first();
+      if (!schedule) return { result: 'not_due' };
+
+      // Wallet lock first, so the limit usage read below sees every transfer committed before it
+      const wallet = await trx('wallets').where({ user_id: schedule.user_id, wallet_type: 'main' }).forUpdate().first();
+      const [sender, recipient] = await Promise.all([
+        trx('users').where({ id: schedule.user_id }).first(),
+        trx('users').where({ id: schedule.recipient_id }).first()
+      ]);
+
+      const skipReason = await this.getSkipReason(schedule, sender, recipient, wallet, trx);
+      const executed = !skipReason;
+
+      if (executed) {
+        await Transfer.execute(
+          {
+            sender: { id: sender.id, phoneNumber: sender.phone_number, role: sender.role },
+            recipient,
+            amount: parseFloat(schedule.amount),
+            note: schedule.note,
+            metadata: { scheduled_transfer_id: schedule.id, scheduled_for: dateStr }
+          },
+          trx
+        );
+      }
+
+      const next = this.advance(schedule, dateStr, executed);
+      await trx('scheduled_transfers')
+        .where({ id: schedule.id })
+        .update({
+          ...next,
+          run_count: schedule.run_count + (executed ? 1 : 0),
+          skip_count: schedule.skip_count + (executed ? 0 : 1),
+          last_run_at: trx.fn.now(),
+          last_result: executed ? 'executed' : `skipped_${skipReason}`,
+          last_error: executed ? null : SKIP_MESSAGES[skipReason],
+          updated_at: trx.fn.now()
+        });
+
+      return { result: executed ? 'executed' : 'skipped', skipReason, schedule, sender, recipient, next };
+    });
+
+    if (outcome.result === 'skipped') {
+      await this.notifySkipped(outcome);
+    }
+
+    return outcome;
+  }
+
+  static async notifySkipped({ schedule, sender, recipient, skipReason, next }) {
+    if (!sender?.email) return;
+    try {
+      await sendScheduledTransferSkippedEmail(sender.email, sender.name, {
+        amount: parseFloat(schedule.amount),
+        recipientName: Transfer.maskName(recipient?.name) || Transfer.maskPhone(recipient?.phone_number),
+        reason: SKIP_MESSAGES[skipReason],
+        nextRunDate: next.next_run_date
+      });
+    } catch (err) {
+      console.error(`Scheduled transfer ${schedule.id} skip notification failed:`, err.message);
+    }
+  }
+
+  // Run every active schedule due on or before runDate
+  static async runDue(runDate = new Date()) {
+    const dateStr = toDateStr(runDate);
+    await JobRun.start(JOB_NAME, dateStr, { note: 'Scheduled transfers' });
+
+    const due = await db('scheduled_transfers')
+      .where({ status: 'active' })
+      .where('next_run_date', '<=', dateStr)
+      .orderBy([
+        { column: 'next_run_date', order: 'asc' },
+        { column: 'id', order: 'asc' }
+      ])
+      .select('id');
+
+    const result = { due: due.length, executed: 0, skipped: 0, errors: 0, skip_reasons: {} };
+
+    for (const { id } of due) {
+      try {
+        const outcome = await this.runOne(id, dateStr);
+        if (outcome.result === 'executed') {
+          result.executed++;
+        } else if (outcome.result === 'skipped') {
+          result.skipped++;
+          result.skip_reasons[outcome.skipReason] = (result.skip_reasons[outcome.skipReason] || 0) + 1;
+        }
+      } catch (error) {
+        result.errors++;
+        console.error(`Scheduled transfer ${id} failed:`, error.message);
+        await db('scheduled_transfers')
+          .where({ id })
+          .update({ last_error: error.message, updated_at: db.fn.now() });
+      }
+    }
+
+    await JobRun.finish(JOB_NAME, dateStr, 'success', result);
+    return { run_date: dateStr, ...result };
+  }
+}
+
+ScheduledTransfer.JOB_NAME = JOB_NAME;
+ScheduledTransfer.FREQUENCIES = FREQUENCIES;
+ScheduledTransfer.isValidDateStr = isValidDateStr;
+
+module.exports = ScheduledTransfer;
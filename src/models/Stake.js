@@ -2,40 +2,20 @@ const db = require("../config/database");
 const { distributePowerPassUp } = require("./PowerPassUp");
 const RewardCap = require("./RewardCap");
 const JobRun = require("./JobRun");
+const Wallet = require("./Wallet");
+const PlanConfig = require("./PlanConfig");
+const StakeLifecycle = require("./StakeLifecycle");
+const AutoCompound = require("./AutoCompound");
 
-// Energy pack configurations based on IXFLIX Reward Plan
-// Now supports dynamic share-based staking
-const ENERGY_PACKS = {
-  spark: {
-    minShares: 1,
-    maxShares: 9,
-    dailyRoiRate: 0.003, // 0.3%
-    maxRewardLimit: 200, // 200% total limit
-  },
-  pulse: {
-    minShares: 10,
-    maxShares: 99,
-    dailyRoiRate: 0.005, // 0.5%
-    maxRewardLimit: 300, // 300% total limit
-  },
-  charge: {
-    minShares: 100,
-    maxShares: 999,
-    dailyRoiRate: 0.007, // 0.7%
-    maxRewardLimit: 400, // 400% total limit
-  },
-  quantum: {
-    minShares: 1000,
-    maxShares: null, // unlimited
-    dailyRoiRate: 0.01, // 1.0%
-    maxRewardLimit: 500, // 500% total limit
-  },
-};
+// Harvest Energy: share of daily sales paid out to active shares, and the daily
+// per-stake ceiling as a fraction of the stake amount
+const HARVEST_POOL_SHARE = 0.2;
+const HARVEST_DAILY_CAP = 0.05;
 
 class Stake {
   // Create a new stake
   static async create(data) {
-    const packConfig = ENERGY_PACKS[data.pack_type];
+    const packConfig = await this.getPackConfig(data.pack_type);
     if (!packConfig) {
       throw new Error("Invalid pack type");
     }
@@ -81,7 +61,7 @@ class Stake {
 
   // Create a new stake within a transaction
   static async createWithTransaction(data, trx) {
-    const packConfig = ENERGY_PACKS[data.pack_type];
+    const packConfig = await this.getPackConfig(data.pack_type);
     if (!packConfig) {
       throw new Error("Invalid pack type");
     }
@@ -111,6 +91,7 @@ class Stake {
       shares: shares,
       amount: data.amount,
       is_free: data.is_free || false,
+      paid_by_user_id: data.paid_by_user_id || null,
       daily_roi_rate: packConfig.dailyRoiRate,
       max_reward_limit: packConfig.maxRewardLimit,
       status: "active",
@@ -125,6 +106,84 @@ class Stake {
     return stake;
   }
 
+  /**
+   * Add `addAmount` to an active stake (caller locks the row and handles payment).
+   * Shares and pack are recomputed from the new amount; crossing a tier moves the whole
+   * stake to the new ROI and cap. Cap progress carries over pro rata: the old principal
+   * keeps the fraction of its cap it had used, measured on the new limit.
+   * `source` records where the money came from: top_up (wallet purchase) or compound.
+   */
+  static async upgradeWithTransaction(
+    stake,
+    addAmount,
+    trx,
+    source = "top_up"
+  ) {
+    const fromAmount = parseFloat(stake.amount);
+    const toAmount = fromAmount + parseFloat(addAmount);
+    const toShares = Math.floor(toAmount / 25);
+    const toPack = await this.getPackForShares(toShares);
+    const packConfig = await this.getPackConfig(toPack);
+    if (!packConfig) {
+      throw new Error("Invalid pack type");
+    }
+
+    const earned = parseFloat(stake.total_rewards_earned || 0);
+    const fromLimit = parseFloat(stake.max_reward_limit);
+    const fromCap = fromAmount * (fromLimit / 100);
+    const capUsedBefore = earned + parseFloat(stake.reward_cap_adjustment || 0);
+    const progress = fromCap > 0 ? Math.min(1, capUsedBefore / fromCap) : 0;
+    const capUsedAfter =
+      Math.round(
+        progress * fromAmount * (packConfig.maxRewardLimit / 100) * 100
+      ) / 100;
+
+    await trx("stakes")
+      .where({ id: stake.id })
+      .update({
+        amount: toAmount,
+        shares: toShares,
+        pack_type: toPack,
+        daily_roi_rate: packConfig.dailyRoiRate,
+        max_reward_limit: packConfig.maxRewardLimit,
+        reward_cap_adjustment: capUsedAfter - earned,
+        updated_at: trx.fn.now(),
+      });
+
+    const [upgradeId] = await trx("stake_upgrades").insert({
+      stake_id: stake.id,
+      user_id: stake.user_id,
+      added_amount: addAmount,
+      added_shares: toShares - stake.shares,
+      from_pack: stake.pack_type,
+      to_pack: toPack,
+      from_shares: stake.shares,
+      to_shares: toShares,
+      from_amount: fromAmount,
+      to_amount: toAmount,
+      from_daily_roi_rate: stake.daily_roi_rate,
+      to_daily_roi_rate: packConfig.dailyRoiRate,
+      from_max_reward_limit: fromLimit,
+      to_max_reward_limit: packConfig.maxRewardLimit,
+      rewards_earned: earned,
+      cap_used_before: capUsedBefore,
+      cap_used_after: capUsedAfter,
+      source,
+      created_at: trx.fn.now(),
+    });
+
+    return {
+      stake: await trx("stakes").where({ id: stake.id }).first(),
+      upgrade: await trx("stake_upgrades").where({ id: upgradeId }).first(),
+    };
+  }
+
+  static async getUpgrades(stakeId) {
+    return db("stake_upgrades")
+      .where({ stake_id: stakeId })
+      .orderBy("created_at", "asc");
+  }
+
   // Find stake by ID
   static async findById(id) {
     return await db("stakes").where({ id }).first();
@@ -202,8 +261,13 @@ class Stake {
     return { highestPack, totalAmount };
   }
 
-  // Batch version of getUserActivePackInfo (for tree endpoints, admin lists, etc.)
-  static async getUsersActivePackInfo(userIds, trx = null) {
+  // Batch version of getUserActivePackInfo (for tree endpoints, admin lists, etc.).
+  // `statuses` widens it for reporting (e.g. liabilities counting paused stakes).
+  static async getUsersActivePackInfo(
+    userIds,
+    trx = null,
+    statuses = ["active"]
+  ) {
     const query = trx || db;
     const ids = Array.from(
       new Set((userIds || []).map((id) => Number(id)).filter(Boolean))
@@ -213,7 +277,7 @@ class Stake {
 
     const rows = await query("stakes")
       .whereIn("user_id", ids)
-      .where({ status: "active" })
+      .whereIn("status", statuses)
       .groupBy("user_id")
       .select(
         "user_id",
@@ -331,10 +395,15 @@ class Stake {
     };
   }
 
+  // Where Harvest "daily sales" come from: stakes | deposits | combined
+  static getHarvestSalesSource() {
+    return (process.env.HARVEST_SALES_SOURCE || "stakes").toLowerCase();
+  }
+
   // Calculate performance-based Harvest Energy reward for a given date
   static async calculateHarvestRewardForDate(stake, dateStr) {
     // Total platform sales for the date (configurable source)
-    const source = (process.env.HARVEST_SALES_SOURCE || "stakes").toLowerCase(); // stakes | deposits | combined
+    const source = this.getHarvestSalesSource();
     let totalSales = 0;
 
     if (source === "deposits" || source === "combined") {
@@ -363,7 +432,7 @@ class Stake {
 
     if (totalSales <= 0) return 0;
 
-    const rewardPool = totalSales * 0.2; // 20% allocation
+    const rewardPool = totalSales * HARVEST_POOL_SHARE; // 20% allocation
 
     // Total active shares across all active stakes
     const sharesRow = await db("stakes")
@@ -377,7 +446,7 @@ class Stake {
     const rawHarvest = perShareReward * parseFloat(stake.shares);
 
     // Daily harvest cap: up to 5% of stake amount
-    const dailyCap = parseFloat(stake.amount) * 0.05;
+    const dailyCap = parseFloat(stake.amount) * HARVEST_DAILY_CAP;
     return Math.min(rawHarvest, dailyCap);
   }
 
@@ -430,133 +499,163 @@ class Stake {
 
   // Credit pending rewards to user's wallet
   static async creditPendingRewards(stakeId, rewardIds = null) {
-    return await db.transaction(async (trx) => {
-      let rewardsQuery = trx("stake_rewards").where({
-        stake_id: stakeId,
-        status: "pending",
-      });
+    return await db.transaction((trx) =>
+      this.creditPendingRewardsWithTransaction(stakeId, rewardIds, trx)
+    );
+  }
 
-      if (rewardIds) {
-        rewardsQuery = rewardsQuery.whereIn("id", rewardIds);
-      }
+  // Credit pending rewards within a transaction (auto-claim / auto-compound run inside one)
+  static async creditPendingRewardsWithTransaction(stakeId, rewardIds, trx) {
+    let rewardsQuery = trx("stake_rewards").where({
+      stake_id: stakeId,
+      status: "pending",
+    });
 
-      const pendingRewards = await rewardsQuery.orderBy("reward_date", "asc");
+    if (rewardIds) {
+      rewardsQuery = rewardsQuery.whereIn("id", rewardIds);
+    }
+
+    const pendingRewards = await rewardsQuery.orderBy("reward_date", "asc");
+
+    if (pendingRewards.length === 0) {
+      return { credited: 0, totalAmount: 0, walletCredited: 0 };
+    }
 
-      if (pendingRewards.length === 0) {
-        return { credited: 0, totalAmount: 0 };
+    const stake = await trx("stakes").where({ id: stakeId }).first();
+    const maxRewards =
+      parseFloat(stake.amount) * (parseFloat(stake.max_reward_limit) / 100);
+    let currentTotalRewards = parseFloat(stake.total_rewards_earned || 0);
+    // Cap progress carried over from upgrades
+    const capAdjustment = parseFloat(stake.reward_cap_adjustment || 0);
+    let totalCredited = 0;
+    // Harvest + staker's Core share actually paid into the wallet
+    let walletCredited = 0;
+    let passupSkips = 0;
+    let passupAllocations = 0;
+
+    for (const reward of pendingRewards) {
+      // Expire rewards older than 24h (reward_date before today is considered expired by cron, but guard here too)
+      const rewardDate = new Date(`${reward.reward_date}T00:00:00Z`);
+      const nowUtc = new Date();
+      if (nowUtc.getTime() - rewardDate.getTime() > 24 * 3600 * 1000) {
+        await trx("stake_rewards")
+          .where({ id: reward.id })
+          .update({ status: "expired", updated_at: trx.fn.now() });
+        continue;
       }
 
-      const stake = await trx("stakes").where({ id: stakeId }).first();
-      const maxRewards =
-        parseFloat(stake.amount) * (parseFloat(stake.max_reward_limit) / 100);
-      let currentTotalRewards = parseFloat(stake.total_rewards_earned || 0);
-      let totalCredited = 0;
-      let passupSkips = 0;
-      let passupAllocations = 0;
-
-      for (const reward of pendingRewards) {
-        // Expire rewards older than 24h (reward_date before today is considered expired by cron, but guard here too)
-        const rewardDate = new Date(`${reward.reward_date}T00:00:00Z`);
-        const nowUtc = new Date();
-        if (nowUtc.getTime() - rewardDate.getTime() > 24 * 3600 * 1000) {
-          await trx("stake_rewards")
-            .where({ id: reward.id })
-            .update({ status: "expired", updated_at: trx.fn.now() });
-          continue;
-        }
+      // Apply remaining cap at claim time
+      const remainingCap = maxRewards - currentTotalRewards - capAdjustment;
+      if (remainingCap <= 0) {
+        await trx("stake_rewards")
+          .where({ id: reward.id })
+          .update({ status: "expired", updated_at: trx.fn.now() });
+        continue;
+      }
 
-        // Apply remaining cap at claim time
-        const remainingCap = maxRewards - currentTotalRewards;
-        if (remainingCap <= 0) {
-          await trx("stake_rewards")
-            .where({ id: reward.id })
-            .update({ status: "expired", updated_at: trx.fn.now() });
-          continue;
+      const rawRewardAmount = parseFloat(reward.total_reward);
+      const rawCoreAmount = parseFloat(reward.core_reward || 0);
+      const ratio =
+        rawRewardAmount > remainingCap ? remainingCap / rawRewardAmount : 1;
+      const rewardAmount = rawRewardAmount * ratio;
+      const coreAmount = rawCoreAmount * ratio;
+      const harvestAmount = parseFloat(reward.harvest_reward || 0) * ratio;
+
+      // Calculate staker's entitled portion of core reward
+      const { getUserRankPercent } = require("./PowerPassUp");
+      const stakerRankPercent = await getUserRankPercent(stake.user_id, trx);
+      const stakerCorePortion = coreAmount * (stakerRankPercent / 100);
+      const stakerTotalCredit = harvestAmount + stakerCorePortion;
+
+      // Credit to user's wallet (harvest + staker's core portion)
+      await Wallet.updateBalance(
+        stake.user_id,
+        stakerTotalCredit,
+        "add",
+        "main",
+        trx,
+        {
+          entryType: "stake_reward",
+          referenceType: "stake_reward",
+          referenceId: reward.id,
+          description: `Stake reward for stake #${stake.id} - ${reward.reward_date}`,
+          contra: "reward_pool",
         }
+      );
 
-        const rawRewardAmount = parseFloat(reward.total_reward);
-        const rawCoreAmount = parseFloat(reward.core_reward || 0);
-        const ratio =
-          rawRewardAmount > remainingCap ? remainingCap / rawRewardAmount : 1;
-        const rewardAmount = rawRewardAmount * ratio;
-        const coreAmount = rawCoreAmount * ratio;
-        const harvestAmount = parseFloat(reward.harvest_reward || 0) * ratio;
-
-        // Calculate staker's entitled portion of core reward
-        const { getUserRankPercent } = require("./PowerPassUp");
-        const stakerRankPercent = await getUserRankPercent(stake.user_id, trx);
-        const stakerCorePortion = coreAmount * (stakerRankPercent / 100);
-        const stakerTotalCredit = harvestAmount + stakerCorePortion;
-
-        // Credit to user's wallet (harvest + staker's core portion)
-        await trx("wallets")
-          .where({ user_id: stake.user_id, wallet_type: "main" })
-          .increment("balance", stakerTotalCredit);
-
-        // Create transaction record
-        await trx("transactions").insert({
-          user_id: stake.user_id,
-          wallet_type: "main",
-          transaction_type: "stake_reward",
-          reference_type: "stake_reward",
-          reference_id: reward.id.toString(),
-          amount: stakerTotalCredit,
-          currency: "USD",
-          status: "completed",
-          description: `Stake reward for ${stake.pack_type} pack (${stakerRankPercent}% core share) - ${reward.reward_date}`,
-          created_at: trx.fn.now(),
-          updated_at: trx.fn.now(),
-        });
+      // Create transaction record
+      await trx("transactions").insert({
+        user_id: stake.user_id,
+        wallet_type: "main",
+        transaction_type: "stake_reward",
+        reference_type: "stake_reward",
+        reference_id: reward.id.toString(),
+        amount: stakerTotalCredit,
+        currency: "USD",
+        status: "completed",
+        description: `Stake reward for ${stake.pack_type} pack (${stakerRankPercent}% core share) - ${reward.reward_date}`,
+        created_at: trx.fn.now(),
+        updated_at: trx.fn.now(),
+      });
 
-        // Power Pass-Up on remaining Core Energy Reward portion
-        const remainingCoreAmount = coreAmount - stakerCorePortion;
-
-        // For PDF-compliant, we ignore staker rank; baseline = 0
-        if (remainingCoreAmount > 0) {
-          const passRes = await distributePowerPassUp({
-            originUserId: stake.user_id,
-            coreAmount: remainingCoreAmount,
-            referenceId: reward.id,
-            trx,
-          });
-          passupAllocations += passRes.allocations?.length || 0;
-          // Track skips (optional)
-          if ((passRes.distributed || 0) <= 0) passupSkips += 1;
-        }
+      // Power Pass-Up on remaining Core Energy Reward portion
+      const remainingCoreAmount = coreAmount - stakerCorePortion;
 
-        // Update reward status
-        await trx("stake_rewards").where({ id: reward.id }).update({
-          status: "credited",
-          core_reward: coreAmount,
-          harvest_reward: harvestAmount,
-          total_reward: rewardAmount,
-          credited_at: trx.fn.now(),
+      // For PDF-compliant, we ignore staker rank; baseline = 0
+      if (remainingCoreAmount > 0) {
+        const passRes = await distributePowerPassUp({
+          originUserId: stake.user_id,
+          coreAmount: remainingCoreAmount,
+          referenceId: reward.id,
+          trx,
         });
-
-        totalCredited += rewardAmount;
-        currentTotalRewards += rewardAmount;
+        passupAllocations += passRes.allocations?.length || 0;
+        // Track skips (optional)
+        if ((passRes.distributed || 0) <= 0) passupSkips += 1;
       }
 
-      if (totalCredited > 0) {
-        await trx("stakes").where({ id: stakeId }).update({
-          total_rewards_earned: currentTotalRewards,
-          updated_at: trx.fn.now(),
-        });
-        if (currentTotalRewards >= maxRewards) {
-          await trx("stakes").where({ id: stakeId }).update({
-            status: "completed",
-            updated_at: trx.fn.now(),
-          });
-        }
+      // Update reward status
+      await trx("stake_rewards").where({ id: reward.id }).update({
+        status: "credited",
+        core_reward: coreAmount,
+        harvest_reward: harvestAmount,
+        total_reward: rewardAmount,
+        credited_at: trx.fn.now(),
+      });
+
+      totalCredited += rewardAmount;
+      walletCredited += stakerTotalCredit;
+      currentTotalRewards += rewardAmount;
+    }
+
+    if (totalCredited > 0) {
+      await trx("stakes").where({ id: stakeId }).update({
+        total_rewards_earned: currentTotalRewards,
+        updated_at: trx.fn.now(),
+      });
+      if (
+        currentTotalRewards + capAdjustment >= maxRewards &&
+        stake.status === "active"
+      ) {
+        await StakeLifecycle.changeStatus(
+          stake,
+          "capped",
+          {
+            reason: "Reward cap reached",
+            metadata: { total_rewards_earned: currentTotalRewards },
+          },
+          trx
+        );
       }
+    }
 
-      return {
-        credited: pendingRewards.length,
-        totalAmount: totalCredited,
-        passupSkips,
-        passupAllocations,
-      };
-    });
+    return {
+      credited: pendingRewards.length,
+      totalAmount: totalCredited,
+      walletCredited,
+      passupSkips,
+      passupAllocations,
+    };
   }
 
   // Expire pending rewards older than 24h (run daily in cron)
@@ -608,22 +707,24 @@ class Stake {
     return await query;
   }
 
-  // Get energy pack configuration
-  static getPackConfig(packType) {
-    return ENERGY_PACKS[packType] || null;
+  // Energy pack configuration in force at `at` (plan_configs energy_packs)
+  static async getPackConfig(packType, at = new Date()) {
+    const packs = await PlanConfig.get("energy_packs", at);
+    return packs[packType] || null;
   }
 
   // Get all available pack types
-  static getAvailablePacks() {
-    return Object.keys(ENERGY_PACKS).map((packType) => ({
+  static async getAvailablePacks(at = new Date()) {
+    const packs = await PlanConfig.get("energy_packs", at);
+    return Object.keys(packs).map((packType) => ({
       type: packType,
-      ...ENERGY_PACKS[packType],
+      ...packs[packType],
     }));
   }
 
   // Validate stake amount for pack type
-  static validateStakeAmount(packType, amount) {
-    const packConfig = ENERGY_PACKS[packType];
+  static async validateStakeAmount(packType, amount) {
+    const packConfig = await this.getPackConfig(packType);
     if (!packConfig) {
       return { valid: false, error: "Invalid pack type" };
     }
@@ -651,18 +752,22 @@ class Stake {
   }
 
   // Get pack type for share count
-  static getPackForShares(shareCount) {
+  static async getPackForShares(shareCount, at = new Date()) {
     const shares = parseInt(shareCount);
-    if (shares >= 1000) return "quantum";
-    if (shares >= 100) return "charge";
-    if (shares >= 10) return "pulse";
-    if (shares >= 1) return "spark";
-    return null;
+    const packs = await PlanConfig.get("energy_packs", at);
+    return (
+      Object.keys(packs).find(
+        (packType) =>
+          shares >= packs[packType].minShares &&
+          (packs[packType].maxShares === null ||
+            shares <= packs[packType].maxShares)
+      ) || null
+    );
   }
 
   // Get pack max reward limit (%)
-  static getPackMaxLimit(packType) {
-    const cfg = ENERGY_PACKS[packType];
+  static async getPackMaxLimit(packType, at = new Date()) {
+    const cfg = await this.getPackConfig(packType, at);
     return cfg?.maxRewardLimit || null;
   }
 
@@ -699,16 +804,20 @@ class Stake {
         rewardsCreated++;
       } else {
         const st = await Stake.findById(stake.id);
-        if (st && st.status === "completed") capHits++;
+        if (st && st.status === "capped") capHits++;
       }
       processed++;
     }
 
+    // Stakes set to auto-claim / auto-compound get today's rewards credited right away
+    const autoClaim = await AutoCompound.run();
+
     await JobRun.finish("core_harvest", dateStr, "success", {
       processed,
       rewardsCreated,
       capHits,
       expired,
+      autoClaim,
     });
 
     return {
@@ -716,8 +825,12 @@ class Stake {
       rewards_created: rewardsCreated,
       capHits,
       expired,
+      auto_claim: autoClaim,
     };
   }
 }
 
+Stake.HARVEST_POOL_SHARE = HARVEST_POOL_SHARE;
+Stake.HARVEST_DAILY_CAP = HARVEST_DAILY_CAP;
+
 module.exports = Stake;
@@ -0,0 +1,177 @@
+const db = require('../config/database');
+const Wallet = require('./Wallet');
+const Transfer = require('./Transfer');
+
+const envNumber = (name, fallback) => {
+  const raw = parseFloat(process.env[name] ?? fallback);
+  return Number.isNaN(raw) ? parseFloat(fallback) : Math.max(0, raw);
+};
+
+/**
+ * Energy packs bought by one user (payer) for a direct or downline member (recipient).
+ * The stake is owned by the recipient; the payer's wallet pays for it.
+ * With STAKE_GIFT_REQUIRE_ACCEPTANCE the amount is held in transfer clearing until the
+ * recipient accepts (stake created) or the gift is declined, cancelled or expires (refund).
+ */
+class StakeGift {
+  static requiresAcceptance() {
+    return process.env.STAKE_GIFT_REQUIRE_ACCEPTANCE === 'true';
+  }
+
+  // How long a gift waits for acceptance before it is refunded
+  static getAcceptanceHours() {
+    return Math.max(1, envNumber('STAKE_GIFT_ACCEPT_HOURS', '72'));
+  }
+
+  // Recipient must be below the payer in the sponsor line or the binary tree
+  static async isDownline(payerId, recipientId) {
+    return (
+      (await Transfer.isAncestor(payerId, recipientId, 'sponsor_id')) ||
+      (await Transfer.isAncestor(payerId, recipientId, 'parent_id'))
+    );
+  }
+
+  static async findById(id, trx = null) {
+    const query = trx || db;
+    return query('stake_gifts').where({ id }).first();
+  }
+
+  static async create(data, trx = null) {
+    const query = trx || db;
+    const [id] = await query('stake_gifts').insert({
+      payer_id: data.payer_id,
+      recipient_id: data.recipient_id,
+      stake_id: data.stake_id || null,
+      amount: data.amount,
+      pack_type: data.pack_type,
+      note: data.note || null,
+      status: data.status,
+      expires_at: data.expires_at || null,
+      responded_at: data.status === 'completed' ? query.fn.now() : null,
+      created_at: query.fn.now(),
+      updated_at: query.fn.now()
+    });
+    return this.findById(id, query);
+  }
+
+  // Gifts sent or received by a user, newest first
+  static async listForUser(userId, { direction = 'received', status = null, limit = 50, offset = 0 } = {}) {
+    const [ownColumn, otherColumn] = direction === 'sent' ? ['payer_id', 'recipient_id'] : ['recipient_id', 'payer_id'];
+
+    let query = db('stake_gifts as g')
+      .join('users as u', `g.${otherColumn}`, 'u.id')
+      .where(`g.${ownColumn}`, userId)
+      .select('g.*', 'u.name as counterparty_name', 'u.phone_number as counterparty_phone');
+
+    if (status) {
+      query = query.where('g.status', status);
+    }
+
+    const rows = await query.orderBy('g.id', 'desc').limit(limit).offset(offset);
+    return rows.map(({ counterparty_name: name, counterparty_phone: phone, ...gift }) => ({
+      ...gift,
+      amount: parseFloat(gift.amount),
+      counterparty: Transfer.getMaskedProfile({ id: gift[otherColumn], name, phone_number: phone })
+    }));
+  }
+
+  // Lock a pending gift for a state change; null if it is missing or no longer pending
+  static async lockPending(id, trx) {
+    return trx('stake_gifts').where({ id, status: 'pending' }).forUpdate().first();
+  }
+
+  static isExpired(gift) {
+    return !!gift.expires_at && new Date(gift.expires_at).getTime() <= Date.now();
+  }
+
+  // Hold the gift amount from the payer's wallet while it waits for acceptance
+  static async hold(gift, trx) {
+    const amount = parseFloat(gift.amount);
+    await Wallet.updateBalance(gift.payer_id, amount, 'subtract', 'main', trx, {
+      entryType: 'stake_gift_hold',
+      referenceType: 'stake_gift',
+      referenceId: gift.id,
+      description: `Energy pack gift #${gift.id} held for acceptance`,
+      contra: 'transfer_clearing'
+    });
+    await trx('transactions').insert({
+      user_id: gift.payer_id,
+      wallet_type: 'main',
+      transaction_type: 'stake_gift_hold',
+      reference_type: 'stake_gift',
+      reference_id: String(gift.id),
+      amount: -amount,
+      currency: 'USD',
+      status: 'completed',
+      description: `Energy pack gift #${gift.id} ($${amount.toFixed(2)}) awaiting acceptance`,
+      metadata: JSON.stringify({ recipient_id: gift.recipient_id, pack_type: gift.pack_type }),
+      created_at: trx.fn.now(),
+      updated_at: trx.fn.now()
+    });
+  }
+
+  /**
+   * Give a held amount back to the payer's wallet.
+   * `transactionType` is stake_gift_release when the stake is being bought with it
+   * (accept) or stake_gift_refund when the gift is closed without a stake.
+   */
+  static async release(gift, transactionType, description, trx) {
+    const amount = parseFloat(gift.amount);
+    await Wallet.updateBalance(gift.payer_id, amount, 'add', 'main', trx, {
+      entryType: transactionType,
+      referenceType: 'stake_gift',
+      referenceId: gift.id,
+      description,
+      contra: 'transfer_clearing'
+    });
+    await trx('transactions').insert({
+      user_id: gift.payer_id,
+      wallet_type: 'main',
+      transaction_type: transactionType,
+      reference_type: 'stake_gift',
+      reference_id: String(gift.id),
+      amount,
+      currency: 'USD',
+      status: 'completed',
+      description,
+      metadata: JSON.stringify({ recipient_id: gift.recipient_id, pack_type: gift.pack_type }),
+      created_at: trx.fn.now(),
+      updated_at: trx.fn.now()
+    });
+  }
+
+  static async markCompleted(id, stakeId, trx) {
+    await trx('stake_gifts')
+      .where({ id })
+      .update({ status: 'completed', stake_id: stakeId, responded_at: trx.fn.now(), updated_at: trx.fn.now() });
+  }
+
+  // Close a pending gift without a stake (declined, cancelled, expired) and refund the payer
+  static async close(gift, status, trx) {
+    await this.release(gift, 'stake_gift_refund', `Energy pack gift #${gift.id} ${status}, amount refunded`, trx);
+    await trx('stake_gifts')
+      .where({ id: gift.id })
+      .update({ status, responded_at: trx.fn.now(), updated_at: trx.fn.now() });
+  }
+
+  // Refund pending gifts past their acceptance window: all of them (daily stake lifecycle job),
+  // or one user's as payer or recipient
+  static async expireStale(userId = null) {
+    const query = db('stake_gifts').where({ status: 'pending' }).where('expires_at', '<=', new Date());
+    if (userId) query.where((qb) => qb.where({ payer_id: userId }).orWhere({ recipient_id: userId }));
+    const stale = await query.select('id');
+
+    let expired = 0;
+    for (const { id } of stale) {
+      await db.transaction(async (trx) => {
+        const gift = await this.lockPending(id, trx);
+        if (!gift || !this.isExpired(gift)) return;
+        await this.close(gift, 'expired', trx);
+        expired++;
+      });
+    }
+    return expired;
+  }
+}
+
+module.exports = StakeGift;
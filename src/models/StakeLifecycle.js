@@ -0,0 +1,409 @@
+const db = require('../config/database');
+const JobRun = require('./JobRun');
+const Wallet = require('./Wallet');
+const PlanConfig = require('./PlanConfig');
+const StakeGift = require('./StakeGift');
+const { sendStakeEndOfLifeEmail } = require('../utils/email');
+
+const JOB_NAME = 'stake_lifecycle';
+const STATUSES = ['active', 'paused', 'capped', 'matured', 'terminated'];
+// Stakes that have stopped earning and wait for their end-of-life policy
+const END_OF_LIFE_STATUSES = ['capped', 'matured'];
+// Statuses an admin may move a stake to, by current status
+const ADMIN_TRANSITIONS = {
+  active: ['paused', 'capped', 'matured', 'terminated'],
+  paused: ['active', 'terminated'],
+  capped: ['active', 'terminated'],
+  matured: ['active', 'terminated'],
+  terminated: []
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Stake lifecycle: active -> (paused) -> capped | matured | terminated.
+ * - capped: total rewards reached the stake's cap (set when rewards are credited).
+ * - matured: the pack's termDays (stake_lifecycle plan config) passed before the cap.
+ * - terminated: ended early by the owner (penalty) or by an admin.
+ * Capped and matured stakes then get their end-of-life policy applied by the daily job:
+ * auto_renew buys the same pack again from the wallet, notify emails the owner.
+ * Every status change is recorded in stake_status_history.
+ */
+class StakeLifecycle {
+  // stake_lifecycle settings for a stake's pack, from the plan in force when it was bought
+  static async getPackPolicy(stake) {
+    const config = await PlanConfig.get('stake_lifecycle', stake.created_at || new Date());
+    return config[stake.pack_type] || { termDays: null, endOfLife: 'notify', earlyTerminationPenaltyPercent: null };
+  }
+
+  static async getPolicy(stake) {
+    const packPolicy = await this.getPackPolicy(stake);
+    const maturesAt = packPolicy.termDays
+      ? new Date(new Date(stake.created_at).getTime() + packPolicy.termDays * 86400000)
+      : null;
+    return {
+      term_days: packPolicy.termDays,
+      matures_at: maturesAt,
+      end_of_life: stake.end_of_life_policy || packPolicy.endOfLife,
+      pack_default_end_of_life: packPolicy.endOfLife,
+      early_termination_penalty_percent: packPolicy.earlyTerminationPenaltyPercent
+    };
+  }
+
+  /**
+   * Move a stake to `toStatus` and record it. `actor` is { type: system|user|admin, id }.
+   * `changes` are extra stakes columns to set in the same update.
+   */
+  static async changeStatus(
+    stake,
+    toStatus,
+    { actor = { type: 'system', id: null }, reason = null, metadata = null, changes = {} },
+    trx
+  ) {
+    await trx('stakes')
+      .where({ id: stake.id })
+      .update({ ...changes, status: toStatus, status_changed_at: trx.fn.now(), updated_at: trx.fn.now() });
+
+    await trx('stake_status_history').insert({
+      stake_id: stake.id,
+      from_status: stake.status,
+      to_status: toStatus,
+      reason,
+      changed_by_type: actor.type,
+      changed_by: actor.id || null,
+      metadata: metadata ? JSON.stringify(metadata) : null,
+      created_at: trx.fn.now()
+    });
+  }
+
+  static async getHistory(stakeId) {
+    return db('stake_status_history').where({ stake_id: stakeId }).orderBy('id', 'asc');
+  }
+
+  /**
+   * What the owner gets back for ending a stake early:
+   * principal - penalty - rewards already received (never below zero).
+   * `penaltyPercent` overrides the pack's penalty (admin).
+   */
+  static async getTerminationQuote(stake, { penaltyPercent = null } = {}) {
+    const policy = await this.getPolicy(stake);
+    const percent = penaltyPercent ?? policy.early_termination_penalty_percent;
+    const amount = parseFloat(stake.amount);
+    const rewardsReceived = parseFloat(stake.total_rewards_earned || 0);
+
+    let reason = null;
+    if (!['active', 'paused'].includes(stake.status)) reason = `A ${stake.status} stake cannot be terminated`;
+    else if (stake.is_free) reason = 'Free stakes cannot be terminated early';
+    else if (percent === null || percent === undefined) {
+      reason = `Early termination is not available for ${stake.pack_type} packs`;
+    }
+
+    const penalty = reason ? 0 : round2(amount * (percent / 100));
+    return {
+      allowed: !reason,
+      reason,
+      principal: amount,
+      penalty_percent: reason ? null : percent,
+      penalty,
+      rewards_received: rewardsReceived,
+      refund: reason ? 0 : round2(Math.max(0, amount - penalty - rewardsReceived))
+    };
+  }
+
+  static async getLifecycle(stake) {
+    const [policy, quote, history] = await Promise.all([
+      this.getPolicy(stake),
+      this.getTerminationQuote(stake),
+      this.getHistory(stake.id)
+    ]);
+    return {
+      stake_id: stake.id,
+      status: stake.status,
+      status_changed_at: stake.status_changed_at,
+      policy,
+      end_of_life: {
+        processed_at: stake.end_of_life_processed_at,
+        result: stake.end_of_life_result,
+        renewed_stake_id: stake.renewed_stake_id,
+        renewed_from_stake_id: stake.renewed_from_stake_id
+      },
+      termination:
+        stake.status === 'terminated'
+          ? { penalty: parseFloat(stake.termination_penalty || 0), refund: parseFloat(stake.termination_refund || 0) }
+          : quote,
+      history
+    };
+  }
+
+  // Owner or admin choice of what happens at end of life (null = pack default)
+  static async setEndOfLifePolicy(stakeId, policy, trx = null) {
+    const query = trx || db;
+    await query('stakes').where({ id: stakeId }).update({ end_of_life_policy: policy, updated_at: query.fn.now() });
+    return query('stakes').where({ id: stakeId }).first();
+  }
+
+  /**
+   * End a stake early and refund what the quote allows. Pending rewards are expired.
+   * Returns { error } or { stake, quote }.
+   */
+  static async terminate(stakeId, { actor, ownerId = null, reason = null, penaltyPercent = null, refund = true }) {
+    return db.transaction(async (trx) => {
+      let stakeQuery = trx('stakes').where({ id: stakeId });
+      if (ownerId) stakeQuery = stakeQuery.where({ user_id: ownerId });
+      const stake = await stakeQuery.forUpdate().first();
+      if (!stake) return { error: { status: 404, message: 'Stake not found' } };
+
+      const quote = await this.getTerminationQuote(stake, { penaltyPercent });
+      if (!quote.allowed) return { error: { status: 400, message: quote.reason } };
+      const refundAmount = refund ? quote.refund : 0;
+
+      await trx('stake_rewards')
+        .where({ stake_id: stake.id, status: 'pending' })
+        .update({ status: 'expired', updated_at: trx.fn.now() });
+
+      if (refundAmount > 0) {
+        const description = `Stake #${stake.id} (${stake.pack_type} pack) early termination refund`;
+        await Wallet.updateBalance(stake.user_id, refundAmount, 'add', 'main', trx, {
+          entryType: 'stake_refund',
+          referenceType: 'stake',
+          referenceId: stake.id,
+          description,
+          contra: 'stake_sales'
+        });
+        await trx('transactions').insert({
+          user_id: stake.user_id,
+          wallet_type: 'main',
+          transaction_type: 'stake_refund',
+          reference_type: 'stake',
+          reference_id: String(stake.id),
+          amount: refundAmount,
+          currency: 'USD',
+          status: 'completed',
+          description,
+          metadata: JSON.stringify({
+            principal: quote.principal,
+            penalty_percent: quote.penalty_percent,
+            penalty: quote.penalty,
+            rewards_received: quote.rewards_received
+          }),
+          created_at: trx.fn.now(),
+          updated_at: trx.fn.now()
+        });
+      }
+
+      await this.changeStatus(
+        stake,
+        'terminated',
+        {
+          actor,
+          reason: reason || (actor.type === 'user' ? 'Early termination by owner' : null),
+          metadata: { ...quote, refunded: refundAmount },
+          changes: { termination_penalty: quote.penalty, termination_refund: refundAmount }
+        },
+        trx
+      );
+
+      return { stake: await trx('stakes').where({ id: stake.id }).first(), quote: { ...quote, refund: refundAmount } };
+    });
+  }
+
+  /**
+   * Admin override: move a stake to any status ADMIN_TRANSITIONS allows.
+   * Terminating goes through terminate() (refund optional); reactivating needs cap left.
+   */
+  static async adminSetStatus(stakeId, toStatus, { adminId, reason = null, refund = false, penaltyPercent = null }) {
+    if (toStatus === 'terminated') {
+      return this.terminate(stakeId, {
+        actor: { type: 'admin', id: adminId },
+        reason: reason || 'Terminated by admin',
+        penaltyPercent,
+        refund
+      });
+    }
+
+    return db.transaction(async (trx) => {
+      const stake = await trx('stakes').where({ id: stakeId }).forUpdate().first();
+      if (!stake) return { error: { status: 404, message: 'Stake not found' } };
+
+      const allowed = ADMIN_TRANSITIONS[stake.status] || [];
+      if (!allowed.includes(toStatus)) {
+        return { error: { status: 409, message: `Cannot move a ${stake.status} stake to ${toStatus}` } };
+      }
+      if (toStatus === 'active') {
+        const maxRewards = parseFloat(stake.amount) * (parseFloat(stake.max_reward_limit) / 100);
+        const used = parseFloat(stake.total_rewards_earned || 0) + parseFloat(stake.reward_cap_adjustment || 0);
+        if (used >= maxRewards) {
+          return { error: { status: 409, message: 'Stake has no reward cap left to reactivate' } };
+        }
+      }
+
+      // Reopening a stake also reopens its end of life
+      const changes =
+        toStatus === 'active' ? { end_of_life_processed_at: null, end_of_life_result: null } : {};
+      await this.changeStatus(stake, toStatus, { actor: { type: 'admin', id: adminId }, reason, changes }, trx);
+      return { stake: await trx('stakes').where({ id: stake.id }).first() };
+    });
+  }
+
+  // Active stakes past their pack term become matured
+  static async matureDue(now = new Date()) {
+    const stakes = await db('stakes').where({ status: 'active' }).select('id', 'pack_type', 'created_at');
+    let matured = 0;
+
+    for (const row of stakes) {
+      const { matures_at: maturesAt } = await this.getPolicy(row);
+      if (!maturesAt || maturesAt > now) continue;
+
+      await db.transaction(async (trx) => {
+        const stake = await trx('stakes').where({ id: row.id, status: 'active' }).forUpdate().first();
+        if (!stake) return;
+        await this.changeStatus(stake, 'matured', { reason: 'Pack term reached', metadata: { matures_at: maturesAt } }, trx);
+        matured++;
+      });
+    }
+    return matured;
+  }
+
+  /**
+   * Buy the same pack again for the same amount from the owner's wallet.
+   * Renewals recycle rewards already paid out, so they are not counted as sales:
+   * no Catalyst, no Synergy volume and not part of Harvest daily sales.
+   * Returns the new stake, or null when the balance or the pack no longer allows it.
+   */
+  static async renew(stake, trx) {
+    // Lazy load to avoid circular require issues (Stake records capped transitions here)
+    const Stake = require('./Stake');
+    const amount = parseFloat(stake.amount);
+
+    const wallet = await trx('wallets').where({ user_id: stake.user_id, wallet_type: 'main' }).forUpdate().first();
+    if (!wallet || parseFloat(wallet.balance) < amount) return null;
+    const validation = await Stake.validateStakeAmount(stake.pack_type, amount);
+    if (!validation.valid) return null;
+
+    const renewed = await Stake.createWithTransaction({ user_id: stake.user_id, pack_type: stake.pack_type, amount }, trx);
+    // The renewed stake keeps the owner's end-of-life and reward mode choices
+    await trx('stakes').where({ id: renewed.id }).update({
+      renewed_from_stake_id: stake.id,
+      end_of_life_policy: stake.end_of_life_policy,
+      reward_mode: stake.reward_mode
+    });
+
+    const description = `Stake #${stake.id} renewed as #${renewed.id} (${stake.pack_type} pack)`;
+    await Wallet.updateBalance(stake.user_id, amount, 'subtract', 'main', trx, {
+      entryType: 'stake_renewal',
+      referenceType: 'stake',
+      referenceId: renewed.id,
+      description,
+      contra: 'stake_sales'
+    });
+    await trx('transactions').insert({
+      user_id: stake.user_id,
+      wallet_type: 'main',
+      transaction_type: 'stake_renewal',
+      reference_type: 'stake',
+      reference_id: String(renewed.id),
+      amount: -amount,
+      currency: 'USD',
+      status: 'completed',
+      description,
+      metadata: JSON.stringify({ renewed_from_stake_id: stake.id }),
+      created_at: trx.fn.now(),
+      updated_at: trx.fn.now()
+    });
+
+    return renewed;
+  }
+
+  // Apply the end-of-life policy to one capped / matured stake (once)
+  static async processOne(stakeId) {
+    const outcome = await db.transaction(async (trx) => {
+      const stake = await trx('stakes')
+        .where({ id: stakeId })
+        .whereIn('status', END_OF_LIFE_STATUSES)
+        .whereNull('end_of_life_processed_at')
+        .forUpdate()
+        .first();
+      if (!stake) return null;
+
+      const policy = await this.getPolicy(stake);
+      let result = 'notified';
+      let renewed = null;
+      if (policy.end_of_life === 'auto_renew' && !stake.is_free) {
+        renewed = await this.renew(stake, trx);
+        result = renewed ? 'renewed' : 'renew_failed';
+      }
+
+      await trx('stakes')
+        .where({ id: stake.id })
+        .update({
+          end_of_life_processed_at: trx.fn.now(),
+          end_of_life_result: result,
+          renewed_stake_id: renewed ? renewed.id : null,
+          updated_at: trx.fn.now()
+        });
+
+      return { stake, result, renewed };
+    });
+
+    if (outcome) await this.notify(outcome);
+    return outcome;
+  }
+
+  static async notify({ stake, result, renewed }) {
+    const user = await db('users').where({ id: stake.user_id }).select('email', 'name').first();
+    if (!user?.email) return;
+    try {
+      await sendStakeEndOfLifeEmail(user.email, user.name, {
+        stakeId: stake.id,
+        packType: stake.pack_type,
+        amount: parseFloat(stake.amount),
+        endStatus: stake.status,
+        result,
+        renewedStakeId: renewed?.id
+      });
+    } catch (err) {
+      console.error(`Stake ${stake.id} end-of-life notification failed:`, err.message);
+    }
+  }
+
+  static async processEndOfLife() {
+    const due = await db('stakes')
+      .whereIn('status', END_OF_LIFE_STATUSES)
+      .whereNull('end_of_life_processed_at')
+      .orderBy('id', 'asc')
+      .select('id');
+
+    const result = { due: due.length, renewed: 0, renew_failed: 0, notified: 0, errors: 0 };
+    for (const { id } of due) {
+      try {
+        const outcome = await this.processOne(id);
+        if (outcome) result[outcome.result]++;
+      } catch (error) {
+        result.errors++;
+        console.error(`Stake ${id} end-of-life processing failed:`, error.message);
+      }
+    }
+    return result;
+  }
+
+  // Daily job: mature stakes past their term, then apply end-of-life policies
+  static async run(runDate = new Date()) {
+    const dateStr = typeof runDate === 'string' ? runDate : runDate.toISOString().split('T')[0];
+    await JobRun.start(JOB_NAME, dateStr, { note: 'Stake maturity and end of life' });
+
+    const matured = await this.matureDue();
+    const endOfLife = await this.processEndOfLife();
+    // Gifts nobody answered: refund the payer's held amount
+    const giftsExpired = await StakeGift.expireStale();
+
+    const meta = { matured, ...endOfLife, gifts_expired: giftsExpired };
+    await JobRun.finish(JOB_NAME, dateStr, 'success', meta);
+    return { run_date: dateStr, ...meta };
+  }
+}
+
+StakeLifecycle.JOB_NAME = JOB_NAME;
+StakeLifecycle.STATUSES = STATUSES;
+StakeLifecycle.ADMIN_TRANSITIONS = ADMIN_TRANSITIONS;
+
+module.exports = StakeLifecycle;
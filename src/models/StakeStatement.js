@@ -0,0 +1,276 @@
+const db = require('../config/database');
+const { toCsv } = require('../utils/csv');
+const { formatTable, renderTextPdf } = require('../utils/pdf');
+
+const FORMATS = ['csv', 'pdf', 'json'];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+// DATE columns come back as local-midnight Date objects
+const formatDate = (value) => {
+  if (typeof value === 'string') return value.slice(0, 10);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+const money = (value) => (value === null || value === undefined ? '' : Number(value).toFixed(2));
+
+const MONEY_FIELDS = [
+  'core_reward',
+  'harvest_reward',
+  'total_reward',
+  'staker_credit',
+  'cap_consumed',
+  'remaining_cap',
+  'passup_total'
+];
+
+const CSV_COLUMNS = [
+  { key: 'reward_id', label: 'Reward ID' },
+  { key: 'reward_date', label: 'Reward date' },
+  { key: 'status', label: 'Status' },
+  { key: 'core_reward', label: 'Core' },
+  { key: 'harvest_reward', label: 'Harvest' },
+  { key: 'total_reward', label: 'Total' },
+  { key: 'credited_at', label: 'Credited at' },
+  { key: 'staker_credit', label: 'Credited to wallet' },
+  { key: 'cap_consumed', label: 'Cap consumed' },
+  { key: 'remaining_cap', label: 'Remaining cap after' },
+  { key: 'passup_total', label: 'Power Pass-Up sent' },
+  { key: 'passup_recipients', label: 'Power Pass-Up recipients' }
+];
+
+const PDF_COLUMNS = [
+  { key: 'reward_date', label: 'Date' },
+  { key: 'status', label: 'Status' },
+  { key: 'core_reward', label: 'Core', align: 'right' },
+  { key: 'harvest_reward', label: 'Harvest', align: 'right' },
+  { key: 'total_reward', label: 'Total', align: 'right' },
+  { key: 'staker_credit', label: 'To wallet', align: 'right' },
+  { key: 'cap_consumed', label: 'Cap used', align: 'right' },
+  { key: 'remaining_cap', label: 'Cap left', align: 'right' },
+  { key: 'passup_total', label: 'Pass-Up', align: 'right' }
+];
+
+/**
+ * Per-stake reward statement: every Core/Harvest reward in a date range with its status,
+ * the cap it consumed, the cap left after it and the Power Pass-Up it sent upline.
+ * Remaining cap is rebuilt backwards from the stake's current figures through its
+ * credited rewards and upgrades, so it stays right across tier changes.
+ */
+class StakeStatement {
+  // from/to as YYYY-MM-DD (defaults: stake start to today); returns { error } or { from, to }
+  static parseRange(stake, { from, to } = {}) {
+    if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+      return { error: 'from and to must be dates in YYYY-MM-DD format' };
+    }
+    const range = {
+      from: from || formatDate(new Date(stake.created_at)),
+      to: to || formatDate(new Date())
+    };
+    if (range.from > range.to) return { error: 'from must not be after to' };
+    return range;
+  }
+
+  // Cap left after each credited reward, keyed by reward id
+  static async getRemainingCapByReward(stake) {
+    const [credited, upgrades] = await Promise.all([
+      db('stake_rewards')
+        .where({ stake_id: stake.id, status: 'credited' })
+        .select('id', 'total_reward', 'credited_at'),
+      db('stake_upgrades').where({ stake_id: stake.id })
+    ]);
+
+    const capOf = (amount, limit) => parseFloat(amount) * (parseFloat(limit) / 100);
+    const events = [
+      ...credited.map((reward) => ({
+        at: new Date(reward.credited_at).getTime(),
+        rewardId: reward.id,
+        delta: -parseFloat(reward.total_reward || 0)
+      })),
+      ...upgrades.map((upgrade) => ({
+        at: new Date(upgrade.created_at).getTime(),
+        rewardId: null,
+        delta:
+          capOf(upgrade.to_amount, upgrade.to_max_reward_limit) -
+          parseFloat(upgrade.cap_used_after || 0) -
+          (capOf(upgrade.from_amount, upgrade.from_max_reward_limit) - parseFloat(upgrade.cap_used_before || 0))
+      }))
+    ].sort((a, b) => b.at - a.at);
+
+    let remaining =
+      capOf(stake.amount, stake.max_reward_limit) -
+      parseFloat(stake.total_rewards_earned || 0) -
+      parseFloat(stake.reward_cap_adjustment || 0);
+    const byReward = new Map();
+    for (const event of events) {
+      if (event.rewardId !== null) byReward.set(event.rewardId, round2(Math.max(0, remaining)));
+      remaining -= event.delta;
+    }
+    return byReward;
+  }
+
+  static async build(stake, { from, to }) {
+    const rewards = await db('stake_rewards')
+      .where({ stake_id: stake.id })
+      .whereBetween('reward_date', [from, to])
+      .orderBy('reward_date', 'asc');
+    const rewardIds = rewards.map((reward) => String(reward.id));
+
+    const [remainingCap, stakerCredits, passups, owner] = await Promise.all([
+      this.getRemainingCapByReward(stake),
+      rewardIds.length
+        ? db('transactions')
+            .where({ transaction_type: 'stake_reward', reference_type: 'stake_reward', user_id: stake.user_id })
+            .whereIn('reference_id', rewardIds)
+            .select('reference_id', 'amount')
+        : [],
+      rewardIds.length
+        ? db('transactions as t')
+            .leftJoin('users as u', 't.user_id', 'u.id')
+            .where({ 't.transaction_type': 'power_passup', 't.reference_type': 'stake_reward' })
+            .whereIn('t.reference_id', rewardIds)
+            .orderBy('t.id', 'asc')
+            .select('t.reference_id', 't.user_id', 'u.name', 't.amount')
+        : [],
+      db('users').where({ id: stake.user_id }).select('id', 'name', 'email').first()
+    ]);
+
+    const creditByReward = new Map(stakerCredits.map((row) => [String(row.reference_id), parseFloat(row.amount)]));
+    const passupByReward = new Map();
+    for (const row of passups) {
+      const list = passupByReward.get(String(row.reference_id)) || [];
+      list.push({ user_id: row.user_id, name: row.name, amount: parseFloat(row.amount) });
+      passupByReward.set(String(row.reference_id), list);
+    }
+
+    const totals = { core: 0, harvest: 0, total: 0, staker_credit: 0, cap_consumed: 0, passup: 0, by_status: {} };
+    const rows = rewards.map((reward) => {
+      const key = String(reward.id);
+      const isCredited = reward.status === 'credited';
+      const allocations = passupByReward.get(key) || [];
+      const passupTotal = round2(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+      const row = {
+        reward_id: reward.id,
+        reward_date: formatDate(reward.reward_date),
+        status: reward.status,
+        core_reward: round2(parseFloat(reward.core_reward || 0)),
+        harvest_reward: round2(parseFloat(reward.harvest_reward || 0)),
+        total_reward: round2(parseFloat(reward.total_reward || 0)),
+        credited_at: reward.credited_at || null,
+        staker_credit: isCredited ? round2(creditByReward.get(key) || 0) : 0,
+        cap_consumed: isCredited ? round2(parseFloat(reward.total_reward || 0)) : 0,
+        remaining_cap: isCredited ? (remainingCap.get(reward.id) ?? null) : null,
+        passup_total: passupTotal,
+        passup_allocations: allocations
+      };
+
+      totals.core += row.core_reward;
+      totals.harvest += row.harvest_reward;
+      totals.total += row.total_reward;
+      totals.staker_credit += row.staker_credit;
+      totals.cap_consumed += row.cap_consumed;
+      totals.passup += passupTotal;
+      const byStatus = totals.by_status[row.status] || { count: 0, total: 0 };
+      byStatus.count++;
+      byStatus.total = round2(byStatus.total + row.total_reward);
+      totals.by_status[row.status] = byStatus;
+      return row;
+    });
+    for (const field of ['core', 'harvest', 'total', 'staker_credit', 'cap_consumed', 'passup']) {
+      totals[field] = round2(totals[field]);
+    }
+
+    const cap = parseFloat(stake.amount) * (parseFloat(stake.max_reward_limit) / 100);
+    const capUsed = parseFloat(stake.total_rewards_earned || 0) + parseFloat(stake.reward_cap_adjustment || 0);
+    return {
+      generated_at: new Date(),
+      period: { from, to },
+      owner: owner ? { id: owner.id, name: owner.name, email: owner.email } : null,
+      stake: {
+        id: stake.id,
+        pack_type: stake.pack_type,
+        amount: parseFloat(stake.amount),
+        shares: stake.shares,
+        status: stake.status,
+        is_free: Boolean(stake.is_free),
+        created_at: stake.created_at,
+        cap: round2(cap),
+        cap_used: round2(capUsed),
+        remaining_cap: round2(Math.max(0, cap - capUsed))
+      },
+      totals,
+      rewards: rows
+    };
+  }
+
+  static toCsv(statement) {
+    const rows = statement.rewards.map((row) => ({
+      ...row,
+      ...Object.fromEntries(MONEY_FIELDS.map((field) => [field, money(row[field])])),
+      passup_recipients: row.passup_allocations
+        .map((allocation) => `${allocation.name || 'User'} #${allocation.user_id}: ${money(allocation.amount)}`)
+        .join('; ')
+    }));
+    return toCsv(CSV_COLUMNS, rows);
+  }
+
+  static toPdf(statement) {
+    const { stake, period, owner, totals } = statement;
+    const rows = statement.rewards.map((row) => ({
+      ...row,
+      ...Object.fromEntries(MONEY_FIELDS.map((field) => [field, money(row[field])]))
+    }));
+
+    const lines = [
+      { text: `Stake #${stake.id} reward statement`, bold: true },
+      `Period: ${period.from} to ${period.to}    Generated: ${statement.generated_at.toISOString()}`,
+      owner ? `Owner: ${owner.name || ''} <${owner.email || ''}> (user #${owner.id})` : '',
+      `Pack: ${stake.pack_type}    Amount: $${money(stake.amount)} (${stake.shares} shares)    Status: ${stake.status}${
+        stake.is_free ? ' (free)' : ''
+      }`,
+      `Cap: $${money(stake.cap)}    Used: $${money(stake.cap_used)}    Remaining: $${money(stake.remaining_cap)}`,
+      '',
+      ...formatTable(PDF_COLUMNS, rows),
+      '',
+      { text: 'Totals', bold: true },
+      `Core $${money(totals.core)}    Harvest $${money(totals.harvest)}    Total $${money(totals.total)}`,
+      `Credited to wallet $${money(totals.staker_credit)}    Cap consumed $${money(totals.cap_consumed)}    ` +
+        `Power Pass-Up sent $${money(totals.passup)}`,
+      ...Object.entries(totals.by_status).map(
+        ([status, entry]) => `${status}: ${entry.count} reward(s), $${money(entry.total)}`
+      )
+    ];
+
+    const withPassup = statement.rewards.filter((row) => row.passup_allocations.length > 0);
+    if (withPassup.length > 0) {
+      lines.push('', { text: 'Power Pass-Up allocations', bold: true });
+      for (const row of withPassup) {
+        for (const allocation of row.passup_allocations) {
+          lines.push(
+            `${row.reward_date}  reward #${row.reward_id}  ->  ${allocation.name || 'User'} #${allocation.user_id}  $${money(
+              allocation.amount
+            )}`
+          );
+        }
+      }
+    }
+
+    return renderTextPdf(lines, { title: `Stake #${stake.id} reward statement`, orientation: 'landscape' });
+  }
+
+  // { contentType, filename, body } for a format in FORMATS
+  static render(statement, format) {
+    const base = `stake-${statement.stake.id}-statement-${statement.period.from}-to-${statement.period.to}`;
+    if (format === 'pdf') {
+      return { contentType: 'application/pdf', filename: `${base}.pdf`, body: this.toPdf(statement) };
+    }
+    if (format === 'csv') {
+      return { contentType: 'text/csv; charset=utf-8', filename: `${base}.csv`, body: this.toCsv(statement) };
+    }
+    return { contentType: 'application/json', filename: null, body: statement };
+  }
+}
+
+StakeStatement.FORMATS = FORMATS;
+
+module.exports = StakeStatement;
@@ -3,16 +3,42 @@ const Stake = require("./Stake");
 const Genealogy = require("./Genealogy");
 const JobRun = require("./JobRun");
 const RewardCap = require("./RewardCap");
-
-// Synergy Flow rates by pack
-const SYNERGY_RATES = {
-  spark: 0.05,
-  pulse: 0.06,
-  charge: 0.08,
-  quantum: 0.1,
+const Wallet = require("./Wallet");
+const PlanConfig = require("./PlanConfig");
+const VolumeLedger = require("./VolumeLedger");
+const PowerPassUp = require("./PowerPassUp");
+const planDefaults = require("../config/planDefaults");
+
+const FLUSH_REASONS = [
+  "cap_hit",
+  "weaker_leg",
+  "strong_leg_cap",
+  "carry_expiry",
+];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// DATE columns come back as local-midnight Date objects
+const formatDate = (value) => {
+  if (!value) return null;
+  if (typeof value === "string") return value.slice(0, 10);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(
+    value.getDate()
+  )}`;
 };
 
-const CYCLE_SIZE = 100; // USD100 left + USD100 right = 1 cycle
+const daysBetween = (fromStr, toStr) =>
+  Math.round(
+    (Date.parse(`${toStr}T00:00:00Z`) - Date.parse(`${fromStr}T00:00:00Z`)) /
+      86400000
+  );
+
+const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+};
 
 class Synergy {
   static async ensureVolumeRow(userId, trx = null) {
@@ -56,89 +82,25 @@ class Synergy {
     };
   }
 
-  // Add volume to uplines along binary parent chain, using child's position (left/right)
-  static async addVolumeToUplines(userId, amount, trx = null, isFree = false) {
-    const query = trx || db;
-
-    // Don't add volume for free stakes - they don't count as sales
-    if (isFree) {
-      return;
-    }
-
-    // Recursive CTE: fetch the full parent chain (child->parent) in one DB round trip.
-    const raw = await query.raw(
-      `
-        WITH RECURSIVE path AS (
-          SELECT
-            g.user_id AS child_id,
-            g.parent_id,
-            g.position,
-            0 AS lvl
-          FROM genealogy g
-          WHERE g.user_id = ?
-
-          UNION ALL
-
-          SELECT
-            g.user_id AS child_id,
-            g.parent_id,
-            g.position,
-            path.lvl + 1 AS lvl
-          FROM genealogy g
-          INNER JOIN path ON g.user_id = path.parent_id
-          WHERE path.parent_id IS NOT NULL
-        )
-        SELECT parent_id, position
-        FROM path
-        WHERE parent_id IS NOT NULL
-        ORDER BY lvl ASC
-      `,
-      [userId]
+  // Add volume to uplines along binary parent chain, using child's position (left/right).
+  // Appends to the volume_events ledger; free stakes are recorded there but add no volume.
+  static async addVolumeToUplines(
+    userId,
+    amount,
+    trx = null,
+    isFree = false,
+    { stakeId = null, source = null } = {}
+  ) {
+    return VolumeLedger.record(
+      {
+        userId,
+        amount,
+        stakeId,
+        isFree,
+        source: source || (isFree ? "free_stake" : "purchase"),
+      },
+      trx
     );
-
-    const rows = Array.isArray(raw) ? raw[0] || [] : raw?.rows || [];
-    if (!rows.length) return;
-
-    // Ensure all parent volume rows exist (batch).
-    const parentIds = Array.from(
-      new Set(rows.map((r) => Number(r.parent_id)).filter(Boolean))
-    );
-
-    const existing = await query("team_volumes")
-      .whereIn("user_id", parentIds)
-      .select("user_id");
-    const existingSet = new Set(existing.map((r) => Number(r.user_id)));
-
-    const toInsert = parentIds
-      .filter((id) => !existingSet.has(id))
-      .map((id) => ({
-        user_id: id,
-        created_at: query.fn.now(),
-        updated_at: query.fn.now(),
-      }));
-
-    if (toInsert.length) {
-      await query("team_volumes").insert(toInsert);
-    }
-
-    // Apply increments (one update per ancestor; no extra reads).
-    for (const r of rows) {
-      const parentId = Number(r.parent_id);
-      const position = r.position;
-      if (!parentId) continue;
-
-      if (position === "left") {
-        await query("team_volumes")
-          .where({ user_id: parentId })
-          .increment("left_volume", amount)
-          .update({ updated_at: query.fn.now() });
-      } else if (position === "right") {
-        await query("team_volumes")
-          .where({ user_id: parentId })
-          .increment("right_volume", amount)
-          .update({ updated_at: query.fn.now() });
-      }
-    }
   }
 
   static resetDailyIfNeeded(volumeRow, todayStr, trx = null) {
@@ -160,97 +122,329 @@ class Synergy {
       });
   }
 
-  static async getUserRateAndCap(userId) {
-    const { highestPack, totalAmount } = await Stake.getUserActivePackInfo(
-      userId
-    );
-    const rate = highestPack ? SYNERGY_RATES[highestPack] || 0 : 0;
-    return { rate, packType: highestPack, cap: totalAmount };
+  // Synergy rate (by highest active pack), cycle size and flush rules from the plan version in force at `at`
+  static async getUserRateAndCap(userId, at = new Date()) {
+    const [{ highestPack, totalAmount }, plan] = await Promise.all([
+      Stake.getUserActivePackInfo(userId),
+      PlanConfig.getActive("synergy", at),
+    ]);
+    const rate = highestPack ? plan.value.rates[highestPack] || 0 : 0;
+    return {
+      rate,
+      packType: highestPack,
+      cap: totalAmount,
+      cycleSize: plan.value.cycleSize,
+      // Versions saved before flush rules existed keep the default behaviour
+      flushRules: {
+        ...planDefaults.synergy.flush,
+        ...(plan.value.flush || {}),
+      },
+      capPeriods: {
+        ...planDefaults.synergy.capPeriods,
+        ...(plan.value.capPeriods || {}),
+      },
+      matching: plan.value.matching || planDefaults.synergy.matching,
+      planVersion: plan.version,
+    };
   }
 
-  static async processUserCycles(userId, trx = null) {
+  // Start dates of the cap windows containing dateStr: ISO week (Monday) and calendar month
+  static getCapPeriodStarts(dateStr) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    const sinceMonday = (date.getUTCDay() + 6) % 7;
+    return {
+      week: addDays(dateStr, -sinceMonday),
+      month: `${dateStr.slice(0, 7)}-01`,
+    };
+  }
+
+  // Synergy paid to userId so far in the week and the month containing dateStr
+  static async getPeriodPaid(userId, dateStr, trx = null) {
     const query = trx || db;
-    const volumeRow = await this.ensureVolumeRow(userId, query);
-    const todayStr = new Date().toISOString().split("T")[0];
-    const freshRow = await this.resetDailyIfNeeded(volumeRow, todayStr, query);
+    const { week, month } = this.getCapPeriodStarts(dateStr);
+    const row = await query("team_cycles")
+      .where({ user_id: userId, status: "completed" })
+      .where("cycle_date", ">=", week < month ? week : month)
+      .where("cycle_date", "<=", dateStr)
+      .select(
+        query.raw(
+          "COALESCE(SUM(CASE WHEN cycle_date >= ? THEN reward_amount ELSE 0 END), 0) AS week_paid",
+          [week]
+        ),
+        query.raw(
+          "COALESCE(SUM(CASE WHEN cycle_date >= ? THEN reward_amount ELSE 0 END), 0) AS month_paid",
+          [month]
+        )
+      )
+      .first();
+    return {
+      week: round2(Number(row?.week_paid || 0)),
+      month: round2(Number(row?.month_paid || 0)),
+    };
+  }
 
-    const leftTotal =
-      Number(freshRow.left_volume || 0) + Number(freshRow.left_carry || 0);
-    const rightTotal =
-      Number(freshRow.right_volume || 0) + Number(freshRow.right_carry || 0);
+  /**
+   * Cap left across the daily window and the optional weekly/monthly ones (multiples of the
+   * daily cap); `period` is the window that binds.
+   */
+  static getRemainingCap({
+    dailyCap,
+    dailyPaid,
+    weekPaid = 0,
+    monthPaid = 0,
+    capPeriods,
+  }) {
+    const windows = [{ period: "daily", cap: dailyCap, paid: dailyPaid }];
+    if (capPeriods.weeklyMultiplier) {
+      windows.push({
+        period: "weekly",
+        cap: dailyCap * capPeriods.weeklyMultiplier,
+        paid: weekPaid,
+      });
+    }
+    if (capPeriods.monthlyMultiplier) {
+      windows.push({
+        period: "monthly",
+        cap: dailyCap * capPeriods.monthlyMultiplier,
+        paid: monthPaid,
+      });
+    }
 
-    if (leftTotal < CYCLE_SIZE || rightTotal < CYCLE_SIZE) {
-      return { cycles: 0, reward: 0 };
+    let binding = null;
+    for (const window of windows) {
+      window.cap = round2(window.cap);
+      window.remaining = round2(Math.max(0, window.cap - window.paid));
+      if (!binding || window.remaining < binding.remaining) binding = window;
     }
+    return { remaining: binding.remaining, period: binding.period, windows };
+  }
 
-    const { rate, packType, cap } = await this.getUserRateAndCap(userId);
-    const eligibility = await this.getEligibility(userId);
-    if (!eligibility.eligible) {
-      return { cycles: 0, reward: 0, ineligible: true };
+  /**
+   * Pure settlement of one day's leg volumes (totals include carry):
+   * - not qualified: carry is kept, or flushed once ineligible for carryExpiryDays;
+   * - qualified: pay whole cycles up to the remaining daily cap; with flushOnCapHit a cap
+   *   already used up flushes the matched volume it cannot pay (weaker leg to 0);
+   *   otherwise flushWeakerLegAfterPayout drops the weaker leg's leftover after a payout;
+   * - finally each leg's carry is held to strongLegCarryCapMultiplier x the daily cap.
+   * Returns the cycles to pay, the flushes ({ reason, left, right } amounts) and the carry left.
+   */
+  static settleVolumes({
+    left,
+    right,
+    cycleSize,
+    perCycleReward = 0,
+    remainingCap = 0,
+    dailyCap = 0,
+    qualified,
+    ineligibleDays = 0,
+    rules,
+  }) {
+    const flushes = [];
+    const flush = (reason, leftAmount, rightAmount) => {
+      const leftFlushed = round2(Math.max(0, leftAmount));
+      const rightFlushed = round2(Math.max(0, rightAmount));
+      if (leftFlushed <= 0 && rightFlushed <= 0) return;
+      flushes.push({
+        reason,
+        left_before: left,
+        right_before: right,
+        left: leftFlushed,
+        right: rightFlushed,
+        left_after: round2(left - leftFlushed),
+        right_after: round2(right - rightFlushed),
+      });
+      left = round2(left - leftFlushed);
+      right = round2(right - rightFlushed);
+    };
+
+    let cycles = 0;
+    let capHit = false;
+    if (!qualified) {
+      if (rules.carryExpiryDays && ineligibleDays >= rules.carryExpiryDays) {
+        flush("carry_expiry", left, right);
+      }
+    } else {
+      const cyclesAvailable = Math.floor(Math.min(left, right) / cycleSize);
+      const cyclesByCap =
+        perCycleReward > 0 ? Math.floor(remainingCap / perCycleReward) : 0;
+      cycles = Math.min(cyclesAvailable, cyclesByCap);
+      capHit = cyclesAvailable > 0 && cycles === 0;
+      left = round2(left - cycles * cycleSize);
+      right = round2(right - cycles * cycleSize);
+
+      if (capHit && rules.flushOnCapHit) {
+        const weaker = Math.min(left, right);
+        flush("cap_hit", weaker, weaker);
+      } else if (cycles > 0 && rules.flushWeakerLegAfterPayout) {
+        if (left <= right) flush("weaker_leg", left, 0);
+        else flush("weaker_leg", 0, right);
+      }
     }
-    if (!rate || cap <= 0) {
-      // Not eligible (no active pack)
-      return { cycles: 0, reward: 0 };
+
+    if (rules.strongLegCarryCapMultiplier && dailyCap > 0) {
+      const limit = rules.strongLegCarryCapMultiplier * dailyCap;
+      flush("strong_leg_cap", left - limit, right - limit);
     }
 
-    const cyclesAvailable = Math.floor(
-      Math.min(leftTotal, rightTotal) / CYCLE_SIZE
-    );
-    if (cyclesAvailable <= 0) return { cycles: 0, reward: 0, eligible: true };
+    return { cycles, capHit, flushes, left, right };
+  }
 
-    const perCycleReward = CYCLE_SIZE * rate;
-    const remainingCap = Math.max(
-      0,
-      Number(cap) - Number(freshRow.daily_paid || 0)
-    );
-    const maxCyclesByCap = Math.floor(remainingCap / perCycleReward);
-    const cyclesToPay = Math.min(cyclesAvailable, maxCyclesByCap);
-    if (cyclesToPay <= 0) {
-      // Cap reached; flush weaker leg and carry stronger forward
-      const weaker = Math.min(leftTotal, rightTotal);
-      const stronger = Math.max(leftTotal, rightTotal);
-      const isLeftWeaker = leftTotal <= rightTotal;
-      const newLeftCarry = isLeftWeaker ? 0 : stronger - weaker;
-      const newRightCarry = isLeftWeaker ? stronger - weaker : 0;
-      await query("team_volumes").where({ user_id: userId }).update({
-        left_volume: 0,
-        right_volume: 0,
-        left_carry: newLeftCarry,
-        right_carry: newRightCarry,
-        updated_at: query.fn.now(),
-      });
-      return { cycles: 0, reward: 0, eligible: true, capReached: true };
-    }
+  // Qualified to be paid: active direct on both sides and an active pack with a rate
+  static async isQualified(userId, rate, cap) {
+    if (!rate || cap <= 0) return false;
+    const eligibility = await this.getEligibility(userId);
+    return eligibility.eligible;
+  }
 
-    let rewardAmount = cyclesToPay * perCycleReward;
-    // Apply combined cap for incentive rewards
-    const { allowed } = await RewardCap.clampIncentive(
+  static async processUserCycles(userId, trx = null) {
+    const query = trx || db;
+    const volumeRow = await this.ensureVolumeRow(userId, query);
+    const todayStr = new Date().toISOString().split("T")[0];
+    const freshRow = await this.resetDailyIfNeeded(volumeRow, todayStr, query);
+
+    // New volume comes from the ledger, so events written meanwhile stay for the next run
+    const unsettled = await VolumeLedger.getUnsettled(
       userId,
-      rewardAmount,
+      freshRow.settled_event_id,
       query
     );
-    const capApplied = allowed < rewardAmount;
-    rewardAmount = allowed;
-    if (rewardAmount <= 0) {
-      // Nothing to pay; treat as cap reached
-      return { cycles: 0, reward: 0, eligible: true, capReached: true };
+    const leftTotal = unsettled.left + Number(freshRow.left_carry || 0);
+    const rightTotal = unsettled.right + Number(freshRow.right_carry || 0);
+
+    const {
+      rate,
+      packType,
+      cap,
+      cycleSize,
+      flushRules,
+      capPeriods,
+      planVersion,
+    } = await this.getUserRateAndCap(userId);
+
+    // Eligibility only matters when cycles are possible or carry can expire
+    const canCycle = leftTotal >= cycleSize && rightTotal >= cycleSize;
+    const qualified =
+      canCycle || flushRules.carryExpiryDays
+        ? await this.isQualified(userId, rate, cap)
+        : true;
+    const ineligibleSince = qualified
+      ? null
+      : formatDate(freshRow.ineligible_since) || todayStr;
+
+    const perCycleReward = rate ? cycleSize * rate : 0;
+    const dailyPaid = Number(freshRow.daily_paid || 0);
+    const periodPaid =
+      capPeriods.weeklyMultiplier || capPeriods.monthlyMultiplier
+        ? await this.getPeriodPaid(userId, todayStr, query)
+        : { week: 0, month: 0 };
+    const capWindow = this.getRemainingCap({
+      dailyCap: Number(cap),
+      dailyPaid,
+      weekPaid: periodPaid.week,
+      monthPaid: periodPaid.month,
+      capPeriods,
+    });
+    const outcome = this.settleVolumes({
+      left: leftTotal,
+      right: rightTotal,
+      cycleSize,
+      perCycleReward,
+      remainingCap: capWindow.remaining,
+      dailyCap: Number(cap),
+      qualified,
+      ineligibleDays: qualified ? 0 : daysBetween(ineligibleSince, todayStr),
+      rules: flushRules,
+    });
+
+    let rewardAmount = 0;
+    if (outcome.cycles > 0) {
+      // Apply combined cap for incentive rewards
+      const { allowed } = await RewardCap.clampIncentive(
+        userId,
+        outcome.cycles * perCycleReward,
+        query
+      );
+      rewardAmount = allowed;
+      if (rewardAmount <= 0) {
+        // Nothing to pay; treat as cap reached and leave the volumes for tomorrow
+        return { cycles: 0, reward: 0, eligible: true, capReached: true };
+      }
     }
-    const usedVolume = cyclesToPay * CYCLE_SIZE;
-    const newLeft = leftTotal - usedVolume;
-    const newRight = rightTotal - usedVolume;
 
-    // Update carries and zero out temp volumes
+    // A fresh ineligibility clock after carry expires
+    const expired = outcome.flushes.some((f) => f.reason === "carry_expiry");
+    const nextIneligibleSince = expired ? todayStr : ineligibleSince;
+    const volumesChanged = outcome.cycles > 0 || outcome.flushes.length > 0;
+    if (
+      !volumesChanged &&
+      nextIneligibleSince === formatDate(freshRow.ineligible_since)
+    ) {
+      return { cycles: 0, reward: 0, ineligible: !qualified, flushes: 0 };
+    }
+
+    const volumeChanges = {
+      ineligible_since: nextIneligibleSince,
+      updated_at: query.fn.now(),
+    };
+    if (volumesChanged) {
+      // Fold the settled events into carry and move the projection cursor past them
+      Object.assign(volumeChanges, {
+        left_volume: query.raw("left_volume - ?", [unsettled.left]),
+        right_volume: query.raw("right_volume - ?", [unsettled.right]),
+        settled_event_id: unsettled.throughId,
+        left_carry: outcome.left,
+        right_carry: outcome.right,
+      });
+    }
+    if (outcome.cycles > 0) {
+      volumeChanges.daily_paid = dailyPaid + rewardAmount;
+      volumeChanges.last_reset_date = todayStr;
+    }
     await query("team_volumes")
       .where({ user_id: userId })
-      .update({
-        left_volume: 0,
-        right_volume: 0,
-        left_carry: newLeft,
-        right_carry: newRight,
-        daily_paid: Number(freshRow.daily_paid || 0) + rewardAmount,
-        last_reset_date: todayStr,
-        updated_at: query.fn.now(),
-      });
+      .update(volumeChanges);
+
+    if (outcome.flushes.length) {
+      await query("synergy_flushes").insert(
+        outcome.flushes.map((f) => ({
+          user_id: userId,
+          flush_date: todayStr,
+          reason: f.reason,
+          left_before: f.left_before,
+          right_before: f.right_before,
+          left_flushed: f.left,
+          right_flushed: f.right,
+          left_after: f.left_after,
+          right_after: f.right_after,
+          plan_version: planVersion,
+          metadata: JSON.stringify({
+            cycles_paid: outcome.cycles,
+            cycle_size: cycleSize,
+            daily_cap: Number(cap),
+            daily_paid: dailyPaid + rewardAmount,
+            cap_period: outcome.capHit ? capWindow.period : null,
+            ineligible_since: ineligibleSince,
+            rules: flushRules,
+          }),
+          created_at: query.fn.now(),
+        }))
+      );
+    }
+
+    const summary = {
+      cycles: 0,
+      reward: 0,
+      packType,
+      eligible: qualified,
+      ineligible: !qualified,
+      capReached: outcome.capHit,
+      capPeriod: outcome.capHit ? capWindow.period : null,
+      flushes: outcome.flushes.length,
+    };
+    if (outcome.cycles <= 0) return summary;
+
+    const cyclesToPay = outcome.cycles;
+    const usedVolume = cyclesToPay * cycleSize;
 
     // Record cycle history
     await query("team_cycles").insert({
@@ -270,9 +464,20 @@ class Synergy {
 
     // Credit wallet and transaction
     await query.transaction(async (innerTrx) => {
-      await innerTrx("wallets")
-        .where({ user_id: userId, wallet_type: "main" })
-        .increment("balance", rewardAmount);
+      await Wallet.updateBalance(
+        userId,
+        rewardAmount,
+        "add",
+        "main",
+        innerTrx,
+        {
+          entryType: "synergy_flow",
+          referenceType: "team_cycle",
+          referenceId: `${userId}-${todayStr}`,
+          description: `Synergy Flow payout (${cyclesToPay} cycles)`,
+          contra: "reward_pool",
+        }
+      );
 
       await innerTrx("transactions").insert({
         user_id: userId,
@@ -286,17 +491,108 @@ class Synergy {
         description: `Synergy Flow payout (${cyclesToPay} cycles @ ${
           rate * 100
         }%)`,
+        metadata: JSON.stringify({
+          cycles: cyclesToPay,
+          cycle_size: cycleSize,
+          rate,
+          pack_type: packType,
+          plan_version: planVersion,
+        }),
         created_at: innerTrx.fn.now(),
         updated_at: innerTrx.fn.now(),
       });
     });
 
-    return {
-      cycles: cyclesToPay,
-      reward: rewardAmount,
-      packType,
-      eligible: true,
-    };
+    return { ...summary, cycles: cyclesToPay, reward: rewardAmount };
+  }
+
+  /**
+   * Synergy matching bonus: each sponsor generation with a rate earns that share of the
+   * member's Synergy payout, when it holds an active pack, clamped by the combined
+   * incentive cap (RewardCap). Paid as `synergy_match` against the member's team cycle.
+   * A sponsor already holding a `synergy_match` for that cycle is skipped, so reruns are safe.
+   */
+  static async payMatchingBonus(
+    earnerId,
+    synergyAmount,
+    { dateStr, rates, planVersion }
+  ) {
+    const result = { paid: 0, payouts: 0, clamped: 0, alreadyPaid: 0 };
+    const referenceId = `${earnerId}-${dateStr}`;
+    const chain = await PowerPassUp.getSponsorChain(earnerId, rates.length);
+
+    for (const [index, sponsorId] of chain.entries()) {
+      const generation = index + 1;
+      const rate = rates[index] || 0;
+      const amount = round2(synergyAmount * rate);
+      if (amount <= 0) continue;
+      const { highestPack } = await Stake.getUserActivePackInfo(sponsorId);
+      if (!highestPack) continue;
+
+      const paid = await db.transaction(async (trx) => {
+        const existing = await trx("transactions")
+          .where({
+            user_id: sponsorId,
+            transaction_type: "synergy_match",
+            reference_type: "team_cycle",
+            reference_id: referenceId,
+          })
+          .first();
+        if (existing) return null;
+
+        const { allowed } = await RewardCap.clampIncentive(
+          sponsorId,
+          amount,
+          trx
+        );
+        const credit = round2(allowed);
+        if (credit <= 0) return 0;
+
+        const description = `Synergy matching bonus (generation ${generation} @ ${
+          rate * 100
+        }%)`;
+        await Wallet.updateBalance(sponsorId, credit, "add", "main", trx, {
+          entryType: "synergy_match",
+          referenceType: "team_cycle",
+          referenceId,
+          description,
+          contra: "reward_pool",
+        });
+        await trx("transactions").insert({
+          user_id: sponsorId,
+          wallet_type: "main",
+          transaction_type: "synergy_match",
+          reference_type: "team_cycle",
+          reference_id: referenceId,
+          amount: credit,
+          currency: "USD",
+          status: "completed",
+          description,
+          metadata: JSON.stringify({
+            source_user_id: earnerId,
+            generation,
+            rate,
+            synergy_amount: synergyAmount,
+            uncapped_amount: amount,
+            plan_version: planVersion,
+          }),
+          created_at: trx.fn.now(),
+          updated_at: trx.fn.now(),
+        });
+        return credit;
+      });
+
+      if (paid === null) {
+        result.alreadyPaid += 1;
+        continue;
+      }
+      if (paid < amount) result.clamped += 1;
+      if (paid > 0) {
+        result.paid = round2(result.paid + paid);
+        result.payouts += 1;
+      }
+    }
+    return result;
   }
 
   static async processAllUsers() {
@@ -320,41 +616,112 @@ class Synergy {
     let rewards = 0;
     let capHits = 0;
     let ineligible = 0;
+    let flushes = 0;
 
     for (const u of users) {
       const result = await this.processUserCycles(u.user_id);
       processed += 1;
       cycles += result.cycles || 0;
       rewards += result.reward || 0;
+      flushes += result.flushes || 0;
       if (result.capReached) capHits += 1;
       if (result.ineligible) ineligible += 1;
     }
 
+    // Matching bonus once every member's own payout is settled, under today's plan version.
+    // Earners come from today's team_cycles (not this run), so a rerun after a crash still
+    // pays the matches a previous attempt settled cycles for but did not get to.
+    const plan = await PlanConfig.getActive("synergy");
+    const matchingRates = (plan.value.matching || planDefaults.synergy.matching)
+      .rates;
+    const matching = { paid: 0, payouts: 0, clamped: 0, alreadyPaid: 0 };
+    if (matchingRates.some((rate) => rate > 0)) {
+      const earners = await db("team_cycles")
+        .where({ cycle_date: todayStr, status: "completed" })
+        .groupBy("user_id")
+        .select("user_id", db.raw("SUM(reward_amount) as reward"));
+      for (const earner of earners) {
+        const reward = round2(Number(earner.reward || 0));
+        if (reward <= 0) continue;
+        const result = await this.payMatchingBonus(earner.user_id, reward, {
+          dateStr: todayStr,
+          rates: matchingRates,
+          planVersion: plan.version,
+        });
+        matching.paid = round2(matching.paid + result.paid);
+        matching.payouts += result.payouts;
+        matching.clamped += result.clamped;
+        matching.alreadyPaid += result.alreadyPaid;
+      }
+    }
+
     await JobRun.finish("synergy_flow", todayStr, "success", {
       processed,
       cycles,
       rewards,
       capHits,
       ineligible,
+      flushes,
+      matching,
     });
 
-    return { users: processed, cycles, rewards, capHits, ineligible };
+    return {
+      users: processed,
+      cycles,
+      rewards,
+      capHits,
+      ineligible,
+      flushes,
+      matching,
+    };
   }
 
   static async getUserSummary(userId) {
     const volumeRow = await this.ensureVolumeRow(userId);
     const todayStr = new Date().toISOString().split("T")[0];
-    const { rate, packType, cap } = await this.getUserRateAndCap(userId);
-    const eligibility = await this.getEligibility(userId);
+    const { rate, packType, cap, cycleSize, flushRules, capPeriods, matching } =
+      await this.getUserRateAndCap(userId);
+    const [eligibility, periodPaid] = await Promise.all([
+      this.getEligibility(userId),
+      this.getPeriodPaid(userId, todayStr),
+    ]);
     const leftTotal =
       Number(volumeRow.left_volume || 0) + Number(volumeRow.left_carry || 0);
     const rightTotal =
       Number(volumeRow.right_volume || 0) + Number(volumeRow.right_carry || 0);
     const cyclesAvailable = Math.floor(
-      Math.min(leftTotal, rightTotal) / CYCLE_SIZE
+      Math.min(leftTotal, rightTotal) / cycleSize
     );
-    const perCycleReward = rate ? CYCLE_SIZE * rate : 0;
-    const remainingCap = Math.max(0, cap - Number(volumeRow.daily_paid || 0));
+    const perCycleReward = rate ? cycleSize * rate : 0;
+    const dailyPaid =
+      formatDate(volumeRow.last_reset_date) === todayStr
+        ? Number(volumeRow.daily_paid || 0)
+        : 0;
+    const capWindow = this.getRemainingCap({
+      dailyCap: cap,
+      dailyPaid,
+      weekPaid: periodPaid.week,
+      monthPaid: periodPaid.month,
+      capPeriods,
+    });
+
+    // What the next daily run would pay and flush with today's volumes
+    const qualified = eligibility.eligible && Boolean(rate) && cap > 0;
+    const ineligibleSince = qualified
+      ? null
+      : formatDate(volumeRow.ineligible_since) || todayStr;
+    const projection = this.settleVolumes({
+      left: leftTotal,
+      right: rightTotal,
+      cycleSize,
+      perCycleReward,
+      remainingCap: capWindow.remaining,
+      dailyCap: cap,
+      qualified,
+      ineligibleDays: qualified ? 0 : daysBetween(ineligibleSince, todayStr),
+      rules: flushRules,
+    });
+    const recentFlushes = await this.getUserFlushes(userId, { limit: 5 });
 
     return {
       user_id: userId,
@@ -362,22 +729,119 @@ class Synergy {
       right_total: rightTotal,
       left_carry: Number(volumeRow.left_carry || 0),
       right_carry: Number(volumeRow.right_carry || 0),
-      daily_paid: Number(volumeRow.daily_paid || 0),
+      // Reset-aware: yesterday's daily_paid no longer counts before the daily run resets it
+      daily_paid: dailyPaid,
       last_reset_date: volumeRow.last_reset_date,
       rate,
       pack_type: packType,
       cap,
+      cycle_size: cycleSize,
       per_cycle_reward: perCycleReward,
       cycles_available: cyclesAvailable,
-      remaining_cap: remainingCap,
+      // Tightest of the daily / weekly / monthly windows, as the projection uses
+      remaining_cap: capWindow.remaining,
       today: todayStr,
       eligible: eligibility.eligible,
       eligibility_reasons: eligibility.reasons || [],
       left_active_direct: eligibility.leftActive,
       right_active_direct: eligibility.rightActive,
+      cap_windows: capWindow.windows,
+      week_paid: periodPaid.week,
+      month_paid: periodPaid.month,
+      matching_rates: matching.rates,
+      flush_rules: flushRules,
+      ineligible_since: ineligibleSince,
+      carry_expires_on:
+        !qualified && flushRules.carryExpiryDays
+          ? addDays(ineligibleSince, flushRules.carryExpiryDays)
+          : null,
+      projected: {
+        cycles: projection.cycles,
+        reward: round2(projection.cycles * perCycleReward),
+        cap_hit: projection.capHit,
+        cap_period: projection.capHit ? capWindow.period : null,
+        flushes: projection.flushes.map((f) => ({
+          reason: f.reason,
+          left: f.left,
+          right: f.right,
+        })),
+        left_flushed: round2(
+          projection.flushes.reduce((sum, f) => sum + f.left, 0)
+        ),
+        right_flushed: round2(
+          projection.flushes.reduce((sum, f) => sum + f.right, 0)
+        ),
+        left_carry_after: projection.left,
+        right_carry_after: projection.right,
+      },
+      recent_flushes: recentFlushes,
+    };
+  }
+
+  /**
+   * Per-leg view of binary volume for `userId`: volume received between from and to
+   * (YYYY-MM-DD, inclusive) with its top contributors, today's new volume against what is
+   * waiting for the next run and the carry, and active vs inactive members per leg.
+   * Free-stake volume never counts and is reported apart as excluded.
+   */
+  static async getLegBreakdown(userId, { from, to, top = 10 }) {
+    const todayStr = new Date().toISOString().split("T")[0];
+    const range = { from: `${from} 00:00:00`, to: `${to} 23:59:59` };
+    const [volumeRow, rangeTotals, todayTotals, members, leftTop, rightTop] =
+      await Promise.all([
+        this.ensureVolumeRow(userId),
+        VolumeLedger.getLegTotals(userId, range),
+        VolumeLedger.getLegTotals(userId, {
+          from: `${todayStr} 00:00:00`,
+          to: `${todayStr} 23:59:59`,
+        }),
+        Genealogy.getLegMemberCounts(userId),
+        VolumeLedger.getTopContributors(userId, {
+          side: "left",
+          ...range,
+          limit: top,
+        }),
+        VolumeLedger.getTopContributors(userId, {
+          side: "right",
+          ...range,
+          limit: top,
+        }),
+      ]);
+
+    const topBySide = { left: leftTop, right: rightTop };
+    const legs = {};
+    for (const side of VolumeLedger.SIDES) {
+      const unsettled = Number(volumeRow[`${side}_volume`] || 0);
+      const carry = Number(volumeRow[`${side}_carry`] || 0);
+      legs[side] = {
+        volume: rangeTotals[side].paid,
+        events: rangeTotals[side].paid_events,
+        free_volume_excluded: rangeTotals[side].free,
+        today_volume: todayTotals[side].paid,
+        unsettled_volume: unsettled,
+        carry,
+        available_volume: round2(unsettled + carry),
+        members: members[side],
+        top_contributors: topBySide[side],
+      };
+    }
+
+    return {
+      user_id: userId,
+      period: { from, to },
+      today: todayStr,
+      legs,
     };
   }
 
+  static async getUserFlushes(userId, { limit = 20, offset = 0 } = {}) {
+    return db("synergy_flushes")
+      .where({ user_id: userId })
+      .orderBy("id", "desc")
+      .limit(limit)
+      .offset(offset);
+  }
+
   static async getUserHistory(userId, { limit = 20, offset = 0 } = {}) {
     return db("team_cycles")
       .where({ user_id: userId })
@@ -396,4 +860,6 @@ class Synergy {
   }
 }
 
+Synergy.FLUSH_REASONS = FLUSH_REASONS;
+
 module.exports = Synergy;
@@ -1,9 +1,10 @@
 const db = require('../config/database');
 
 class Transaction {
-  // Create a new transaction
-  static async create(data) {
-    const insertResult = await db('transactions').insert({
+  // Create a new transaction (optionally inside an outer DB transaction)
+  static async create(data, trx = null) {
+    const query = trx || db;
+    const insertResult = await query('transactions').insert({
       user_id: data.user_id,
       wallet_type: data.wallet_type || 'main',
       transaction_type: data.transaction_type,
@@ -15,12 +16,12 @@ class Transaction {
       status: data.status || 'pending',
       description: data.description,
       metadata: data.metadata ? JSON.stringify(data.metadata) : null,
-      created_at: db.fn.now(),
-      updated_at: db.fn.now()
+      created_at: query.fn.now(),
+      updated_at: query.fn.now()
     });
 
     const insertId = Array.isArray(insertResult) ? insertResult[0] : insertResult;
-    const transaction = await db('transactions').where({ id: insertId }).first();
+    const transaction = await query('transactions').where({ id: insertId }).first();
 
     if (transaction && typeof transaction.metadata === 'string') {
       try {
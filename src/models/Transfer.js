@@ -0,0 +1,327 @@
+const db = require('../config/database');
+const Wallet = require('./Wallet');
+const { verifyTOTP, verifyBackupCode, markBackupCodeAsUsed } = require('../utils/auth');
+
+const envNumber = (name, fallback) => {
+  const raw = parseFloat(process.env[name] ?? fallback);
+  return Number.isNaN(raw) ? parseFloat(fallback) : Math.max(0, raw);
+};
+
+const parseJsonEnv = (name) => {
+  try {
+    return JSON.parse(process.env[name] || '{}') || {};
+  } catch (err) {
+    console.warn(`${name} is not valid JSON, ignoring`);
+    return {};
+  }
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// How a transfer recipient can be identified
+const RECIPIENT_TYPES = {
+  phone: 'phone_number',
+  referral_code: 'referral_code',
+  email: 'email',
+  user_id: 'id'
+};
+
+// Optional restriction of who a user may send to
+const RECIPIENT_SCOPES = {
+  any: null,
+  sponsor_line: 'sponsor_id',
+  binary_team: 'parent_id'
+};
+
+// MySQL's default cte_max_recursion_depth is 1000
+const MAX_TREE_DEPTH = 1000;
+
+class Transfer {
+  static getFee() {
+    return envNumber('TRANSFER_FEE_AMOUNT', '1');
+  }
+
+  // Transfers at or above this amount need a TOTP / backup-code step-up (0 = never)
+  static getStepUpThreshold() {
+    return envNumber('TRANSFER_STEP_UP_THRESHOLD', '500');
+  }
+
+  static requiresStepUp(amount) {
+    const threshold = this.getStepUpThreshold();
+    return threshold > 0 && amount >= threshold;
+  }
+
+  // "John Smith" -> "J*** S****"
+  static maskName(name) {
+    if (!name) return null;
+    return String(name)
+      .trim()
+      .split(/\s+/)
+      .map((part) => `${part.charAt(0)}${'*'.repeat(Math.max(part.length - 1, 2))}`)
+      .join(' ');
+  }
+
+  // "+971501234567" -> "+971*****4567"
+  static maskPhone(phone) {
+    if (!phone) return null;
+    const value = String(phone);
+    if (value.length <= 6) return `${value.slice(0, 1)}***`;
+    return `${value.slice(0, 4)}${'*'.repeat(value.length - 8)}${value.slice(-4)}`;
+  }
+
+  static getMaskedProfile(user) {
+    return {
+      id: user.id,
+      name: this.maskName(user.name),
+      phone_number: this.maskPhone(user.phone_number),
+      accepts_transfers: user.accept_transfers !== false && user.accept_transfers !== 0
+    };
+  }
+
+  // Find a recipient by phone, referral code, email or user ID
+  static async findRecipient(type, value) {
+    const column = RECIPIENT_TYPES[type];
+    if (!column || value === undefined || value === null || String(value).trim() === '') return null;
+
+    let lookup = String(value).trim();
+    if (type === 'referral_code') lookup = lookup.toUpperCase();
+    if (type === 'email') lookup = lookup.toLowerCase();
+    if (type === 'user_id') {
+      lookup = parseInt(lookup, 10);
+      if (Number.isNaN(lookup)) return null;
+    }
+
+    return db('users').where(column, lookup).first();
+  }
+
+  static getRecipientScope() {
+    const scope = process.env.TRANSFER_RECIPIENT_SCOPE || 'any';
+    return Object.prototype.hasOwnProperty.call(RECIPIENT_SCOPES, scope) ? scope : 'any';
+  }
+
+  // True if ancestorId is above userId following genealogy.<column> (sponsor_id or parent_id)
+  static async isAncestor(ancestorId, userId, column) {
+    const raw = await db.raw(
+      `
+        WITH RECURSIVE up AS (
+          SELECT g.user_id, g.${column} AS next_id, 0 AS lvl
+          FROM genealogy g
+          WHERE g.user_id = ?
+
+          UNION ALL
+
+          SELECT g.user_id, g.${column} AS next_id, up.lvl + 1 AS lvl
+          FROM genealogy g
+          INNER JOIN up ON g.user_id = up.next_id
+          WHERE up.lvl + 1 < ?
+        )
+        SELECT 1 AS found FROM up WHERE next_id = ? LIMIT 1
+      `,
+      [userId, MAX_TREE_DEPTH, ancestorId]
+    );
+    const rows = Array.isArray(raw) ? raw[0] : raw?.rows || raw;
+    return Array.isArray(rows) && rows.length > 0;
+  }
+
+  /**
+   * Whether the sender may transfer to the recipient under TRANSFER_RECIPIENT_SCOPE:
+   * sponsor_line = recipient is in the sender's sponsor upline or sponsored downline,
+   * binary_team = same for the binary placement tree.
+   */
+  static async isRecipientInScope(senderId, recipientId) {
+    const scope = this.getRecipientScope();
+    const column = RECIPIENT_SCOPES[scope];
+    if (!column) return true;
+
+    return (
+      (await this.isAncestor(senderId, recipientId, column)) ||
+      (await this.isAncestor(recipientId, senderId, column))
+    );
+  }
+
+  /**
+   * Daily / monthly outgoing limits (0 = unlimited).
+   * Defaults come from TRANSFER_DAILY_LIMIT / TRANSFER_MONTHLY_LIMIT, overridden per rank
+   * (TRANSFER_LIMITS_BY_RANK) and then per role (TRANSFER_LIMITS_BY_ROLE), e.g.
+   * {"quantum": {"daily": 20000, "monthly": 200000}}.
+   */
+  static async getLimits(userId, role = 'user') {
+    const limits = {
+      daily: envNumber('TRANSFER_DAILY_LIMIT', '5000'),
+      monthly: envNumber('TRANSFER_MONTHLY_LIMIT', '50000'),
+      source: 'default'
+    };
+
+    const rankRow = await db('user_ranks').where({ user_id: userId }).first();
+    const byRank = parseJsonEnv('TRANSFER_LIMITS_BY_RANK');
+    const byRole = parseJsonEnv('TRANSFER_LIMITS_BY_ROLE');
+    const overrides = [
+      [rankRow?.rank && byRank[rankRow.rank], `rank:${rankRow?.rank}`],
+      [role && byRole[role], `role:${role}`]
+    ];
+
+    for (const [override, source] of overrides) {
+      if (!override) continue;
+      if (override.daily !== undefined) limits.daily = Math.max(0, parseFloat(override.daily) || 0);
+      if (override.monthly !== undefined) limits.monthly = Math.max(0, parseFloat(override.monthly) || 0);
+      limits.source = source;
+    }
+
+    return limits;
+  }
+
+  // Outgoing transfer totals for the current day and month (server timezone)
+  static async getUsage(userId, trx = null) {
+    const query = trx || db;
+    const now = new Date();
+    const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+
+    const row = await query('transactions')
+      .where({ user_id: userId, transaction_type: 'transfer', status: 'completed' })
+      .where('amount', '<', 0)
+      .where('created_at', '>=', monthStart)
+      .select(
+        query.raw('COALESCE(SUM(CASE WHEN created_at >= ? THEN -amount ELSE 0 END), 0) as daily', [dayStart]),
+        query.raw('COALESCE(SUM(-amount), 0) as monthly')
+      )
+      .first();
+
+    return {
+      daily: parseFloat(row?.daily || 0),
+      monthly: parseFloat(row?.monthly || 0)
+    };
+  }
+
+  // Check an amount against the sender's limits; returns { allowed, message, limits, usage, remaining }
+  static async checkLimits(userId, role, amount, trx = null) {
+    const [limits, usage] = await Promise.all([this.getLimits(userId, role), this.getUsage(userId, trx)]);
+    const remaining = {
+      daily: limits.daily > 0 ? round2(Math.max(0, limits.daily - usage.daily)) : null,
+      monthly: limits.monthly > 0 ? round2(Math.max(0, limits.monthly - usage.monthly)) : null
+    };
+
+    let message = null;
+    if (remaining.daily !== null && amount > remaining.daily) {
+      message = `Daily transfer limit exceeded. Remaining today: $${remaining.daily.toFixed(2)}`;
+    } else if (remaining.monthly !== null && amount > remaining.monthly) {
+      message = `Monthly transfer limit exceeded. Remaining this month: $${remaining.monthly.toFixed(2)}`;
+    }
+
+    return { allowed: !message, message, limits, usage, remaining };
+  }
+
+  // Verify a TOTP or backup code for a high-value transfer; backup codes are consumed
+  static async verifyStepUp(userId, { totpCode, backupCode } = {}) {
+    const twoFactor = await db('two_factor_auth')
+      .where({ user_id: userId, is_enabled: true })
+      .first();
+    if (!twoFactor) {
+      return { ok: false, message: 'Enable 2FA to send transfers of this size' };
+    }
+
+    if (totpCode) {
+      return verifyTOTP(twoFactor.secret, String(totpCode))
+        ? { ok: true }
+        : { ok: false, message: 'Invalid 2FA code' };
+    }
+
+    if (backupCode) {
+      const valid = await verifyBackupCode(db, userId, String(backupCode));
+      if (!valid) return { ok: false, message: 'Invalid backup code' };
+      await markBackupCodeAsUsed(db, userId, String(backupCode));
+      return { ok: true };
+    }
+
+    return { ok: false, message: '2FA code or backup code required for this transfer' };
+  }
+
+  /**
+   * Move funds between two main wallets and record both legs.
+   * Both legs meet in transfer clearing; the fee is income.
+   * The sender's wallet row is locked and the limits checked again under that lock, so
+   * concurrent transfers cannot each pass a check made before the other was booked.
+   * Throws with error.limitCheck set when a limit is exceeded.
+   * sender: { id, phoneNumber, role }, recipient: users row. Returns { amount, fee, totalDebit }.
+   */
+  static async execute({ sender, recipient, amount, note = null, metadata = {} }, trx = null) {
+    if (!trx) {
+      return db.transaction((innerTrx) =>
+        this.execute({ sender, recipient, amount, note, metadata }, innerTrx)
+      );
+    }
+
+    const fee = this.getFee();
+    const totalDebit = amount + fee;
+    const timestamp = trx.fn.now();
+    const senderLabel = sender.phoneNumber || sender.id;
+
+    await trx('wallets').where({ user_id: sender.id, wallet_type: 'main' }).forUpdate().first();
+    const limitCheck = await this.checkLimits(sender.id, sender.role, amount, trx);
+    if (!limitCheck.allowed) {
+      const error = new Error(limitCheck.message);
+      error.limitCheck = limitCheck;
+      throw error;
+    }
+
+    await Wallet.updateBalance(sender.id, totalDebit, 'subtract', 'main', trx, {
+      entryType: 'transfer',
+      description: `Transfer to ${recipient.phone_number}`,
+      contra: [
+        { account: 'transfer_clearing', amount },
+        { account: 'fees', amount: fee }
+      ]
+    });
+    await Wallet.updateBalance(recipient.id, amount, 'add', 'main', trx, {
+      entryType: 'transfer',
+      description: `Transfer from ${senderLabel}`,
+      contra: 'transfer_clearing'
+    });
+
+    // Sender transaction (debit)
+    await trx('transactions').insert({
+      user_id: sender.id,
+      wallet_type: 'main',
+      transaction_type: 'transfer',
+      amount: -amount,
+      fee,
+      currency: 'USD',
+      status: 'completed',
+      description: note || `Transfer to ${recipient.phone_number}`,
+      metadata: JSON.stringify({
+        toUserId: recipient.id,
+        toPhoneNumber: recipient.phone_number,
+        note,
+        ...metadata
+      }),
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+
+    // Recipient transaction (credit)
+    await trx('transactions').insert({
+      user_id: recipient.id,
+      wallet_type: 'main',
+      transaction_type: 'transfer',
+      amount,
+      fee: 0,
+      currency: 'USD',
+      status: 'completed',
+      description: note || `Transfer from ${senderLabel}`,
+      metadata: JSON.stringify({
+        fromUserId: sender.id,
+        fromPhoneNumber: sender.phoneNumber,
+        note,
+        ...metadata
+      }),
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+
+    return { amount, fee, totalDebit };
+  }
+}
+
+Transfer.RECIPIENT_TYPES = RECIPIENT_TYPES;
+
+module.exports = Transfer;
@@ -0,0 +1,323 @@
+const db = require('../config/database');
+
+const SIDES = ['left', 'right'];
+const SOURCES = ['purchase', 'top_up', 'free_stake', 'backfill', 'opening'];
+// backfill: history of stakes bought before the ledger; their volume is already in carry or
+// in the opening events, so it is never projected again
+const UNPROJECTED_SOURCES = ['backfill'];
+// opening: team_volumes balances at ledger start, no origin stake; left out of history queries
+const UNATTRIBUTED_SOURCES = ['opening'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const rowsOf = (raw) => (Array.isArray(raw) ? raw[0] || [] : raw?.rows || []);
+
+/**
+ * Binary volume ledger (volume_events). Every stake purchase or top-up appends one event
+ * per receiving upline with the leg it lands on; nothing is ever updated or deleted.
+ * team_volumes.left_volume / right_volume are a projection: the paid (non-free) events after
+ * team_volumes.settled_event_id, which the Synergy run advances when it settles a user.
+ * The counters are kept in step as events are written and can be rebuilt from the ledger.
+ * History queries (point in time, per-leg drill-down) read the attributed events only.
+ */
+class VolumeLedger {
+  // Binary parent chain above userId, nearest first: [{ upline_id, side, level }]
+  static async getUplineChain(userId, trx = null) {
+    const query = trx || db;
+    // Recursive CTE: fetch the full parent chain (child->parent) in one DB round trip.
+    const raw = await query.raw(
+      `
+        WITH RECURSIVE path AS (
+          SELECT g.user_id AS child_id, g.parent_id, g.position, 1 AS lvl
+          FROM genealogy g
+          WHERE g.user_id = ?
+
+          UNION ALL
+
+          SELECT g.user_id AS child_id, g.parent_id, g.position, path.lvl + 1 AS lvl
+          FROM genealogy g
+          INNER JOIN path ON g.user_id = path.parent_id
+          WHERE path.parent_id IS NOT NULL
+        )
+        SELECT parent_id, position, lvl
+        FROM path
+        WHERE parent_id IS NOT NULL
+        ORDER BY lvl ASC
+      `,
+      [userId]
+    );
+
+    return rowsOf(raw)
+      .filter((row) => Number(row.parent_id) && SIDES.includes(row.position))
+      .map((row) => ({ upline_id: Number(row.parent_id), side: row.position, level: Number(row.lvl) }));
+  }
+
+  /**
+   * Append the volume of a stake (or top-up) to every upline's leg and apply the paid part
+   * to the team_volumes projection. Free stakes are recorded but add no volume.
+   * `createdAt` dates backfilled events to the original purchase.
+   */
+  static async record(
+    { userId, amount, stakeId = null, isFree = false, source = 'purchase', createdAt = null },
+    trx = null
+  ) {
+    const query = trx || db;
+    const volume = round2(parseFloat(amount));
+    if (!(volume > 0)) return { events: 0 };
+
+    const chain = await this.getUplineChain(userId, query);
+    if (!chain.length) return { events: 0 };
+
+    await query('volume_events').insert(
+      chain.map((link) => ({
+        upline_id: link.upline_id,
+        side: link.side,
+        level: link.level,
+        origin_user_id: userId,
+        origin_stake_id: stakeId,
+        amount: volume,
+        is_free: Boolean(isFree),
+        source,
+        created_at: createdAt || query.fn.now()
+      }))
+    );
+    if (isFree || UNPROJECTED_SOURCES.includes(source)) return { events: chain.length };
+
+    // Ensure all parent volume rows exist (batch).
+    const uplineIds = Array.from(new Set(chain.map((link) => link.upline_id)));
+    const existing = await query('team_volumes').whereIn('user_id', uplineIds).select('user_id');
+    const existingSet = new Set(existing.map((row) => Number(row.user_id)));
+    const toInsert = uplineIds
+      .filter((id) => !existingSet.has(id))
+      .map((id) => ({ user_id: id, created_at: query.fn.now(), updated_at: query.fn.now() }));
+    if (toInsert.length) await query('team_volumes').insert(toInsert);
+
+    // Apply increments (one update per ancestor; no extra reads).
+    for (const link of chain) {
+      await query('team_volumes')
+        .where({ user_id: link.upline_id })
+        .increment(`${link.side}_volume`, volume)
+        .update({ updated_at: query.fn.now() });
+    }
+    return { events: chain.length };
+  }
+
+  // Paid volume per leg not yet settled by the Synergy run: { left, right, throughId }
+  static async getUnsettled(userId, afterId = 0, trx = null) {
+    const query = trx || db;
+    const rows = await query('volume_events')
+      .where({ upline_id: userId, is_free: false })
+      .whereNotIn('source', UNPROJECTED_SOURCES)
+      .where('id', '>', afterId || 0)
+      .groupBy('side')
+      .select('side', query.raw('COALESCE(SUM(amount), 0) as amount'), query.raw('MAX(id) as last_id'));
+
+    const result = { left: 0, right: 0, throughId: Number(afterId || 0) };
+    for (const row of rows) {
+      result[row.side] = round2(parseFloat(row.amount));
+      result.throughId = Math.max(result.throughId, Number(row.last_id));
+    }
+    return result;
+  }
+
+  /**
+   * Replay the projection: left_volume / right_volume = paid events after settled_event_id.
+   * Returns the users whose counters had drifted; `dryRun` only reports them.
+   */
+  static async rebuildProjection({ userId = null, dryRun = false } = {}) {
+    const rows = await db('team_volumes as tv')
+      .modify((builder) => {
+        if (userId) builder.where('tv.user_id', userId);
+      })
+      .select(
+        'tv.user_id',
+        'tv.left_volume',
+        'tv.right_volume',
+        db.raw(
+          `(SELECT COALESCE(SUM(ve.amount), 0) FROM volume_events ve
+            WHERE ve.upline_id = tv.user_id AND ve.side = 'left' AND ve.is_free = false
+              AND ve.source <> 'backfill' AND ve.id > tv.settled_event_id) as ledger_left`
+        ),
+        db.raw(
+          `(SELECT COALESCE(SUM(ve.amount), 0) FROM volume_events ve
+            WHERE ve.upline_id = tv.user_id AND ve.side = 'right' AND ve.is_free = false
+              AND ve.source <> 'backfill' AND ve.id > tv.settled_event_id) as ledger_right`
+        )
+      );
+
+    const drifted = rows
+      .map((row) => ({
+        user_id: row.user_id,
+        left_volume: round2(parseFloat(row.left_volume || 0)),
+        right_volume: round2(parseFloat(row.right_volume || 0)),
+        ledger_left: round2(parseFloat(row.ledger_left || 0)),
+        ledger_right: round2(parseFloat(row.ledger_right || 0))
+      }))
+      .filter((row) => row.left_volume !== row.ledger_left || row.right_volume !== row.ledger_right);
+
+    if (!dryRun) {
+      for (const row of drifted) {
+        await db('team_volumes')
+          .where({ user_id: row.user_id })
+          .update({ left_volume: row.ledger_left, right_volume: row.ledger_right, updated_at: db.fn.now() });
+      }
+    }
+    return { checked: rows.length, drifted };
+  }
+
+  // Paid volume each leg had received in total up to `at` (point in time)
+  static async getVolumeAt(userId, at = new Date()) {
+    const rows = await db('volume_events')
+      .where({ upline_id: userId, is_free: false })
+      .whereNotIn('source', UNATTRIBUTED_SOURCES)
+      .where('created_at', '<=', at)
+      .groupBy('side')
+      .select('side', db.raw('COALESCE(SUM(amount), 0) as amount'), db.raw('COUNT(*) as events'));
+
+    const result = { at, left: 0, right: 0, left_events: 0, right_events: 0 };
+    for (const row of rows) {
+      result[row.side] = round2(parseFloat(row.amount));
+      result[`${row.side}_events`] = Number(row.events);
+    }
+    return result;
+  }
+
+  /**
+   * Per-leg drill-down: the downline stakes whose volume reached `userId`'s leg, largest first.
+   * from/to bound the event time; free stakes are left out unless includeFree.
+   */
+  static async getContributions(
+    userId,
+    { side, from = null, to = null, includeFree = false, limit = 50, offset = 0 } = {}
+  ) {
+    const rows = await db('volume_events as ve')
+      .leftJoin('users as u', 've.origin_user_id', 'u.id')
+      .leftJoin('stakes as s', 've.origin_stake_id', 's.id')
+      .where({ 've.upline_id': userId, 've.side': side })
+      .whereNotIn('ve.source', UNATTRIBUTED_SOURCES)
+      .modify((builder) => {
+        if (!includeFree) builder.where('ve.is_free', false);
+        if (from) builder.where('ve.created_at', '>=', from);
+        if (to) builder.where('ve.created_at', '<=', to);
+      })
+      .groupBy('ve.origin_stake_id', 've.origin_user_id', 'u.name', 's.pack_type', 's.status', 've.is_free')
+      .orderBy('amount', 'desc')
+      .limit(limit)
+      .offset(offset)
+      .select(
+        've.origin_stake_id as stake_id',
+        've.origin_user_id as user_id',
+        'u.name',
+        's.pack_type',
+        's.status as stake_status',
+        've.is_free',
+        db.raw('MIN(ve.level) as level'),
+        db.raw('SUM(ve.amount) as amount'),
+        db.raw('COUNT(*) as events'),
+        db.raw('MIN(ve.created_at) as first_at'),
+        db.raw('MAX(ve.created_at) as last_at')
+      );
+
+    return rows.map((row) => ({
+      ...row,
+      is_free: Boolean(row.is_free),
+      level: Number(row.level),
+      amount: round2(parseFloat(row.amount)),
+      events: Number(row.events)
+    }));
+  }
+
+  // Volume events per leg between from and to (inclusive datetimes), paid and free kept apart
+  static async getLegTotals(userId, { from, to }) {
+    const rows = await db('volume_events')
+      .where({ upline_id: userId })
+      .whereNotIn('source', UNATTRIBUTED_SOURCES)
+      .whereBetween('created_at', [from, to])
+      .groupBy('side', 'is_free')
+      .select('side', 'is_free', db.raw('COALESCE(SUM(amount), 0) as amount'), db.raw('COUNT(*) as events'));
+
+    const totals = Object.fromEntries(
+      SIDES.map((side) => [side, { paid: 0, paid_events: 0, free: 0, free_events: 0 }])
+    );
+    for (const row of rows) {
+      const key = row.is_free ? 'free' : 'paid';
+      totals[row.side][key] = round2(totals[row.side][key] + parseFloat(row.amount));
+      totals[row.side][`${key}_events`] += Number(row.events);
+    }
+    return totals;
+  }
+
+  // Downline members whose paid stakes brought the most volume to a leg between from and to
+  static async getTopContributors(userId, { side, from, to, limit = 10 }) {
+    const rows = await db('volume_events as ve')
+      .leftJoin('users as u', 've.origin_user_id', 'u.id')
+      .where({ 've.upline_id': userId, 've.side': side, 've.is_free': false })
+      .whereNotIn('ve.source', UNATTRIBUTED_SOURCES)
+      .whereBetween('ve.created_at', [from, to])
+      .groupBy('ve.origin_user_id', 'u.name')
+      .orderBy('amount', 'desc')
+      .limit(limit)
+      .select(
+        've.origin_user_id as user_id',
+        'u.name',
+        db.raw('MIN(ve.level) as level'),
+        db.raw('SUM(ve.amount) as amount'),
+        db.raw('COUNT(DISTINCT ve.origin_stake_id) as stakes'),
+        db.raw('MAX(ve.created_at) as last_at')
+      );
+
+    return rows.map((row) => ({
+      ...row,
+      level: Number(row.level),
+      amount: round2(parseFloat(row.amount)),
+      stakes: Number(row.stakes)
+    }));
+  }
+
+  /**
+   * Seed the ledger with stakes bought before it existed: one backfill event set per `stake`
+   * transaction (purchase or top-up, dated as the transaction) for stakes with no events yet.
+   * Renewals and compounding never added volume and are not `stake` transactions.
+   */
+  static async backfill({ dryRun = false } = {}) {
+    const purchases = await db('transactions as t')
+      .join('stakes as s', 't.reference_id', 's.id')
+      .where({ 't.transaction_type': 'stake', 't.reference_type': 'stake', 't.status': 'completed' })
+      .whereNotExists(db('volume_events as ve').whereRaw('ve.origin_stake_id = s.id'))
+      .orderBy('t.id', 'asc')
+      .select(
+        't.id',
+        't.amount',
+        't.created_at',
+        's.id as stake_id',
+        's.user_id',
+        's.amount as stake_amount',
+        's.is_free'
+      );
+
+    const result = { transactions: purchases.length, stakes: new Set(), events: 0, volume: 0 };
+    for (const purchase of purchases) {
+      // Free stakes debit nothing, so their volume is the stake amount
+      const amount = purchase.is_free ? parseFloat(purchase.stake_amount) : Math.abs(parseFloat(purchase.amount));
+      result.stakes.add(purchase.stake_id);
+      if (!purchase.is_free) result.volume = round2(result.volume + amount);
+      if (dryRun) continue;
+
+      const { events } = await this.record({
+        userId: purchase.user_id,
+        amount,
+        stakeId: purchase.stake_id,
+        isFree: Boolean(purchase.is_free),
+        source: 'backfill',
+        createdAt: purchase.created_at
+      });
+      result.events += events;
+    }
+    return { ...result, stakes: result.stakes.size };
+  }
+}
+
+VolumeLedger.SIDES = SIDES;
+VolumeLedger.SOURCES = SOURCES;
+
+module.exports = VolumeLedger;
@@ -1,4 +1,5 @@
 const db = require('../config/database');
+const Ledger = require('./Ledger');
 
 class Wallet {
   // Get or create both wallets (main only for IXFLIX)
@@ -35,9 +36,17 @@ class Wallet {
     };
   }
 
-  // Update balance for specific wallet type
-  static async updateBalance(userId, amount, operation, walletType = 'main', trx = null) {
-    const query = trx || db;
+  // Update balance for specific wallet type and post the matching ledger entry.
+  // journal: { entryType, referenceType, referenceId, description, contra } (see Ledger.postWalletMovement)
+  static async updateBalance(userId, amount, operation, walletType = 'main', trx = null, journal = {}) {
+    // Wallet row and journal entry must commit together
+    if (!trx) {
+      return db.transaction((innerTrx) =>
+        this.updateBalance(userId, amount, operation, walletType, innerTrx, journal)
+      );
+    }
+
+    const query = trx;
 
     const wallet = await query('wallets')
       .where({ user_id: userId, wallet_type: walletType })
@@ -71,6 +80,11 @@ class Wallet {
         updated_at: query.fn.now()
       });
 
+    await Ledger.postWalletMovement(
+      { userId, walletType, amount, operation, journal },
+      query
+    );
+
     return newBalance;
   }
 
@@ -91,10 +105,18 @@ class Wallet {
   static async transfer(fromUserId, toUserId, amount, description = null, fromWalletType = 'main', toWalletType = 'main') {
     return await db.transaction(async (trx) => {
       // Deduct from sender
-      await this.updateBalance(fromUserId, amount, 'subtract', fromWalletType, trx);
+      await this.updateBalance(fromUserId, amount, 'subtract', fromWalletType, trx, {
+        entryType: 'transfer',
+        description: description || `Transfer to user ${toUserId}`,
+        contra: 'transfer_clearing'
+      });
 
       // Add to recipient
-      await this.updateBalance(toUserId, amount, 'add', toWalletType, trx);
+      await this.updateBalance(toUserId, amount, 'add', toWalletType, trx, {
+        entryType: 'transfer',
+        description: description || `Transfer from user ${fromUserId}`,
+        contra: 'transfer_clearing'
+      });
 
       // Create transaction records
       const timestamp = trx.fn.now();
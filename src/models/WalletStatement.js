@@ -0,0 +1,408 @@
+const db = require('../config/database');
+const Reconciliation = require('./Reconciliation');
+const { toCsv } = require('../utils/csv');
+const { formatTable, renderTextPdf } = require('../utils/pdf');
+
+const FORMATS = ['csv', 'pdf', 'json'];
+const PERIODS = ['monthly', 'yearly'];
+const TOLERANCE = 0.01;
+
+// Fee booked with a transactions row: same rows as Reconciliation.NET_EFFECT_SQL
+const FEE_SQL = `
+  CASE
+    WHEN transaction_type = 'withdraw' OR status = 'completed' THEN fee
+    ELSE 0
+  END
+`;
+
+// Annual income summary: incentives paid to the user vs movements of their own principal
+const INCOME_TYPES = ['stake_reward', 'catalyst_bonus', 'synergy_flow', 'synergy_match', 'power_passup'];
+const PRINCIPAL_TYPES = {
+  stake: 'staked',
+  stake_renewal: 'renewed',
+  stake_compound: 'compounded',
+  stake_refund: 'refunded'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const money = (value) => (value === null || value === undefined ? '' : Number(value).toFixed(2));
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Main wallet account statements and the annual income summary.
+ * Figures come from transactions with the same booking rules as the wallet
+ * reconciliation (amount minus fee; withdrawals count from creation, their refunds
+ * offset them), and each statement is checked against the ledger at its closing date.
+ */
+class WalletStatement {
+  // period=monthly&year=&month= or period=yearly&year=; returns { error } or { period, label, start, end }
+  static parsePeriod({ period = 'monthly', year, month } = {}) {
+    if (!PERIODS.includes(period)) return { error: `period must be one of: ${PERIODS.join(', ')}` };
+
+    const now = new Date();
+    const y = year === undefined ? now.getFullYear() : parseInt(year, 10);
+    if (!Number.isInteger(y) || y < 2000 || y > now.getFullYear()) {
+      return { error: `year must be between 2000 and ${now.getFullYear()}` };
+    }
+    if (period === 'yearly') {
+      return { period, label: String(y), start: `${y}-01-01`, end: `${y + 1}-01-01` };
+    }
+
+    const m = month === undefined ? now.getMonth() + 1 : parseInt(month, 10);
+    if (!Number.isInteger(m) || m < 1 || m > 12) return { error: 'month must be between 1 and 12' };
+    if (y === now.getFullYear() && m > now.getMonth() + 1) return { error: 'month must not be in the future' };
+    const end = m === 12 ? `${y + 1}-01-01` : `${y}-${pad(m + 1)}-01`;
+    return { period, label: `${y}-${pad(m)}`, start: `${y}-${pad(m)}-01`, end };
+  }
+
+  // Wallet-affecting transactions rows (net effect + booked fee) for a user's main wallet
+  static bookedRows(userId) {
+    return db('transactions')
+      .where({ user_id: userId, wallet_type: 'main' })
+      .select(
+        'transaction_type',
+        'status',
+        'amount',
+        'fee',
+        'created_at',
+        db.raw(`${Reconciliation.NET_EFFECT_SQL} as net`),
+        db.raw(`${FEE_SQL} as fee_booked`)
+      );
+  }
+
+  static async getBalanceBefore(userId, date) {
+    const row = await db
+      .from(this.bookedRows(userId).where('created_at', '<', date).as('t'))
+      .sum({ total: 'net' })
+      .first();
+    return round2(parseFloat(row?.total || 0));
+  }
+
+  // Ledger balance of the user's main wallet account at `date` (exclusive)
+  static async getLedgerBalanceBefore(userId, date) {
+    const row = await db('ledger_lines as l')
+      .join('ledger_accounts as a', 'l.account_id', 'a.id')
+      .where({ 'a.code': `user:${userId}:main` })
+      .where('l.created_at', '<', date)
+      .sum({ credit: 'l.credit', debit: 'l.debit' })
+      .first();
+    return round2(parseFloat(row?.credit || 0) - parseFloat(row?.debit || 0));
+  }
+
+  static async build(userId, { period, label, start, end }) {
+    const [user, openingBalance, groups, ledgerClosing, wallet] = await Promise.all([
+      db('users').where({ id: userId }).select('id', 'name', 'email').first(),
+      this.getBalanceBefore(userId, start),
+      db
+        .from(
+          this.bookedRows(userId)
+            .where('created_at', '>=', start)
+            .where('created_at', '<', end)
+            .as('t')
+        )
+        .where((qb) => qb.whereNot('net', 0).orWhereNot('fee_booked', 0))
+        .groupBy('transaction_type')
+        .orderBy('transaction_type', 'asc')
+        .select(
+          'transaction_type',
+          db.raw('COUNT(*) as entry_count'),
+          db.raw('COALESCE(SUM(CASE WHEN net + fee_booked > 0 THEN net + fee_booked ELSE 0 END), 0) as credits'),
+          db.raw('COALESCE(SUM(CASE WHEN net + fee_booked < 0 THEN -(net + fee_booked) ELSE 0 END), 0) as debits'),
+          db.raw('COALESCE(SUM(fee_booked), 0) as fees')
+        ),
+      this.getLedgerBalanceBefore(userId, end),
+      db('wallets').where({ user_id: userId, wallet_type: 'main' }).first()
+    ]);
+
+    const activity = groups.map((row) => {
+      const credits = round2(parseFloat(row.credits || 0));
+      const debits = round2(parseFloat(row.debits || 0));
+      const fees = round2(parseFloat(row.fees || 0));
+      return {
+        transaction_type: row.transaction_type,
+        count: Number(row.entry_count || 0),
+        credits,
+        debits,
+        fees,
+        net: round2(credits - debits - fees)
+      };
+    });
+    const totals = activity.reduce(
+      (acc, row) => ({
+        credits: round2(acc.credits + row.credits),
+        debits: round2(acc.debits + row.debits),
+        fees: round2(acc.fees + row.fees)
+      }),
+      { credits: 0, debits: 0, fees: 0 }
+    );
+    const closingBalance = round2(openingBalance + totals.credits - totals.debits - totals.fees);
+
+    // A period that has not ended yet closes on today's wallet balance
+    const isOpen = new Date(`${end}T00:00:00`) > new Date();
+    const walletBalance = isOpen ? round2(parseFloat(wallet?.balance || 0)) : null;
+    const ledgerDifference = round2(closingBalance - ledgerClosing);
+    const walletDifference = isOpen ? round2(closingBalance - walletBalance) : null;
+    const matches = (difference) => difference === null || Math.abs(difference) < TOLERANCE;
+
+    return {
+      generated_at: new Date(),
+      user: user || { id: Number(userId) },
+      period: { type: period, label, start, end_exclusive: end, open: isOpen },
+      opening_balance: openingBalance,
+      activity,
+      totals,
+      closing_balance: closingBalance,
+      reconciliation: {
+        ledger_closing_balance: ledgerClosing,
+        ledger_difference: ledgerDifference,
+        wallet_balance: walletBalance,
+        wallet_difference: walletDifference,
+        reconciled: matches(ledgerDifference) && matches(walletDifference)
+      }
+    };
+  }
+
+  // Annual income summary: incentive income by type, principal movements, deposits/withdrawals and fees
+  static async buildIncomeSummary(userId, year) {
+    const start = `${year}-01-01`;
+    const end = `${year + 1}-01-01`;
+    const [user, rows] = await Promise.all([
+      db('users').where({ id: userId }).select('id', 'name', 'email').first(),
+      db
+        .from(
+          this.bookedRows(userId)
+            .where('created_at', '>=', start)
+            .where('created_at', '<', end)
+            .as('t')
+        )
+        .groupBy('transaction_type')
+        .select(
+          'transaction_type',
+          db.raw('COALESCE(SUM(net + fee_booked), 0) as gross'),
+          db.raw("COALESCE(SUM(CASE WHEN status = 'completed' THEN amount ELSE 0 END), 0) as completed_amount"),
+          db.raw("COALESCE(SUM(CASE WHEN status = 'completed' THEN fee ELSE 0 END), 0) as completed_fees")
+        )
+    ]);
+
+    const incomeByType = Object.fromEntries(INCOME_TYPES.map((type) => [type, 0]));
+    const principal = { staked: 0, renewed: 0, compounded: 0, refunded: 0 };
+    let deposits = 0;
+    let withdrawals = 0;
+    let feesPaid = 0;
+    // Withdrawals and fees count once paid out; failed ones and their refunds drop out
+    for (const row of rows) {
+      const type = row.transaction_type;
+      const gross = parseFloat(row.gross || 0);
+      feesPaid += parseFloat(row.completed_fees || 0);
+      if (INCOME_TYPES.includes(type)) incomeByType[type] = round2(gross);
+      else if (PRINCIPAL_TYPES[type]) principal[PRINCIPAL_TYPES[type]] = round2(Math.abs(gross));
+      else if (type === 'deposit') deposits += gross;
+      else if (type === 'withdraw') withdrawals -= parseFloat(row.completed_amount || 0);
+    }
+
+    const incomeTotal = round2(Object.values(incomeByType).reduce((sum, value) => sum + value, 0));
+    return {
+      generated_at: new Date(),
+      user: user || { id: Number(userId) },
+      year,
+      incentive_income: {
+        stake_rewards: incomeByType.stake_reward,
+        catalyst_bonus: incomeByType.catalyst_bonus,
+        synergy_flow: incomeByType.synergy_flow,
+        synergy_match: incomeByType.synergy_match,
+        power_passup: incomeByType.power_passup,
+        total: incomeTotal
+      },
+      principal: {
+        ...principal,
+        // New money put into packs this year, net of early termination refunds
+        net_invested: round2(principal.staked - principal.refunded),
+        // Packs bought back out of rewards (auto-renew, auto-compound)
+        reinvested_from_rewards: round2(principal.renewed + principal.compounded)
+      },
+      deposits: round2(deposits),
+      withdrawals: round2(withdrawals),
+      fees_paid: round2(feesPaid)
+    };
+  }
+
+  static statementToCsv(statement) {
+    const { reconciliation: rec } = statement;
+    const rows = [
+      { section: 'balance', item: 'opening', amount: money(statement.opening_balance) },
+      ...statement.activity.map((row) => ({
+        section: 'activity',
+        item: row.transaction_type,
+        count: row.count,
+        credits: money(row.credits),
+        debits: money(row.debits),
+        fees: money(row.fees),
+        amount: money(row.net)
+      })),
+      {
+        section: 'totals',
+        item: 'all',
+        credits: money(statement.totals.credits),
+        debits: money(statement.totals.debits),
+        fees: money(statement.totals.fees)
+      },
+      { section: 'balance', item: 'closing', amount: money(statement.closing_balance) },
+      { section: 'reconciliation', item: 'ledger_closing_balance', amount: money(rec.ledger_closing_balance) },
+      { section: 'reconciliation', item: 'ledger_difference', amount: money(rec.ledger_difference) }
+    ];
+    if (rec.wallet_balance !== null) {
+      rows.push(
+        { section: 'reconciliation', item: 'wallet_balance', amount: money(rec.wallet_balance) },
+        { section: 'reconciliation', item: 'wallet_difference', amount: money(rec.wallet_difference) }
+      );
+    }
+    return toCsv(
+      [
+        { key: 'section', label: 'Section' },
+        { key: 'item', label: 'Item' },
+        { key: 'count', label: 'Count' },
+        { key: 'credits', label: 'Credits' },
+        { key: 'debits', label: 'Debits' },
+        { key: 'fees', label: 'Fees' },
+        { key: 'amount', label: 'Amount' }
+      ],
+      rows
+    );
+  }
+
+  static statementToPdf(statement) {
+    const { user, period, reconciliation: rec } = statement;
+    const title = `Wallet statement ${period.label}`;
+    const rows = statement.activity.map((row) => ({
+      ...row,
+      credits: money(row.credits),
+      debits: money(row.debits),
+      fees: money(row.fees),
+      net: money(row.net)
+    }));
+    const lines = [
+      { text: title, bold: true },
+      `${user.name || ''} <${user.email || ''}> (user #${user.id})`,
+      `Generated: ${statement.generated_at.toISOString()}`,
+      `Period: ${period.start} to before ${period.end_exclusive}${period.open ? ' (in progress)' : ''}`,
+      '',
+      `Opening balance: $${money(statement.opening_balance)}`,
+      '',
+      ...formatTable(
+        [
+          { key: 'transaction_type', label: 'Type' },
+          { key: 'count', label: 'Count', align: 'right' },
+          { key: 'credits', label: 'Credits', align: 'right' },
+          { key: 'debits', label: 'Debits', align: 'right' },
+          { key: 'fees', label: 'Fees', align: 'right' },
+          { key: 'net', label: 'Net', align: 'right' }
+        ],
+        rows
+      ),
+      '',
+      `Total credits $${money(statement.totals.credits)}    Total debits $${money(statement.totals.debits)}    ` +
+        `Fees $${money(statement.totals.fees)}`,
+      { text: `Closing balance: $${money(statement.closing_balance)}`, bold: true },
+      '',
+      { text: 'Reconciliation', bold: true },
+      `Ledger balance at close: $${money(rec.ledger_closing_balance)} (difference $${money(rec.ledger_difference)})`,
+      rec.wallet_balance !== null
+        ? `Current wallet balance: $${money(rec.wallet_balance)} (difference $${money(rec.wallet_difference)})`
+        : '',
+      rec.reconciled ? 'Statement reconciles.' : 'Statement does not reconcile; contact support.'
+    ];
+    return renderTextPdf(lines, { title });
+  }
+
+  static incomeToCsv(summary) {
+    const rows = [
+      ...Object.entries(summary.incentive_income).map(([item, amount]) => ({
+        section: 'incentive_income',
+        item,
+        amount
+      })),
+      ...Object.entries(summary.principal).map(([item, amount]) => ({ section: 'principal', item, amount })),
+      { section: 'wallet', item: 'deposits', amount: summary.deposits },
+      { section: 'wallet', item: 'withdrawals', amount: summary.withdrawals },
+      { section: 'wallet', item: 'fees_paid', amount: summary.fees_paid }
+    ].map((row) => ({ ...row, amount: money(row.amount) }));
+    return toCsv(
+      [
+        { key: 'section', label: 'Section' },
+        { key: 'item', label: 'Item' },
+        { key: 'amount', label: 'Amount' }
+      ],
+      rows
+    );
+  }
+
+  static incomeToPdf(summary) {
+    const { user, incentive_income: income, principal } = summary;
+    const title = `Income summary ${summary.year}`;
+    const table = (entries) =>
+      formatTable(
+        [
+          { key: 'item', label: 'Item', width: 28 },
+          { key: 'amount', label: 'Amount (USD)', align: 'right' }
+        ],
+        entries.map(([item, amount]) => ({ item, amount: money(amount) }))
+      );
+    const lines = [
+      { text: title, bold: true },
+      `${user.name || ''} <${user.email || ''}> (user #${user.id})`,
+      `Generated: ${summary.generated_at.toISOString()}`,
+      '',
+      { text: 'Incentive income', bold: true },
+      ...table([
+        ['Stake rewards (Core + Harvest)', income.stake_rewards],
+        ['Catalyst bonus', income.catalyst_bonus],
+        ['Synergy Flow', income.synergy_flow],
+        ['Synergy matching bonus', income.synergy_match],
+        ['Power Pass-Up', income.power_passup],
+        ['Total incentive income', income.total]
+      ]),
+      '',
+      { text: 'Principal (not income)', bold: true },
+      ...table([
+        ['Energy packs bought', principal.staked],
+        ['Early termination refunds', principal.refunded],
+        ['Net invested', principal.net_invested],
+        ['Renewed from rewards', principal.renewed],
+        ['Compounded from rewards', principal.compounded]
+      ]),
+      '',
+      { text: 'Wallet', bold: true },
+      ...table([
+        ['Deposits', summary.deposits],
+        ['Withdrawals', summary.withdrawals],
+        ['Fees paid', summary.fees_paid]
+      ]),
+      '',
+      'Amounts are in USD as booked on the platform. This summary is not tax advice.'
+    ];
+    return renderTextPdf(lines, { title });
+  }
+
+  // { contentType, filename, body } for a format in FORMATS (kind: statement | income)
+  static render(report, format, kind = 'statement') {
+    const base =
+      kind === 'income'
+        ? `income-summary-${report.year}-user-${report.user.id}`
+        : `wallet-statement-${report.period.label}-user-${report.user.id}`;
+    if (format === 'pdf') {
+      const body = kind === 'income' ? this.incomeToPdf(report) : this.statementToPdf(report);
+      return { contentType: 'application/pdf', filename: `${base}.pdf`, body };
+    }
+    if (format === 'csv') {
+      const body = kind === 'income' ? this.incomeToCsv(report) : this.statementToCsv(report);
+      return { contentType: 'text/csv; charset=utf-8', filename: `${base}.csv`, body };
+    }
+    return { contentType: 'application/json', filename: null, body: report };
+  }
+}
+
+WalletStatement.FORMATS = FORMATS;
+WalletStatement.PERIODS = PERIODS;
+WalletStatement.INCOME_TYPES = INCOME_TYPES;
+
+module.exports = WalletStatement;
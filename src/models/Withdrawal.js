@@ -0,0 +1,454 @@
+const db = require('../config/database');
+const Wallet = require('./Wallet');
+const Ledger = require('./Ledger');
+const { INCENTIVE_TYPES } = require('./RewardCap');
+
+const parseMeta = (metadata) => {
+  if (!metadata) return {};
+  if (typeof metadata === 'object') return metadata;
+  try {
+    return JSON.parse(metadata);
+  } catch (err) {
+    return {};
+  }
+};
+
+// Withdrawals in these states no longer follow provider updates
+const FINAL_STATUSES = ['completed', 'failed', 'rejected'];
+
+const envNumber = (name, fallback) => {
+  const raw = parseFloat(process.env[name] ?? fallback);
+  return Number.isNaN(raw) ? parseFloat(fallback) : Math.max(0, raw);
+};
+
+class Withdrawal {
+  // Risk thresholds; a value of 0 disables that rule
+  static getReviewThresholds() {
+    return {
+      enabled: process.env.WITHDRAW_REVIEW_ENABLED !== 'false',
+      amount: envNumber('WITHDRAW_REVIEW_AMOUNT', '1000'),
+      newAddress: process.env.WITHDRAW_REVIEW_NEW_ADDRESS !== 'false',
+      securityChangeHours: envNumber('WITHDRAW_REVIEW_SECURITY_CHANGE_HOURS', '48'),
+      minAccountAgeDays: envNumber('WITHDRAW_REVIEW_MIN_ACCOUNT_AGE_DAYS', '7'),
+      incentiveRatio: envNumber('WITHDRAW_REVIEW_INCENTIVE_RATIO', '3')
+    };
+  }
+
+  /**
+   * Evaluate a withdrawal request against the review thresholds.
+   * An address that is not a saved, unlocked address book entry (free-form, or deleted since)
+   * never went through the cooling period, so it is always held for review, even with review off.
+   * Returns { requiresReview, flags: [{ code, message }] }.
+   */
+  static async assessRisk(userId, { amount, address, addressSaved = false }) {
+    const flags = addressSaved
+      ? []
+      : [{ code: 'unsaved_address', message: 'Address is not a saved address past its cooling period' }];
+    const thresholds = this.getReviewThresholds();
+    if (!thresholds.enabled) {
+      return { requiresReview: flags.length > 0, flags };
+    }
+
+    const user = await db('users')
+      .where({ id: userId })
+      .select('created_at', 'password_changed_at', 'two_factor_changed_at')
+      .first();
+
+    if (thresholds.amount > 0 && amount >= thresholds.amount) {
+      flags.push({
+        code: 'amount',
+        message: `Amount $${amount.toFixed(2)} is at or above $${thresholds.amount.toFixed(2)}`
+      });
+    }
+
+    if (thresholds.newAddress) {
+      const previous = await db('transactions')
+        .where({ user_id: userId, transaction_type: 'withdraw', status: 'completed' })
+        .whereRaw("JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.address')) = ?", [address])
+        .first('id');
+      if (!previous) {
+        flags.push({ code: 'new_address', message: 'No completed withdrawal to this address before' });
+      }
+    }
+
+    if (thresholds.securityChangeHours > 0 && user) {
+      const since = Date.now() - thresholds.securityChangeHours * 60 * 60 * 1000;
+      if (user.password_changed_at && new Date(user.password_changed_at).getTime() >= since) {
+        flags.push({
+          code: 'recent_password_change',
+          message: `Password changed within the last ${thresholds.securityChangeHours}h`
+        });
+      }
+      if (user.two_factor_changed_at && new Date(user.two_factor_changed_at).getTime() >= since) {
+        flags.push({
+          code: 'recent_2fa_change',
+          message: `2FA changed within the last ${thresholds.securityChangeHours}h`
+        });
+      }
+    }
+
+    if (thresholds.minAccountAgeDays > 0 && user?.created_at) {
+      const ageDays = (Date.now() - new Date(user.created_at).getTime()) / (24 * 60 * 60 * 1000);
+      if (ageDays < thresholds.minAccountAgeDays) {
+        flags.push({
+          code: 'account_age',
+          message: `Account is younger than ${thresholds.minAccountAgeDays} days`
+        });
+      }
+    }
+
+    if (thresholds.incentiveRatio > 0) {
+      const [incentiveRow, depositRow] = await Promise.all([
+        db('transactions')
+          .where({ user_id: userId, status: 'completed' })
+          .whereIn('transaction_type', INCENTIVE_TYPES)
+          .sum({ total: 'amount' })
+          .first(),
+        db('transactions')
+          .where({ user_id: userId, status: 'completed', transaction_type: 'deposit' })
+          .sum({ total: 'amount' })
+          .first()
+      ]);
+      const incentives = parseFloat(incentiveRow?.total || 0);
+      const deposits = parseFloat(depositRow?.total || 0);
+      if (incentives > 0 && (deposits <= 0 || incentives / deposits > thresholds.incentiveRatio)) {
+        flags.push({
+          code: 'incentive_ratio',
+          message: `Incentive income $${incentives.toFixed(2)} exceeds ${thresholds.incentiveRatio}x deposits ($${deposits.toFixed(2)})`
+        });
+      }
+    }
+
+    return { requiresReview: flags.length > 0, flags };
+  }
+
+  // Record the risk flags of a withdrawal held for review
+  static async createReview(transactionId, userId, flags, trx = null) {
+    const query = trx || db;
+    await query('withdrawal_reviews').insert({
+      transaction_id: transactionId,
+      user_id: userId,
+      risk_flags: JSON.stringify(flags || []),
+      decision: 'pending',
+      created_at: query.fn.now(),
+      updated_at: query.fn.now()
+    });
+    return query('withdrawal_reviews').where({ transaction_id: transactionId }).first();
+  }
+
+  static async getReview(transactionId) {
+    const review = await db('withdrawal_reviews').where({ transaction_id: transactionId }).first();
+    if (review) review.risk_flags = parseMeta(review.risk_flags);
+    return review || null;
+  }
+
+  /**
+   * Return amount + fee of a withdrawal to the user's wallet, exactly once.
+   * Locks the withdrawal row, sets its status and records a withdraw_refund transaction.
+   * Returns the refunded amount, or null when it was already refunded.
+   */
+  static async refund(transactionId, { status, referenceType, description, metadata = {} }, trx) {
+    const transaction = await trx('transactions')
+      .where({ id: transactionId, transaction_type: 'withdraw' })
+      .forUpdate()
+      .first();
+    if (!transaction) return null;
+
+    const txMeta = parseMeta(transaction.metadata);
+    if (txMeta.refunded || txMeta.refunded_at) return null;
+
+    const amount = Math.abs(parseFloat(transaction.amount || 0));
+    const fee = Math.abs(parseFloat(transaction.fee || 0));
+    const totalDebit = amount + fee;
+
+    await trx('transactions')
+      .where({ id: transaction.id })
+      .update({
+        status,
+        metadata: JSON.stringify({
+          ...txMeta,
+          ...metadata,
+          refunded: true,
+          refunded_at: new Date().toISOString()
+        }),
+        updated_at: trx.fn.now()
+      });
+
+    if (totalDebit > 0) {
+      // Reverse the withdraw entry: clearing and fee income go back to the user
+      await Wallet.updateBalance(transaction.user_id, totalDebit, 'add', 'main', trx, {
+        entryType: 'withdraw_refund',
+        referenceType,
+        referenceId: transaction.id,
+        description,
+        contra: [
+          { account: 'payout_clearing', amount },
+          { account: 'fees', amount: fee }
+        ]
+      });
+      await trx('transactions').insert({
+        user_id: transaction.user_id,
+        wallet_type: 'main',
+        transaction_type: 'withdraw_refund',
+        reference_type: referenceType,
+        reference_id: `REFUND-${transaction.id}-${Date.now()}`,
+        amount: totalDebit,
+        fee: 0,
+        currency: 'USD',
+        status: 'completed',
+        description,
+        metadata: JSON.stringify({ original_transaction_id: transaction.id, ...metadata }),
+        created_at: trx.fn.now(),
+        updated_at: trx.fn.now()
+      });
+    }
+
+    return totalDebit;
+  }
+
+  // Provider payout status -> withdraw transaction status
+  static mapPayoutStatus(payoutStatus) {
+    switch (String(payoutStatus || '').toLowerCase()) {
+      case 'finished':
+      case 'confirmed':
+        return 'completed';
+      case 'failed':
+      case 'expired':
+      case 'rejected':
+        return 'failed';
+      default:
+        return 'pending';
+    }
+  }
+
+  /**
+   * Apply a provider payout status (IPN or requery) to a withdraw transaction.
+   * Failed payouts are refunded and completed payouts settled exactly once: the row is
+   * locked and final states are never changed again, only annotated with `metadata`.
+   * Returns the updated transaction, or null if it does not exist.
+   */
+  static async applyPayoutStatus(transactionId, payoutData, { referenceType, metadata = {} }) {
+    const desiredStatus = this.mapPayoutStatus(payoutData?.status || payoutData?.payout_status);
+
+    await db.transaction(async (trx) => {
+      const transaction = await trx('transactions')
+        .where({ id: transactionId, transaction_type: 'withdraw' })
+        .forUpdate()
+        .first();
+      if (!transaction) return;
+
+      const txMeta = parseMeta(transaction.metadata);
+      const updatedMeta = { ...txMeta, ...metadata };
+
+      if (FINAL_STATUSES.includes(transaction.status) || transaction.status === 'pending_review') {
+        await trx('transactions')
+          .where({ id: transaction.id })
+          .update({ metadata: JSON.stringify(updatedMeta), updated_at: trx.fn.now() });
+        return;
+      }
+
+      if (desiredStatus === 'failed') {
+        await this.refund(
+          transaction.id,
+          {
+            status: 'failed',
+            referenceType,
+            description: `Refund for failed withdrawal ${transaction.id}`,
+            metadata
+          },
+          trx
+        );
+        return;
+      }
+
+      await trx('transactions')
+        .where({ id: transaction.id })
+        .update({
+          status: desiredStatus,
+          metadata: JSON.stringify(updatedMeta),
+          updated_at: trx.fn.now()
+        });
+
+      if (desiredStatus === 'completed') {
+        // Payout left custody: settle the clearing balance
+        const amount = Math.abs(parseFloat(transaction.amount || 0));
+        await Ledger.postEntry(
+          {
+            entryType: 'withdraw_settlement',
+            referenceType: 'nowpayment_payout',
+            referenceId: transaction.reference_id,
+            description: `Payout settled for withdrawal ${transaction.id}`,
+            lines: [
+              { account: 'payout_clearing', debit: amount },
+              { account: 'custody', credit: amount }
+            ]
+          },
+          trx
+        );
+      }
+    });
+
+    return db('transactions').where({ id: transactionId }).first();
+  }
+
+  // Withdraw transaction for a payout id (batch id stored at creation, or the withdrawal id)
+  static async findByPayoutId(...payoutIds) {
+    const ids = payoutIds.filter((id) => id !== undefined && id !== null).map(String);
+    if (ids.length === 0) return null;
+    return db('transactions')
+      .where({ transaction_type: 'withdraw', reference_type: 'nowpayment_payout' })
+      .whereIn('reference_id', ids)
+      .first();
+  }
+
+  // Stable id sent with every payout request for a withdrawal, so a resend cannot pay twice
+  static payoutReference(transactionId) {
+    return `withdraw-${transactionId}`;
+  }
+
+  // Only a 4xx answer proves the provider refused the payout; timeouts, 5xx and
+  // conflicts/rate limits may come after it was accepted
+  static isPayoutRejected(error) {
+    const status = error?.response?.status;
+    return Number.isInteger(status) && status >= 400 && status < 500 && ![408, 409, 425, 429].includes(status);
+  }
+
+  /**
+   * Send the payout for a withdrawal just claimed as pending by an approval.
+   * createPayout({ amount, address, payoutCurrency, referenceId }) performs the provider call.
+   * - accepted: recorded by recordPayout
+   * - rejected (4xx): back to pending_review so it can be approved again or rejected
+   * - unknown (timeout, 5xx, ...): stays pending with payout_unconfirmed. It is never sent
+   *   again and never returns to a refundable state; PaymentPoller looks the payout up by
+   *   its reference and flags it for manual review if the provider does not know it.
+   * Errors are rethrown with error.payoutUnconfirmed set.
+   */
+  static async sendPayout(transaction, createPayout) {
+    const txMeta = parseMeta(transaction.metadata);
+    const referenceId = this.payoutReference(transaction.id);
+
+    let payout;
+    try {
+      payout = await createPayout({
+        amount: Math.abs(parseFloat(transaction.amount || 0)),
+        address: txMeta.address,
+        payoutCurrency: txMeta.payoutCurrency,
+        referenceId
+      });
+    } catch (error) {
+      const rejected = this.isPayoutRejected(error);
+      await db('transactions')
+        .where({ id: transaction.id, status: 'pending' })
+        .update({
+          status: rejected ? 'pending_review' : 'pending',
+          metadata: JSON.stringify({
+            ...txMeta,
+            payout_reference: referenceId,
+            ...(rejected ? {} : { payout_unconfirmed: true }),
+            last_approval_error: error.message,
+            last_approval_error_at: new Date().toISOString()
+          }),
+          updated_at: db.fn.now()
+        });
+      error.payoutUnconfirmed = !rejected;
+      throw error;
+    }
+
+    return this.recordPayout({ ...transaction, metadata: { ...txMeta, payout_reference: referenceId } }, payout);
+  }
+
+  // Store the provider's payout on the withdrawal (reference_id = payout id) and record the admin review
+  static async recordPayout(transaction, payout) {
+    const txMeta = parseMeta(transaction.metadata);
+    const payoutReference =
+      payout?.id?.toString?.() || payout?.payment_id?.toString?.() || `PAYOUT-${Date.now()}`;
+    const { payout_unconfirmed, payout_manual_review, ...rest } = txMeta;
+    const approval = txMeta.approval || {};
+
+    await db.transaction(async (trx) => {
+      await trx('transactions')
+        .where({ id: transaction.id })
+        .update({
+          reference_id: payoutReference,
+          metadata: JSON.stringify({ ...rest, payout }),
+          updated_at: trx.fn.now()
+        });
+      await trx('withdrawal_reviews')
+        .where({ transaction_id: transaction.id })
+        .update({
+          decision: 'approved',
+          reviewed_by: approval.admin_id ?? null,
+          reason: approval.reason ?? null,
+          reviewed_at: trx.fn.now(),
+          updated_at: trx.fn.now()
+        });
+    });
+
+    return db('transactions').where({ id: transaction.id }).first();
+  }
+
+  /**
+   * Approve a withdrawal held in pending_review: claim it, then send the payout (sendPayout).
+   * Returns the updated transaction, or null if it is no longer pending review.
+   */
+  static async approve(transactionId, { adminId, reason = null, createPayout }) {
+    const transaction = await db('transactions')
+      .where({ id: transactionId, transaction_type: 'withdraw', status: 'pending_review' })
+      .first();
+    if (!transaction) return null;
+
+    const txMeta = parseMeta(transaction.metadata);
+    const metadata = JSON.stringify({
+      ...txMeta,
+      approval: { admin_id: adminId, reason, approved_at: new Date().toISOString() }
+    });
+    const claimed = await db('transactions')
+      .where({ id: transactionId, status: 'pending_review' })
+      .update({ status: 'pending', metadata, poll_next_at: null, updated_at: db.fn.now() });
+    if (!claimed) return null;
+
+    return this.sendPayout({ ...transaction, status: 'pending', metadata }, createPayout);
+  }
+
+  /**
+   * Reject a withdrawal held in pending_review and refund amount + fee in the same DB transaction.
+   * Returns the updated transaction, or null if it is no longer pending review.
+   */
+  static async reject(transactionId, { adminId, reason }) {
+    const rejected = await db.transaction(async (trx) => {
+      const transaction = await trx('transactions')
+        .where({ id: transactionId, transaction_type: 'withdraw' })
+        .forUpdate()
+        .first();
+      if (!transaction || transaction.status !== 'pending_review') return false;
+
+      await this.refund(
+        transactionId,
+        {
+          status: 'rejected',
+          referenceType: 'withdraw_review',
+          description: `Refund for rejected withdrawal ${transactionId}`,
+          metadata: { rejected_by: adminId, rejection_reason: reason }
+        },
+        trx
+      );
+
+      await trx('withdrawal_reviews')
+        .where({ transaction_id: transactionId })
+        .update({
+          decision: 'rejected',
+          reviewed_by: adminId,
+          reason,
+          reviewed_at: trx.fn.now(),
+          updated_at: trx.fn.now()
+        });
+
+      return true;
+    });
+
+    if (!rejected) return null;
+    return db('transactions').where({ id: transactionId }).first();
+  }
+}
+
+module.exports = Withdrawal;
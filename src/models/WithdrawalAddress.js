@@ -0,0 +1,98 @@
+const db = require('../config/database');
+
+// Address formats per payout currency (network tag)
+const EVM = /^0x[a-fA-F0-9]{40}$/;
+const TRON = /^T[1-9A-HJ-NP-Za-km-z]{33}$/;
+const SOLANA = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const ADDRESS_FORMATS = {
+  usdtbsc: EVM,
+  usdterc20: EVM,
+  usdtmatic: EVM,
+  usdtarb: EVM,
+  usdcbsc: EVM,
+  usdc: EVM,
+  usdcmatic: EVM,
+  bnbbsc: EVM,
+  eth: EVM,
+  usdttrc20: TRON,
+  trx: TRON,
+  usdtsol: SOLANA,
+  usdcsol: SOLANA,
+  sol: SOLANA,
+  btc: /^(bc1[a-z0-9]{25,87}|[13][a-km-zA-HJ-NP-Z1-9]{25,34})$/
+};
+
+const MIN_LOCK_HOURS = 24;
+const MAX_LOCK_HOURS = 48;
+
+class WithdrawalAddress {
+  static getSupportedNetworks() {
+    return Object.keys(ADDRESS_FORMATS);
+  }
+
+  static normalizeNetwork(network) {
+    return String(network || '').trim().toLowerCase();
+  }
+
+  static isValidAddress(network, address) {
+    const pattern = ADDRESS_FORMATS[this.normalizeNetwork(network)];
+    return !!pattern && typeof address === 'string' && pattern.test(address.trim());
+  }
+
+  // Hours a newly saved address stays locked (clamped to 24-48)
+  static getLockHours() {
+    const raw = parseInt(process.env.WITHDRAW_ADDRESS_LOCK_HOURS || '24', 10);
+    return Math.min(MAX_LOCK_HOURS, Math.max(MIN_LOCK_HOURS, Number.isNaN(raw) ? MIN_LOCK_HOURS : raw));
+  }
+
+  static isWhitelistOnly() {
+    return process.env.WITHDRAW_ADDRESS_WHITELIST_ONLY === 'true';
+  }
+
+  static isLocked(entry) {
+    return new Date(entry.unlocks_at).getTime() > Date.now();
+  }
+
+  static async findByUserId(userId) {
+    const rows = await db('withdrawal_addresses')
+      .where({ user_id: userId })
+      .orderBy('created_at', 'desc');
+    return rows.map((row) => ({ ...row, is_locked: this.isLocked(row) }));
+  }
+
+  static async findById(userId, id) {
+    return db('withdrawal_addresses').where({ user_id: userId, id }).first();
+  }
+
+  static async findForUser(userId, network, address) {
+    return db('withdrawal_addresses')
+      .where({
+        user_id: userId,
+        network: this.normalizeNetwork(network),
+        address: String(address || '').trim()
+      })
+      .first();
+  }
+
+  static async create(userId, { label = null, network, address }) {
+    const unlocksAt = new Date(Date.now() + this.getLockHours() * 60 * 60 * 1000);
+    const [id] = await db('withdrawal_addresses').insert({
+      user_id: userId,
+      label,
+      network: this.normalizeNetwork(network),
+      address: String(address).trim(),
+      unlocks_at: unlocksAt,
+      created_at: db.fn.now(),
+      updated_at: db.fn.now()
+    });
+    return db('withdrawal_addresses').where({ id }).first();
+  }
+
+  static async remove(userId, id) {
+    return db('withdrawal_addresses').where({ user_id: userId, id }).delete();
+  }
+}
+
+WithdrawalAddress.ADDRESS_FORMATS = ADDRESS_FORMATS;
+
+module.exports = WithdrawalAddress;
@@ -12,10 +12,17 @@ router.get('/users/:userId/wallet', adminController.getUserWalletBalance);
 router.put('/users/:userId', adminController.updateUser);
 router.post('/users/:userId/remove-2fa', adminController.removeUser2FA);
 router.post('/users/:userId/manual-deposit', adminController.manualDepositToUser);
+router.get('/users/:userId/ledger', adminController.getUserLedger);
+router.get('/users/:userId/statements', adminController.getUserWalletStatement);
+router.get('/users/:userId/statements/income', adminController.getUserIncomeSummary);
 
 // Stakes
 router.get('/stakes', adminController.listStakes);
 router.post('/stakes/free', adminController.createFreeStake);
+router.get('/stakes/:stakeId/lifecycle', adminController.getStakeLifecycle);
+router.get('/stakes/:stakeId/statement', adminController.getStakeStatement);
+router.put('/stakes/:stakeId/status', adminController.updateStakeStatus);
+router.put('/stakes/:stakeId/end-of-life', adminController.updateStakeEndOfLife);
 
 // Deposits
 router.get('/deposits', adminController.listDeposits);
@@ -33,11 +40,34 @@ router.post('/wallet/manual-deposits/:transaction_id/process', walletController.
 // Withdrawals
 router.get('/withdrawals', adminController.listWithdrawals);
 router.post('/withdrawals/:transactionId/requery', adminController.requeryWithdrawalStatus);
+router.post('/withdrawals/:transactionId/approve', adminController.approveWithdrawal);
+router.post('/withdrawals/:transactionId/reject', adminController.rejectWithdrawal);
 
 // NowPayments diagnostics
 router.get('/nowpayments/status', adminController.getNowPaymentsStatus);
 router.get('/nowpayments/balance', adminController.getNowPaymentsBalance);
 
+// Ledger
+router.get('/ledger/trial-balance', adminController.getLedgerTrialBalance);
+
+// Wallet reconciliation
+router.get('/reconciliation', adminController.listWalletDrifts);
+router.post('/reconciliation/run', adminController.runWalletReconciliation);
+router.get('/reconciliation/:userId', adminController.getUserReconciliation);
+
+// Liabilities / solvency
+router.get('/liabilities', adminController.getLiabilities);
+
+// Reward plan configuration (versioned)
+router.get('/plan-config', adminController.getPlanConfig);
+router.get('/plan-config/:key', adminController.getPlanConfigVersions);
+router.post('/plan-config/:key', adminController.createPlanConfigVersion);
+router.put('/plan-config/:key/:version', adminController.updatePlanConfigVersion);
+router.delete('/plan-config/:key/:version', adminController.deletePlanConfigVersion);
+
+// Reward simulation (what-if, read-only)
+router.post('/simulations/rewards', adminController.runRewardSimulation);
+
 // Genealogy
 router.get('/pairing-genealogy', adminController.getPairingGenealogy);
 
@@ -5,10 +5,14 @@ const stakeController = require('../controllers/stakeController');
 const synergyController = require('../controllers/synergyController');
 const jobController = require('../controllers/jobController');
 const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
 // Handle deposit callback from NowPayment (no auth required for callbacks)
 router.post('/deposit/callback', walletController.handleDepositCallback);
 
+// Handle payout (withdrawal) callback from the payment provider (signed, no auth)
+router.post('/withdraw/callback', walletController.handleWithdrawCallback);
+
 // All wallet routes below this point require authentication
 router.use(authenticate);
 
@@ -21,6 +25,10 @@ router.get('/transactions', walletController.getTransactionHistory);
 // Get transaction statistics
 router.get('/stats', walletController.getTransactionStats);
 
+// Account statements (CSV / PDF / JSON)
+router.get('/statements', walletController.getWalletStatement);
+router.get('/statements/income', walletController.getIncomeSummary);
+
 // Wallet config (fees etc.)
 router.get('/config', walletController.getWalletConfig);
 
@@ -34,16 +42,30 @@ router.get('/power-passup/potential', walletController.getPotentialPowerPassUp);
 router.get('/power-passup/potential-received', walletController.getPotentialReceivedPowerPassUp);
 
 // Initiate deposit
-router.post('/deposit', walletController.initiateDeposit);
+router.post('/deposit', idempotency, walletController.initiateDeposit);
 
 // Submit manual deposit
-router.post('/deposit/manual', walletController.submitManualDeposit);
+router.post('/deposit/manual', idempotency, walletController.submitManualDeposit);
 
 // Initiate withdrawal via NowPayments payout
-router.post('/withdraw', walletController.initiateWithdraw);
+router.post('/withdraw', idempotency, walletController.initiateWithdraw);
+
+// Withdrawal address book
+router.get('/withdraw/addresses', walletController.getWithdrawalAddresses);
+router.post('/withdraw/addresses', walletController.addWithdrawalAddress);
+router.delete('/withdraw/addresses/:id', walletController.removeWithdrawalAddress);
 
 // Transfer to another user
-router.post('/transfer', walletController.transferToUser);
+router.post('/transfer', idempotency, walletController.transferToUser);
+router.post('/transfer/preview', walletController.previewTransfer);
+router.get('/transfer/lookup', walletController.lookupTransferRecipient);
+router.get('/transfer/settings', walletController.getTransferSettings);
+router.put('/transfer/settings', walletController.updateTransferSettings);
+
+// Scheduled / recurring transfers
+router.get('/transfers/scheduled', walletController.listScheduledTransfers);
+router.post('/transfers/scheduled', idempotency, walletController.createScheduledTransfer);
+router.delete('/transfers/scheduled/:id', walletController.cancelScheduledTransfer);
 
 // Staking routes
 router.get('/stakes/packs', stakeController.getAvailablePacks);
@@ -51,8 +73,19 @@ router.get('/stakes', stakeController.getUserStakes);
 router.get('/stakes/summary', stakeController.getUserStakeSummary);
 router.get('/stakes/pending-summary', stakeController.getPendingRewardsSummary);
 router.get('/stakes/eligibility', stakeController.getStakeEligibility);
-router.post('/stakes', stakeController.createStake);
+router.post('/stakes', idempotency, stakeController.createStake);
+router.post('/stakes/gift', idempotency, stakeController.giftStake);
+router.get('/stakes/gifts', stakeController.getStakeGifts);
+router.post('/stakes/gifts/:id/accept', stakeController.acceptStakeGift);
+router.post('/stakes/gifts/:id/decline', stakeController.declineStakeGift);
+router.post('/stakes/gifts/:id/cancel', stakeController.cancelStakeGift);
+router.post('/stakes/:stake_id/upgrade', idempotency, stakeController.upgradeStake);
+router.get('/stakes/:stake_id/lifecycle', stakeController.getStakeLifecycle);
+router.put('/stakes/:stake_id/end-of-life', stakeController.updateStakeEndOfLifePolicy);
+router.post('/stakes/:stake_id/terminate', idempotency, stakeController.terminateStake);
+router.put('/stakes/:stake_id/reward-mode', stakeController.updateStakeRewardMode);
 router.get('/stakes/:stake_id/rewards', stakeController.getStakeRewards);
+router.get('/stakes/:stake_id/statement', stakeController.getStakeStatement);
 router.post('/stakes/:stake_id/credit-rewards', stakeController.creditStakeRewards);
 
 // Admin/system routes (should be protected in production)
@@ -61,6 +94,8 @@ router.post('/stakes/calculate-daily-rewards', stakeController.calculateDailyRew
 // Synergy Flow routes
 router.get('/network/synergy', synergyController.getSynergySummary);
 router.get('/network/synergy/history', synergyController.getSynergyHistory);
+router.get('/network/synergy/flushes', synergyController.getSynergyFlushes);
+router.get('/network/synergy/legs', synergyController.getSynergyLegs);
 router.post('/network/synergy/run', synergyController.runSynergyPayouts);
 router.get('/network/synergy/history/all', synergyController.getSynergyHistoryAll);
 
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const PaymentProvider = require('./PaymentProvider');
+
+// Status sequences walked by simulated deposits and payouts (NowPayments status names)
+const DEPOSIT_FLOWS = {
+  finished: ['waiting', 'confirming', 'confirmed', 'finished'],
+  failed: ['waiting', 'failed'],
+  expired: ['waiting', 'expired'],
+  partially_paid: ['waiting', 'confirming', 'partially_paid']
+};
+const PAYOUT_FLOWS = {
+  finished: ['waiting', 'processing', 'sending', 'finished'],
+  failed: ['waiting', 'processing', 'failed'],
+  rejected: ['waiting', 'rejected']
+};
+
+/**
+ * Local payment provider for dev and tests
+ * Keeps payments/payouts in memory, walks them through NowPayments-style statuses on a
+ * timer and posts signed IPN callbacks, so deposit and withdrawal flows run without the network.
+ * State is per process: the payment poller (a separate process) sees none of the API's payments.
+ * Env: MOCK_PAYMENT_STEP_MS (delay between statuses, 0 = manual), MOCK_DEPOSIT_OUTCOME,
+ * MOCK_PAYOUT_OUTCOME, MOCK_PAYMENT_BALANCE.
+ */
+class MockPaymentProvider extends PaymentProvider {
+  constructor() {
+    super('mock');
+    this.ipnSecret = process.env.NOWPAYMENT_IPN_SECRET || 'mock-ipn-secret';
+    this.stepMs = Math.max(0, parseInt(process.env.MOCK_PAYMENT_STEP_MS || '3000', 10) || 0);
+    this.depositOutcome = DEPOSIT_FLOWS[process.env.MOCK_DEPOSIT_OUTCOME] ? process.env.MOCK_DEPOSIT_OUTCOME : 'finished';
+    this.payoutOutcome = PAYOUT_FLOWS[process.env.MOCK_PAYOUT_OUTCOME] ? process.env.MOCK_PAYOUT_OUTCOME : 'finished';
+    this.balance = parseFloat(process.env.MOCK_PAYMENT_BALANCE || '100000') || 0;
+    this.payments = new Map();
+    this.payouts = new Map();
+    this.sequence = 0;
+  }
+
+  nextId(prefix) {
+    this.sequence += 1;
+    return `${prefix}${Date.now()}${this.sequence}`;
+  }
+
+  async testApiConnection() {
+    return { message: 'OK', provider: this.name };
+  }
+
+  async getMinPaymentAmount(fromCurrency = 'usdtbsc', toCurrency = 'usd') {
+    return { currency_from: fromCurrency, currency_to: toCurrency, min_amount: 1 };
+  }
+
+  async createDepositPayment(amount, orderId) {
+    const priceAmount = parseFloat(amount);
+    const now = new Date().toISOString();
+    const payment = {
+      payment_id: this.nextId(''),
+      payment_status: 'waiting',
+      pay_address: `0x${crypto.randomBytes(20).toString('hex')}`,
+      price_amount: priceAmount,
+      price_currency: 'usd',
+      pay_amount: priceAmount,
+      actually_paid: 0,
+      pay_currency: 'usdtbsc',
+      order_id: orderId,
+      order_description: `${orderId} - Deposit $${priceAmount.toFixed(2)}`,
+      ipn_callback_url: this.getDepositCallbackUrl(),
+      created_at: now,
+      updated_at: now
+    };
+    this.payments.set(String(payment.payment_id), payment);
+    this.scheduleFlow('payment', payment.payment_id, DEPOSIT_FLOWS[this.depositOutcome]);
+    return { ...payment };
+  }
+
+  async getPaymentStatus(paymentId) {
+    const payment = this.payments.get(String(paymentId));
+    if (!payment) {
+      throw new Error(`Mock payment ${paymentId} not found`);
+    }
+    return { ...payment };
+  }
+
+  async createPayout({ amount, payoutAddress, payoutCurrency = 'usdtbsc', ipnCallbackUrl = null, referenceId = null }) {
+    // Same referenceId = same payout (idempotent resend)
+    const existing =
+      referenceId && [...this.payouts.values()].find((payout) => payout.unique_external_id === String(referenceId));
+    if (existing) {
+      const { id, status } = existing;
+      return { id, status, withdrawals: [{ ...existing, batch_withdrawal_id: id }] };
+    }
+
+    const payoutAmount = parseFloat(amount);
+    if (payoutAmount > this.balance) {
+      const error = new Error('Insufficient mock provider balance');
+      error.response = { status: 400, data: { message: 'Insufficient balance' } };
+      throw error;
+    }
+    this.balance -= payoutAmount;
+
+    const id = this.nextId('');
+    const now = new Date().toISOString();
+    const payout = {
+      id,
+      status: 'waiting',
+      address: payoutAddress,
+      amount: payoutAmount,
+      currency: payoutCurrency.toLowerCase(),
+      ipn_callback_url: ipnCallbackUrl,
+      unique_external_id: referenceId ? String(referenceId) : null,
+      created_at: now,
+      updated_at: now
+    };
+    this.payouts.set(String(id), payout);
+    this.scheduleFlow('payout', id, PAYOUT_FLOWS[this.payoutOutcome]);
+    return { id, status: payout.status, withdrawals: [{ ...payout, batch_withdrawal_id: id }] };
+  }
+
+  async findPayoutByReference(referenceId) {
+    const payout = [...this.payouts.values()].find((p) => p.unique_external_id === String(referenceId));
+    return payout ? { ...payout } : null;
+  }
+
+  async getPayoutStatus(payoutId) {
+    const payout = this.payouts.get(String(payoutId));
+    if (!payout) {
+      throw new Error(`Mock payout ${payoutId} not found`);
+    }
+    return { ...payout };
+  }
+
+  async getBalance() {
+    return { usdtbsc: { amount: Math.round(this.balance * 100) / 100, pendingAmount: 0 } };
+  }
+
+  // Walk a payment/payout through its remaining statuses (unless stepping is manual)
+  scheduleFlow(kind, id, flow) {
+    if (!this.stepMs) return;
+    flow.slice(1).forEach((status, index) => {
+      const timer = setTimeout(() => {
+        const setter = kind === 'payment' ? this.setPaymentStatus : this.setPayoutStatus;
+        setter.call(this, id, status).catch((err) => console.error(`Mock ${kind} transition failed:`, err.message));
+      }, this.stepMs * (index + 1));
+      timer.unref();
+    });
+  }
+
+  // Force a deposit status (tests / manual stepping) and send its IPN
+  async setPaymentStatus(paymentId, status) {
+    const payment = this.payments.get(String(paymentId));
+    if (!payment) {
+      throw new Error(`Mock payment ${paymentId} not found`);
+    }
+    payment.payment_status = status;
+    payment.updated_at = new Date().toISOString();
+    if (['confirmed', 'finished'].includes(status)) {
+      payment.actually_paid = payment.pay_amount;
+      payment.outcome_amount = payment.pay_amount;
+      payment.outcome_currency = payment.pay_currency;
+    } else if (status === 'partially_paid') {
+      payment.actually_paid = Math.round(payment.pay_amount * 50) / 100;
+    }
+    await this.sendIPN(payment.ipn_callback_url, { ...payment });
+    return { ...payment };
+  }
+
+  // Force a payout status (tests / manual stepping) and send its IPN
+  async setPayoutStatus(payoutId, status) {
+    const payout = this.payouts.get(String(payoutId));
+    if (!payout) {
+      throw new Error(`Mock payout ${payoutId} not found`);
+    }
+    if (['failed', 'rejected'].includes(status) && !['failed', 'rejected'].includes(payout.status)) {
+      this.balance += payout.amount;
+    }
+    payout.status = status;
+    payout.updated_at = new Date().toISOString();
+    const { ipn_callback_url: url, ...body } = payout;
+    await this.sendIPN(url, body);
+    return { ...payout };
+  }
+
+  async sendIPN(url, payload) {
+    if (!url) return null;
+    try {
+      const response = await axios.post(url, payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-nowpayments-sig': this.signIPN(payload)
+        },
+        timeout: 5000
+      });
+      return response.status;
+    } catch (error) {
+      console.warn(`Mock IPN to ${url} failed:`, error.response?.status || error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = MockPaymentProvider;
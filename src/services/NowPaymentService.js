@@ -1,10 +1,11 @@
 const axios = require('axios');
+const PaymentProvider = require('./PaymentProvider');
 
-class NowPaymentService {
+class NowPaymentService extends PaymentProvider {
   constructor() {
+    super('nowpayments');
     this.apiKey = process.env.NOWPAYMENT_API_KEY;
     this.apiUrl = process.env.NOWPAYMENT_API_URL || 'https://api.nowpayments.io/v1';
-    this.ipnSecret = process.env.NOWPAYMENT_IPN_SECRET;
 
     if (!this.apiKey) {
       throw new Error('NOWPAYMENT_API_KEY environment variable is required');
@@ -73,7 +74,7 @@ class NowPaymentService {
         pay_currency: 'usdtbsc',
         order_id: orderId,
         order_description: `${orderId} - Deposit $${parseFloat(amount).toFixed(2)}`,
-        ipn_callback_url: process.env.NOWPAYMENT_IPN_URL || `${process.env.BASE_URL || 'http://localhost:3001'}/api/wallet/deposit/callback`
+        ipn_callback_url: this.getDepositCallbackUrl()
       };
 
       const response = await axios.post(`${this.apiUrl}/payment`, paymentData, {
@@ -125,8 +126,40 @@ class NowPaymentService {
     }
   }
 
-  // Create payout (withdrawal) to user wallet
-  async createPayout({ amount, payoutAddress, payoutCurrency = 'usdtbsc', priceCurrency = 'usd', ipnCallbackUrl = null }) {
+  // Find a payout by the unique_external_id it was created with, in the most recent payouts
+  // (GET /payout lists them newest first). Returns the matching withdrawal or null.
+  async findPayoutByReference(referenceId, { pages = 5, limit = 100 } = {}) {
+    try {
+      for (let page = 0; page < pages; page++) {
+        const response = await axios.get(`${this.apiUrl}/payout`, {
+          params: { limit, page, order_by: 'dateCreated', order: 'desc' },
+          headers: {
+            'x-api-key': this.apiKey
+          },
+          timeout: 10000
+        });
+        const payouts = response.data?.payouts || response.data?.data || [];
+        const match = payouts.find((payout) => String(payout.unique_external_id) === String(referenceId));
+        if (match) return match;
+        if (payouts.length < limit) break;
+      }
+      return null;
+    } catch (error) {
+      console.error('Error finding payout by reference:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Create payout (withdrawal) to user wallet.
+  // referenceId is our stable id for the withdrawal, sent so a resend is recognised by the provider
+  async createPayout({
+    amount,
+    payoutAddress,
+    payoutCurrency = 'usdtbsc',
+    priceCurrency = 'usd',
+    ipnCallbackUrl = null,
+    referenceId = null
+  }) {
     try {
       const payload = {
         withdraw_address: payoutAddress,
@@ -140,11 +173,15 @@ class NowPaymentService {
       if (ipnCallbackUrl) {
         payload.ipn_callback_url = ipnCallbackUrl;
       }
+      if (referenceId) {
+        payload.unique_external_id = String(referenceId);
+      }
 
       const response = await axios.post(`${this.apiUrl}/payout`, payload, {
         headers: {
           'x-api-key': this.apiKey,
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...(referenceId ? { 'Idempotency-Key': String(referenceId) } : {})
         },
         timeout: 10000
       });
@@ -156,131 +193,6 @@ class NowPaymentService {
     }
   }
 
-  // Validate IPN (Instant Payment Notification)
-  validateIPN(payload, signature) {
-    if (!this.ipnSecret) {
-      console.warn('NOWPAYMENT_IPN_SECRET not configured, skipping IPN validation');
-      return true;
-    }
-
-    const crypto = require('crypto');
-    const expectedSignature = crypto
-      .createHmac('sha512', this.ipnSecret)
-      .update(JSON.stringify(payload))
-      .digest('hex');
-
-    return signature === expectedSignature;
-  }
-
-  // Process deposit callback
-  async processDepositCallback(paymentData) {
-    try {
-      const {
-        payment_id,
-        payment_status,
-        pay_amount,
-        pay_currency,
-        price_amount,
-        price_currency,
-        order_id,
-        actually_paid,
-        actually_paid_at_fiat,
-        outcome_amount,
-        outcome_currency,
-        fee,
-        updated_at,
-        pay_address,
-        purchase_id,
-        payin_extra_id,
-        parent_payment_id,
-        payment_extra_ids,
-        invoice_id
-      } = paymentData;
-
-      // Update transaction status based on payment status
-      let status = 'pending';
-
-      switch (payment_status) {
-        case 'finished':
-        case 'confirmed':
-          status = 'completed';
-          break;
-        case 'failed':
-        case 'expired':
-          status = 'failed';
-          break;
-        case 'partially_paid':
-          status = 'partially_paid';
-          break;
-        default:
-          status = 'pending';
-      }
-
-      // Build comprehensive response
-      const response = {
-        payment_id,
-        status,
-        payment_status, // Keep original NOWPayments status
-        pay_amount: parseFloat(pay_amount || 0),
-        pay_currency,
-        price_amount: parseFloat(price_amount || 0),
-        price_currency,
-        order_id,
-        updated_at
-      };
-
-      // Add optional fields if they exist
-      if (actually_paid !== undefined && actually_paid !== null) {
-        response.actually_paid = parseFloat(actually_paid);
-      }
-
-      if (actually_paid_at_fiat !== undefined && actually_paid_at_fiat !== null) {
-        response.actually_paid_at_fiat = parseFloat(actually_paid_at_fiat);
-      }
-
-      if (outcome_amount !== undefined && outcome_amount !== null) {
-        response.outcome_amount = parseFloat(outcome_amount);
-      }
-
-      if (outcome_currency) {
-        response.outcome_currency = outcome_currency;
-      }
-
-      if (fee) {
-        response.fee = fee;
-      }
-
-      if (pay_address) {
-        response.pay_address = pay_address;
-      }
-
-      if (purchase_id) {
-        response.purchase_id = purchase_id;
-      }
-
-      if (payin_extra_id) {
-        response.payin_extra_id = payin_extra_id;
-      }
-
-      if (parent_payment_id) {
-        response.parent_payment_id = parent_payment_id;
-      }
-
-      if (payment_extra_ids) {
-        response.payment_extra_ids = payment_extra_ids;
-      }
-
-      if (invoice_id) {
-        response.invoice_id = invoice_id;
-      }
-
-      return response;
-    } catch (error) {
-      console.error('Error processing deposit callback:', error);
-      throw error;
-    }
-  }
-
   // Get minimum payment amount
   async getMinPaymentAmount(fromCurrency = 'usdtbsc', toCurrency = 'usd') {
     try {
@@ -320,4 +232,4 @@ class NowPaymentService {
   }
 }
 
-module.exports = new NowPaymentService();
+module.exports = NowPaymentService;
@@ -0,0 +1,21 @@
+/**
+ * Active payment provider, selected by PAYMENT_PROVIDER
+ * - nowpayments (default): NowPaymentService, api.nowpayments.io
+ * - mock: MockPaymentProvider, in-process simulation for dev/tests
+ */
+const PROVIDERS = {
+  nowpayments: () => require('./NowPaymentService'),
+  mock: () => require('./MockPaymentProvider')
+};
+
+function createPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'nowpayments') {
+  const key = String(name).toLowerCase();
+  const load = PROVIDERS[key];
+  if (!load) {
+    throw new Error(`Unknown PAYMENT_PROVIDER: ${name} (expected ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  const Provider = load();
+  return new Provider();
+}
+
+module.exports = createPaymentProvider();
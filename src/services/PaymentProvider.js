@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+
+/**
+ * Payment provider interface
+ * Implementations: NowPaymentService (api.nowpayments.io) and MockPaymentProvider (local).
+ * Deposit/payout payloads and IPN bodies use the NowPayments shape, so controllers
+ * stay provider-agnostic.
+ */
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+    this.ipnSecret = process.env.NOWPAYMENT_IPN_SECRET;
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.name} provider does not implement ${method}`);
+  }
+
+  async testApiConnection() {
+    this.notImplemented('testApiConnection');
+  }
+
+  async getMinPaymentAmount(_fromCurrency, _toCurrency) {
+    this.notImplemented('getMinPaymentAmount');
+  }
+
+  // Create deposit payment; resolves to { payment_id, payment_status, pay_address, pay_amount, pay_currency, ... }
+  async createDepositPayment(_amount, _orderId, _successUrl = null, _cancelUrl = null) {
+    this.notImplemented('createDepositPayment');
+  }
+
+  async getPaymentStatus(_paymentId) {
+    this.notImplemented('getPaymentStatus');
+  }
+
+  // Create payout; resolves to { id, status, withdrawals: [...] }
+  async createPayout(_params) {
+    this.notImplemented('createPayout');
+  }
+
+  async getPayoutStatus(_payoutId) {
+    this.notImplemented('getPayoutStatus');
+  }
+
+  // Payout created with this referenceId (unique_external_id), or null if the provider has none
+  async findPayoutByReference(_referenceId) {
+    this.notImplemented('findPayoutByReference');
+  }
+
+  async getBalance() {
+    this.notImplemented('getBalance');
+  }
+
+  // HMAC-SHA512 of the JSON payload, as sent in the x-nowpayments-sig header
+  signIPN(payload) {
+    return crypto
+      .createHmac('sha512', this.ipnSecret)
+      .update(JSON.stringify(payload))
+      .digest('hex');
+  }
+
+  // Validate IPN (Instant Payment Notification).
+  // requireSecret: fail closed when no secret is configured (callbacks that move money)
+  validateIPN(payload, signature, { requireSecret = false } = {}) {
+    if (!this.ipnSecret) {
+      if (requireSecret) {
+        console.error('NOWPAYMENT_IPN_SECRET not configured, rejecting IPN');
+        return false;
+      }
+      console.warn('NOWPAYMENT_IPN_SECRET not configured, skipping IPN validation');
+      return true;
+    }
+
+    return signature === this.signIPN(payload);
+  }
+
+  // Normalize a deposit IPN / payment status payload
+  async processDepositCallback(paymentData) {
+    try {
+      const {
+        payment_id,
+        payment_status,
+        pay_amount,
+        pay_currency,
+        price_amount,
+        price_currency,
+        order_id,
+        actually_paid,
+        actually_paid_at_fiat,
+        outcome_amount,
+        outcome_currency,
+        fee,
+        updated_at,
+        pay_address,
+        purchase_id,
+        payin_extra_id,
+        parent_payment_id,
+        payment_extra_ids,
+        invoice_id
+      } = paymentData;
+
+      // Update transaction status based on payment status
+      let status = 'pending';
+
+      switch (payment_status) {
+        case 'finished':
+        case 'confirmed':
+          status = 'completed';
+          break;
+        case 'failed':
+        case 'expired':
+          status = 'failed';
+          break;
+        case 'partially_paid':
+          status = 'partially_paid';
+          break;
+        default:
+          status = 'pending';
+      }
+
+      // Build comprehensive response
+      const response = {
+        payment_id,
+        status,
+        payment_status, // Keep original NOWPayments status
+        pay_amount: parseFloat(pay_amount || 0),
+        pay_currency,
+        price_amount: parseFloat(price_amount || 0),
+        price_currency,
+        order_id,
+        updated_at
+      };
+
+      // Add optional fields if they exist
+      if (actually_paid !== undefined && actually_paid !== null) {
+        response.actually_paid = parseFloat(actually_paid);
+      }
+
+      if (actually_paid_at_fiat !== undefined && actually_paid_at_fiat !== null) {
+        response.actually_paid_at_fiat = parseFloat(actually_paid_at_fiat);
+      }
+
+      if (outcome_amount !== undefined && outcome_amount !== null) {
+        response.outcome_amount = parseFloat(outcome_amount);
+      }
+
+      if (outcome_currency) {
+        response.outcome_currency = outcome_currency;
+      }
+
+      if (fee) {
+        response.fee = fee;
+      }
+
+      if (pay_address) {
+        response.pay_address = pay_address;
+      }
+
+      if (purchase_id) {
+        response.purchase_id = purchase_id;
+      }
+
+      if (payin_extra_id) {
+        response.payin_extra_id = payin_extra_id;
+      }
+
+      if (parent_payment_id) {
+        response.parent_payment_id = parent_payment_id;
+      }
+
+      if (payment_extra_ids) {
+        response.payment_extra_ids = payment_extra_ids;
+      }
+
+      if (invoice_id) {
+        response.invoice_id = invoice_id;
+      }
+
+      return response;
+    } catch (error) {
+      console.error('Error processing deposit callback:', error);
+      throw error;
+    }
+  }
+
+  // Default deposit IPN target for this deployment
+  getDepositCallbackUrl() {
+    return process.env.NOWPAYMENT_IPN_URL || `${process.env.BASE_URL || 'http://localhost:3001'}/api/wallet/deposit/callback`;
+  }
+}
+
+module.exports = PaymentProvider;
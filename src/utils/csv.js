@@ -0,0 +1,31 @@
+/**
+ * Minimal CSV writer (RFC 4180 quoting).
+ * Text cells starting with = + - @ are prefixed with ' so spreadsheets do not run them as formulas
+ * (plain numbers such as -12.50 are left alone).
+ */
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<{ key: string, label: string }>} columns
+ * @param {Array<object>} rows
+ * @returns {string}
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map((column) => escapeCell(column.label)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCell(row[column.key])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  escapeCell,
+  toCsv
+};
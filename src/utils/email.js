@@ -120,7 +120,167 @@ async function sendPasswordResetEmail(to, name, resetLink) {
   }
 }
 
+async function sendScheduledTransferSkippedEmail(to, name, { amount, recipientName, reason, nextRunDate }) {
+  const from = process.env.EMAIL_FROM || process.env.SES_SMTP_USERNAME;
+  if (!from) {
+    throw new Error('EMAIL_FROM is not configured');
+  }
+
+  const safeName = name || 'there';
+  const amountLabel = `$${Number(amount).toFixed(2)}`;
+  const recipientLabel = recipientName || 'your recipient';
+  const nextLine = nextRunDate
+    ? `We will try again on ${nextRunDate}.`
+    : 'This schedule has no further runs.';
+  const mailOptions = {
+    from,
+    to,
+    subject: 'Your scheduled IXFLIX transfer was skipped',
+    text: [
+      `Hi ${safeName},`,
+      '',
+      `Your scheduled transfer of ${amountLabel} to ${recipientLabel} was skipped today.`,
+      `Reason: ${reason}.`,
+      nextLine,
+      '',
+      'You can review or cancel your scheduled transfers in your wallet.',
+      '',
+      '— The IXFLIX Team'
+    ].join('\n'),
+    html: `
+      <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="background:#0b0b0f;padding:32px 0;">
+        <tr>
+          <td align="center">
+            <table role="presentation" cellpadding="0" cellspacing="0" width="600" style="max-width:600px;background:#111827;border:1px solid #1f2937;border-radius:12px;overflow:hidden;color:#e5e7eb;font-family:Arial, sans-serif;">
+              <tr>
+                <td style="padding:28px 32px;background:#0f172a;border-bottom:1px solid #1f2937;font-size:18px;font-weight:700;color:#f8fafc;">IXFLIX</td>
+              </tr>
+              <tr>
+                <td style="padding:28px 32px;">
+                  <p style="margin:0 0 12px;font-size:16px;color:#f8fafc;">Hi ${safeName},</p>
+                  <p style="margin:0 0 16px;font-size:14px;line-height:1.6;color:#cbd5e1;">
+                    Your scheduled transfer of <strong>${amountLabel}</strong> to ${recipientLabel} was skipped today.
+                  </p>
+                  <p style="margin:0 0 16px;font-size:14px;line-height:1.6;color:#cbd5e1;">Reason: ${reason}.</p>
+                  <p style="margin:0 0 16px;font-size:14px;line-height:1.6;color:#cbd5e1;">${nextLine}</p>
+                  <p style="margin:0;font-size:13px;line-height:1.6;color:#9ca3af;">
+                    You can review or cancel your scheduled transfers in your wallet.
+                  </p>
+                </td>
+              </tr>
+              <tr>
+                <td style="padding:18px 32px;background:#0f172a;border-top:1px solid #1f2937;font-size:12px;color:#6b7280;">
+                  <p style="margin:0;">© ${new Date().getFullYear()} IXFLIX. All rights reserved.</p>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    `
+  };
+
+  try {
+    await getTransporter().sendMail(mailOptions);
+    logger.info('Scheduled transfer skipped email sent', {
+      to,
+      event: 'scheduled_transfer_skipped_email_sent',
+      meta: { type: 'email' }
+    });
+  } catch (err) {
+    logger.error('Failed to send scheduled transfer skipped email', {
+      to,
+      error: err.message,
+      stack: err.stack,
+      meta: { type: 'email' }
+    });
+    throw err;
+  }
+}
+
+async function sendStakeEndOfLifeEmail(to, name, { stakeId, packType, amount, endStatus, result, renewedStakeId }) {
+  const from = process.env.EMAIL_FROM || process.env.SES_SMTP_USERNAME;
+  if (!from) {
+    throw new Error('EMAIL_FROM is not configured');
+  }
+
+  const safeName = name || 'there';
+  const amountLabel = `$${Number(amount).toFixed(2)}`;
+  const endLine =
+    endStatus === 'matured'
+      ? `Your ${packType} energy pack #${stakeId} (${amountLabel}) has reached the end of its term.`
+      : `Your ${packType} energy pack #${stakeId} (${amountLabel}) has reached its reward cap.`;
+  const resultLine =
+    result === 'renewed'
+      ? `It was renewed automatically into a new ${packType} pack (#${renewedStakeId}) using your wallet balance.`
+      : result === 'renew_failed'
+        ? 'Automatic renewal was not possible because your wallet balance was too low.'
+        : 'It no longer earns rewards.';
+  const mailOptions = {
+    from,
+    to,
+    subject: `Your IXFLIX ${packType} pack has ${endStatus === 'matured' ? 'matured' : 'reached its cap'}`,
+    text: [
+      `Hi ${safeName},`,
+      '',
+      endLine,
+      resultLine,
+      '',
+      'You can start a new energy pack at any time from your wallet.',
+      '',
+      '— The IXFLIX Team'
+    ].join('\n'),
+    html: `
+      <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="background:#0b0b0f;padding:32px 0;">
+        <tr>
+          <td align="center">
+            <table role="presentation" cellpadding="0" cellspacing="0" width="600" style="max-width:600px;background:#111827;border:1px solid #1f2937;border-radius:12px;overflow:hidden;color:#e5e7eb;font-family:Arial, sans-serif;">
+              <tr>
+                <td style="padding:28px 32px;background:#0f172a;border-bottom:1px solid #1f2937;font-size:18px;font-weight:700;color:#f8fafc;">IXFLIX</td>
+              </tr>
+              <tr>
+                <td style="padding:28px 32px;">
+                  <p style="margin:0 0 12px;font-size:16px;color:#f8fafc;">Hi ${safeName},</p>
+                  <p style="margin:0 0 16px;font-size:14px;line-height:1.6;color:#cbd5e1;">${endLine}</p>
+                  <p style="margin:0 0 16px;font-size:14px;line-height:1.6;color:#cbd5e1;">${resultLine}</p>
+                  <p style="margin:0;font-size:13px;line-height:1.6;color:#9ca3af;">
+                    You can start a new energy pack at any time from your wallet.
+                  </p>
+                </td>
+              </tr>
+              <tr>
+                <td style="padding:18px 32px;background:#0f172a;border-top:1px solid #1f2937;font-size:12px;color:#6b7280;">
+                  <p style="margin:0;">© ${new Date().getFullYear()} IXFLIX. All rights reserved.</p>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    `
+  };
+
+  try {
+    await getTransporter().sendMail(mailOptions);
+    logger.info('Stake end-of-life email sent', {
+      to,
+      event: 'stake_end_of_life_email_sent',
+      meta: { type: 'email' }
+    });
+  } catch (err) {
+    logger.error('Failed to send stake end-of-life email', {
+      to,
+      error: err.message,
+      stack: err.stack,
+      meta: { type: 'email' }
+    });
+    throw err;
+  }
+}
+
 module.exports = {
-  sendPasswordResetEmail
+  sendPasswordResetEmail,
+  sendScheduledTransferSkippedEmail,
+  sendStakeEndOfLifeEmail
 };
 
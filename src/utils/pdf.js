@@ -0,0 +1,119 @@
+/**
+ * Minimal PDF writer for text statements (no external services or libraries).
+ * Lines are set in the built-in Courier fonts so tables line up; long documents
+ * flow onto as many pages as needed. Characters outside Latin-1 print as '?'.
+ */
+const PAGE_SIZES = {
+  portrait: [595, 842], // A4
+  landscape: [842, 595]
+};
+const MARGIN = 40;
+
+function escapeText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+/**
+ * Lay out rows as fixed-width text lines (header, rule, rows).
+ * Numeric columns (`align: 'right'`) are right-aligned.
+ * @param {Array<{ key: string, label: string, width?: number, align?: 'left'|'right' }>} columns
+ * @param {Array<object>} rows
+ * @returns {string[]}
+ */
+function formatTable(columns, rows) {
+  const widths = columns.map((column) =>
+    Math.max(
+      column.width || 0,
+      column.label.length,
+      ...rows.map((row) => String(row[column.key] ?? '').length)
+    )
+  );
+  const format = (cells) =>
+    cells
+      .map((cell, index) => {
+        const text = String(cell ?? '').slice(0, widths[index]);
+        return columns[index].align === 'right' ? text.padStart(widths[index]) : text.padEnd(widths[index]);
+      })
+      .join('  ')
+      .trimEnd();
+
+  return [
+    format(columns.map((column) => column.label)),
+    widths.map((width) => '-'.repeat(width)).join('  '),
+    ...rows.map((row) => format(columns.map((column) => row[column.key])))
+  ];
+}
+
+/**
+ * Render lines of text into a PDF.
+ * A line is a string or { text, bold }. Font size shrinks the line height with it.
+ * @param {Array<string|{ text: string, bold?: boolean }>} lines
+ * @param {{ title?: string, orientation?: 'portrait'|'landscape', fontSize?: number }} options
+ * @returns {Buffer}
+ */
+function renderTextPdf(lines, { title = 'Statement', orientation = 'portrait', fontSize = 9 } = {}) {
+  const [width, height] = PAGE_SIZES[orientation] || PAGE_SIZES.portrait;
+  const leading = Math.round(fontSize * 1.35 * 100) / 100;
+  const perPage = Math.max(1, Math.floor((height - MARGIN * 2) / leading));
+
+  const pages = [];
+  for (let i = 0; i < Math.max(lines.length, 1); i += perPage) pages.push(lines.slice(i, i + perPage));
+
+  // 1 catalog, 2 pages, 3 info, 4 Courier, 5 Courier-Bold, then a page + content pair per page
+  const objects = [];
+  const pageIds = pages.map((_, index) => 6 + index * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = `<< /Title (${escapeText(title)}) /Producer (ixflix) /CreationDate (D:${new Date()
+    .toISOString()
+    .replace(/[-:T]/g, '')
+    .slice(0, 14)}Z) >>`;
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+  objects[5] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>';
+
+  pages.forEach((pageLines, index) => {
+    const pageId = pageIds[index];
+    const footer = `Page ${index + 1} of ${pages.length}`;
+    const ops = ['BT', `${leading} TL`, `${MARGIN} ${height - MARGIN - fontSize} Td`];
+    let bold = null;
+    for (const line of pageLines) {
+      const isBold = typeof line === 'object' && line !== null && Boolean(line.bold);
+      if (isBold !== bold) {
+        ops.push(`/${isBold ? 'F2' : 'F1'} ${fontSize} Tf`);
+        bold = isBold;
+      }
+      const text = typeof line === 'object' && line !== null ? line.text : line;
+      ops.push(`(${escapeText(text ?? '')}) Tj T*`);
+    }
+    ops.push('ET', 'BT', `/F1 ${Math.max(6, fontSize - 1)} Tf`, `${MARGIN} ${MARGIN / 2} Td`, `(${footer}) Tj`, 'ET');
+
+    const stream = ops.join('\n');
+    objects[pageId] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      `/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let body = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(body, 'latin1');
+    body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(body, 'latin1');
+  body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) body += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  body += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body, 'latin1');
+}
+
+module.exports = {
+  formatTable,
+  renderTextPdf
+};